@@ -0,0 +1,778 @@
+// dev/fake-supabase.js
+// In-process stand-in for the parts of Supabase (PostgREST + Storage) and the Netlify
+// build hook that functions/ talk to, so handlers run offline in tests and `npm run dev`.
+//
+// It is deliberately small. PostgREST: select (columns + the embeds albums.js uses), the
+// eq/neq/gt/gte/lt/lte/like/ilike/in/is filters (with not.), or=/and= trees, order,
+// limit/offset, Prefer return=representation|minimal, count=exact and
+// resolution=ignore-duplicates, unique slugs and alias keys, and the reorder_gallery /
+// set_album_photos / set_photo_tags / set_entry_tags / merge_tags / merge_places / place_photo_counts /
+// enqueue_site_build / record_stats RPCs, plus a word-prefix stand-in for search_site (no stemming, no query syntax). Storage: object write (with
+// x-upsert), read, public read, bulk delete and signed uploads and downloads.
+//
+//   const fake = createFakeSupabase({ url: 'http://supabase.test', key: 'service-key' });
+//   fake.install();          // routes global fetch for fake.url (and hookUrl) here
+//   fake.seed({ gallery: [...] });
+//   fake.failNext({ method: 'PATCH', url: /\/gallery/ }, { status: 500, body: 'boom' });
+//   fake.deployNotification(fake.hooks[0], 'ready', secret)   // what Netlify would POST back
+
+const crypto = require('crypto');
+
+// Column defaults applied on insert (mirrors supabase/migrations)
+const DEFAULTS = {
+  gallery: {
+    status: 'published', publish_at: null, hide_location: false, alt_text: '', variants: null, deleted_at: null, slug: null,
+    place_id: null,
+  },
+  journal: { status: 'published', publish_at: null, deleted_at: null, slug: null },
+  albums: { description: '', cover_photo_id: null, order_index: null },
+  album_photos: { position: 0 },
+  tags: { updated_at: null },
+  places: { region: '', country: '', lat: null, lon: null, updated_at: null },
+  audit_log: { session: null, ip: null, resource_id: null, diff: null, meta: null, status: null, error: null },
+  site_builds: {
+    status: 'pending', requests: 1, reasons: [], requested_by: null, claimed_at: null, triggered_at: null, hook_status: null,
+    deploy_id: null, deploy_url: null, finished_at: null, error: null,
+  },
+};
+
+// Columns with a unique constraint (nulls never collide, as in Postgres)
+const UNIQUE = { albums: ['slug'], gallery: ['slug'], journal: ['slug'], tags: ['slug'], places: ['slug'], place_aliases: ['key'] };
+
+// Tables whose primary key is not an identity column
+const NO_ID = ['album_photos', 'photo_tags', 'entry_tags', 'stats_daily', 'referrers_daily', 'place_aliases'];
+
+// Embeds: from table -> target -> { fk, many }. `target!fk(...)` hints are many-to-one on fk.
+const RELATIONS = {
+  albums: { album_photos: { fk: 'album_id', many: true } },
+  album_photos: { gallery: { fk: 'photo_id' }, albums: { fk: 'album_id' } },
+  photo_tags: { tags: { fk: 'tag_id' }, gallery: { fk: 'photo_id' } },
+  entry_tags: { tags: { fk: 'tag_id' }, journal: { fk: 'entry_id' } },
+};
+
+// Fields search_site() matches, with their ts_rank weights (tags count as titles)
+const SEARCH_FIELDS = {
+  gallery: { title: 1, caption: 0.4, location: 0.2, camera: 0.2, film: 0.2 },
+  journal: { title: 1, content: 0.4 },
+};
+
+const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+// ---------- PostgREST query parsing ----------
+
+// Split on commas that are not inside parentheses or double quotes
+const splitTop = (s) => {
+  const out = [];
+  let depth = 0;
+  let quoted = false;
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      cur += ch;
+      if (ch === '\\') { cur += s[++i] || ''; continue; }
+      if (ch === '"') quoted = false;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur) out.push(cur);
+  return out;
+};
+
+const unquote = (v) =>
+  v.length >= 2 && v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1).replace(/\\(.)/g, '$1') : v;
+
+// "not.ilike.*x*" -> { negate, op, value }
+const parseOperator = (expr) => {
+  let rest = expr;
+  let negate = false;
+  if (rest.startsWith('not.')) { negate = true; rest = rest.slice(4); }
+  const dot = rest.indexOf('.');
+  if (dot === -1) throw badRequest(`unknown operator in "${expr}"`);
+  const op = rest.slice(0, dot);
+  let value = rest.slice(dot + 1);
+  if (op === 'in') {
+    const m = /^\((.*)\)$/.exec(value);
+    if (!m) throw badRequest(`bad in list "${value}"`);
+    value = m[1] === '' ? [] : splitTop(m[1]).map(unquote);
+  } else {
+    value = unquote(value);
+  }
+  if (!OPS[op]) throw badRequest(`unknown operator "${op}"`);
+  return { negate, op, value };
+};
+
+// "or(a.eq.1,and(b.gt.2,c.is.null))" -> tree
+const parseLogic = (kind, inner) => ({
+  kind,
+  items: splitTop(inner).map((part) => {
+    const m = /^(not\.)?(or|and)\((.*)\)$/.exec(part);
+    if (m) {
+      const node = parseLogic(m[2], m[3]);
+      return m[1] ? { kind: 'not', items: [node] } : node;
+    }
+    const dot = part.indexOf('.');
+    return { column: part.slice(0, dot), ...parseOperator(part.slice(dot + 1)) };
+  }),
+});
+
+const likeRegex = (pattern, flags) => {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) { re += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); continue; }
+    if (ch === '*' || ch === '%') re += '.*';
+    else if (ch === '_') re += '.';
+    else re += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, flags);
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === 'number' || (typeof a === 'string' && typeof b === 'number')) {
+    const x = Number(a);
+    const y = Number(b);
+    if (Number.isFinite(x) && Number.isFinite(y)) return x < y ? -1 : x > y ? 1 : 0;
+  }
+  if (typeof a === 'boolean') return compare(String(a), String(b));
+  const x = String(a);
+  const y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// The publishing rule of supabase/migrations/0006 (and _shared/publishing.js)
+const isLiveRow = (r, now = Date.now()) => !r.deleted_at &&
+  (r.status === 'published' || (r.status === 'scheduled' && !!r.publish_at && Date.parse(r.publish_at) <= now));
+
+const OPS = {
+  eq: (a, v) => a != null && compare(a, v) === 0,
+  neq: (a, v) => a != null && compare(a, v) !== 0,
+  gt: (a, v) => a != null && compare(a, v) > 0,
+  gte: (a, v) => a != null && compare(a, v) >= 0,
+  lt: (a, v) => a != null && compare(a, v) < 0,
+  lte: (a, v) => a != null && compare(a, v) <= 0,
+  like: (a, v) => a != null && likeRegex(v, 's').test(String(a)),
+  ilike: (a, v) => a != null && likeRegex(v, 'is').test(String(a)),
+  in: (a, list) => a != null && list.some((v) => compare(a, v) === 0),
+  is: (a, v) => (v === 'null' ? a == null : v === 'true' ? a === true : v === 'false' ? a === false : false),
+};
+
+const matches = (row, node) => {
+  if (node.kind === 'or') return node.items.some((n) => matches(row, n));
+  if (node.kind === 'and') return node.items.every((n) => matches(row, n));
+  if (node.kind === 'not') return !matches(row, node.items[0]);
+  const hit = OPS[node.op](row[node.column], node.value);
+  return node.negate ? !hit : hit;
+};
+
+// "title.asc.nullslast,id.desc" -> comparator
+const orderComparator = (specs) => {
+  const keys = specs.flatMap((s) => s.split(',')).filter(Boolean).map((s) => {
+    const [column, ...mods] = s.split('.');
+    const desc = mods.includes('desc');
+    const nullsFirst = mods.includes('nullsfirst') || (desc && !mods.includes('nullslast'));
+    return { column, desc, nullsFirst };
+  });
+  return (a, b) => {
+    for (const k of keys) {
+      const x = a[k.column];
+      const y = b[k.column];
+      if (x == null && y == null) continue;
+      if (x == null) return k.nullsFirst ? -1 : 1;
+      if (y == null) return k.nullsFirst ? 1 : -1;
+      const c = compare(x, y);
+      if (c) return k.desc ? -c : c;
+    }
+    return 0;
+  };
+};
+
+// "id,cover:gallery!cover_photo_id(id,title),album_photos(position,photo:gallery(*))"
+const parseSelect = (s) =>
+  splitTop(s || '*').map((part) => {
+    const m = /^(?:([a-z_][a-z0-9_]*):)?([a-z_][a-z0-9_]*)(?:!([a-z_][a-z0-9_]*))?\((.*)\)$/i.exec(part.trim());
+    if (m) return { embed: true, alias: m[1] || m[2], table: m[2], hint: m[3] || null, select: parseSelect(m[4]) };
+    return { column: part.trim() };
+  });
+
+// Up to ~24 words around the first match, matches wrapped in \u0002...\u0003 like
+// search_site()'s ts_headline options
+const markWords = (text, words) => {
+  const parts = String(text).split(/(\s+)/);
+  const isHit = (part) => {
+    const token = part.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    return !!token && words.some((w) => token.startsWith(w));
+  };
+  const first = Math.max(0, parts.findIndex(isHit));
+  const start = Math.max(0, first - 16) & ~1;
+  return parts
+    .slice(start, start + 48)
+    .map((p) => (isHit(p) ? `\u0002${p}\u0003` : p))
+    .join('')
+    .trim();
+};
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400, code: 'PGRST100' });
+}
+
+// ---------- Fake ----------
+
+/**
+ * @param {{ url?: string, key?: string, hookUrl?: string, passthrough?: boolean }} [opts]
+ *   passthrough: send requests for other hosts to the real fetch (dev server) instead of failing (tests)
+ */
+const createFakeSupabase = (opts = {}) => {
+  const url = (opts.url || 'http://supabase.test').replace(/\/$/, '');
+  const key = opts.key || 'service-role-test-key';
+  const hookUrl = opts.hookUrl || 'http://hooks.test/build';
+
+  const state = {
+    tables: {},
+    ids: {},
+    objects: new Map(), // "bucket/path" -> { contentType, body: Buffer }
+    signed: new Map(), // token -> "bucket/path" (uploads) or "get:bucket/path" (downloads)
+  };
+  const failures = [];
+  const requests = [];
+  const hooks = [];
+  let realFetch = null;
+
+  const table = (name) => {
+    if (!state.tables[name]) state.tables[name] = [];
+    return state.tables[name];
+  };
+
+  const insertRow = (name, input) => {
+    const row = { ...(DEFAULTS[name] || {}), ...clone(input) };
+    if (!NO_ID.includes(name) && row.id == null) {
+      state.ids[name] = (state.ids[name] || 0) + 1;
+      row.id = state.ids[name];
+    } else if (row.id != null) {
+      state.ids[name] = Math.max(state.ids[name] || 0, Number(row.id));
+    }
+    if (row.created_at == null) row.created_at = new Date().toISOString();
+    checkUnique(name, row, []);
+    table(name).push(row);
+    return row;
+  };
+
+  // `values` would collide with a row other than those in `except`
+  const checkUnique = (name, values, except) => {
+    for (const col of UNIQUE[name] || []) {
+      if (values[col] == null) continue;
+      if (table(name).some((r) => !except.includes(r) && r[col] === values[col])) {
+        throw Object.assign(new Error(`duplicate key value violates unique constraint "${name}_${col}_key"`), { status: 409, code: '23505' });
+      }
+    }
+  };
+
+  const RPCS = {
+    reorder_gallery: ({ ids }) => {
+      const listed = ids.map(Number);
+      const rest = table('gallery')
+        .filter((r) => !listed.includes(Number(r.id)))
+        .sort(orderComparator(['order_index.asc.nullslast', 'id.asc']));
+      listed.forEach((id, i) => {
+        const row = table('gallery').find((r) => Number(r.id) === id);
+        if (row) row.order_index = i + 1;
+      });
+      rest.forEach((r, i) => { r.order_index = listed.length + i + 1; });
+      return null;
+    },
+    set_album_photos: ({ p_album_id, p_photo_ids }) => {
+      state.tables.album_photos = table('album_photos').filter((l) => Number(l.album_id) !== Number(p_album_id));
+      p_photo_ids.forEach((id, i) => insertRow('album_photos', { album_id: Number(p_album_id), photo_id: Number(id), position: i + 1 }));
+      return null;
+    },
+    set_photo_tags: ({ p_photo_id, p_tag_ids }) => setLinks('photo_tags', 'photo_id', p_photo_id, p_tag_ids),
+    set_entry_tags: ({ p_entry_id, p_tag_ids }) => setLinks('entry_tags', 'entry_id', p_entry_id, p_tag_ids),
+    merge_tags: ({ p_source_ids, p_target_id }) => {
+      const sources = p_source_ids.map(Number).filter((id) => id !== Number(p_target_id));
+      for (const [link, column] of [['photo_tags', 'photo_id'], ['entry_tags', 'entry_id']]) {
+        const moved = table(link).filter((l) => sources.includes(Number(l.tag_id))).map((l) => l[column]);
+        state.tables[link] = table(link).filter((l) => !sources.includes(Number(l.tag_id)));
+        moved.forEach((itemId) => {
+          if (!table(link).some((l) => compare(l[column], itemId) === 0 && Number(l.tag_id) === Number(p_target_id))) {
+            insertRow(link, { [column]: itemId, tag_id: Number(p_target_id) });
+          }
+        });
+      }
+      state.tables.tags = table('tags').filter((t) => !sources.includes(Number(t.id)));
+      return null;
+    },
+    merge_places: ({ p_source_ids, p_target_id }) => {
+      const target = Number(p_target_id);
+      const sources = p_source_ids.map(Number).filter((id) => id !== target);
+      for (const [name, column] of [['gallery', 'place_id'], ['place_aliases', 'place_id']]) {
+        table(name).forEach((r) => { if (sources.includes(Number(r[column]))) r[column] = target; });
+      }
+      state.tables.places = table('places').filter((p) => !sources.includes(Number(p.id)));
+      return null;
+    },
+    place_photo_counts: () => {
+      const counts = new Map();
+      for (const r of table('gallery').filter((g) => g.place_id != null && !g.deleted_at)) {
+        const c = counts.get(Number(r.place_id)) || { place_id: Number(r.place_id), photo_count: 0, live_count: 0 };
+        c.photo_count += 1;
+        if (isLiveRow(r)) c.live_count += 1;
+        counts.set(c.place_id, c);
+      }
+      return [...counts.values()];
+    },
+    enqueue_site_build: ({ p_reason, p_actor, p_window_seconds, p_immediate }) => {
+      const now = Date.now();
+      const windowMs = Math.max(Number(p_window_seconds) || 0, 0) * 1000;
+      const last = Math.max(-Infinity, ...table('site_builds').filter((b) => b.triggered_at).map((b) => Date.parse(b.triggered_at)));
+      const earliest = last + windowMs;
+      const iso = (ms) => new Date(ms).toISOString();
+      const pending = table('site_builds').find((b) => b.status === 'pending');
+      if (pending) {
+        pending.requests += 1;
+        if (p_reason != null) pending.reasons = [...pending.reasons, p_reason].slice(-10);
+        pending.requested_by = p_actor ?? pending.requested_by;
+        pending.last_requested_at = iso(now);
+        if (p_immediate) pending.due_at = iso(Math.max(now, earliest));
+        return clone(pending);
+      }
+      return clone(insertRow('site_builds', {
+        reasons: p_reason == null ? [] : [p_reason],
+        requested_by: p_actor ?? null,
+        last_requested_at: iso(now),
+        due_at: iso(Math.max(p_immediate ? now : now + windowMs, earliest)),
+      }));
+    },
+    record_stats: ({ p_day, p_counts, p_referrer }) => {
+      const bump = (name, key, n) => {
+        const row = table(name).find((r) => Object.entries(key).every(([k, v]) => compare(r[k], v) === 0));
+        if (row) row.count += n;
+        else insertRow(name, { ...key, count: n });
+      };
+      // Only items live on the site, and at most 200 hosts a day (then "other")
+      const live = (name, id) => table(name).some((r) => Number(r.id) === id && isLiveRow(r));
+      for (const c of p_counts || []) {
+        const id = Number(c.item_id);
+        if (!live(c.metric === 'view' ? 'journal' : 'gallery', id)) continue;
+        bump('stats_daily', { day: p_day, metric: c.metric, item_id: id }, Number(c.count));
+      }
+      if (p_referrer != null) {
+        const hosts = table('referrers_daily').filter((r) => r.day === p_day);
+        const known = hosts.some((r) => r.host === p_referrer) || hosts.filter((r) => r.host !== 'other').length < 200;
+        bump('referrers_daily', { day: p_day, host: known ? p_referrer : 'other' }, 1);
+      }
+      return null;
+    },
+    search_site: ({ p_query, p_limit }) => {
+      const words = String(p_query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+      if (!words.length) return [];
+      const hitsIn = (text) => {
+        const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        return words.filter((w) => tokens.some((t) => t.startsWith(w))).length;
+      };
+      const search = (name, kind, link, column, snippetOf) => table(name).filter((r) => isLiveRow(r)).flatMap((r) => {
+        const tagNames = table(link)
+          .filter((l) => compare(l[column], r.id) === 0)
+          .map((l) => (table('tags').find((t) => compare(t.id, l.tag_id) === 0) || {}).name)
+          .join(' ');
+        const text = `${Object.keys(SEARCH_FIELDS[name]).map((f) => r[f] || '').join(' ')} ${tagNames}`;
+        if (hitsIn(text) < words.length) return [];
+        const rank = Object.entries(SEARCH_FIELDS[name]).reduce((n, [f, w]) => n + hitsIn(r[f]) * w, hitsIn(tagNames));
+        return [{
+          kind, id: r.id, slug: r.slug || null, title: r.title || null,
+          entry_date: kind === 'entry' ? r.entry_date || null : null,
+          snippet: markWords(snippetOf(r), words), rank,
+        }];
+      });
+      const limit = Math.max(1, Math.min(Number(p_limit) || 20, 50));
+      return [
+        ...search('gallery', 'photo', 'photo_tags', 'photo_id', (r) => r.caption || r.title || ''),
+        ...search('journal', 'entry', 'entry_tags', 'entry_id', (r) => r.content || ''),
+      ]
+        .sort((a, b) => b.rank - a.rank || a.kind.localeCompare(b.kind) || Number(b.id) - Number(a.id))
+        .slice(0, limit);
+    },
+  };
+
+  // Replace one item's rows in a link table (the set_*_tags RPCs)
+  const setLinks = (link, column, itemId, tagIds) => {
+    state.tables[link] = table(link).filter((l) => compare(l[column], itemId) !== 0);
+    [...new Set(tagIds.map(Number))].forEach((tagId) => insertRow(link, { [column]: Number(itemId), tag_id: tagId }));
+    return null;
+  };
+
+  const embedRows = (from, row, spec, params) => {
+    const rel = (RELATIONS[from] || {})[spec.table];
+    const fk = spec.hint || (rel && rel.fk);
+    if (!fk) throw badRequest(`no relationship between ${from} and ${spec.table}`);
+    let out;
+    if (rel && rel.many && !spec.hint) {
+      out = table(spec.table).filter((r) => compare(r[fk], row.id) === 0);
+      const order = params.getAll(`${spec.alias}.order`);
+      if (order.length) out = out.slice().sort(orderComparator(order));
+      return out.map((r) => project(spec.table, r, spec.select, params));
+    }
+    const target = table(spec.table).find((r) => row[fk] != null && compare(r.id, row[fk]) === 0);
+    return target ? project(spec.table, target, spec.select, params) : null;
+  };
+
+  const project = (name, row, select, params) => {
+    const out = {};
+    for (const item of select) {
+      if (item.embed) out[item.alias] = embedRows(name, row, item, params);
+      else if (item.column === '*') Object.assign(out, clone(row));
+      else out[item.column] = row[item.column] === undefined ? null : clone(row[item.column]);
+    }
+    return out;
+  };
+
+  const RESERVED = ['select', 'order', 'limit', 'offset', 'or', 'and', 'columns', 'on_conflict'];
+
+  const filterRows = (name, params) => {
+    const conditions = [];
+    for (const [k, v] of params) {
+      if (k.includes('.')) continue; // embed modifiers like album_photos.order
+      if (k === 'or' || k === 'and') {
+        conditions.push(parseLogic(k, v.replace(/^\(/, '').replace(/\)$/, '')));
+      } else if (!RESERVED.includes(k)) {
+        conditions.push({ column: k, ...parseOperator(v) });
+      }
+    }
+    return table(name).filter((r) => conditions.every((c) => matches(r, c)));
+  };
+
+  const reply = (status, body, headers = {}) => ({
+    status,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? '' : typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+  });
+
+  const pgError = (e) => reply(e.status || 500, { code: e.code || 'XX000', message: e.message, details: null, hint: null });
+
+  const parseJsonBody = (body) => {
+    if (!body || !body.length) return {};
+    return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+  };
+
+  const handleRest = (method, u, headers, body) => {
+    const path = u.pathname.slice('/rest/v1/'.length);
+    const params = u.searchParams;
+    const prefer = headers.prefer || '';
+    const wantRows = /return=representation/.test(prefer);
+
+    if (path.startsWith('rpc/')) {
+      const fn = RPCS[path.slice(4)];
+      if (!fn) return reply(404, { code: 'PGRST202', message: `function ${path.slice(4)} not found` });
+      try {
+        return reply(200, fn(parseJsonBody(body)));
+      } catch (e) {
+        return pgError(e);
+      }
+    }
+
+    const name = decodeURIComponent(path);
+    try {
+      switch (method) {
+        case 'GET':
+        case 'HEAD': {
+          let rows = filterRows(name, params);
+          const order = params.getAll('order');
+          if (order.length) rows = rows.slice().sort(orderComparator(order));
+          const total = rows.length;
+          const offset = Number(params.get('offset') || 0);
+          const limit = params.has('limit') ? Number(params.get('limit')) : Infinity;
+          rows = rows.slice(offset, offset + limit);
+          const select = parseSelect(params.get('select'));
+          const out = rows.map((r) => project(name, r, select, params));
+          const range = `${out.length ? `${offset}-${offset + out.length - 1}` : '*'}/${/count=exact/.test(prefer) ? total : '*'}`;
+          return reply(200, method === 'HEAD' ? '' : out, { 'content-range': range });
+        }
+        case 'POST': {
+          const input = parseJsonBody(body);
+          const skipDuplicates = /resolution=ignore-duplicates/.test(prefer);
+          const rows = (Array.isArray(input) ? input : [input]).flatMap((r) => {
+            try {
+              return [insertRow(name, r)];
+            } catch (e) {
+              if (skipDuplicates && e.code === '23505') return [];
+              throw e;
+            }
+          });
+          return wantRows ? reply(201, clone(rows)) : reply(201, '');
+        }
+        case 'PATCH': {
+          const patch = parseJsonBody(body);
+          const rows = filterRows(name, params);
+          checkUnique(name, patch, rows);
+          rows.forEach((r) => Object.assign(r, clone(patch)));
+          return wantRows ? reply(200, clone(rows)) : reply(204, '');
+        }
+        case 'DELETE': {
+          const rows = filterRows(name, params);
+          state.tables[name] = table(name).filter((r) => !rows.includes(r));
+          // Foreign keys the migrations declare as cascading / set null
+          if (name === 'gallery') {
+            const gone = rows.map((r) => Number(r.id));
+            state.tables.album_photos = table('album_photos').filter((l) => !gone.includes(Number(l.photo_id)));
+            state.tables.photo_tags = table('photo_tags').filter((l) => !gone.includes(Number(l.photo_id)));
+            table('albums').forEach((a) => { if (gone.includes(Number(a.cover_photo_id))) a.cover_photo_id = null; });
+          }
+          if (name === 'journal') {
+            const gone = rows.map((r) => Number(r.id));
+            state.tables.journal_revisions = table('journal_revisions').filter((v) => !gone.includes(Number(v.entry_id)));
+            state.tables.entry_tags = table('entry_tags').filter((l) => !gone.includes(Number(l.entry_id)));
+          }
+          if (name === 'tags') {
+            const gone = rows.map((r) => Number(r.id));
+            state.tables.photo_tags = table('photo_tags').filter((l) => !gone.includes(Number(l.tag_id)));
+            state.tables.entry_tags = table('entry_tags').filter((l) => !gone.includes(Number(l.tag_id)));
+          }
+          if (name === 'places') {
+            const gone = rows.map((r) => Number(r.id));
+            state.tables.place_aliases = table('place_aliases').filter((a) => !gone.includes(Number(a.place_id)));
+            table('gallery').forEach((g) => { if (gone.includes(Number(g.place_id))) g.place_id = null; });
+          }
+          if (name === 'albums') {
+            const gone = rows.map((r) => Number(r.id));
+            state.tables.album_photos = table('album_photos').filter((l) => !gone.includes(Number(l.album_id)));
+          }
+          return wantRows ? reply(200, clone(rows)) : reply(204, '');
+        }
+        default:
+          return reply(405, { message: 'Method not allowed' });
+      }
+    } catch (e) {
+      if (e instanceof SyntaxError) return reply(400, { code: 'PGRST102', message: 'Empty or invalid json' });
+      return pgError(e);
+    }
+  };
+
+  const storageMissing = () => reply(400, { statusCode: '404', error: 'not_found', message: 'Object not found' });
+
+  const handleStorage = (method, u, headers, body) => {
+    const rest = decodeURIComponent(u.pathname.slice('/storage/v1/object/'.length));
+
+    // Signed uploads: POST upload/sign/<bucket>/<path>, then PUT the same URL with ?token=
+    if (rest.startsWith('upload/sign/')) {
+      const objectKey = rest.slice('upload/sign/'.length);
+      if (method === 'POST') {
+        const token = crypto.randomBytes(12).toString('hex');
+        state.signed.set(token, objectKey);
+        const signedPath = `/object/upload/sign/${objectKey}?token=${token}`;
+        return reply(200, { url: signedPath, token });
+      }
+      if (method === 'PUT') {
+        const token = u.searchParams.get('token');
+        if (state.signed.get(token) !== objectKey) return reply(400, { statusCode: '403', error: 'InvalidSignature', message: 'invalid signature' });
+        if (state.objects.has(objectKey)) return reply(400, { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' });
+        state.objects.set(objectKey, { contentType: headers['content-type'] || 'application/octet-stream', body: Buffer.from(body || '') });
+        state.signed.delete(token);
+        return reply(200, { Key: objectKey });
+      }
+    }
+
+    // Signed downloads: POST sign/<bucket>/<path> { expiresIn }, then GET the same URL with ?token=
+    if (rest.startsWith('sign/')) {
+      const objectKey = rest.slice('sign/'.length);
+      if (method === 'POST') {
+        if (!state.objects.has(objectKey)) return storageMissing();
+        const token = crypto.randomBytes(12).toString('hex');
+        state.signed.set(token, `get:${objectKey}`);
+        return reply(200, { signedURL: `/object/sign/${objectKey}?token=${token}` });
+      }
+      if (method === 'GET') {
+        if (state.signed.get(u.searchParams.get('token')) !== `get:${objectKey}`) {
+          return reply(400, { statusCode: '403', error: 'InvalidSignature', message: 'invalid signature' });
+        }
+        const obj = state.objects.get(objectKey);
+        if (!obj) return storageMissing();
+        return { status: 200, headers: { 'content-type': obj.contentType }, body: obj.body };
+      }
+    }
+
+    if (rest.startsWith('public/')) {
+      if (method !== 'GET' && method !== 'HEAD') return reply(405, { message: 'Method not allowed' });
+      const obj = state.objects.get(rest.slice('public/'.length));
+      if (!obj) return storageMissing();
+      return { status: 200, headers: { 'content-type': obj.contentType }, body: method === 'HEAD' ? '' : obj.body };
+    }
+
+    const objectKey = rest.replace(/^authenticated\//, '');
+    switch (method) {
+      case 'GET': {
+        const obj = state.objects.get(objectKey);
+        if (!obj) return storageMissing();
+        return { status: 200, headers: { 'content-type': obj.contentType }, body: obj.body };
+      }
+      case 'POST':
+      case 'PUT': {
+        const upsert = String(headers['x-upsert']) === 'true' || method === 'PUT';
+        if (state.objects.has(objectKey) && !upsert) {
+          return reply(400, { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' });
+        }
+        state.objects.set(objectKey, { contentType: headers['content-type'] || 'application/octet-stream', body: Buffer.from(body || '') });
+        return reply(200, { Key: objectKey });
+      }
+      case 'DELETE': {
+        // DELETE /object/<bucket> { prefixes: [...] }
+        const bucket = objectKey.replace(/\/$/, '');
+        const { prefixes = [] } = parseJsonBody(body);
+        const removed = prefixes.filter((p) => state.objects.delete(`${bucket}/${p}`));
+        return reply(200, removed.map((name) => ({ name, bucket_id: bucket })));
+      }
+      default:
+        return reply(405, { message: 'Method not allowed' });
+    }
+  };
+
+  /**
+   * Answer one request. `headers` keys must be lower-case; `body` a string, Buffer or undefined.
+   * @returns {{ status: number, headers: object, body: string | Buffer }}
+   */
+  const handle = ({ method, url: rawUrl, headers = {}, body }) => {
+    const u = new URL(rawUrl);
+    requests.push({ method, url: rawUrl, headers, body: Buffer.isBuffer(body) ? `<${body.length} bytes>` : body });
+
+    const failIdx = failures.findIndex(({ match }) =>
+      (!match.method || match.method === method) &&
+      (!match.url || (match.url instanceof RegExp ? match.url.test(rawUrl) : rawUrl.includes(match.url))));
+    if (failIdx !== -1) {
+      const [{ response }] = failures.splice(failIdx, 1);
+      if (response.throws) throw response.throws;
+      return reply(response.status || 500, response.body === undefined ? { message: 'injected failure' } : response.body, response.headers);
+    }
+
+    if (rawUrl.split('?')[0] === hookUrl) {
+      if (method !== 'POST') return reply(405, 'Method not allowed');
+      hooks.push({ at: new Date().toISOString(), url: rawUrl, body: body ? String(body) : '' });
+      return { status: 200, headers: {}, body: '' };
+    }
+
+    const signedUpload = u.pathname.startsWith('/storage/v1/object/upload/sign/') && method === 'PUT';
+    const signedDownload = u.pathname.startsWith('/storage/v1/object/sign/') && method === 'GET';
+    const isPublic = u.pathname.startsWith('/storage/v1/object/public/');
+    if (!signedUpload && !signedDownload && !isPublic) {
+      const auth = headers.authorization || '';
+      if (headers.apikey !== key && auth !== `Bearer ${key}`) {
+        return reply(401, { message: 'Invalid API key', hint: 'Double check your Supabase `anon` or `service_role` API key.' });
+      }
+    }
+
+    if (u.pathname.startsWith('/rest/v1/')) return handleRest(method, u, headers, body);
+    if (u.pathname.startsWith('/storage/v1/object/')) return handleStorage(method, u, headers, body);
+    return reply(404, { message: 'Not found' });
+  };
+
+  const toBuffer = async (body) => {
+    if (body == null) return undefined;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) return body;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return Buffer.from(body.buffer ? body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength) : body);
+    if (typeof body.arrayBuffer === 'function') return Buffer.from(await body.arrayBuffer());
+    return String(body);
+  };
+
+  const ours = (href) => href.startsWith(`${url}/`) || href.split('?')[0] === hookUrl;
+
+  // Drop-in replacement for global fetch
+  const fakeFetch = async (input, init = {}) => {
+    const href = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url;
+    if (!ours(href)) {
+      if (opts.passthrough && realFetch) return realFetch(input, init);
+      throw new Error(`fake-supabase: unexpected request to ${href}`);
+    }
+    const method = (init.method || (input && input.method) || 'GET').toUpperCase();
+    const headers = {};
+    new Headers(init.headers || (input && input.headers) || {}).forEach((v, k) => { headers[k] = v; });
+    const res = handle({ method, url: href, headers, body: await toBuffer(init.body) });
+    const empty = res.status === 204 || res.status === 304 || method === 'HEAD' || res.body === '';
+    return new Response(empty ? null : res.body, { status: res.status, headers: res.headers });
+  };
+
+  return {
+    url,
+    key,
+    hookUrl,
+    fetch: fakeFetch,
+    handle,
+    requests,
+    hooks,
+
+    install() {
+      if (!realFetch) realFetch = globalThis.fetch;
+      globalThis.fetch = fakeFetch;
+      return this;
+    },
+    uninstall() {
+      if (realFetch) globalThis.fetch = realFetch;
+      realFetch = null;
+    },
+
+    /** Clear all rows, objects, recorded requests, hook calls and pending failures. */
+    reset() {
+      state.tables = {};
+      state.ids = {};
+      state.objects.clear();
+      state.signed.clear();
+      failures.length = 0;
+      requests.length = 0;
+      hooks.length = 0;
+    },
+
+    /** Insert rows: { table: [row, ...] }. Returns the stored rows by table. */
+    seed(data) {
+      const out = {};
+      for (const [name, rows] of Object.entries(data)) out[name] = rows.map((r) => insertRow(name, r));
+      return out;
+    },
+
+    rows: (name) => table(name),
+    object: (objectKey) => state.objects.get(objectKey) || null,
+    objectKeys: () => [...state.objects.keys()],
+    putObject(objectKey, contentType, body) {
+      state.objects.set(objectKey, { contentType, body: Buffer.from(body) });
+    },
+
+    /**
+     * Make the next request matching `match` fail.
+     * @param {{ method?: string, url?: string | RegExp }} match
+     * @param {{ status?: number, body?: any, headers?: object, throws?: Error }} [response]
+     */
+    failNext(match, response = {}) {
+      failures.push({ match, response });
+    },
+
+    /**
+     * The deploy notification Netlify would send for a hook call: the request body and its
+     * X-Webhook-Signature (an HS256 JWS over { iss, sha256 of the body }).
+     * @param {{ url: string }} hook  one of `hooks`
+     * @param {'building' | 'ready' | 'error'} state
+     */
+    deployNotification(hook, state, secret, extra = {}) {
+      const title = new URL(hook.url).searchParams.get('trigger_title') || '';
+      const id = crypto.createHash('sha1').update(hook.url + hook.at).digest('hex').slice(0, 24);
+      const at = new Date().toISOString();
+      const body = JSON.stringify({
+        id,
+        state,
+        title,
+        deploy_ssl_url: `https://${id}--site.netlify.app`,
+        created_at: hook.at,
+        updated_at: at,
+        published_at: state === 'ready' ? at : null,
+        error_message: state === 'error' ? 'Build script returned non-zero exit code: 2' : null,
+        ...extra,
+      });
+      const part = (v) => Buffer.from(JSON.stringify(v)).toString('base64url');
+      const signed = `${part({ alg: 'HS256', typ: 'JWT' })}.${part({ iss: 'netlify', sha256: crypto.createHash('sha256').update(body).digest('hex') })}`;
+      const sig = crypto.createHmac('sha256', secret).update(signed).digest('base64url');
+      return { body, headers: { 'x-webhook-signature': `${signed}.${sig}` } };
+    },
+  };
+};
+
+module.exports = { createFakeSupabase };
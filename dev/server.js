@@ -0,0 +1,208 @@
+// dev/server.js
+// Local development server: the static site, the functions and an in-memory Supabase,
+// all on one port, with no Supabase project or Netlify CLI needed.
+//
+//   npm run dev                     -> http://localhost:8888
+//   PORT=3000 npm run dev
+//
+// Routes (mirroring netlify.toml):
+//   /.netlify/functions/<name>/*    functions/<name>.js
+//   /api/*                          same as /.netlify/functions/*
+//   /albums/*, /journal/*           index.html
+//   /sw.js                          the service worker, its cache version new each start
+//   /rest/v1/*, /storage/v1/*       the fake in dev/fake-supabase.js (data is lost on exit)
+//   everything else                 files from the repo root
+//
+// Build hook calls are logged instead of sent, and answered like Netlify would: a signed
+// "building" then "ready" deploy notification to update-site/deploy-events. flush-builds
+// runs every minute, as its schedule does in production. Rows from dev/seed.json, if present, are
+// loaded at start. Env vars already set win; otherwise ADMIN_PASSWORD defaults to "admin".
+// IMAGE_FORMATS=jpeg makes uploads much quicker than the default avif,webp,jpeg.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createFakeSupabase } = require('./fake-supabase');
+const { stampWorker } = require('../scripts/prerender');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.PORT || '', 10) || 8888;
+const ORIGIN = `http://localhost:${PORT}`;
+const HOOK_URL = `${ORIGIN}/__build_hook`;
+// sw.js's cache version: a restart drops the shell the browser cached from the last run
+const WORKER_VERSION = `dev-${Date.now().toString(36)}`;
+
+const env = {
+  SUPABASE_URL: ORIGIN,
+  SUPABASE_SERVICE_ROLE_KEY: 'dev-service-role-key',
+  ADMIN_PASSWORD: 'admin',
+  ADMIN_TOKEN_SECRET: crypto.randomBytes(32).toString('hex'),
+  NETLIFY_BUILD_HOOK_URL: HOOK_URL,
+  NETLIFY_DEPLOY_WEBHOOK_SECRET: crypto.randomBytes(16).toString('hex'),
+  SITE_URL: ORIGIN,
+};
+for (const [k, v] of Object.entries(env)) if (!process.env[k]) process.env[k] = v;
+// The fake only answers for itself; a real SUPAHUB_* pair would bypass it
+delete process.env.SUPAHUB_URL;
+delete process.env.SUPAHUB_SERVICE_KEY;
+process.env.SUPABASE_URL = ORIGIN;
+
+const fake = createFakeSupabase({
+  url: ORIGIN,
+  key: process.env.SUPABASE_SERVICE_ROLE_KEY,
+  hookUrl: HOOK_URL,
+  passthrough: true,
+}).install();
+
+const seedFile = path.join(__dirname, 'seed.json');
+if (fs.existsSync(seedFile)) fake.seed(JSON.parse(fs.readFileSync(seedFile, 'utf8')));
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.webmanifest': 'application/manifest+json',
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+const send = (res, status, headers, body) => {
+  res.writeHead(status, headers);
+  res.end(body);
+};
+
+// Handlers are loaded once; restart the server to pick up edits
+const handlers = {};
+const loadHandler = (name) => {
+  if (!/^[a-z0-9-]+$/.test(name)) return null;
+  const file = path.join(ROOT, 'functions', `${name}.js`);
+  if (!fs.existsSync(file)) return null;
+  if (!handlers[name]) handlers[name] = require(file).handler;
+  return handlers[name];
+};
+
+// Play Netlify for a build hook call: the deploy starts, then goes live a few seconds later
+const fakeDeploy = (hook) => {
+  const notify = async (state) => {
+    const { body, headers } = fake.deployNotification(hook, state, process.env.NETLIFY_DEPLOY_WEBHOOK_SECRET);
+    const out = await loadHandler('update-site')({
+      httpMethod: 'POST',
+      path: '/.netlify/functions/update-site/deploy-events',
+      headers,
+      queryStringParameters: {},
+      body,
+      isBase64Encoded: false,
+    }, {});
+    console.log(`[deploy] ${state} -> ${out.statusCode}`);
+  };
+  setTimeout(() => notify('building').catch((err) => console.error('[deploy]', err)), 1000);
+  setTimeout(() => notify('ready').catch((err) => console.error('[deploy]', err)), 4000);
+};
+
+// Answer every hook call made since the last check, whichever function made it
+let hooksSeen = 0;
+const deployNewHooks = () => {
+  for (const hook of fake.hooks.slice(hooksSeen)) {
+    console.log('[build hook] deploy requested (not sent in dev)');
+    fakeDeploy(hook);
+  }
+  hooksSeen = fake.hooks.length;
+};
+
+const runFunction = async (req, res, u, fnPath) => {
+  const name = fnPath.split('/')[0];
+  const handler = loadHandler(name);
+  if (!handler) return send(res, 404, { 'content-type': 'text/plain' }, `No function "${name}"`);
+
+  const body = await readBody(req);
+  const event = {
+    httpMethod: req.method,
+    path: `/.netlify/functions/${fnPath}`,
+    headers: { ...req.headers, 'x-nf-client-connection-ip': req.socket.remoteAddress },
+    queryStringParameters: Object.fromEntries(u.searchParams),
+    body: body.length ? body.toString('utf8') : null,
+    isBase64Encoded: false,
+  };
+  const started = Date.now();
+  const out = await handler(event, {});
+  console.log(`[fn] ${req.method} ${u.pathname}${u.search} -> ${out.statusCode} (${Date.now() - started} ms)`);
+  deployNewHooks();
+  const payload = out.isBase64Encoded ? Buffer.from(out.body || '', 'base64') : out.body || '';
+  send(res, out.statusCode, out.headers || {}, payload);
+};
+
+const runFake = async (req, res, u) => {
+  const headers = {};
+  for (const [k, v] of Object.entries(req.headers)) headers[k.toLowerCase()] = v;
+  const body = await readBody(req);
+  const out = fake.handle({ method: req.method, url: `${ORIGIN}${u.pathname}${u.search}`, headers, body });
+  // Browsers PUT signed uploads cross-origin in production; allow it here too
+  send(res, out.status, { 'access-control-allow-origin': '*', ...out.headers }, req.method === 'HEAD' ? '' : out.body);
+};
+
+const serveFile = (req, res, pathname) => {
+  let file = path.join(ROOT, decodeURIComponent(pathname));
+  if (!file.startsWith(ROOT) || /[\\/](node_modules|\.git)([\\/]|$)/.test(file)) {
+    return send(res, 404, { 'content-type': 'text/plain' }, 'Not found');
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+  if (!fs.existsSync(file)) return send(res, 404, { 'content-type': 'text/plain' }, 'Not found');
+  const type = MIME[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  send(res, 200, { 'content-type': type, 'cache-control': 'no-cache' }, fs.readFileSync(file));
+};
+
+const server = http.createServer(async (req, res) => {
+  const u = new URL(req.url, ORIGIN);
+  try {
+    if (req.method === 'OPTIONS' && /^\/(rest|storage)\/v1\//.test(u.pathname)) {
+      return send(res, 204, {
+        'access-control-allow-origin': '*',
+        'access-control-allow-methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+        'access-control-allow-headers': '*',
+      }, '');
+    }
+    if (u.pathname.startsWith('/.netlify/functions/')) return await runFunction(req, res, u, u.pathname.slice(20));
+    if (u.pathname.startsWith('/api/')) return await runFunction(req, res, u, u.pathname.slice(5));
+    if (/^\/(rest|storage)\/v1\//.test(u.pathname)) return await runFake(req, res, u);
+    if (/^\/(albums|journal)\//.test(u.pathname)) return serveFile(req, res, '/index.html');
+    if (u.pathname === '/sw.js') {
+      const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+      return send(res, 200, { 'content-type': MIME['.js'], 'cache-control': 'no-cache' }, stampWorker(source, WORKER_VERSION));
+    }
+    return serveFile(req, res, u.pathname);
+  } catch (err) {
+    console.error('[dev]', req.method, u.pathname, err);
+    if (!res.headersSent) send(res, 500, { 'content-type': 'text/plain' }, String(err && err.stack || err));
+  }
+});
+
+// The schedule netlify.toml gives flush-builds
+setInterval(async () => {
+  const out = await loadHandler('flush-builds')({ httpMethod: 'POST', path: '/.netlify/functions/flush-builds', headers: {}, body: null }, {});
+  if (out.statusCode !== 200) console.error('[flush-builds]', out.statusCode, out.body);
+  deployNewHooks();
+}, 60 * 1000).unref();
+
+server.listen(PORT, () => {
+  console.log(`Dev server on ${ORIGIN}`);
+  console.log(`  site:  ${ORIGIN}/   admin: ${ORIGIN}/kt-manage-content-2025.html`);
+  if (process.env.ADMIN_PASSWORD === 'admin') console.log('  admin password: admin (set ADMIN_PASSWORD to change)');
+});
@@ -0,0 +1,136 @@
+// functions/_shared/audit.js
+// Audit trail of admin writes, kept in `audit_log` (supabase/migrations/0012) and read back
+// through functions/audit.js.
+//
+// withAudit(resource, handler, actions) wraps a handler so every POST/PUT/PATCH/DELETE made
+// with a valid session is recorded once the handler has answered, whatever the outcome:
+//   actor        the name given at login (see functions/auth.js), else the token's `sub`
+//   session      the token's `jti`, which tells apart people sharing a name
+//   ip, action, resource, resource_id, status (HTTP), outcome ("success" | "failure"), error
+//   diff         { column: { before, after } } for the columns that changed
+//   meta         anything else the handler wants kept (e.g. a new order, import counts)
+// The handler gets a `trail` as its third argument (req.trail in a route, see _shared/http.js)
+// and fills in what only it knows: trail.before / trail.after (rows, for the diff), trail.id,
+// trail.action and trail.meta.
+// Without `after`, a successful response's row stands in for it.
+// Requests without a valid session aren't recorded (they aren't anyone's action), and a
+// failed audit write is logged but never fails the request.
+//
+// Optional env vars:
+//   SUPAHUB_AUDIT_TABLE (default "audit_log")
+
+const { verifyToken, getBearer, clientIp } = require('./auth');
+const { matchRoute } = require('./http');
+const { getConfig, tableName, headersJSON } = require('./supabase');
+
+const WRITES = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const DEFAULT_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Columns that change on every write or only mirror others
+const IGNORED = new Set(['updated_at', 'search', 'src', 'date', 'content_html']);
+
+// `actions` keys are route keys, "METHOD" or "METHOD /suffix" (see _shared/http.js);
+// a null action leaves that request out of the log
+const actionFor = (event, actions) => {
+  const key = matchRoute(event.httpMethod, event.path, Object.keys(actions));
+  return key !== undefined ? actions[key] : DEFAULT_ACTIONS[event.httpMethod];
+};
+
+// Tags are kept by name; everything else as stored
+const snapshot = (row) =>
+  row && Array.isArray(row.tags) ? { ...row, tags: row.tags.map((t) => (t && t.name) || t) } : row;
+
+/** { column: { before, after } } for the columns that differ, or null if none do. */
+const diffRows = (before, after) => {
+  const a = snapshot(before) || {};
+  const b = snapshot(after) || {};
+  const diff = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED.has(key)) continue;
+    // With both sides known, a column only one of them lists (a slim read) tells nothing
+    if (after && before && !(key in a && key in b)) continue;
+    const was = a[key] === undefined ? null : a[key];
+    const now = b[key] === undefined ? null : b[key];
+    if (JSON.stringify(was) !== JSON.stringify(now)) diff[key] = { before: was, after: now };
+  }
+  return Object.keys(diff).length ? diff : null;
+};
+
+const parseBody = (text) => {
+  try { return JSON.parse(text || 'null'); } catch { return null; }
+};
+
+const isRow = (v) => !!v && typeof v === 'object' && !Array.isArray(v) && v.id !== undefined && v.ok === undefined;
+
+/** Write one audit entry. Never throws. */
+const record = async (entry) => {
+  try {
+    const { KEY, rest } = getConfig();
+    const res = await fetch(rest(`/${encodeURIComponent(tableName('audit_log'))}`), {
+      method: 'POST',
+      headers: { ...headersJSON(KEY), Prefer: 'return=minimal' },
+      body: JSON.stringify(entry),
+    });
+    if (!res.ok) {
+      const t = await res.text().catch(() => '');
+      console.error('[audit] REST error', res.status, t);
+    }
+  } catch (err) {
+    console.error('[audit] write failed', err);
+  }
+};
+
+/**
+ * @param {string} resource  what the handler changes: photo | entry | album | tag | site | backup
+ * @param {(event: object, context: object, trail: object) => Promise<object>} handler
+ * @param {Record<string, string | null>} [actions]  e.g. { 'DELETE /trash': 'purge' }
+ */
+const withAudit = (resource, handler, actions = {}) => async (event, context) => {
+  const trail = {};
+  const action = WRITES.includes(event.httpMethod) ? actionFor(event, actions) : null;
+  const claims = action ? verifyToken(getBearer(event)) : null;
+  if (!claims) return handler(event, context, trail);
+
+  const who = {
+    actor: claims.name || claims.sub || 'admin',
+    session: claims.jti || null,
+    ip: clientIp(event),
+    resource,
+  };
+
+  let res;
+  try {
+    res = await handler(event, context, trail);
+  } catch (err) {
+    await record({
+      ...who,
+      action: trail.action || action,
+      resource_id: trail.id != null ? String(trail.id) : null,
+      status: 500,
+      outcome: 'failure',
+      error: String((err && err.message) || err),
+    });
+    throw err;
+  }
+
+  const status = res.statusCode;
+  const ok = status < 400;
+  const body = parseBody(res.body);
+  const request = parseBody(event.body) || {};
+  const after = trail.after !== undefined ? trail.after : ok && isRow(body) ? body : null;
+  const id = [trail.id, after && after.id, trail.before && trail.before.id, request.id].find((v) => v != null);
+
+  await record({
+    ...who,
+    action: trail.action || action,
+    resource_id: id != null ? String(id) : null,
+    diff: ok ? diffRows(trail.before, after) : null,
+    meta: trail.meta || null,
+    status,
+    outcome: ok ? 'success' : 'failure',
+    error: ok ? null : String((body && body.error) || `HTTP ${status}`),
+  });
+  return res;
+};
+
+module.exports = { withAudit, diffRows };
@@ -0,0 +1,114 @@
+// functions/_shared/auth.js
+// Admin session tokens (HS256 JWT) and the guard every mutating handler calls.
+//
+// Required Netlify env vars:
+//   ADMIN_TOKEN_SECRET   long random string used to sign session tokens
+// Optional:
+//   ADMIN_TOKEN_TTL      token lifetime in seconds (default 43200 = 12h)
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 12 * 60 * 60;
+
+const b64url = (buf) =>
+  Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const fromB64url = (str) =>
+  Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const getSecret = () => {
+  const secret = process.env.ADMIN_TOKEN_SECRET || '';
+  if (!secret) throw new Error('Missing env var: ADMIN_TOKEN_SECRET');
+  return secret;
+};
+
+const getTtl = () => {
+  const n = parseInt(process.env.ADMIN_TOKEN_TTL || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL;
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest();
+
+// Constant-time string compare (lengths are hashed first so they don't leak either)
+const safeEqual = (a, b) => {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+};
+
+const signToken = (claims = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = b64url(JSON.stringify({
+    sub: 'admin',
+    ...claims,
+    iat: now,
+    exp: now + getTtl(),
+    jti: crypto.randomBytes(12).toString('hex'),
+  }));
+  const sig = b64url(hmac(getSecret(), `${header}.${payload}`));
+  return `${header}.${payload}.${sig}`;
+};
+
+// Returns the claims for a valid, unexpired token, otherwise null
+const verifyToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, sig] = parts;
+
+  try {
+    const h = JSON.parse(fromB64url(header).toString('utf8'));
+    if (!h || h.alg !== 'HS256') return null;
+
+    const expected = hmac(getSecret(), `${header}.${payload}`);
+    const given = fromB64url(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    const claims = JSON.parse(fromB64url(payload).toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims || typeof claims.exp !== 'number' || claims.exp <= now) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+};
+
+const getHeader = (event, name) => {
+  const headers = (event && event.headers) || {};
+  const want = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === want);
+  return key ? headers[key] : undefined;
+};
+
+const getBearer = (event) => {
+  const m = /^Bearer\s+(.+)$/i.exec(getHeader(event, 'authorization') || '');
+  return m ? m[1].trim() : null;
+};
+
+const clientIp = (event) =>
+  getHeader(event, 'x-nf-client-connection-ip') ||
+  String(getHeader(event, 'x-forwarded-for') || '').split(',')[0].trim() ||
+  'unknown';
+
+// Guard for mutating handlers.
+// Usage:
+//   const auth = requireAdmin(event);
+//   if (!auth.ok) return json(auth.status, { error: auth.error });
+const requireAdmin = (event) => {
+  const token = getBearer(event);
+  if (!token) return { ok: false, status: 401, error: 'Unauthorized' };
+  const claims = verifyToken(token);
+  if (!claims) return { ok: false, status: 401, error: 'Invalid or expired session' };
+  return { ok: true, claims };
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  requireAdmin,
+  safeEqual,
+  getHeader,
+  getBearer,
+  clientIp,
+  getTtl,
+};
@@ -0,0 +1,249 @@
+// functions/_shared/builds.js
+// Rebuilds of the public site, kept in `site_builds` (supabase/migrations/0013) and driven
+// by functions/update-site.js and functions/flush-builds.js.
+//
+// Asking for a rebuild (the manage page's "Update Website", or any gallery/journal save
+// with AUTO_REBUILD on) joins the pending build or starts one, due BUILD_DEBOUNCE_SECONDS
+// later; a click makes it due at once. Either way the hook fires at most once per window,
+// so a burst of saves or a double click ships as one deploy.
+// flushBuilds() calls the hook for the builds that are due. update-site runs it on every
+// request and flush-builds once a minute, so queued saves ship with the page closed too.
+// The hook is called with ?trigger_title=Site build #<id>; Netlify's deploy notifications
+// (POST /update-site/deploy-events) carry that title back, which is how a build learns
+// how its deploy went.
+// Statuses: pending -> triggering (hook being called) -> triggered -> building -> ready | failed
+// A flush also fails builds that got stuck on the way: a claim whose hook call never
+// finished (the function died in between) and a hook call no deploy notification followed.
+//
+// Env vars:
+//   NETLIFY_BUILD_HOOK_URL           the site's build hook
+// Optional:
+//   BUILD_DEBOUNCE_SECONDS           coalescing window (default 60)
+//   AUTO_REBUILD                     "true" queues a rebuild after every gallery/journal save
+//   NETLIFY_DEPLOY_WEBHOOK_SECRET    JWS secret of the deploy notifications (needed for
+//                                    /update-site/deploy-events)
+//   SUPAHUB_SITE_BUILDS_TABLE        (default "site_builds")
+
+const crypto = require('crypto');
+const { verifyToken, getBearer, safeEqual } = require('./auth');
+const { matchRoute } = require('./http');
+const { getConfig, tableName, headersJSON, restError } = require('./supabase');
+
+const DEFAULT_WINDOW = 60;
+const TITLE_PREFIX = 'Site build #';
+
+// Builds GET /update-site returns
+const HISTORY = 10;
+
+// Still on its way to the live site
+const IN_FLIGHT = ['triggering', 'triggered', 'building'];
+
+// When a build stuck in flight is given up on
+const CLAIM_TIMEOUT_MINUTES = 5;
+const DEPLOY_TIMEOUT_MINUTES = 60;
+
+// Netlify deploy states -> ours; anything else (e.g. "enqueued") is ignored
+const DEPLOY_STATES = { building: 'building', ready: 'ready', error: 'failed' };
+
+const VERBS = { POST: 'added', PUT: 'updated', PATCH: 'updated', DELETE: 'deleted' };
+
+const windowSeconds = () => {
+  const n = parseInt(process.env.BUILD_DEBOUNCE_SECONDS || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_WINDOW;
+};
+
+const autoRebuild = () => /^(1|true|yes|on)$/i.test(process.env.AUTO_REBUILD || '');
+
+const buildsUrl = ({ rest }, query) => rest(`/${encodeURIComponent(tableName('site_builds'))}${query}`);
+
+const patchBuilds = async (cfg, query, fields) => {
+  const res = await fetch(buildsUrl(cfg, query), {
+    method: 'PATCH',
+    headers: { ...headersJSON(cfg.KEY), Prefer: 'return=representation' },
+    body: JSON.stringify(fields),
+  });
+  if (!res.ok) throw await restError(res, 'build update failed');
+  return res.json();
+};
+
+const readBuilds = async (cfg, query) => {
+  const res = await fetch(buildsUrl(cfg, query), { headers: headersJSON(cfg.KEY) });
+  if (!res.ok) throw await restError(res, 'Failed to read builds');
+  return res.json();
+};
+
+/**
+ * Join the pending build or start one (see enqueue_site_build in the migration).
+ * @param {{ reason?: string, actor?: string, immediate?: boolean }} [opts]
+ * @returns {Promise<object>} the pending build
+ */
+const enqueueBuild = async (cfg, { reason = null, actor = null, immediate = false } = {}) => {
+  const res = await fetch(cfg.rest('/rpc/enqueue_site_build'), {
+    method: 'POST',
+    headers: headersJSON(cfg.KEY),
+    body: JSON.stringify({ p_reason: reason, p_actor: actor, p_window_seconds: windowSeconds(), p_immediate: immediate }),
+  });
+  if (!res.ok) throw await restError(res, 'Failed to queue a build');
+  return res.json();
+};
+
+// POST the build hook for one build: { ok, status } or { error, status? }
+const callHook = async (build) => {
+  const hook = process.env.NETLIFY_BUILD_HOOK_URL;
+  if (!hook) return { error: 'Missing NETLIFY_BUILD_HOOK_URL env var' };
+  const url = new URL(hook);
+  url.searchParams.set('trigger_title', `${TITLE_PREFIX}${build.id}`);
+
+  // Some hooks prefer empty body, some accept JSON fine — we try JSON first, then fall back.
+  try {
+    let res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ triggeredBy: 'admin', build_id: build.id, ts: Date.now() }),
+    });
+    if (!res.ok) res = await fetch(url, { method: 'POST' });
+    if (!res.ok) {
+      console.error('[builds] build hook error', res.status, await res.text().catch(() => ''));
+      return { status: res.status, error: 'Build hook responded with error' };
+    }
+    return { ok: true, status: res.status };
+  } catch (err) {
+    console.error('[builds] build hook unreachable', err);
+    return { error: 'Failed to call build hook' };
+  }
+};
+
+const minutesAgo = (n) => encodeURIComponent(new Date(Date.now() - n * 60000).toISOString());
+
+// Fail the builds that will never move on by themselves, so they stop showing as in flight
+const expireBuilds = async (cfg) => {
+  const finished_at = new Date().toISOString();
+  const claims = await patchBuilds(cfg, `?status=eq.triggering&or=(claimed_at.lt.${minutesAgo(CLAIM_TIMEOUT_MINUTES)},claimed_at.is.null)`, {
+    status: 'failed', error: 'The build hook call never finished', finished_at,
+  });
+  const deploys = await patchBuilds(cfg, `?status=in.(triggered,building)&triggered_at=lt.${minutesAgo(DEPLOY_TIMEOUT_MINUTES)}`, {
+    status: 'failed', error: `No word of the deploy within ${DEPLOY_TIMEOUT_MINUTES} minutes`, finished_at,
+  });
+  return [...claims, ...deploys];
+};
+
+/**
+ * Call the hook for every pending build that is due. Claiming them is one PATCH, so two
+ * flushes at once never fire the same build twice. Builds stuck in flight are failed first.
+ * @returns {Promise<object[]>} the builds it fired, now "triggered" or "failed"
+ */
+const flushBuilds = async (cfg) => {
+  await expireBuilds(cfg);
+  const now = new Date().toISOString();
+  const claimed = await patchBuilds(cfg, `?status=eq.pending&due_at=lte.${encodeURIComponent(now)}`, { status: 'triggering', claimed_at: now });
+  const fired = [];
+  for (const build of claimed) {
+    const hook = await callHook(build);
+    const fields = hook.ok
+      ? { status: 'triggered', triggered_at: new Date().toISOString(), hook_status: hook.status }
+      : { status: 'failed', hook_status: hook.status || null, error: hook.error, finished_at: new Date().toISOString() };
+    const [row] = await patchBuilds(cfg, `?id=eq.${build.id}`, fields);
+    fired.push(row || { ...build, ...fields });
+  }
+  return fired;
+};
+
+/**
+ * What the manage page shows: the waiting build, the one on its way, the last deploy
+ * that went live and whether the latest finished one failed.
+ */
+const buildStatus = async (cfg) => {
+  const [builds, [deployed]] = await Promise.all([
+    readBuilds(cfg, `?select=*&order=created_at.desc&order=id.desc&limit=${HISTORY}`),
+    readBuilds(cfg, '?select=*&status=eq.ready&order=finished_at.desc.nullslast&limit=1'),
+  ]);
+  const finished = builds.find((b) => b.status === 'ready' || b.status === 'failed');
+  return {
+    pending: builds.find((b) => b.status === 'pending') || null,
+    in_flight: builds.find((b) => IN_FLIGHT.includes(b.status)) || null,
+    last_deployed_at: deployed ? deployed.finished_at : null,
+    failed: finished && finished.status === 'failed' ? finished : null,
+    window_seconds: windowSeconds(),
+    auto_rebuild: autoRebuild(),
+    builds,
+  };
+};
+
+const b64urlJson = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+/**
+ * Check a deploy notification's X-Webhook-Signature: an HS256 JWS whose claims are
+ * { iss: "netlify", sha256: <hex digest of the body> }.
+ */
+const verifyDeploySignature = (signature, body, secret) => {
+  const [header, payload, sig] = String(signature || '').split('.');
+  if (!header || !payload || !sig || !secret) return false;
+  try {
+    if (b64urlJson(header).alg !== 'HS256') return false;
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(sig, expected)) return false;
+    const claims = b64urlJson(payload);
+    const digest = crypto.createHash('sha256').update(body || '').digest('hex');
+    return claims.iss === 'netlify' && safeEqual(claims.sha256, digest);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Move a build on from a Netlify deploy notification. The build is the one named by the
+ * deploy's title, else the latest one in flight.
+ * @returns {Promise<object | null>} the build, or null when the event isn't about one
+ */
+const recordDeployEvent = async (cfg, deploy) => {
+  const status = DEPLOY_STATES[deploy.state];
+  if (!status) return null;
+
+  const m = new RegExp(`${TITLE_PREFIX}(\\d+)`).exec(deploy.title || '');
+  const [build] = m
+    ? await readBuilds(cfg, `?select=*&id=eq.${m[1]}`)
+    : await readBuilds(cfg, `?select=*&status=in.(triggered,building)&order=triggered_at.desc.nullslast&limit=1`);
+  if (!build) return null;
+  // Notifications can arrive out of order; a finished build stays finished
+  if (status === 'building' && (build.status === 'ready' || build.status === 'failed')) return build;
+
+  const [row] = await patchBuilds(cfg, `?id=eq.${build.id}`, {
+    status,
+    deploy_id: deploy.id || build.deploy_id || null,
+    deploy_url: deploy.deploy_ssl_url || deploy.deploy_url || build.deploy_url || null,
+    ...(status !== 'building' && { finished_at: deploy.published_at || deploy.updated_at || new Date().toISOString() }),
+    ...(status === 'failed' && { error: deploy.error_message || 'Deploy failed' }),
+  });
+  return row;
+};
+
+/**
+ * Wrap a handler so each successful write queues a rebuild when AUTO_REBUILD is on.
+ * `skip` lists route keys (see _shared/http.js) that don't change what the site shows.
+ * Queueing never fails the write; problems are logged.
+ */
+const withRebuild = (resource, handler, skip = []) => async (event, context) => {
+  const res = await handler(event, context);
+  const verb = VERBS[event.httpMethod];
+  if (!verb || !autoRebuild() || res.statusCode >= 300 || matchRoute(event.httpMethod, event.path, skip)) return res;
+  try {
+    const claims = verifyToken(getBearer(event));
+    await enqueueBuild(getConfig(), {
+      reason: `${resource} ${verb}`,
+      actor: claims ? claims.name || claims.sub || null : null,
+    });
+  } catch (err) {
+    console.error('[builds] could not queue a rebuild', err);
+  }
+  return res;
+};
+
+module.exports = {
+  TITLE_PREFIX,
+  enqueueBuild,
+  flushBuilds,
+  buildStatus,
+  verifyDeploySignature,
+  recordDeployEvent,
+  withRebuild,
+};
@@ -0,0 +1,88 @@
+// functions/_shared/exif.js
+// Reads EXIF/XMP from an image buffer and turns it into gallery columns + form suggestions.
+// GPS is reverse-geocoded only against the bundled places.json — no network lookups.
+
+const exifr = require('exifr');
+const PLACES = require('./places.json');
+
+// Places further than this from a photo's GPS fix are not suggested
+const MAX_PLACE_KM = 60;
+
+const str = (v) => (typeof v === 'string' ? v.trim().replace(/\0+$/, '') : '');
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Nearest bundled place to a coordinate, or null if nothing is close enough
+const nearestPlace = (lat, lon) => {
+  if (num(lat) === null || num(lon) === null) return null;
+  let best = null;
+  for (const p of PLACES) {
+    const km = haversineKm(lat, lon, p.lat, p.lon);
+    if (!best || km < best.km) best = { ...p, km };
+  }
+  return best && best.km <= MAX_PLACE_KM ? best : null;
+};
+
+// "Monterey, CA" for US places, "Kyoto, JP" elsewhere
+const placeLabel = (p) => (p ? `${p.name}, ${p.country === 'US' ? p.region : p.country}` : '');
+
+// Make is often repeated at the start of Model ("Canon" + "Canon EOS R6")
+const cameraName = (make, model) => {
+  if (!model) return make;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0])) return model;
+  return `${make} ${model}`;
+};
+
+/**
+ * Parse metadata from an image buffer. Never throws: files without EXIF
+ * (most film scans) simply yield empty values.
+ * @returns {{ fields: object, suggestions: { camera, location, taken_at } }}
+ */
+const extractExif = async (buffer) => {
+  let raw = null;
+  try {
+    raw = await exifr.parse(buffer, { tiff: true, exif: true, gps: true, xmp: true, iptc: false, icc: false });
+  } catch (e) {
+    console.warn('[exif] parse failed', e && e.message);
+  }
+  raw = raw || {};
+
+  const make = str(raw.Make);
+  const model = str(raw.Model);
+  const taken = raw.DateTimeOriginal || raw.CreateDate || raw.DateCreated || null;
+  const lat = num(raw.latitude);
+  const lon = num(raw.longitude);
+  const place = nearestPlace(lat, lon);
+
+  const fields = {
+    camera_make: make || null,
+    camera_model: model || null,
+    lens: str(raw.LensModel) || str(raw.Lens) || null,
+    exposure_time: num(raw.ExposureTime),
+    f_number: num(raw.FNumber),
+    iso: num(raw.ISO) || num(raw.ISOSpeedRatings),
+    focal_length: num(raw.FocalLength),
+    taken_at: taken instanceof Date && !Number.isNaN(taken.getTime()) ? taken.toISOString() : null,
+    gps_lat: lat,
+    gps_lon: lon,
+    place_name: place ? placeLabel(place) : null,
+  };
+
+  return {
+    fields,
+    suggestions: {
+      camera: cameraName(make, model),
+      location: fields.place_name || '',
+      taken_at: fields.taken_at,
+    },
+  };
+};
+
+module.exports = { extractExif, nearestPlace, placeLabel };
@@ -0,0 +1,243 @@
+// functions/_shared/http.js
+// The request pipeline every function runs on: method routing, admin guard, JSON body
+// parsing and schema validation (see _shared/schema.js), CORS, request ids and one error
+// envelope.
+//
+// exports.handler = createHandler({
+//   name: 'gallery',                              // log prefix
+//   config: () => ({ ...getConfig(), TABLE }),    // built per request, as req.cfg
+//   headers: { 'Cache-Control': 'no-store' },     // added to every response
+//   routes: {
+//     GET: list,                                  // (req) => body | reply(...)
+//     'POST /restore': { run: restore, schema: { id: { type: 'id', required: true } } },
+//     'GET /revisions': { run: revisions, admin: true },
+//     PUT: { run: update, schema: PHOTO_FIELDS, strict: true },  // unlisted fields are a 400
+//   },
+// });
+//
+// Route keys are "METHOD" or "METHOD /suffix", the suffix matched against the end of the
+// path (the longest wins). Routes need an admin session unless they are GETs; `admin`
+// overrides that either way, and a GET can still ask with req.requireAdmin().
+// A route gets `req` = { event, method, path, query, body, headers, cfg, claims, trail,
+// requestId, requireAdmin() } and returns a body (sent as 200 JSON) or reply(status, body,
+// headers) for anything else; a string body is sent as is.
+//
+// Errors: fail(status, message, { code, fields }) throws an HttpError, which answers
+//   { error, code, request_id, fields? }
+// and invalid(field, message) is the 400 for one bad field.
+// REST/Storage failures (errors carrying `detail`, see restError in _shared/supabase.js)
+// become a 502 "upstream_error" and anything else a 500 "internal_error"; either way the
+// cause is logged with the request id and never sent. An error's `extra` object (e.g. a
+// partial import report) is added to the envelope.
+// Preflights are 204, a method without routes 405 (with Allow), a path without one 404,
+// and a body that isn't JSON 400. Every response carries X-Request-Id: Netlify's
+// x-nf-request-id when there is one.
+//
+// Optional env vars:
+//   CORS_ORIGINS   comma-separated origins allowed to call the API (default "*"); a
+//                  request from any other origin gets no Access-Control-Allow-Origin
+
+const crypto = require('crypto');
+const { requireAdmin, getHeader } = require('./auth');
+const { validate } = require('./schema');
+
+const CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'too_large',
+  415: 'unsupported_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+};
+
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message  sent as `error`
+   * @param {{ code?: string, fields?: Record<string, string>, headers?: object, extra?: object }} [opts]
+   */
+  constructor(status, message, { code, fields, headers, extra } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || (fields ? 'validation_failed' : CODES[status] || 'error');
+    this.fields = fields;
+    this.headers = headers;
+    this.extra = extra;
+  }
+}
+
+const fail = (status, message, opts) => {
+  throw new HttpError(status, message, opts);
+};
+
+/** 400 for one bad field, the way a schema failure reports it. */
+const invalid = (field, message) => fail(400, message, { fields: { [field]: message } });
+
+class Reply {
+  constructor(status, body, headers) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers || {};
+  }
+}
+
+/** A response other than "200 with this JSON". */
+const reply = (status, body, headers) => new Reply(status, body, headers);
+
+const allowedOrigins = () =>
+  (process.env.CORS_ORIGINS || '*').split(',').map((o) => o.trim().replace(/\/$/, '')).filter(Boolean);
+
+const corsHeaders = (event, methods, allowHeaders) => {
+  const allowed = allowedOrigins();
+  const origin = getHeader(event, 'origin');
+  const headers = {
+    'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(','),
+    'Access-Control-Allow-Headers': allowHeaders,
+    'Access-Control-Expose-Headers': 'X-Request-Id',
+  };
+  if (allowed.includes('*')) return { 'Access-Control-Allow-Origin': '*', ...headers };
+  if (origin && allowed.includes(origin.replace(/\/$/, ''))) {
+    return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin', ...headers };
+  }
+  return { Vary: 'Origin', ...headers };
+};
+
+const requestIdOf = (event) => {
+  const given = getHeader(event, 'x-nf-request-id');
+  return given && /^[\w.-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+};
+
+/**
+ * Key of the route serving `method` on `path`, or undefined.
+ * Shared with _shared/audit.js, which maps the same keys to audit actions.
+ */
+const matchRoute = (method, path, keys) => {
+  const clean = (path || '').replace(/\/+$/, '');
+  return keys
+    .filter((k) => k.split(' ')[0] === method)
+    .sort((a, b) => b.length - a.length)
+    .find((k) => {
+      const suffix = k.split(' ')[1];
+      return !suffix || clean.endsWith(suffix);
+    });
+};
+
+const routeOf = (method, value) => {
+  const route = typeof value === 'function' ? { run: value } : value;
+  return { admin: method !== 'GET', ...route };
+};
+
+const parseBody = (event) => {
+  if (!event.body) return {};
+  const text = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  try {
+    const body = JSON.parse(text);
+    return body === null ? {} : body;
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+};
+
+/**
+ * @param {{ name: string, routes: object, config?: () => object, headers?: object, allowHeaders?: string }} spec
+ * @returns {(event: object, context?: object, trail?: object) => Promise<object>}
+ */
+const createHandler = ({ name, routes, config, headers: baseHeaders = {}, allowHeaders = 'Content-Type, Authorization' }) => {
+  const keys = Object.keys(routes);
+  const methods = [...new Set(keys.map((k) => k.split(' ')[0]))];
+
+  return async (event, context, trail = {}) => {
+    const requestId = requestIdOf(event);
+    const cors = corsHeaders(event, methods, allowHeaders);
+
+    const respond = (status, body, headers = {}) => {
+      const raw = typeof body === 'string';
+      return {
+        statusCode: status,
+        headers: {
+          ...(raw ? {} : { 'Content-Type': 'application/json' }),
+          ...baseHeaders,
+          ...cors,
+          ...headers,
+          'X-Request-Id': requestId,
+        },
+        body: raw ? body : JSON.stringify(body),
+      };
+    };
+
+    const errorReply = (err) => {
+      if (err instanceof HttpError) {
+        return respond(err.status, {
+          error: err.message,
+          code: err.code,
+          request_id: requestId,
+          ...(err.fields && { fields: err.fields }),
+          ...err.extra,
+        }, err.headers);
+      }
+      const upstream = !!err && err.detail !== undefined;
+      if (upstream) console.error(`[${name}] ${requestId}`, err.message, err.status, err.detail);
+      else console.error(`[${name}] ${requestId}`, err);
+      return respond(upstream ? 502 : 500, {
+        error: upstream ? err.message : 'Internal error',
+        code: upstream ? 'upstream_error' : 'internal_error',
+        request_id: requestId,
+        ...(err && err.extra),
+      });
+    };
+
+    const method = event.httpMethod;
+    if (method === 'OPTIONS') return respond(204, '', {});
+
+    try {
+      const candidates = keys.filter((k) => k.split(' ')[0] === method);
+      if (!candidates.length) {
+        fail(405, 'Method not allowed', { headers: { Allow: [...methods, 'OPTIONS'].join(', ') } });
+      }
+      const key = matchRoute(method, event.path, candidates);
+      const route = key && routeOf(method, routes[key]);
+
+      let claims = null;
+      const guard = () => {
+        if (claims) return claims;
+        const auth = requireAdmin(event);
+        if (!auth.ok) fail(auth.status, auth.error);
+        claims = auth.claims;
+        return claims;
+      };
+      // Anonymous callers learn nothing about paths that only admins could use
+      if (route ? route.admin : candidates.every((k) => routeOf(method, routes[k]).admin)) guard();
+      if (!route) fail(404, 'Not found');
+
+      const req = {
+        event,
+        method,
+        path: event.path || '',
+        query: event.queryStringParameters || {},
+        headers: event.headers || {},
+        body: method === 'GET' || method === 'HEAD' ? {} : parseBody(event),
+        trail,
+        requestId,
+        requireAdmin: guard,
+        get claims() { return claims; },
+      };
+      if (route.schema) {
+        const checked = validate(req.body, route.schema, { strict: route.strict });
+        if (checked.fields) fail(400, checked.error, { fields: checked.fields });
+      }
+      if (config) req.cfg = config();
+
+      const out = await route.run(req);
+      return out instanceof Reply ? respond(out.status, out.body, out.headers) : respond(200, out);
+    } catch (err) {
+      return errorReply(err);
+    }
+  };
+};
+
+module.exports = { createHandler, reply, fail, invalid, HttpError, matchRoute };
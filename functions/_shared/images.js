@@ -0,0 +1,112 @@
+// functions/_shared/images.js
+// Turns an uploaded image into auto-rotated, resized variants for the public site.
+//
+// Every variant is produced in each output format, e.g. thumb.avif, thumb.webp, thumb.jpg.
+// Optional env vars:
+//   IMAGE_FORMATS        comma list of output formats (default "avif,webp,jpeg")
+//   IMAGE_KEEP_METADATA  "icc" (default) keeps only the colour profile,
+//                        "exif" also keeps EXIF (including GPS!), "none" strips everything
+
+const sharp = require('sharp');
+
+// Target widths. Images narrower than a target are never upscaled.
+const VARIANTS = [
+  { name: 'thumb', width: 480 },
+  { name: 'grid', width: 1200 },
+  { name: 'lightbox', width: 2400 },
+];
+
+const FORMATS = {
+  avif: { ext: 'avif', contentType: 'image/avif', options: { quality: 50, effort: 4 } },
+  webp: { ext: 'webp', contentType: 'image/webp', options: { quality: 78 } },
+  jpeg: { ext: 'jpg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true, progressive: true } },
+};
+
+const getFormats = () => {
+  const list = (process.env.IMAGE_FORMATS || 'avif,webp,jpeg')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((f) => FORMATS[f]);
+  // JPEG is the fallback every browser understands, so it is always produced
+  if (!list.includes('jpeg')) list.push('jpeg');
+  return list;
+};
+
+const getKeepMetadata = () => {
+  const v = (process.env.IMAGE_KEEP_METADATA || 'icc').trim().toLowerCase();
+  return ['icc', 'exif', 'none'].includes(v) ? v : 'icc';
+};
+
+const applyMetadata = (pipeline, keep) => {
+  if (keep === 'exif') return pipeline.keepExif().keepIccProfile();
+  if (keep === 'icc') return pipeline.keepIccProfile();
+  return pipeline; // sharp strips metadata by default
+};
+
+// Dimensions as displayed, i.e. after EXIF orientation is applied
+const orientedSize = (meta) => {
+  const swap = meta.orientation >= 5 && meta.orientation <= 8;
+  return swap
+    ? { width: meta.height, height: meta.width }
+    : { width: meta.width, height: meta.height };
+};
+
+// Formats accepted as uploads, recognised by their leading bytes rather than by
+// whatever name or Content-Type the browser claimed
+const SIGNATURES = [
+  { format: 'jpeg', contentType: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', contentType: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'webp', contentType: 'image/webp', ext: 'webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { format: 'avif', contentType: 'image/avif', ext: 'avif', test: (b) => b.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('latin1', 8, 12)) },
+  { format: 'tiff', contentType: 'image/tiff', ext: 'tif', test: (b) => ['II*\0', 'MM\0*'].includes(b.toString('latin1', 0, 4)) },
+  { format: 'gif', contentType: 'image/gif', ext: 'gif', test: (b) => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+];
+
+// Content types of the formats above, for requests that declare one
+const IMAGE_TYPES = SIGNATURES.map((s) => s.contentType);
+
+/**
+ * Identify an image by its magic bytes.
+ * @returns {{ format, contentType, ext } | null} null for anything not in SIGNATURES
+ */
+const sniffImage = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  const hit = SIGNATURES.find((s) => s.test(buffer));
+  return hit ? { format: hit.format, contentType: hit.contentType, ext: hit.ext } : null;
+};
+
+/**
+ * Build all variants for an image buffer.
+ * Throws if the buffer is not an image sharp can decode.
+ * @returns {{ width, height, format, variants: Array<{ name, width, height, files: Array<{ format, ext, contentType, buffer }> }> }}
+ */
+const processImage = async (buffer) => {
+  const meta = await sharp(buffer, { failOn: 'error' }).metadata();
+  if (!meta.width || !meta.height) throw new Error('Could not read image dimensions');
+
+  const { width, height } = orientedSize(meta);
+  const formats = getFormats();
+  const keep = getKeepMetadata();
+
+  const variants = [];
+  for (const v of VARIANTS) {
+    const w = Math.min(v.width, width);
+    const h = Math.round((height * w) / width);
+    const files = [];
+    for (const f of formats) {
+      const spec = FORMATS[f];
+      const pipeline = sharp(buffer, { failOn: 'error' })
+        .rotate()
+        .resize({ width: w, withoutEnlargement: true });
+      const out = await applyMetadata(pipeline, keep)
+        .toFormat(f, spec.options)
+        .toBuffer();
+      files.push({ format: f, ext: spec.ext, contentType: spec.contentType, buffer: out });
+    }
+    variants.push({ name: v.name, width: w, height: h, files });
+  }
+
+  return { width, height, format: meta.format, variants };
+};
+
+module.exports = { processImage, sniffImage, IMAGE_TYPES, VARIANTS, FORMATS };
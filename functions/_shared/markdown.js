@@ -0,0 +1,339 @@
+// functions/_shared/markdown.js
+// Markdown -> safe HTML for journal content.
+//
+// Shared by functions/journal.js (public HTML is rendered server-side) and the manage
+// page's preview, which loads this file directly as /functions/_shared/markdown.js
+// (window.KTMarkdown). Keep it dependency-free and ES2018 so it runs in both.
+//
+// Supported: # headings, **bold**, *italic*, `code`, ``` fences, > quotes, - / 1. lists,
+// --- rules, [links](https://...), and gallery photos as ![alt](photo:42).
+// Everything the renderer produces goes through sanitize(), a strict tag/attribute
+// allow-list, so anything it misses is dropped rather than trusted.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.KTMarkdown = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // tag -> allowed attributes
+  const ALLOWED = {
+    p: [], br: [], hr: [], strong: [], em: [], del: [], code: [], pre: [],
+    blockquote: [], ul: [], ol: [], li: [], h4: [], h5: [], h6: [],
+    a: ['href', 'title'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'title', 'width', 'height', 'class', 'loading', 'decoding'],
+  };
+  const VOID = ['br', 'hr', 'img'];
+  // Dropped together with their content, not just unwrapped
+  const DROP_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title'];
+
+  const PHOTO_SIZES = '(max-width: 800px) 100vw, 720px';
+  const VARIANT_ORDER = ['thumb', 'grid', 'lightbox'];
+
+  const ENTITY = /^&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/i;
+
+  const escapeHtml = (s) =>
+    String(s == null ? '' : s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m]));
+
+  const decodeEntities = (s) =>
+    String(s)
+      .replace(/&#(\d+);?/g, (_, n) => String.fromCodePoint(Math.min(Number(n), 0x10ffff)))
+      .replace(/&#x([0-9a-f]+);?/gi, (_, n) => String.fromCodePoint(Math.min(parseInt(n, 16), 0x10ffff)))
+      .replace(/&(quot|apos|lt|gt|amp|colon|tab|newline);/gi, (_, n) =>
+        ({ quot: '"', apos: "'", lt: '<', gt: '>', amp: '&', colon: ':', tab: '\t', newline: '\n' }[n.toLowerCase()]));
+
+  // Links may be http(s), mailto, site-relative or in-page; images only http(s) or site-relative
+  const safeUrl = (url, { image = false } = {}) => {
+    // Browsers ignore control chars and whitespace inside schemes ("java\tscript:")
+    const u = decodeEntities(url).replace(/[\u0000- \u007f]/g, '');
+    if (!u) return null;
+    // "//host" and "/\host" both leave the site
+    if (/^\/(?![\/\\])/.test(u)) return u;
+    if (!image && /^#/.test(u)) return u;
+    if (/^https?:\/\//i.test(u)) return u;
+    if (!image && /^mailto:/i.test(u)) return u;
+    return null;
+  };
+
+  // ---------- Sanitizer ----------
+
+  const ATTR = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  const cleanAttrs = (tag, raw) => {
+    const allowed = ALLOWED[tag];
+    const out = [];
+    let m;
+    ATTR.lastIndex = 0;
+    while ((m = ATTR.exec(raw))) {
+      const name = m[1].toLowerCase();
+      if (!allowed.includes(name)) continue;
+      let value = decodeEntities(m[2] != null ? m[2] : m[3] != null ? m[3] : m[4] != null ? m[4] : '');
+
+      if (name === 'href' || name === 'src') {
+        value = safeUrl(value, { image: name === 'src' });
+        if (value === null) continue;
+      } else if (name === 'srcset') {
+        const parts = value.split(',').map((c) => c.trim()).filter(Boolean);
+        if (!parts.every((c) => safeUrl(c.split(/\s+/)[0], { image: true }))) continue;
+        value = parts.join(', ');
+      } else if (name === 'width' || name === 'height') {
+        if (!/^\d{1,5}$/.test(value)) continue;
+      } else if (name === 'class') {
+        if (value !== 'journal-photo') continue;
+      } else if (name === 'loading') {
+        if (value !== 'lazy' && value !== 'eager') continue;
+      } else if (name === 'decoding') {
+        if (value !== 'async' && value !== 'sync' && value !== 'auto') continue;
+      }
+      out.push(` ${name}="${escapeHtml(value)}"`);
+    }
+    if (tag === 'a') out.push(' rel="nofollow noopener noreferrer"');
+    if (tag === 'img' && !out.some((a) => a.startsWith(' src='))) return null;
+    return out.join('');
+  };
+
+  // Text between tags: keep well-formed entities, escape everything else
+  const cleanText = (s) => {
+    let out = '';
+    for (let i = 0; i < s.length; i++) {
+      const ch = s[i];
+      if (ch === '&') {
+        const m = ENTITY.exec(s.slice(i));
+        if (m) { out += m[0]; i += m[0].length - 1; continue; }
+        out += '&amp;';
+      } else if (ch === '<') out += '&lt;';
+      else if (ch === '>') out += '&gt;';
+      else if (ch === '"') out += '&quot;';
+      else out += ch;
+    }
+    return out;
+  };
+
+  /**
+   * Reduce an HTML string to the allow-list above. Unknown tags are unwrapped
+   * (their text kept), script-like tags are removed with their content, comments
+   * are dropped and unclosed allowed tags are closed at the end.
+   */
+  const sanitize = (html) => {
+    const src = String(html == null ? '' : html);
+    const re = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    const open = [];
+    let out = '';
+    let last = 0;
+    let dropping = null;
+    let m;
+
+    while ((m = re.exec(src))) {
+      if (!dropping) out += cleanText(src.slice(last, m.index));
+      last = re.lastIndex;
+      if (!m[2]) continue; // comment
+
+      const closing = m[1] === '/';
+      const tag = m[2].toLowerCase();
+
+      if (dropping) {
+        if (closing && tag === dropping) dropping = null;
+        continue;
+      }
+      if (DROP_CONTENT.includes(tag)) {
+        if (!closing && !/\/\s*$/.test(m[3])) dropping = tag;
+        continue;
+      }
+      if (!ALLOWED[tag]) continue;
+
+      if (closing) {
+        if (VOID.includes(tag)) continue;
+        const at = open.lastIndexOf(tag);
+        if (at === -1) continue;
+        while (open.length > at) out += `</${open.pop()}>`;
+        continue;
+      }
+
+      const attrs = cleanAttrs(tag, m[3]);
+      if (attrs === null) continue;
+      out += `<${tag}${attrs}>`;
+      if (!VOID.includes(tag)) open.push(tag);
+    }
+    if (!dropping) out += cleanText(src.slice(last));
+    while (open.length) out += `</${open.pop()}>`;
+    return out;
+  };
+
+  // ---------- Gallery photos ----------
+
+  const PHOTO_REF = /!\[[^\]]*\]\(\s*photo:(\d+)\s*\)/g;
+
+  // Ids of every ![alt](photo:ID) in a document, so callers can fetch them in one query
+  const photoIds = (markdown) => {
+    const ids = new Set();
+    let m;
+    PHOTO_REF.lastIndex = 0;
+    while ((m = PHOTO_REF.exec(String(markdown || '')))) ids.add(Number(m[1]));
+    return Array.from(ids);
+  };
+
+  // Gallery row -> <img> attributes: largest JPEG variant as src, all JPEGs in srcset
+  const photoImage = (row) => {
+    if (!row) return null;
+    const v = row.variants || null;
+    if (v) {
+      const keys = VARIANT_ORDER.filter((k) => v[k] && v[k].jpeg);
+      if (keys.length) {
+        const top = v[keys[keys.length - 1]];
+        return {
+          src: top.jpeg,
+          srcset: keys.map((k) => `${v[k].jpeg} ${v[k].width}w`).join(', '),
+          width: top.width,
+          height: top.height,
+          title: row.title || '',
+          alt: row.alt_text || '',
+        };
+      }
+    }
+    const src = row.image_url || row.src || '';
+    return src ? { src, srcset: '', width: row.width, height: row.height, title: row.title || '', alt: row.alt_text || '' } : null;
+  };
+
+  // ---------- Markdown ----------
+
+  const isBlank = (l) => /^\s*$/.test(l);
+  const FENCE = /^\s*```/;
+  const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+  const QUOTE = /^\s{0,3}>\s?/;
+  const BULLET = /^\s{0,3}[-*+]\s+/;
+  const ORDERED = /^\s{0,3}\d{1,9}[.)]\s+/;
+
+  const startsBlock = (l) =>
+    FENCE.test(l) || HEADING.test(l) || RULE.test(l) || QUOTE.test(l) || BULLET.test(l) || ORDERED.test(l);
+
+  // "(url "title")" where the url may itself contain balanced parentheses
+  const TARGET = String.raw`\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)`;
+
+  const renderImage = (alt, target, title, opts) => {
+    const ref = /^photo:(\d+)$/.exec(target);
+    const img = ref && opts.resolvePhoto ? opts.resolvePhoto(Number(ref[1])) : null;
+    // Only gallery photos can be embedded; anything else falls back to its alt text
+    if (!img || !img.src) return escapeHtml(alt);
+    const dims = img.width && img.height ? ` width="${img.width}" height="${img.height}"` : '';
+    const srcset = img.srcset ? ` srcset="${escapeHtml(img.srcset)}" sizes="${PHOTO_SIZES}"` : '';
+    const t = title || img.title;
+    return `<img class="journal-photo" src="${escapeHtml(img.src)}"${srcset} alt="${escapeHtml(alt || img.alt || img.title || '')}"` +
+      `${t ? ` title="${escapeHtml(t)}"` : ''}${dims} loading="lazy" decoding="async">`;
+  };
+
+  const renderInline = (text, opts, inLink) => {
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+    let s = String(text).replace(/\u0000/g, '');
+
+    s = s.replace(/\\([\\`*_{}\[\]()#+\-.!>~|])/g, (_, ch) => hold(escapeHtml(ch)));
+    s = s.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+    s = s.replace(new RegExp(`!\\[([^\\]]*)\\]${TARGET}`, 'g'), (_, alt, target, title) =>
+      hold(renderImage(alt, target, title, opts)));
+    if (!inLink) {
+      s = s.replace(new RegExp(`\\[([^\\]]+)\\]${TARGET}`, 'g'), (whole, label, href, title) => {
+        const url = safeUrl(href);
+        const inner = renderInline(label, opts, true);
+        if (!url) return hold(inner);
+        return hold(`<a href="${escapeHtml(url)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${inner}</a>`);
+      });
+    }
+
+    s = escapeHtml(s)
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/\n/g, '<br>');
+
+    // Placeholders can nest (a link holding a code span), so restore until none are left
+    while (/\u0000\d+\u0000/.test(s)) s = s.replace(/\u0000(\d+)\u0000/g, (_, i) => held[Number(i)]);
+    return s;
+  };
+
+  const renderList = (lines, i, ordered, opts) => {
+    const marker = ordered ? ORDERED : BULLET;
+    const items = [];
+    while (i < lines.length) {
+      const l = lines[i];
+      if (marker.test(l)) {
+        items.push(l.replace(marker, ''));
+      } else if (!isBlank(l) && !startsBlock(l) && items.length) {
+        items[items.length - 1] += '\n' + l.trim();
+      } else {
+        break;
+      }
+      i++;
+    }
+    const tag = ordered ? 'ol' : 'ul';
+    return { html: `<${tag}>${items.map((t) => `<li>${renderInline(t, opts)}</li>`).join('')}</${tag}>`, next: i };
+  };
+
+  const renderBlocks = (lines, opts, depth) => {
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+      const l = lines[i];
+
+      if (isBlank(l)) { i++; continue; }
+
+      if (FENCE.test(l)) {
+        const code = [];
+        i++;
+        while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+        i++; // closing fence (or end of input)
+        out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      let m = HEADING.exec(l);
+      if (m) {
+        // The card title is an <h3>, so "#" starts one level below it
+        const level = Math.min(m[1].length + 3, 6);
+        out.push(`<h${level}>${renderInline(m[2], opts)}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (RULE.test(l)) { out.push('<hr>'); i++; continue; }
+
+      if (QUOTE.test(l)) {
+        const inner = [];
+        while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+          inner.push(lines[i].replace(QUOTE, ''));
+          i++;
+        }
+        const body = depth < 4 ? renderBlocks(inner, opts, depth + 1) : `<p>${renderInline(inner.join('\n'), opts)}</p>`;
+        out.push(`<blockquote>${body}</blockquote>`);
+        continue;
+      }
+
+      if (BULLET.test(l) || ORDERED.test(l)) {
+        const list = renderList(lines, i, ORDERED.test(l), opts);
+        out.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      const para = [];
+      while (i < lines.length && !isBlank(lines[i]) && (!para.length || !startsBlock(lines[i]))) {
+        para.push(lines[i].trim());
+        i++;
+      }
+      out.push(`<p>${renderInline(para.join('\n'), opts)}</p>`);
+    }
+    return out.join('\n');
+  };
+
+  /**
+   * Render journal Markdown to sanitized HTML.
+   * @param {string} markdown
+   * @param {{ resolvePhoto?: (id: number) => ({ src, srcset?, width?, height?, title?, alt? } | null) }} [opts]
+   * @returns {string}
+   */
+  const render = (markdown, opts = {}) => {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    return sanitize(renderBlocks(lines, opts, 0));
+  };
+
+  return { render, sanitize, escapeHtml, photoIds, photoImage, safeUrl };
+});
@@ -0,0 +1,53 @@
+// functions/_shared/photos.js
+// How a gallery row is exposed to the public site, shared by every function that returns photos.
+
+const { liveFilter } = require('./publishing');
+
+const PHOTO_COLS = 'id,slug,image_url,variants,width,height,title,alt_text,status,publish_at,deleted_at';
+
+// Exact location data is withheld when the photo asks for it
+const publicPhoto = (r) => {
+  const url = r.image_url || r.src || null;
+  const out = { ...r, image_url: url, src: url };
+  if (r.hide_location) {
+    out.gps_lat = null;
+    out.gps_lon = null;
+    out.original_url = null;
+  }
+  return out;
+};
+
+// Every public URL a row points at: the image, the original and each variant file
+const rowUrls = (row) => {
+  const urls = [row.image_url, row.original_url];
+  Object.values(row.variants || {}).forEach((v) => {
+    Object.entries(v || {}).forEach(([k, u]) => { if (k !== 'width' && k !== 'height') urls.push(u); });
+  });
+  return [...new Set(urls.filter((u) => typeof u === 'string' && u))];
+};
+
+/**
+ * Gallery rows by id (e.g. photos embedded in journal Markdown), as a Map keyed by id.
+ * Public callers only get live photos, admins anything outside the trash; a failed lookup
+ * is logged and yields an empty map.
+ */
+const fetchPhotosById = async ({ KEY, rest, table }, ids, { all = false } = {}) => {
+  const photos = new Map();
+  const list = [...new Set(ids.map(Number).filter(Number.isInteger))];
+  if (!list.length) return photos;
+
+  const filter = all ? '&deleted_at=is.null' : `&${liveFilter()}`;
+  const res = await fetch(
+    rest(`/${encodeURIComponent(table)}?id=in.(${list.join(',')})&select=${PHOTO_COLS}${filter}`),
+    { headers: { apikey: KEY, authorization: `Bearer ${KEY}` } }
+  );
+  if (!res.ok) {
+    const t = await res.text().catch(() => '');
+    console.error('[photos by id] REST error', res.status, t);
+    return photos;
+  }
+  for (const p of await res.json()) photos.set(Number(p.id), p);
+  return photos;
+};
+
+module.exports = { publicPhoto, rowUrls, fetchPhotosById };
@@ -0,0 +1,169 @@
+// functions/_shared/places.js
+// Places photos were taken at, kept in `places` (supabase/migrations/0016) and managed
+// through functions/places.js. A gallery row keeps its free-text `location` for the caption
+// and points at its place with `place_id`.
+//
+// A location finds its place by its key (placeKey below: accents, case and punctuation
+// dropped, US state and country names shortened to codes, "USA" left out), first among
+// place_aliases, the texts already known to mean a place, then in the bundled gazetteer
+// (places.json, which _shared/exif.js also reads GPS against) for the canonical name,
+// region and coordinates. Anything else becomes a place of its own, named as written and
+// without coordinates, until it is edited or merged into another; a merged place's aliases
+// move with it, so the same text finds the merged place next time.
+//
+// Optional env vars:
+//   SUPAHUB_PLACES_TABLE (default "places"), SUPAHUB_PLACE_ALIASES_TABLE (default "place_aliases")
+
+const GAZETTEER = require('./places.json');
+const { placeLabel: gazetteerLabel } = require('./exif');
+const { slugify, uniqueSlug } = require('./slugs');
+const { tableName, headersJSON, restError } = require('./supabase');
+
+const US_STATES = {
+  alabama: 'al', alaska: 'ak', arizona: 'az', arkansas: 'ar', california: 'ca', colorado: 'co',
+  connecticut: 'ct', delaware: 'de', florida: 'fl', georgia: 'ga', hawaii: 'hi', idaho: 'id',
+  illinois: 'il', indiana: 'in', iowa: 'ia', kansas: 'ks', kentucky: 'ky', louisiana: 'la',
+  maine: 'me', maryland: 'md', massachusetts: 'ma', michigan: 'mi', minnesota: 'mn',
+  mississippi: 'ms', missouri: 'mo', montana: 'mt', nebraska: 'ne', nevada: 'nv',
+  'new hampshire': 'nh', 'new jersey': 'nj', 'new mexico': 'nm', 'new york': 'ny',
+  'north carolina': 'nc', 'north dakota': 'nd', ohio: 'oh', oklahoma: 'ok', oregon: 'or',
+  pennsylvania: 'pa', 'rhode island': 'ri', 'south carolina': 'sc', 'south dakota': 'sd',
+  tennessee: 'tn', texas: 'tx', utah: 'ut', vermont: 'vt', virginia: 'va', washington: 'wa',
+  'west virginia': 'wv', wisconsin: 'wi', wyoming: 'wy', 'district of columbia': 'dc',
+};
+
+// Countries the gazetteer has places in, by the names people write
+const COUNTRIES = {
+  canada: 'ca', mexico: 'mx', 'united kingdom': 'gb', uk: 'gb', 'great britain': 'gb', england: 'gb',
+  scotland: 'gb', wales: 'gb', france: 'fr', netherlands: 'nl', holland: 'nl', germany: 'de',
+  italy: 'it', spain: 'es', portugal: 'pt', iceland: 'is', japan: 'jp', korea: 'kr',
+  'south korea': 'kr', taiwan: 'tw', 'hong kong': 'hk', philippines: 'ph', thailand: 'th',
+  singapore: 'sg', indonesia: 'id', australia: 'au', 'new zealand': 'nz',
+};
+
+// Said of the US, which the key leaves out
+const US = ['us', 'usa', 'united states', 'united states of america'];
+
+const PLACE_COLS = 'id,slug,name,region,country,lat,lon';
+
+const plain = (s) =>
+  String(s || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// The comma-separated parts of a location, normalised; the first (the name) as written
+const keyParts = (text) => {
+  const [name, ...rest] = String(text || '').split(',').map(plain).filter(Boolean);
+  if (!name) return [];
+  const parts = [name];
+  for (const part of rest) {
+    if (US.includes(part)) continue;
+    const code = US_STATES[part] || COUNTRIES[part] || part;
+    if (!parts.includes(code)) parts.push(code);
+  }
+  return parts;
+};
+
+/** "Monterey, California, USA" -> "monterey ca"; "" for a blank location. */
+const placeKey = (text) => keyParts(text).join(' ');
+
+/** How a place reads: "Monterey, CA" in the US, "Kyoto, JP" elsewhere, as written otherwise. */
+const placeLabel = (p) => {
+  if (!p) return '';
+  return p.country ? gazetteerLabel(p) : [p.name, p.region].filter(Boolean).join(', ');
+};
+
+/**
+ * The gazetteer's place for a location: the one with its name, if the rest of the text
+ * (a region or country) agrees and no other place has that name too.
+ */
+const gazetteerMatch = (text) => {
+  const [name, ...rest] = keyParts(text);
+  if (!name) return null;
+  const found = GAZETTEER.filter((p) => plain(p.name) === name).filter((p) => {
+    const says = [plain(p.region), p.country.toLowerCase()];
+    return rest.every((part) => says.includes(part));
+  });
+  return found.length === 1 ? found[0] : null;
+};
+
+const tablesOf = () => ({ PLACES: tableName('places'), ALIASES: tableName('place_aliases') });
+
+// Place id an alias key belongs to, or null
+const aliasOf = async ({ KEY, rest }, key) => {
+  const res = await fetch(
+    rest(`/${encodeURIComponent(tablesOf().ALIASES)}?key=eq.${encodeURIComponent(key)}&select=place_id`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'place lookup failed');
+  const [alias] = await res.json();
+  return alias ? Number(alias.place_id) : null;
+};
+
+/** Record that these keys mean the place; keys another place already has stay with it. */
+const addAliases = async ({ KEY, rest }, placeId, keys) => {
+  const rows = [...new Set(keys.filter(Boolean))].map((key) => ({ key, place_id: placeId }));
+  if (!rows.length) return;
+  const res = await fetch(rest(`/${encodeURIComponent(tablesOf().ALIASES)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'resolution=ignore-duplicates,return=minimal' },
+    body: JSON.stringify(rows),
+  });
+  if (!res.ok) throw await restError(res, 'place alias insert failed');
+};
+
+/**
+ * Find or create the place for a location.
+ * @returns {Promise<{ id: number, created: boolean } | null>}  null for a blank location
+ */
+const resolvePlace = async (cfg, location) => {
+  const key = placeKey(location);
+  if (!key) return null;
+  const known = await aliasOf(cfg, key);
+  if (known) return { id: known, created: false };
+
+  const match = gazetteerMatch(location);
+  const [name, ...region] = String(location).split(',').map((s) => s.trim()).filter(Boolean);
+  const fields = match
+    ? { name: match.name, region: match.region, country: match.country, lat: match.lat, lon: match.lon }
+    : { name: name.slice(0, 120), region: region.join(', ').slice(0, 120), country: '', lat: null, lon: null };
+
+  // Written another way than the gazetteer's label, which may have a place already
+  const canonical = placeKey(placeLabel(fields));
+  if (canonical !== key) {
+    const existing = await aliasOf(cfg, canonical);
+    if (existing) {
+      await addAliases(cfg, existing, [key]);
+      return { id: existing, created: false };
+    }
+  }
+
+  const { KEY, rest } = cfg;
+  const { PLACES } = tablesOf();
+  const slug = await uniqueSlug({ KEY, rest, table: PLACES }, slugify(placeLabel(fields)) || 'place');
+  const res = await fetch(rest(`/${encodeURIComponent(PLACES)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify({ ...fields, slug }),
+  });
+  if (!res.ok) throw await restError(res, 'place insert failed');
+  const [row] = await res.json();
+  await addAliases(cfg, row.id, [key, canonical]);
+  return { id: Number(row.id), created: true };
+};
+
+/** Id of the place with this slug, or null, for ?place= list filters. */
+const placeIdOf = async ({ KEY, rest }, slug) => {
+  const res = await fetch(
+    rest(`/${encodeURIComponent(tablesOf().PLACES)}?slug=eq.${encodeURIComponent(slug)}&select=id`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'place lookup failed');
+  const [place] = await res.json();
+  return place ? Number(place.id) : null;
+};
+
+module.exports = { PLACE_COLS, placeKey, placeLabel, gazetteerMatch, addAliases, resolvePlace, placeIdOf };
@@ -0,0 +1,93 @@
+// functions/_shared/publishing.js
+// Draft / scheduled / published states shared by the gallery and journal functions.
+//
+// A row is live on the public site when it is "published", or "scheduled" and its
+// publish_at has passed. Scheduled rows therefore go live by themselves; no job
+// has to flip them. Rows in the trash (deleted_at set) are never live.
+
+const STATUSES = ['draft', 'scheduled', 'published'];
+
+// Schema rules for the fields parsePublishFields() reads (see _shared/schema.js);
+// null or "" clears publish_at
+const PUBLISH_FIELDS = {
+  status: { enum: STATUSES },
+  publish_at: { type: 'string', nullable: true, format: 'datetime' },
+};
+
+// PostgREST conditions for rows that are / aren't in the trash (nest inside and=(...))
+const NOT_DELETED = 'deleted_at.is.null';
+const DELETED = 'deleted_at.not.is.null';
+
+// The same rule as a PostgREST logic tree, for nesting inside and=(...) (not URL-encoded)
+const liveCondition = (now = new Date()) =>
+  `and(${NOT_DELETED},or(status.eq.published,and(status.eq.scheduled,publish_at.lte.${now.toISOString()})))`;
+
+// PostgREST filter for public GETs (append to a query string)
+const liveFilter = (now = new Date()) =>
+  `and=(${NOT_DELETED},or(status.eq.published,and(status.eq.scheduled,publish_at.lte.${encodeURIComponent(now.toISOString())})))`;
+
+const isLive = (row, now = new Date()) =>
+  !!row &&
+  !row.deleted_at &&
+  (row.status === 'published' ||
+    (row.status === 'scheduled' && !!row.publish_at && new Date(row.publish_at).getTime() <= now.getTime()));
+
+/**
+ * Read `status` / `publish_at` from a request body.
+ * With `partial` (PUT) missing values are left out instead of defaulted; what the stored
+ * row already has is settled by resolvePublishFields() once it is known.
+ * @returns {{ fields: object } | { error: string, field: string }}  `field` is the one at fault
+ */
+const parsePublishFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}`, field: 'status' };
+    }
+    fields.status = body.status;
+  } else if (!partial) {
+    fields.status = 'published';
+  }
+
+  if (body.publish_at !== undefined && body.publish_at !== null && body.publish_at !== '') {
+    const t = new Date(body.publish_at);
+    if (Number.isNaN(t.getTime())) return { error: 'publish_at must be an ISO date-time', field: 'publish_at' };
+    fields.publish_at = t.toISOString();
+  } else if (body.publish_at !== undefined) {
+    fields.publish_at = null;
+  }
+
+  if (!partial) {
+    if (fields.status === 'scheduled' && !fields.publish_at) {
+      return { error: 'scheduled items need a publish_at', field: 'publish_at' };
+    }
+    // Record when something went live if the caller didn't say
+    if (fields.status === 'published' && fields.publish_at === undefined) {
+      fields.publish_at = new Date().toISOString();
+    }
+  }
+
+  return { fields };
+};
+
+/**
+ * A partial update's publish fields applied to the stored row. A row left scheduled needs
+ * a publish_at, from the update or already stored (without one it would never go live).
+ * A row going live gets publish_at = now unless the caller gave one; one that was already
+ * published keeps the date it went live.
+ * @returns {{ fields: object } | { error: string, field: string }}  the fields to add
+ */
+const resolvePublishFields = (fields, current) => {
+  const status = fields.status !== undefined ? fields.status : current.status;
+  const publishAt = fields.publish_at !== undefined ? fields.publish_at : current.publish_at;
+  if (status === 'scheduled' && !publishAt) return { error: 'scheduled items need a publish_at', field: 'publish_at' };
+  if (fields.status === 'published' && current.status !== 'published' && fields.publish_at === undefined) {
+    return { fields: { publish_at: new Date().toISOString() } };
+  }
+  return { fields: {} };
+};
+
+module.exports = {
+  STATUSES, PUBLISH_FIELDS, NOT_DELETED, DELETED, liveCondition, liveFilter, isLive, parsePublishFields, resolvePublishFields,
+};
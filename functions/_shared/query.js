@@ -0,0 +1,120 @@
+// functions/_shared/query.js
+// Turns list query parameters (limit, cursor, sort, filters, q) into a PostgREST query
+// string. Nothing from the request reaches PostgREST except through the per-resource
+// spec: sorts and filterable columns are allow-listed and every value is escaped.
+//
+// Common parameters:
+//   limit   page size, 1..100. Passing limit (or cursor) switches the response to a page
+//           envelope: { items, total, limit, next_cursor }
+//   cursor  opaque value from a previous page's next_cursor
+//   sort    one of spec.sorts (default spec.defaultSort; the trash lists newest deletions first)
+//   from/to date range (YYYY-MM-DD or ISO) on spec.dateColumn
+//   q       case-insensitive substring search over spec.search columns
+//   <name>  case-insensitive substring match for each entry in spec.filters, exact match
+//           for each entry in spec.exact
+// Handlers can narrow a list further to known ids (opts.ids), e.g. the rows with a ?tag=,
+// or to column values (opts.match), e.g. the photos at a ?place=.
+// Tables without publishing/trash columns (e.g. audit_log) set spec.unscoped.
+
+const { liveCondition, NOT_DELETED, DELETED } = require('./publishing');
+
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 24;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Cursors are offsets today; keep them opaque so the scheme can change later
+const encodeCursor = (offset) => Buffer.from(`o:${offset}`).toString('base64url');
+const decodeCursor = (cursor) => {
+  const m = /^o:(\d{1,9})$/.exec(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  return m ? Number(m[1]) : null;
+};
+
+// LIKE pattern for "contains": user wildcards are escaped, PostgREST's * marks the ends
+const containsPattern = (s) => `*${String(s).replace(/\*/g, '').replace(/[\\%_]/g, '\\$&')}*`;
+
+// Values inside or=()/and=() must be double-quoted when they contain , . : ( ) or quotes
+const quoteValue = (s) => `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * @param {object} qs  event.queryStringParameters
+ * @param {{ sorts: Record<string,string[]>, defaultSort: string, filters?: Record<string,string>,
+ *           exact?: Record<string,string>, dateColumn?: string, search?: string[], unscoped?: boolean }} spec
+ * @param {{ live?: boolean, trash?: boolean, ids?: number[], match?: Record<string,string|number> }} [opts]
+ *   live: only rows visible on the public site; otherwise every row outside the trash, or
+ *   (trash) only the rows in it. ids: only these rows (an empty list matches nothing).
+ *   match: only rows whose columns equal these values
+ * @returns {{ query: string, paged: boolean, limit: number, offset: number } | { error: string }}
+ */
+const buildListQuery = (qs = {}, spec, { live = true, trash = false, ids, match = {} } = {}) => {
+  const params = [];
+  const conditions = spec.unscoped ? [] : [trash ? DELETED : live ? liveCondition() : NOT_DELETED];
+  if (ids) conditions.push(`id.in.(${ids.map(Number).filter(Number.isInteger).join(',')})`);
+
+  const sort = qs.sort || (trash ? 'deleted' : spec.defaultSort);
+  const sorts = { ...spec.sorts, ...(trash && { deleted: ['deleted_at.desc', 'id.desc'] }) };
+  if (!sorts[sort]) return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  sorts[sort].forEach((o) => params.push(`order=${o}`));
+
+  for (const [name, column] of Object.entries(spec.filters || {})) {
+    const v = (qs[name] || '').toString().trim();
+    if (v) params.push(`${column}=ilike.${encodeURIComponent(containsPattern(v))}`);
+  }
+  for (const [column, v] of Object.entries(match)) params.push(`${column}=eq.${encodeURIComponent(v)}`);
+  for (const [name, column] of Object.entries(spec.exact || {})) {
+    const v = (qs[name] || '').toString().trim();
+    if (v) params.push(`${column}=eq.${encodeURIComponent(v)}`);
+  }
+
+  if (spec.dateColumn) {
+    for (const [name, op] of [['from', 'gte'], ['to', 'lte']]) {
+      const v = (qs[name] || '').toString().trim();
+      if (!v) continue;
+      if (!ISO_DATE.test(v) || Number.isNaN(Date.parse(v))) return { error: `${name} must be a date (YYYY-MM-DD)` };
+      // A bare "to" date includes that whole day
+      const bound = op === 'lte' && v.length === 10 ? `${v}T23:59:59.999Z` : v;
+      params.push(`${spec.dateColumn}=${op}.${encodeURIComponent(bound)}`);
+    }
+  }
+
+  const q = (qs.q || '').toString().trim().slice(0, 200);
+  if (q && spec.search && spec.search.length) {
+    const pattern = quoteValue(containsPattern(q));
+    conditions.push(`or(${spec.search.map((c) => `${c}.ilike.${pattern}`).join(',')})`);
+  }
+
+  // Several logic trees can't each be an or= param, so AND them explicitly
+  if (conditions.length) params.push(`and=(${conditions.map(encodeURIComponent).join(',')})`);
+
+  const paged = qs.limit !== undefined || qs.cursor !== undefined;
+  let limit = 0;
+  let offset = 0;
+  if (paged) {
+    limit = qs.limit === undefined ? DEFAULT_LIMIT : Number(qs.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    if (qs.cursor) {
+      offset = decodeCursor(qs.cursor);
+      if (offset === null) return { error: 'Invalid cursor' };
+    }
+    params.push(`limit=${limit}`, `offset=${offset}`);
+  }
+
+  return { query: params.join('&'), paged, limit, offset };
+};
+
+// Total row count from PostgREST's Content-Range ("0-23/120") when Prefer: count=exact was sent
+const totalFromRange = (res) => {
+  const m = /\/(\d+)$/.exec(res.headers.get('content-range') || '');
+  return m ? Number(m[1]) : null;
+};
+
+/** Page envelope for a paged list response. */
+const pageBody = (items, { limit, offset }, total) => {
+  const end = offset + items.length;
+  const more = total !== null ? end < total : items.length === limit;
+  return { items, total, limit, next_cursor: more ? encodeCursor(end) : null };
+};
+
+module.exports = { buildListQuery, totalFromRange, pageBody, encodeCursor, decodeCursor, quoteValue, MAX_LIMIT };
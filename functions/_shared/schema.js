@@ -0,0 +1,110 @@
+// functions/_shared/schema.js
+// Request body schemas, checked by the request pipeline before a route runs (see _shared/http.js).
+//
+// A schema maps field names to rules:
+//   type      string | integer | number | boolean | array | object | id (a positive integer,
+//             or its digits as a string)
+//   required  must be present (null counts as absent unless `nullable`)
+//   nullable  null is accepted as a value
+//   min/max   length for strings and arrays, value for numbers
+//   enum      allowed values
+//   pattern   RegExp a string must match
+//   format    date (YYYY-MM-DD) | datetime (an ISO 8601 date, optionally with a time and
+//             offset); either must be a real calendar day. "" passes, as routes read it as
+//             "not given"
+//   items     rule every array element must pass
+//   check     (value, body) => message | undefined, for anything else
+//   message   replaces the generated message for any failure of this field
+// Fields the schema doesn't mention are left to the route, unless it is checked with
+// `strict` (routes set `strict: true`, see _shared/http.js): then each is a bad field.
+
+const TYPES = {
+  string: (v) => typeof v === 'string',
+  integer: (v) => Number.isInteger(v),
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  boolean: (v) => typeof v === 'boolean',
+  array: (v) => Array.isArray(v),
+  object: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+  id: (v) => (Number.isInteger(v) && v > 0) || (typeof v === 'string' && /^[1-9]\d{0,17}$/.test(v)),
+};
+
+const A_TYPE = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  id: 'a positive integer id',
+};
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,9})?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+// 2024-02-30 matches the patterns but isn't a day
+const realDay = (m) => {
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+};
+
+const FORMATS = {
+  date: { test: (v) => { const m = ISO_DATE.exec(v); return !!m && realDay(m); }, a: 'a date (YYYY-MM-DD)' },
+  datetime: {
+    test: (v) => { const m = ISO_DATETIME.exec(v); return !!m && realDay(m) && !Number.isNaN(Date.parse(v)); },
+    a: 'an ISO date-time',
+  },
+};
+
+const sizeOf = (v) => (typeof v === 'number' ? v : v.length);
+
+// First thing wrong with `value` under `rule`, or undefined
+const problem = (name, value, rule, body) => {
+  if (rule.type && !TYPES[rule.type](value)) return `${name} must be ${A_TYPE[rule.type]}`;
+  const unit = typeof value === 'string' ? ' characters' : Array.isArray(value) ? ' items' : '';
+  if (rule.min !== undefined && sizeOf(value) < rule.min) {
+    return rule.min === 1 && unit ? `${name} cannot be empty` : `${name} must be at least ${rule.min}${unit}`;
+  }
+  if (rule.max !== undefined && sizeOf(value) > rule.max) return `${name} must be at most ${rule.max}${unit}`;
+  if (rule.enum && !rule.enum.includes(value)) return `${name} must be one of: ${rule.enum.join(', ')}`;
+  if (rule.pattern && !rule.pattern.test(value)) return `${name} is not in the expected format`;
+  if (rule.format && value !== '' && !FORMATS[rule.format].test(value)) return `${name} must be ${FORMATS[rule.format].a}`;
+  if (rule.items) {
+    for (let i = 0; i < value.length; i++) {
+      const bad = problem(`${name}[${i}]`, value[i], rule.items, body);
+      if (bad) return bad;
+    }
+  }
+  if (rule.check) return rule.check(value, body) || undefined;
+  return undefined;
+};
+
+/**
+ * Check `body` against `schema`; with `strict`, fields it doesn't list are errors too.
+ * @returns {{ fields?: Record<string, string>, error?: string }}  `fields` holds one message
+ *   per bad field and `error` the first of them; neither is set when the body passes
+ */
+const validate = (body, schema, { strict = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { fields: { body: 'Request body must be a JSON object' }, error: 'Request body must be a JSON object' };
+  }
+  const fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = body[name];
+    let bad;
+    if (value === undefined || (value === null && !rule.nullable)) {
+      if (rule.required) bad = `Missing ${name}`;
+    } else if (value !== null) {
+      bad = problem(name, value, rule, body);
+    }
+    if (bad) fields[name] = rule.message || bad;
+  }
+  if (strict) {
+    for (const name of Object.keys(body)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, name)) fields[name] = `${name} is not a known field`;
+    }
+  }
+  const names = Object.keys(fields);
+  return names.length ? { fields, error: fields[names[0]] } : {};
+};
+
+module.exports = { validate };
@@ -0,0 +1,42 @@
+// functions/_shared/slugs.js
+// URL slugs for albums, photos and journal entries.
+//
+// Photos and entries get one when they are created, from their title (or file name), and
+// keep it when the title changes so links stay valid; an admin can still set it by hand.
+// Every slug column has a unique index (supabase/migrations); a clash is a 409/23505.
+
+const { restError } = require('./supabase');
+
+const slugify = (s = '') =>
+  s
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+
+const isConflict = (status, text) => status === 409 || /23505/.test(text);
+
+/**
+ * First free slug in `table` for `base`: base, then base-2, base-3, ...
+ * Reads the taken ones in a single query. Throws `{ status, detail }` on a REST error.
+ * @param {{ KEY: string, rest: (path: string) => string, table: string }} cfg
+ * @param {string} base an already slugified value
+ */
+const uniqueSlug = async ({ KEY, rest, table }, base) => {
+  const res = await fetch(
+    rest(`/${encodeURIComponent(table)}?select=slug&or=(slug.eq.${base},slug.like.${base}-*)`),
+    { headers: { apikey: KEY, authorization: `Bearer ${KEY}` } }
+  );
+  if (!res.ok) throw await restError(res, 'slug lookup failed');
+  const taken = new Set((await res.json()).map((r) => r.slug));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n += 1;
+  return `${base}-${n}`;
+};
+
+module.exports = { slugify, isConflict, uniqueSlug };
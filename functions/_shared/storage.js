@@ -0,0 +1,137 @@
+// functions/_shared/storage.js
+// Supabase Storage over raw fetch: the one place that reads, writes, signs and deletes objects.
+//
+// Originals are never sent through a function body (Netlify caps those at ~6 MB).
+// The browser asks for a signed upload URL, PUTs the file straight to storage, and
+// the function then reads it back to validate and process it.
+
+const crypto = require('crypto');
+const { restError } = require('./supabase');
+
+const UPLOAD_DIR = 'uploads';
+
+// Supabase signed upload URLs are valid for two hours; this is not configurable server-side
+const SIGNED_UPLOAD_TTL_SECONDS = 2 * 60 * 60;
+
+const cleanName = (s = '') =>
+  s.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+
+// Paths handed out by signUpload(); anything else is refused at finalize time
+const isUploadPath = (p) => typeof p === 'string' && /^uploads\/\d{13}_[a-z0-9][a-z0-9._-]{0,120}$/.test(p);
+
+// Where a photo's files live: its original in uploads/, its variants in variants/<upload>/
+const isPhotoPath = (p) =>
+  typeof p === 'string' && !p.includes('..') && /^(uploads\/[\w][\w.-]{0,160}|variants\/[\w][\w.-]{0,160}\/[\w][\w.-]{0,40})$/.test(p);
+
+/**
+ * Storage helpers bound to one project + bucket.
+ * @param {{ BASE: string, KEY: string, BUCKET: string }} cfg
+ */
+const createStorage = ({ BASE, KEY, BUCKET }) => {
+  const bucket = encodeURIComponent(BUCKET);
+  const objectUrl = (path) => `${BASE}/storage/v1/object/${bucket}/${path}`;
+  const publicUrl = (path) => `${BASE}/storage/v1/object/public/${bucket}/${path}`;
+
+  const fail = (res, what) => restError(res, `${what} failed`);
+
+  return {
+    publicUrl,
+
+    // Object path from one of this bucket's public URLs (null for anything else)
+    pathFromUrl(url) {
+      try {
+        if (!url) return null;
+        const marker = `/storage/v1/object/public/${bucket}/`;
+        const idx = url.indexOf(marker);
+        if (idx === -1) return null;
+        return decodeURIComponent(url.slice(idx + marker.length));
+      } catch {
+        return null;
+      }
+    },
+
+    async put(path, contentType, buffer) {
+      const res = await fetch(objectUrl(path), {
+        method: 'POST',
+        headers: { authorization: `Bearer ${KEY}`, 'content-type': contentType, 'x-upsert': 'true' },
+        body: buffer,
+      });
+      if (!res.ok) throw await fail(res, `storage write ${path}`);
+    },
+
+    // Like put, but never replaces an object: resolves false if the path is taken
+    async create(path, contentType, buffer) {
+      const res = await fetch(objectUrl(path), {
+        method: 'POST',
+        headers: { authorization: `Bearer ${KEY}`, 'content-type': contentType, 'x-upsert': 'false' },
+        body: buffer,
+      });
+      if (res.ok) return true;
+      const err = await fail(res, `storage write ${path}`);
+      // Storage answers 400 with a "409" statusCode in the body for a duplicate
+      if (res.status === 409 || /"statusCode":\s*"409"|Duplicate/.test(err.detail)) return false;
+      throw err;
+    },
+
+    async get(path) {
+      const res = await fetch(objectUrl(path), { headers: { authorization: `Bearer ${KEY}` } });
+      if (res.status === 404 || res.status === 400) return null; // storage answers 400 for missing objects
+      if (!res.ok) throw await fail(res, `storage read ${path}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    // Signed URL the browser can PUT one file to, without holding any credentials
+    async signUpload(filename) {
+      // Random part keeps two same-named files signed in the same millisecond apart
+      const unique = crypto.randomBytes(3).toString('hex');
+      const path = `${UPLOAD_DIR}/${Date.now()}_${unique}-${cleanName(filename) || 'upload'}`.slice(0, 140);
+      const res = await fetch(`${BASE}/storage/v1/object/upload/sign/${bucket}/${path}`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${KEY}`, 'content-type': 'application/json' },
+        body: '{}',
+      });
+      if (!res.ok) throw await fail(res, 'upload signing');
+      const { url } = await res.json();
+      return { path, signed_url: `${BASE}/storage/v1${url}`, expires_in: SIGNED_UPLOAD_TTL_SECONDS };
+    },
+
+    // Time-limited GET URL for an object in a private bucket; `download` names the saved file
+    async signDownload(path, expiresIn, download) {
+      const res = await fetch(`${BASE}/storage/v1/object/sign/${bucket}/${path}`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${KEY}`, 'content-type': 'application/json' },
+        body: JSON.stringify({ expiresIn }),
+      });
+      if (!res.ok) throw await fail(res, 'download signing');
+      const { signedURL } = await res.json();
+      const name = download ? `&download=${encodeURIComponent(download)}` : '';
+      return `${BASE}/storage/v1${signedURL}${name}`;
+    },
+
+    // Bulk delete. Never throws: resolves to the paths storage removed and the ones it
+    // failed to (paths that didn't exist are in neither list)
+    async remove(paths) {
+      const prefixes = [...new Set(paths.filter(Boolean))];
+      if (!prefixes.length) return { removed: [], failed: [] };
+      try {
+        const res = await fetch(`${BASE}/storage/v1/object/${bucket}`, {
+          method: 'DELETE',
+          headers: { authorization: `Bearer ${KEY}`, 'content-type': 'application/json' },
+          body: JSON.stringify({ prefixes }),
+        });
+        if (!res.ok) {
+          const t = await res.text().catch(() => '');
+          console.error('[storage] delete failed', res.status, t);
+          return { removed: [], failed: prefixes };
+        }
+        const gone = await res.json().catch(() => []);
+        return { removed: (Array.isArray(gone) ? gone : []).map((o) => o.name), failed: [] };
+      } catch (err) {
+        console.error('[storage] delete failed', err);
+        return { removed: [], failed: prefixes };
+      }
+    },
+  };
+};
+
+module.exports = { createStorage, cleanName, isUploadPath, isPhotoPath, UPLOAD_DIR };
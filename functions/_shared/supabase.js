@@ -0,0 +1,73 @@
+// functions/_shared/supabase.js
+// Project config and the PostgREST plumbing every function shares.
+//
+// Required env vars:
+//   SUPAHUB_URL or SUPABASE_URL
+//   SUPAHUB_SERVICE_KEY or SUPABASE_SERVICE_ROLE_KEY
+// Every other setting is read through env(): SUPAHUB_<NAME>, then SUPABASE_<NAME>, e.g.
+// SUPAHUB_GALLERY_TABLE. Tables and buckets keep their defaults when neither is set.
+// The *_TABLE settings only reach the functions' own REST calls: the SQL functions the
+// migrations define (reorder_gallery, set_album_photos, set_photo_tags, set_entry_tags,
+// merge_tags, search_site, enqueue_site_build, record_stats, merge_places,
+// place_photo_counts) name the default public.* tables. A project that renames a table
+// edits those functions to match.
+
+const { HttpError } = require('./http');
+
+const env = (name, fallback) => process.env[`SUPAHUB_${name}`] || process.env[`SUPABASE_${name}`] || fallback;
+
+// Table names by role, overridable with SUPAHUB_<ROLE>_TABLE
+const TABLES = {
+  gallery: 'GALLERY',
+  journal: 'JOURNAL',
+  journal_revisions: 'JOURNAL_REVISIONS',
+  albums: 'ALBUMS',
+  album_photos: 'ALBUM_PHOTOS',
+  tags: 'TAGS',
+  photo_tags: 'PHOTO_TAGS',
+  entry_tags: 'ENTRY_TAGS',
+  audit_log: 'AUDIT',
+  auth_attempts: 'AUTH_ATTEMPTS',
+  site_builds: 'SITE_BUILDS',
+  stats_daily: 'STATS',
+  referrers_daily: 'REFERRERS',
+  places: 'PLACES',
+  place_aliases: 'PLACE_ALIASES',
+};
+
+/** This project's name for one of the TABLES. */
+const tableName = (role) => env(`${TABLES[role]}_TABLE`, role);
+
+/**
+ * { KEY, BASE, rest } for the project; rest('/gallery?…') is a PostgREST URL.
+ * Throws a 500 naming the missing settings (see _shared/http.js) when the URL or key is missing.
+ */
+const getConfig = () => {
+  const URL = env('URL', '');
+  const KEY = process.env.SUPAHUB_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+  if (!URL || !KEY) {
+    throw new HttpError(500, 'Missing env vars: SUPAHUB_URL/SUPABASE_URL and SUPAHUB_SERVICE_KEY/SUPABASE_SERVICE_ROLE_KEY', {
+      code: 'not_configured',
+    });
+  }
+  const BASE = URL.replace(/\/$/, '');
+  const rest = (path) => `${BASE}/rest/v1${path}`;
+  return { KEY, BASE, rest };
+};
+
+const headersJSON = (key) => ({
+  apikey: key,
+  authorization: `Bearer ${key}`,
+  'content-type': 'application/json',
+});
+
+/**
+ * Error for a failed PostgREST/Storage answer. `detail` (the upstream text) is for logs;
+ * the request pipeline turns these into a 502 without it (see _shared/http.js).
+ */
+const restError = async (res, what) => {
+  const t = await res.text().catch(() => '');
+  return Object.assign(new Error(what), { status: res.status, detail: t });
+};
+
+module.exports = { env, tableName, getConfig, headersJSON, restError };
@@ -0,0 +1,162 @@
+// functions/_shared/tags.js
+// Tags shared by photos (photo_tags) and journal entries (entry_tags); see
+// supabase/migrations/0011 and functions/tags.js. The link tables follow
+// SUPAHUB_PHOTO_TAGS_TABLE / SUPAHUB_ENTRY_TAGS_TABLE like every other table.
+//
+// Requests name tags, not ids: `tags: ["Film", "Lisbon"]` on a gallery or journal write
+// replaces the item's tags, creating any that don't exist yet. A name matches an existing
+// tag by its slug or, case-insensitively, by its current name (so a renamed tag keeps
+// being found under its new name). Responses carry `tags: [{ id, slug, name }]`.
+
+const { slugify } = require('./slugs');
+const { tableName, headersJSON, restError } = require('./supabase');
+const { quoteValue } = require('./query');
+
+const TAG_COLS = 'id,slug,name';
+const MAX_TAGS = 20;
+const MAX_NAME = 40;
+
+// Link table (its tableName() role), its item column and the RPC that replaces an item's
+// tags, per resource
+const KINDS = {
+  photo: { link: 'photo_tags', column: 'photo_id', rpc: 'set_photo_tags', param: 'p_photo_id' },
+  entry: { link: 'entry_tags', column: 'entry_id', rpc: 'set_entry_tags', param: 'p_entry_id' },
+};
+
+/**
+ * Read `tags` from a request body: an array of names, or a comma-separated string.
+ * Names are trimmed and de-duplicated by slug; absent means "leave the tags alone".
+ * @returns {{ names: string[] | undefined } | { error: string }}
+ */
+const parseTagNames = (value) => {
+  if (value === undefined) return { names: undefined };
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some((n) => typeof n !== 'string')) {
+    return { error: 'tags must be an array of names' };
+  }
+  const seen = new Set();
+  const names = [];
+  for (const raw of list) {
+    const name = raw.trim().replace(/\s+/g, ' ');
+    if (!name) continue;
+    if (name.length > MAX_NAME) return { error: `Tag "${name.slice(0, MAX_NAME)}…" is longer than ${MAX_NAME} characters` };
+    const slug = slugify(name);
+    if (!slug) return { error: `Tag "${name}" must contain letters or numbers` };
+    if (seen.has(slug)) continue;
+    seen.add(slug);
+    names.push(name);
+  }
+  if (names.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+  return { names };
+};
+
+// Schema rule for a `tags` field (see _shared/schema.js)
+const TAGS_FIELD = { check: (v) => parseTagNames(v).error };
+
+// ilike pattern for `s`: LIKE wildcards escaped and PostgREST's *, which can't be, made
+// a one-character wildcard (ensureTags compares the rows it gets back anyway)
+const exactPattern = (s) => s.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '_');
+
+// Tag rows for `names`, creating the missing ones
+const ensureTags = async ({ KEY, rest }, names) => {
+  if (!names.length) return [];
+  const table = tableName('tags');
+  // Only the tags these names could match: by slug, or by name whatever its case
+  const candidates = encodeURIComponent(
+    `(slug.in.(${names.map(slugify).join(',')}),${names.map((n) => `name.ilike.${quoteValue(exactPattern(n))}`).join(',')})`
+  );
+  const load = async () => {
+    const res = await fetch(rest(`/${encodeURIComponent(table)}?select=${TAG_COLS}&or=${candidates}`), { headers: headersJSON(KEY) });
+    if (!res.ok) throw await restError(res, 'tag lookup failed');
+    return res.json();
+  };
+  const find = (all, name) =>
+    all.find((t) => t.slug === slugify(name)) || all.find((t) => t.name.toLowerCase() === name.toLowerCase());
+
+  let all = await load();
+  // A second pass covers a batch refused because someone else just created one of its tags
+  for (let pass = 0; pass < 2; pass += 1) {
+    const missing = names.filter((n) => !find(all, n));
+    if (!missing.length) break;
+    const res = await fetch(rest(`/${encodeURIComponent(table)}`), {
+      method: 'POST',
+      headers: { ...headersJSON(KEY), Prefer: 'return=minimal' },
+      body: JSON.stringify(missing.map((name) => ({ name, slug: slugify(name) }))),
+    });
+    if (!res.ok && res.status !== 409) throw await restError(res, 'tag create failed');
+    all = await load();
+  }
+  return names.map((n) => find(all, n)).filter(Boolean);
+};
+
+/**
+ * Replace the tags of a photo or entry. Returns its tags as responses carry them.
+ * Throws `{ status, detail }` on a REST error.
+ * @param {{ KEY: string, rest: (path: string) => string }} cfg
+ * @param {'photo' | 'entry'} kind
+ */
+const setTags = async (cfg, kind, id, names) => {
+  const k = KINDS[kind];
+  const tags = await ensureTags(cfg, names);
+  const res = await fetch(cfg.rest(`/rpc/${k.rpc}`), {
+    method: 'POST',
+    headers: headersJSON(cfg.KEY),
+    body: JSON.stringify({ [k.param]: Number(id), p_tag_ids: tags.map((t) => t.id) }),
+  });
+  if (!res.ok) throw await restError(res, 'tag update failed');
+  return tags.sort(byName);
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Tags of each item, as a Map of item id -> [{ id, slug, name }] (sorted by name).
+ * Throws `{ status, detail }` on a REST error.
+ */
+const loadTags = async ({ KEY, rest }, kind, ids) => {
+  const k = KINDS[kind];
+  const byItem = new Map();
+  const list = [...new Set(ids.map(Number).filter(Number.isInteger))];
+  if (!list.length) return byItem;
+  const res = await fetch(
+    rest(`/${encodeURIComponent(tableName(k.link))}?${k.column}=in.(${list.join(',')})&select=${k.column},tag:${tableName('tags')}(${TAG_COLS})`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'tag lookup failed');
+  for (const l of await res.json()) {
+    if (!l.tag) continue;
+    const id = Number(l[k.column]);
+    if (!byItem.has(id)) byItem.set(id, []);
+    byItem.get(id).push(l.tag);
+  }
+  byItem.forEach((tags) => tags.sort(byName));
+  return byItem;
+};
+
+/** `rows` with their `tags` added. Throws `{ status, detail }` on a REST error. */
+const attachTags = async (cfg, kind, rows) => {
+  const tags = await loadTags(cfg, kind, rows.map((r) => r.id));
+  return rows.map((r) => ({ ...r, tags: tags.get(Number(r.id)) || [] }));
+};
+
+/**
+ * Ids of the items carrying the tag with this slug (none if there is no such tag), for
+ * ?tag= list filters. Throws `{ status, detail }` on a REST error.
+ */
+const taggedIds = async ({ KEY, rest }, kind, slug) => {
+  const k = KINDS[kind];
+  const tagRes = await fetch(
+    rest(`/${encodeURIComponent(tableName('tags'))}?slug=eq.${encodeURIComponent(slug)}&select=id`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!tagRes.ok) throw await restError(tagRes, 'tag lookup failed');
+  const [tag] = await tagRes.json();
+  if (!tag) return [];
+  const res = await fetch(rest(`/${encodeURIComponent(tableName(k.link))}?tag_id=eq.${tag.id}&select=${k.column}`), {
+    headers: headersJSON(KEY),
+  });
+  if (!res.ok) throw await restError(res, 'tag lookup failed');
+  return (await res.json()).map((l) => Number(l[k.column]));
+};
+
+module.exports = { TAG_COLS, KINDS, TAGS_FIELD, parseTagNames, ensureTags, setTags, loadTags, attachTags, taggedIds };
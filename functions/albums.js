@@ -0,0 +1,226 @@
+// functions/albums.js
+// REST API for albums (named collections of gallery photos).
+// Methods:
+//   GET    /.netlify/functions/albums                 list albums with cover + photo_count
+//   GET    /.netlify/functions/albums?slug=big-sur    one album with its photos, in album order
+//   GET    ...?scope=all                              include unpublished photos (admin)
+//   POST   /.netlify/functions/albums                 { title, slug?, description?, cover_photo_id?, order_index? }
+//   PUT    /.netlify/functions/albums                 { id, title?, slug?, description?, cover_photo_id?, order_index? }
+//   PUT    /.netlify/functions/albums/photos          { album_id, photo_ids: [id, ...] }  (replaces membership + order)
+//   DELETE /.netlify/functions/albums                 { id }  (photos themselves are kept)
+// POST/PUT/DELETE and ?scope=all require `Authorization: Bearer <token>` issued by /auth.
+// Every write is recorded in the audit log (see _shared/audit.js).
+// Public GETs only count and return photos that are live (see _shared/publishing.js);
+// photos in the trash are left out for admins too.
+//
+// Optional env vars:
+//   SUPAHUB_ALBUMS_TABLE (default "albums")
+//   SUPAHUB_ALBUM_PHOTOS_TABLE (default "album_photos")
+//   SUPAHUB_GALLERY_TABLE (default "gallery"), the photos albums embed
+
+const { createHandler, fail, invalid } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { publicPhoto } = require('./_shared/photos');
+const { isLive } = require('./_shared/publishing');
+const { slugify, isConflict } = require('./_shared/slugs');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const PHOTO_COLS = 'id,slug,image_url,variants,width,height,title,status,publish_at,deleted_at';
+
+// Embeds the explicit cover and every linked photo (for count + fallback cover);
+// `photoCols` is what each linked photo brings
+const albumSelect = (gallery, links, photoCols) =>
+  `*,cover:${gallery}!cover_photo_id(${PHOTO_COLS}),${links}(position,photo:${gallery}(${photoCols}))`;
+
+// Admins see drafts too, but nobody sees photos in the trash
+const visible = (p, all) => !!p && (all ? !p.deleted_at : isLive(p));
+
+// Album as the site sees it: cover falls back to the first (visible) photo
+const shapeAlbum = (a, links, all) => {
+  const linked = (a[links] || [])
+    .filter((l) => visible(l.photo, all))
+    .sort((x, y) => x.position - y.position);
+  const explicit = visible(a.cover, all) ? a.cover : null;
+  const cover = explicit || (linked[0] && linked[0].photo) || null;
+  const out = { ...a, cover: cover ? publicPhoto(cover) : null, photo_count: linked.length };
+  delete out[links];
+  return out;
+};
+
+const ID = { type: 'id', required: true };
+const COVER = { type: 'id', nullable: true };
+
+// PostgREST answers a foreign key violation (a cover that isn't a photo) with 409 / 23503
+const FK_VIOLATION = /23503/;
+
+// GET: list albums, or one album (with photos) by slug
+const list = async (req) => {
+  const { KEY, TABLE, LINKS, GALLERY, rest } = req.cfg;
+  const all = req.query.scope === 'all';
+  if (all) req.requireAdmin();
+
+  if (req.query.slug) {
+    const url = rest(
+      `/${encodeURIComponent(TABLE)}?slug=eq.${encodeURIComponent(req.query.slug)}` +
+      `&select=${albumSelect(GALLERY, LINKS, '*')}` +
+      `&${LINKS}.order=position.asc`
+    );
+    const res = await fetch(url, { headers: headersJSON(KEY) });
+    if (!res.ok) throw await restError(res, 'Failed to load album');
+    const [album] = await res.json();
+    if (!album) fail(404, 'Album not found');
+
+    const photos = (album[LINKS] || [])
+      .map((l) => l.photo)
+      .filter((p) => visible(p, all))
+      .map(publicPhoto);
+    return { ...shapeAlbum(album, LINKS, all), photos };
+  }
+
+  const res = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?select=${albumSelect(GALLERY, LINKS, PHOTO_COLS)}&order=order_index.asc.nullslast&order=created_at.desc`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'Failed to list albums');
+  const rows = await res.json();
+  return rows.map((a) => shapeAlbum(a, LINKS, all));
+};
+
+// POST: create an album
+// body: { title, slug?, description?, cover_photo_id?, order_index? }
+const create = async ({ cfg, body }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const title = body.title.trim();
+  if (!title) invalid('title', 'title required');
+
+  const slug = slugify(body.slug || title);
+  if (!slug) invalid('slug', 'slug must contain letters or numbers');
+
+  const payload = {
+    title,
+    slug,
+    description: (body.description || '').toString(),
+    cover_photo_id: body.cover_photo_id || null,
+    order_index: Number.isFinite(body.order_index) ? body.order_index : Date.now(),
+  };
+
+  const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify(payload),
+  });
+  if (!insRes.ok) {
+    // PostgREST reports unique violations as 409 / code 23505
+    const err = await restError(insRes, 'db insert failed');
+    if (FK_VIOLATION.test(err.detail)) invalid('cover_photo_id', 'cover_photo_id must be a photo in the gallery');
+    if (isConflict(insRes.status, err.detail)) fail(409, `Slug "${slug}" is already used`);
+    throw err;
+  }
+  const [row] = await insRes.json();
+  return row;
+};
+
+// PUT: update album fields
+// body: { id, title?, slug?, description?, cover_photo_id?, order_index? }
+const update = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const fields = {};
+  if (typeof body.title === 'string') {
+    if (!body.title.trim()) invalid('title', 'title cannot be empty');
+    fields.title = body.title.trim();
+  }
+  if (typeof body.slug === 'string') {
+    fields.slug = slugify(body.slug);
+    if (!fields.slug) invalid('slug', 'slug must contain letters or numbers');
+  }
+  if (typeof body.description === 'string') fields.description = body.description;
+  if (body.cover_photo_id !== undefined) fields.cover_photo_id = body.cover_photo_id || null;
+  if (Number.isFinite(body.order_index)) fields.order_index = body.order_index;
+
+  if (Object.keys(fields).length === 0) fail(400, 'No updatable fields provided');
+  fields.updated_at = new Date().toISOString();
+
+  // The album as it was, for the audit diff
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const curRes = await fetch(rest(`${byId}&select=*`), { headers: headersJSON(KEY) });
+  if (!curRes.ok) throw await restError(curRes, 'db read failed');
+  [trail.before] = await curRes.json();
+  if (!trail.before) fail(404, 'Album not found');
+
+  const updRes = await fetch(
+    rest(byId),
+    {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify(fields),
+    }
+  );
+  if (!updRes.ok) {
+    const err = await restError(updRes, 'db update failed');
+    if (FK_VIOLATION.test(err.detail)) invalid('cover_photo_id', 'cover_photo_id must be a photo in the gallery');
+    if (isConflict(updRes.status, err.detail)) fail(409, `Slug "${fields.slug}" is already used`);
+    throw err;
+  }
+  const [row] = await updRes.json();
+  if (!row) fail(404, 'Album not found');
+  return row;
+};
+
+// PUT /photos: replace album membership and order
+// body: { album_id, photo_ids: [id, ...] }
+const setPhotos = async ({ cfg, body, trail }) => {
+  const { KEY, rest } = cfg;
+  const albumId = body.album_id;
+  const ids = body.photo_ids.map(Number);
+  if (new Set(ids).size !== ids.length) invalid('photo_ids', 'photo_ids must be unique');
+  trail.id = albumId;
+  trail.meta = { photo_ids: ids };
+
+  const rpcRes = await fetch(rest('/rpc/set_album_photos'), {
+    method: 'POST',
+    headers: headersJSON(KEY),
+    body: JSON.stringify({ p_album_id: Number(albumId), p_photo_ids: ids }),
+  });
+  if (!rpcRes.ok) throw await restError(rpcRes, 'db update failed');
+  return { ok: true, album_id: albumId, photo_ids: ids };
+};
+
+// DELETE: remove the album (links cascade, photos stay)
+// body: { id }
+const remove = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const delRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`),
+    { method: 'DELETE', headers: { ...headersJSON(KEY), Prefer: 'return=representation' } }
+  );
+  if (!delRes.ok) throw await restError(delRes, 'db delete failed');
+  [trail.before] = await delRes.json();
+  if (!trail.before) fail(404, 'Album not found');
+  return { ok: true };
+};
+
+exports.handler = withAudit('album', createHandler({
+  name: 'albums',
+  config: () => ({
+    ...getConfig(),
+    TABLE: tableName('albums'),
+    LINKS: tableName('album_photos'),
+    GALLERY: tableName('gallery'),
+  }),
+  routes: {
+    GET: list,
+    POST: {
+      run: create,
+      schema: { title: { type: 'string', required: true, message: 'title required' }, slug: { type: 'string' }, cover_photo_id: COVER },
+    },
+    PUT: { run: update, schema: { id: ID, cover_photo_id: COVER } },
+    'PUT /photos': {
+      run: setPhotos,
+      schema: {
+        album_id: { type: 'id', required: true },
+        photo_ids: { type: 'array', required: true, items: { type: 'id' }, message: 'photo_ids must be an array of integers' },
+      },
+    },
+    DELETE: { run: remove, schema: { id: ID } },
+  },
+}), { 'PUT /photos': 'set_photos' });
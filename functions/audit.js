@@ -0,0 +1,53 @@
+// functions/audit.js
+// Read the audit log: who changed what, when, and how it went (see _shared/audit.js).
+// Methods:
+//   GET /.netlify/functions/audit?limit=50&cursor=…&sort=newest|oldest
+//       &actor=&resource=&resource_id=&action=&outcome=&session=&from=&to=
+//       -> { items: [{ id, created_at, actor, session, ip, action, resource, resource_id,
+//                      diff, meta, status, outcome, error }], total, limit, next_cursor }
+// Always paged (see _shared/query.js). actor matches a substring; resource, resource_id,
+// action, outcome and session match exactly; from/to filter on created_at.
+// Requires `Authorization: Bearer <token>` issued by /auth.
+//
+// Required env vars: the same as gallery.js. Optional:
+//   SUPAHUB_AUDIT_TABLE (default "audit_log")
+
+const { createHandler, fail } = require('./_shared/http');
+const { getConfig, tableName, restError } = require('./_shared/supabase');
+const { buildListQuery, totalFromRange, pageBody } = require('./_shared/query');
+
+const DEFAULT_LIMIT = '50';
+
+const LIST_SPEC = {
+  sorts: {
+    newest: ['created_at.desc', 'id.desc'],
+    oldest: ['created_at.asc', 'id.asc'],
+  },
+  defaultSort: 'newest',
+  filters: { actor: 'actor' },
+  exact: { resource: 'resource', resource_id: 'resource_id', action: 'action', outcome: 'outcome', session: 'session' },
+  dateColumn: 'created_at',
+  unscoped: true,
+};
+
+exports.handler = createHandler({
+  name: 'audit',
+  config: () => ({ ...getConfig(), TABLE: tableName('audit_log') }),
+  headers: { 'Cache-Control': 'no-store' },
+  routes: {
+    GET: {
+      admin: true,
+      run: async ({ cfg, query: qs }) => {
+        const { KEY, TABLE, rest } = cfg;
+        const list = buildListQuery({ ...qs, limit: qs.limit === undefined ? DEFAULT_LIMIT : qs.limit }, LIST_SPEC);
+        if (list.error) fail(400, list.error);
+
+        const res = await fetch(rest(`/${encodeURIComponent(TABLE)}?select=*&${list.query}`), {
+          headers: { apikey: KEY, authorization: `Bearer ${KEY}`, Prefer: 'count=exact' },
+        });
+        if (!res.ok) throw await restError(res, 'Failed to read the audit log');
+        return pageBody(await res.json(), list, totalFromRange(res));
+      },
+    },
+  },
+});
@@ -1,60 +1,124 @@
-const { createClient } = require('@supabase/supabase-js');
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-exports.handler = async (event, context) => {
-  // Enable CORS
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
+// functions/auth.js
+// Admin login. Exchanges the admin password for a signed, expiring session token.
+// Methods:
+//   POST /.netlify/functions/auth     { password, name? }  -> { success, token, expires_at }
+//   GET  /.netlify/functions/auth     (Authorization: Bearer <token>) -> { success, expires_at, name }
+// Everyone shares the password, so `name` (who is signing in) goes into the token and the
+// audit log credits their changes to it (see _shared/audit.js).
+//
+// Failed logins are counted per IP in `auth_attempts`; if that table can't be reached, each
+// function instance counts in memory instead.
+//
+// Required env vars: ADMIN_PASSWORD, ADMIN_TOKEN_SECRET, and the Supabase pair gallery.js needs
+// Optional:
+//   AUTH_MAX_ATTEMPTS    failed logins allowed per IP per window (default 5)
+//   AUTH_WINDOW_MINUTES  length of that window (default 15)
+//   SUPAHUB_AUTH_ATTEMPTS_TABLE (default "auth_attempts")
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
-  }
+const { signToken, verifyToken, getBearer, safeEqual, clientIp } = require('./_shared/auth');
+const { createHandler, fail } = require('./_shared/http');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+const { totalFromRange } = require('./_shared/query');
+
+const MAX_ATTEMPTS = parseInt(process.env.AUTH_MAX_ATTEMPTS || '', 10) || 5;
+const WINDOW_MS = (parseInt(process.env.AUTH_WINDOW_MINUTES || '', 10) || 15) * 60 * 1000;
+const MAX_NAME = 60;
 
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+// Per-instance fallback if the attempts table is unavailable
+const memoryAttempts = new Map();
+
+const attemptsUrl = (rest, query = '') => rest(`/${encodeURIComponent(tableName('auth_attempts'))}${query}`);
+
+const countFailures = async (ip) => {
+  const { KEY, rest } = getConfig();
+  const since = new Date(Date.now() - WINDOW_MS).toISOString();
+  const res = await fetch(
+    attemptsUrl(rest, `?select=id&ip=eq.${encodeURIComponent(ip)}&success=is.false&created_at=gte.${encodeURIComponent(since)}&limit=1`),
+    { headers: { ...headersJSON(KEY), Prefer: 'count=exact' } }
+  );
+  if (!res.ok) throw await restError(res, 'attempts lookup failed');
+  return totalFromRange(res) || 0;
+};
+
+const recentFailures = async (ip) => {
+  try {
+    return await countFailures(ip);
+  } catch (err) {
+    console.error('[auth] attempts lookup failed, using in-memory limiter', err.message, err.detail);
+    const list = (memoryAttempts.get(ip) || []).filter((t) => t > Date.now() - WINDOW_MS);
+    memoryAttempts.set(ip, list);
+    return list.length;
   }
+};
 
+const recordAttempt = async (ip, success) => {
+  if (!success) {
+    const list = memoryAttempts.get(ip) || [];
+    list.push(Date.now());
+    memoryAttempts.set(ip, list);
+  } else {
+    memoryAttempts.delete(ip);
+  }
   try {
-    const { password } = JSON.parse(event.body);
-    
-    if (password === process.env.ADMIN_PASSWORD) {
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({ 
-          success: true, 
-          message: 'Authentication successful' 
-        })
-      };
-    } else {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ 
-          success: false, 
-          message: 'Invalid password' 
-        })
-      };
-    }
-  } catch (error) {
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        success: false, 
-        message: 'Server error' 
-      })
-    };
+    const { KEY, rest } = getConfig();
+    const res = await fetch(attemptsUrl(rest), {
+      method: 'POST',
+      headers: { ...headersJSON(KEY), Prefer: 'return=minimal' },
+      body: JSON.stringify({ ip, success }),
+    });
+    if (!res.ok) throw await restError(res, 'attempt insert failed');
+  } catch (err) {
+    console.error('[auth] failed to record attempt', err.message, err.detail);
+  }
+};
+
+// GET: session check for an already-issued token
+const session = ({ event }) => {
+  const claims = verifyToken(getBearer(event));
+  if (!claims) fail(401, 'Invalid or expired session');
+  return {
+    success: true,
+    expires_at: new Date(claims.exp * 1000).toISOString(),
+    name: claims.name || null,
+  };
+};
+
+// POST: exchange the password for a token
+// body: { password, name? }
+const login = async ({ event, body }) => {
+  const ip = clientIp(event);
+  const failures = await recentFailures(ip);
+  if (failures >= MAX_ATTEMPTS) {
+    fail(429, 'Too many failed attempts. Try again later.', {
+      headers: { 'Retry-After': String(Math.ceil(WINDOW_MS / 1000)) },
+    });
   }
+
+  const { password, name } = body;
+  const expected = process.env.ADMIN_PASSWORD;
+
+  if (!(expected && typeof password === 'string' && safeEqual(password, expected))) {
+    await recordAttempt(ip, false);
+    fail(401, 'Invalid password');
+  }
+
+  await recordAttempt(ip, true);
+  const who = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, MAX_NAME) : '';
+  const token = signToken(who ? { name: who } : {});
+  const { exp } = verifyToken(token);
+  return {
+    success: true,
+    message: 'Authentication successful',
+    token,
+    expires_at: new Date(exp * 1000).toISOString(),
+  };
 };
+
+exports.handler = createHandler({
+  name: 'auth',
+  headers: { 'Cache-Control': 'no-store' },
+  routes: {
+    GET: session,
+    POST: { run: login, admin: false },
+  },
+});
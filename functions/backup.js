@@ -0,0 +1,544 @@
+// functions/backup.js
+// Whole-site backup: every photo, journal entry, revision, album, tag and place in one portable zip,
+// and the way back in.
+// Methods:
+//   POST /.netlify/functions/backup/export                    -> { path, download_url, expires_in, bytes, counts, missing }
+//   POST /.netlify/functions/backup/uploads  { filename }      -> { path, signed_url, expires_in }
+//   POST /.netlify/functions/backup/import   { path, dry_run? } -> import report (below)
+// Everything requires `Authorization: Bearer <token>` issued by /auth. Exports and imports
+// (dry runs too) are recorded in the audit log with their counts (see _shared/audit.js).
+//
+// Archive layout (schema_version 1):
+//   manifest.json      { format, schema_version, exported_at, counts,
+//                        files: [{ path, url, content_type, bytes }], missing: [{ path, url }] }
+//   data/<table>.json  all rows of gallery, journal, journal_revisions, albums, album_photos,
+//                      tags, photo_tags, entry_tags, places and place_aliases, trash included
+//   files/<path>       every storage object a gallery row points at: its original and variants
+// Archives never pass through a function body (Netlify caps those at ~6 MB): export writes
+// the zip to the private backups bucket and returns a signed download URL, and import reads
+// an archive the browser first PUT to a signed URL from /backup/uploads.
+//
+// Import works on an empty project or one that already has content. Rows get new ids and
+// every reference between them (album photos and covers, revisions, tag links, photos'
+// places, ![alt](photo:ID) in journal Markdown) is rewritten to match; files go to the same paths in this project's
+// bucket and the rows' URLs follow them. Nothing already here is overwritten: a photo whose
+// original is already in the gallery, an entry with the same title, date and creation time,
+// or an album whose slug is taken is skipped and listed in `conflicts` (photos and entries
+// then map to the existing row). So is a photo with a file outside uploads/ and variants/,
+// one that isn't an image (the stored type comes from the bytes, not the manifest), or one
+// whose path already holds a different object here. A tag whose slug exists here is listed
+// there too, and its imported photos and entries get the existing tag; places match by slug
+// the same way, and an alias already known here keeps its place. A photo or entry slug that
+// is already used here gets a -2, -3... suffix. dry_run runs every check but the one against
+// storage and writes nothing.
+// Report: { dry_run, schema_version, created: { table: n }, skipped: { table: n },
+//           conflicts: [{ table, id, reason, existing_id }], id_map: { table: { old: new } },
+//           files: { copied, missing: [path] } }
+// On a dry run, id_map has null for rows that would be created.
+//
+// Required env vars: the same as gallery.js. Optional:
+//   SUPAHUB_BACKUP_BUCKET (default "backups"; keep it private, see supabase/migrations/0009)
+//   the table names gallery.js, journal.js and albums.js read
+// Archives are built and read in memory, so a very large library can outgrow the
+// function's memory or time limit.
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { createHandler, fail } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { sniffImage } = require('./_shared/images');
+const { rowUrls } = require('./_shared/photos');
+const { createStorage, isPhotoPath, isUploadPath } = require('./_shared/storage');
+const { env, getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const FORMAT = 'kt-portfolio-backup';
+const SCHEMA_VERSION = 1;
+
+// Archive table names; the project's own names come from env (see getCfg)
+const TABLE_NAMES = [
+  'gallery', 'journal', 'journal_revisions', 'albums', 'album_photos', 'tags', 'photo_tags', 'entry_tags',
+  'places', 'place_aliases',
+];
+const TABLE_ORDER = {
+  gallery: 'id.asc',
+  journal: 'id.asc',
+  journal_revisions: 'id.asc',
+  albums: 'id.asc',
+  album_photos: 'album_id.asc,position.asc',
+  tags: 'id.asc',
+  photo_tags: 'photo_id.asc,tag_id.asc',
+  entry_tags: 'entry_id.asc,tag_id.asc',
+  places: 'id.asc',
+  place_aliases: 'key.asc',
+};
+
+// PostgREST returns at most this many rows per request on a default project
+const PAGE_SIZE = 1000;
+
+const DOWNLOAD_TTL_SECONDS = 60 * 60;
+
+// Same pattern as _shared/markdown.js, with the id in its own group
+const PHOTO_REF = /(!\[[^\]]*\]\(\s*photo:)(\d+)(\s*\))/g;
+
+const getCfg = () => {
+  const { KEY, BASE, rest } = getConfig();
+  const tables = {
+    gallery: tableName('gallery'),
+    journal: tableName('journal'),
+    journal_revisions: tableName('journal_revisions'),
+    albums: tableName('albums'),
+    album_photos: tableName('album_photos'),
+    tags: tableName('tags'),
+    photo_tags: tableName('photo_tags'),
+    entry_tags: tableName('entry_tags'),
+    places: tableName('places'),
+    place_aliases: tableName('place_aliases'),
+  };
+  return {
+    KEY,
+    tables,
+    rest,
+    photos: createStorage({ BASE, KEY, BUCKET: env('BUCKET', 'photos') }),
+    backups: createStorage({ BASE, KEY, BUCKET: env('BACKUP_BUCKET', 'backups') }),
+  };
+};
+
+// Every row of one table, a page at a time
+const fetchAll = async ({ KEY, tables, rest }, name, select = '*') => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const res = await fetch(
+      rest(`/${encodeURIComponent(tables[name])}?select=${select}&order=${TABLE_ORDER[name]}&limit=${PAGE_SIZE}&offset=${offset}`),
+      { headers: headersJSON(KEY) }
+    );
+    if (!res.ok) throw await restError(res, `${name} read failed`);
+    const page = await res.json();
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+};
+
+const insert = async ({ KEY, tables, rest }, name, rows) => {
+  const res = await fetch(rest(`/${encodeURIComponent(tables[name])}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify(rows),
+  });
+  if (!res.ok) throw await restError(res, `${name} insert failed`);
+  return res.json();
+};
+
+// --- export ---
+
+const exportArchive = async (cfg) => {
+  const { photos, backups } = cfg;
+  const data = {};
+  for (const name of TABLE_NAMES) data[name] = await fetchAll(cfg, name);
+
+  const zip = new JSZip();
+  const files = [];
+  const missing = [];
+  const seen = new Set();
+  for (const row of data.gallery) {
+    for (const url of rowUrls(row)) {
+      const path = photos.pathFromUrl(url);
+      // URLs outside the bucket (e.g. the site's own /photos/*.jpg) are kept as they are
+      if (!path || seen.has(path)) continue;
+      seen.add(path);
+      const buffer = await photos.get(path);
+      if (!buffer) {
+        missing.push({ path, url });
+        continue;
+      }
+      const type = sniffImage(buffer);
+      // Images are compressed already; deflating them again only costs time
+      zip.file(`files/${path}`, buffer, { compression: 'STORE' });
+      files.push({ path, url, content_type: type ? type.contentType : 'application/octet-stream', bytes: buffer.length });
+    }
+  }
+
+  const counts = Object.fromEntries(TABLE_NAMES.map((name) => [name, data[name].length]));
+  const manifest = { format: FORMAT, schema_version: SCHEMA_VERSION, exported_at: new Date().toISOString(), counts, files, missing };
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+  for (const name of TABLE_NAMES) zip.file(`data/${name}.json`, JSON.stringify(data[name], null, 2));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const stamp = manifest.exported_at.replace(/[:.]/g, '-');
+  const path = `exports/${stamp}-${crypto.randomBytes(3).toString('hex')}.zip`;
+  await backups.put(path, 'application/zip', buffer);
+  const downloadUrl = await backups.signDownload(path, DOWNLOAD_TTL_SECONDS, `${FORMAT}-${stamp.slice(0, 10)}.zip`);
+
+  if (missing.length) console.error('[backup export] files missing from storage', missing.map((m) => m.path));
+  return {
+    path,
+    download_url: downloadUrl,
+    expires_in: DOWNLOAD_TTL_SECONDS,
+    bytes: buffer.length,
+    counts,
+    missing: missing.map((m) => m.path),
+  };
+};
+
+// --- import ---
+
+/**
+ * Open and check an archive.
+ * @returns {Promise<{ zip, manifest, data } | { error: string }>}
+ */
+const readArchive = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return { error: 'Not a zip archive' };
+  }
+
+  const readJson = async (name) => {
+    const file = zip.file(name);
+    if (!file) return undefined;
+    try {
+      return JSON.parse(await file.async('string'));
+    } catch {
+      return null;
+    }
+  };
+
+  const manifest = await readJson('manifest.json');
+  if (!manifest || manifest.format !== FORMAT) return { error: 'Not a site backup (manifest.json missing or unrecognised)' };
+  const version = manifest.schema_version;
+  if (!Number.isInteger(version) || version < 1) return { error: 'manifest.json has no valid schema_version' };
+  if (version > SCHEMA_VERSION) {
+    return { error: `Archive schema_version ${version} is newer than this site supports (${SCHEMA_VERSION})` };
+  }
+
+  const data = {};
+  for (const name of TABLE_NAMES) {
+    const rows = await readJson(`data/${name}.json`);
+    if (rows !== undefined && !Array.isArray(rows)) return { error: `data/${name}.json must be a JSON array` };
+    data[name] = rows || [];
+  }
+  return { zip, manifest, data };
+};
+
+// What makes two rows "the same" across projects
+const photoKey = (row, pathOf) => {
+  const url = row.original_url || row.image_url || row.src || null;
+  return (url && pathOf(url)) || url;
+};
+const entryKey = (row) => JSON.stringify([row.title, row.entry_date, row.created_at]);
+
+// Point every URL in a gallery row at its new home
+const relink = (row, moved) => {
+  const swap = (u) => (typeof u === 'string' && moved.has(u) ? moved.get(u) : u);
+  const out = { ...row, image_url: swap(row.image_url), original_url: swap(row.original_url) };
+  if (typeof row.src === 'string') out.src = swap(row.src);
+  if (row.variants && typeof row.variants === 'object') {
+    out.variants = Object.fromEntries(Object.entries(row.variants).map(([name, v]) => [
+      name,
+      Object.fromEntries(Object.entries(v || {}).map(([k, u]) => [k, swap(u)])),
+    ]));
+  }
+  return out;
+};
+
+const remapPhotoRefs = (content, photoIds) =>
+  typeof content === 'string'
+    ? content.replace(PHOTO_REF, (m, open, id, close) => {
+      const next = photoIds.get(Number(id));
+      return next == null ? m : `${open}${next}${close}`;
+    })
+    : content;
+
+// Ids and the generated `search` columns are the target database's to fill in
+const withoutId = ({ id, search, ...fields }) => fields;
+
+// `row` with a slug no other row in `taken` has (which then includes it)
+const withFreeSlug = (row, taken) => {
+  if (!row.slug) return row;
+  let slug = row.slug;
+  for (let n = 2; taken.has(slug); n += 1) slug = `${row.slug}-${n}`;
+  taken.add(slug);
+  return { ...row, slug };
+};
+
+const importArchive = async (cfg, { zip, manifest, data }, { dryRun }) => {
+  const { photos } = cfg;
+  const report = {
+    dry_run: dryRun,
+    schema_version: manifest.schema_version,
+    created: Object.fromEntries(TABLE_NAMES.map((n) => [n, 0])),
+    skipped: Object.fromEntries(TABLE_NAMES.map((n) => [n, 0])),
+    conflicts: [],
+    id_map: {},
+    files: { copied: 0, missing: [] },
+  };
+  const conflict = (table, id, reason, existingId) => {
+    report.conflicts.push({ table, id, reason, existing_id: existingId });
+    report.skipped[table] += 1;
+  };
+  // old id -> new id (null: would be created, on a dry run)
+  const photoIds = new Map();
+  const entryIds = new Map();
+  const albumIds = new Map();
+  const tagIds = new Map();
+  const placeIds = new Map();
+  const newPhotos = new Set();
+  const newEntries = new Set();
+  const newAlbums = new Set();
+
+  try {
+    const [havePhotos, haveEntries, haveAlbums, haveTags, havePlaces, haveAliases] = await Promise.all([
+      fetchAll(cfg, 'gallery', 'id,slug,image_url,original_url'),
+      fetchAll(cfg, 'journal', 'id,slug,title,entry_date,created_at'),
+      fetchAll(cfg, 'albums', 'id,slug'),
+      fetchAll(cfg, 'tags', 'id,slug'),
+      fetchAll(cfg, 'places', 'id,slug'),
+      fetchAll(cfg, 'place_aliases', 'key'),
+    ]);
+    const photoByKey = new Map(havePhotos.map((r) => [photoKey(r, (u) => photos.pathFromUrl(u)), r.id]));
+    const entryByKey = new Map(haveEntries.map((r) => [entryKey(r), r.id]));
+    const albumBySlug = new Map(haveAlbums.map((r) => [r.slug, r.id]));
+    const photoSlugs = new Set(havePhotos.map((r) => r.slug));
+    const entrySlugs = new Set(haveEntries.map((r) => r.slug));
+
+    // Places first, so imported photos can point at them
+    const placeBySlug = new Map(havePlaces.map((r) => [r.slug, r.id]));
+    for (const row of data.places) {
+      if (placeBySlug.has(row.slug)) {
+        placeIds.set(row.id, placeBySlug.get(row.slug));
+        conflict('places', row.id, `place "${row.slug}" already exists`, placeBySlug.get(row.slug));
+        continue;
+      }
+      let id = null;
+      if (!dryRun) [{ id }] = await insert(cfg, 'places', withoutId(row));
+      placeIds.set(row.id, id);
+      placeBySlug.set(row.slug, id);
+      report.created.places += 1;
+    }
+
+    const aliasKeys = new Set(haveAliases.map((r) => r.key));
+    const aliases = data.place_aliases.filter((a) => !aliasKeys.has(a.key) && placeIds.has(a.place_id));
+    report.skipped.place_aliases += data.place_aliases.length - aliases.length;
+    if (!dryRun && aliases.length) {
+      await insert(cfg, 'place_aliases', aliases.map((a) => ({ key: a.key, place_id: placeIds.get(a.place_id) })));
+    }
+    report.created.place_aliases += aliases.length;
+
+    // Archive URL -> file entry (missing files too, so their rows still match by path)
+    const fileByUrl = new Map([...(manifest.missing || []), ...(manifest.files || [])].map((f) => [f.url, f]));
+    const archivePath = (u) => (fileByUrl.get(u) || {}).path;
+
+    for (const row of data.gallery) {
+      const key = photoKey(row, archivePath);
+      if (key && photoByKey.has(key)) {
+        photoIds.set(row.id, photoByKey.get(key));
+        conflict('gallery', row.id, 'photo already in the gallery', photoByKey.get(key));
+        continue;
+      }
+
+      // The manifest says where each file goes; only photo paths are taken, and the
+      // stored type comes from the bytes
+      const files = [];
+      const missing = [];
+      let refused = null;
+      for (const url of rowUrls(row)) {
+        const entry = fileByUrl.get(url);
+        if (!entry) continue;
+        if (!isPhotoPath(entry.path)) {
+          refused = `file path "${entry.path}" is not a photo upload or variant`;
+          break;
+        }
+        const file = zip.file(`files/${entry.path}`);
+        if (!file) {
+          missing.push(entry.path);
+          continue;
+        }
+        const buffer = await file.async('nodebuffer');
+        const type = sniffImage(buffer);
+        if (!type) {
+          refused = `file "${entry.path}" is not an image`;
+          break;
+        }
+        files.push({ url, path: entry.path, type, buffer });
+      }
+
+      // An object already at a path stays; the photo is only restored over an identical copy
+      const moved = new Map();
+      const written = [];
+      for (const f of refused ? [] : files) {
+        if (!dryRun && !(await photos.create(f.path, f.type.contentType, f.buffer))) {
+          const there = await photos.get(f.path);
+          if (!there || !there.equals(f.buffer)) {
+            refused = `file "${f.path}" is already in storage`;
+            break;
+          }
+        } else if (!dryRun) {
+          written.push(f.path);
+        }
+        moved.set(f.url, photos.publicUrl(f.path));
+      }
+      if (refused) {
+        if (written.length) await photos.remove(written);
+        conflict('gallery', row.id, refused, null);
+        continue;
+      }
+      report.files.missing.push(...missing);
+      report.files.copied += files.length;
+
+      let id = null;
+      const fields = withFreeSlug(withoutId(relink(row, moved)), photoSlugs);
+      if (row.place_id != null) fields.place_id = placeIds.get(row.place_id) ?? null;
+      if (!dryRun) [{ id }] = await insert(cfg, 'gallery', fields);
+      photoIds.set(row.id, id);
+      if (key) photoByKey.set(key, id);
+      newPhotos.add(row.id);
+      report.created.gallery += 1;
+    }
+
+    for (const row of data.journal) {
+      const key = entryKey(row);
+      if (entryByKey.has(key)) {
+        entryIds.set(row.id, entryByKey.get(key));
+        conflict('journal', row.id, 'entry with the same title, date and creation time already exists', entryByKey.get(key));
+        continue;
+      }
+      let id = null;
+      const fields = withFreeSlug({ ...withoutId(row), content: remapPhotoRefs(row.content, photoIds) }, entrySlugs);
+      if (!dryRun) [{ id }] = await insert(cfg, 'journal', fields);
+      entryIds.set(row.id, id);
+      entryByKey.set(key, id);
+      newEntries.add(row.id);
+      report.created.journal += 1;
+    }
+
+    // An existing entry keeps its own history
+    const revisions = data.journal_revisions.filter((r) => newEntries.has(r.entry_id));
+    report.skipped.journal_revisions += data.journal_revisions.length - revisions.length;
+    if (!dryRun && revisions.length) {
+      await insert(cfg, 'journal_revisions', revisions.map((r) => ({
+        ...withoutId(r),
+        entry_id: entryIds.get(r.entry_id),
+        content: remapPhotoRefs(r.content, photoIds),
+      })));
+    }
+    report.created.journal_revisions += revisions.length;
+
+    for (const row of data.albums) {
+      if (albumBySlug.has(row.slug)) {
+        conflict('albums', row.id, `slug "${row.slug}" is already taken`, albumBySlug.get(row.slug));
+        continue;
+      }
+      let id = null;
+      if (!dryRun) {
+        const cover = row.cover_photo_id == null ? null : photoIds.get(row.cover_photo_id);
+        [{ id }] = await insert(cfg, 'albums', { ...withoutId(row), cover_photo_id: cover == null ? null : cover });
+      }
+      albumIds.set(row.id, id);
+      albumBySlug.set(row.slug, id);
+      newAlbums.add(row.id);
+      report.created.albums += 1;
+    }
+
+    // Links only for albums created here, and only to photos that made it across
+    const links = data.album_photos.filter((l) => newAlbums.has(l.album_id) && photoIds.has(l.photo_id));
+    report.skipped.album_photos += data.album_photos.length - links.length;
+    if (!dryRun && links.length) {
+      await insert(cfg, 'album_photos', links.map((l) => ({
+        album_id: albumIds.get(l.album_id),
+        photo_id: photoIds.get(l.photo_id),
+        position: l.position,
+      })));
+    }
+    report.created.album_photos += links.length;
+
+    const tagBySlug = new Map(haveTags.map((r) => [r.slug, r.id]));
+    for (const row of data.tags) {
+      if (tagBySlug.has(row.slug)) {
+        tagIds.set(row.id, tagBySlug.get(row.slug));
+        conflict('tags', row.id, `tag "${row.slug}" already exists`, tagBySlug.get(row.slug));
+        continue;
+      }
+      let id = null;
+      if (!dryRun) [{ id }] = await insert(cfg, 'tags', withoutId(row));
+      tagIds.set(row.id, id);
+      tagBySlug.set(row.slug, id);
+      report.created.tags += 1;
+    }
+
+    // Tag links only for photos and entries created here (existing ones keep their tags)
+    for (const [name, column, created, ids] of [
+      ['photo_tags', 'photo_id', newPhotos, photoIds],
+      ['entry_tags', 'entry_id', newEntries, entryIds],
+    ]) {
+      const tagLinks = data[name].filter((l) => created.has(l[column]) && tagIds.has(l.tag_id));
+      report.skipped[name] += data[name].length - tagLinks.length;
+      if (!dryRun && tagLinks.length) {
+        await insert(cfg, name, tagLinks.map((l) => ({ [column]: ids.get(l[column]), tag_id: tagIds.get(l.tag_id) })));
+      }
+      report.created[name] += tagLinks.length;
+    }
+  } catch (err) {
+    // Whatever was written before the failure stays; the report says how far it got
+    throw Object.assign(err, { extra: { report } });
+  } finally {
+    report.id_map = {
+      gallery: Object.fromEntries(photoIds),
+      journal: Object.fromEntries(entryIds),
+      albums: Object.fromEntries(albumIds),
+      tags: Object.fromEntries(tagIds),
+      places: Object.fromEntries(placeIds),
+    };
+  }
+  return report;
+};
+
+// POST /export: build an archive and hand back a link to it
+const exportSite = async ({ cfg, trail }) => {
+  const exported = await exportArchive(cfg);
+  trail.meta = { path: exported.path, counts: exported.counts };
+  return exported;
+};
+
+// POST /uploads: signed URL to PUT an archive to before importing it
+// body: { filename }
+const signUpload = ({ cfg, body }) => cfg.backups.signUpload(body.filename.trim());
+
+// POST /import: restore an uploaded archive
+// body: { path, dry_run? }
+const importSite = async ({ cfg, body, trail }) => {
+  const buffer = await cfg.backups.get(body.path);
+  if (!buffer) fail(404, 'Archive not found; the upload may have expired or failed');
+
+  const archive = await readArchive(buffer);
+  if (archive.error) fail(400, archive.error);
+
+  const report = await importArchive(cfg, archive, { dryRun: body.dry_run === true });
+  trail.meta = { path: body.path, dry_run: report.dry_run, created: report.created, conflicts: report.conflicts.length };
+  return report;
+};
+
+exports.handler = withAudit('backup', createHandler({
+  name: 'backup',
+  config: getCfg,
+  routes: {
+    'POST /export': exportSite,
+    'POST /uploads': {
+      run: signUpload,
+      schema: { filename: { type: 'string', required: true, pattern: /\.zip\s*$/i, message: 'filename must be a .zip file' } },
+    },
+    'POST /import': {
+      run: importSite,
+      schema: {
+        path: {
+          required: true,
+          check: (v) => (isUploadPath(v) ? undefined : 'path must be a path returned by /backup/uploads'),
+        },
+        dry_run: { type: 'boolean' },
+      },
+    },
+  },
+}), {
+  'POST /export': 'export',
+  'POST /uploads': null,
+  'POST /import': 'import',
+});
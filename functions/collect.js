@@ -0,0 +1,110 @@
+// functions/collect.js
+// Counts what visitors look at on the public site (index.html sends the batches).
+// Methods:
+//   POST /.netlify/functions/collect   { events: [{ type, id }, ...], referrer? }   -> 204
+//        type: "impression" (a photo seen in the grid), "open" (a photo opened in the
+//        lightbox) or "view" (a journal entry brought to the front of the deck); id is the
+//        photo's or entry's id. referrer is where the visit came from; only its host is kept.
+// Ids that aren't a photo or entry outside the trash aren't counted, nor are referrers whose
+// host isn't a domain name; past 200 hosts in a day, the rest count as "other" (see
+// record_stats in supabase/migrations/0015).
+// Nothing identifies the visitor: no cookies, no ids, and neither the address nor the user
+// agent is stored, only daily counts (supabase/migrations/0015, read back by stats.js).
+// Requests with DNT: 1 or Sec-GPC: 1, and from user agents that look like bots, are
+// answered the same way but not counted. Referrals from the site itself aren't counted.
+// No session needed.
+//
+// Required env vars: the same as gallery.js. Optional:
+//   SITE_URL (or Netlify's URL)   the site's own address, so its referrals are left out
+
+const { createHandler, reply } = require('./_shared/http');
+const { getHeader } = require('./_shared/auth');
+const { getConfig, headersJSON, restError } = require('./_shared/supabase');
+
+const TYPES = ['impression', 'open', 'view'];
+
+// Events one request may carry; the page sends smaller batches
+const MAX_EVENTS = 100;
+
+// Crawlers, link previews, monitors, headless browsers and HTTP libraries
+const BOT_UA = /bot|crawl|spider|slurp|archiver|preview|facebookexternalhit|embedly|monitor|pingdom|lighthouse|headless|phantomjs|puppeteer|playwright|selenium|curl|wget|python|java\/|go-http|okhttp|node-fetch|axios|httpclient/i;
+
+const isId = (v) => (Number.isInteger(v) && v > 0) || (typeof v === 'string' && /^[1-9]\d{0,17}$/.test(v));
+
+const COLLECT_FIELDS = {
+  events: {
+    type: 'array',
+    required: true,
+    max: MAX_EVENTS,
+    check: (events) => {
+      for (const [i, e] of events.entries()) {
+        if (!e || typeof e !== 'object') return `events[${i}] must be an object`;
+        if (!TYPES.includes(e.type)) return `events[${i}].type must be one of: ${TYPES.join(', ')}`;
+        if (!isId(e.id)) return `events[${i}].id must be a positive integer id`;
+      }
+      return undefined;
+    },
+  },
+  referrer: { type: 'string', nullable: true, max: 2048 },
+};
+
+/** True when the request asks not to be tracked or doesn't come from a person's browser. */
+const ignored = (event) => {
+  if (getHeader(event, 'dnt') === '1' || getHeader(event, 'sec-gpc') === '1') return true;
+  const ua = getHeader(event, 'user-agent') || '';
+  return !ua || BOT_UA.test(ua);
+};
+
+// A registered-looking domain name: dotted labels, ending in letters (no addresses, no "localhost")
+const DOMAIN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+const hostOf = (value) => {
+  try {
+    const u = new URL(value);
+    return /^https?:$/.test(u.protocol) ? u.hostname.toLowerCase().replace(/^www\./, '') : null;
+  } catch {
+    return null;
+  }
+};
+
+// The referrer's host, unless it's missing, not a web address or this site
+const referrerHost = (event, referrer) => {
+  const host = referrer ? hostOf(referrer) : null;
+  if (!host) return null;
+  const own = [getHeader(event, 'host'), process.env.SITE_URL, process.env.URL]
+    .filter(Boolean)
+    .map((v) => hostOf(/^https?:\/\//.test(v) ? v : `http://${v}`));
+  return own.includes(host) || !DOMAIN.test(host) ? null : host;
+};
+
+// { metric, item_id, count: 1 } per distinct event: the page sends each once per visit, so a
+// batch repeating one can't count it twice
+const countEvents = (events) => {
+  const counts = new Map();
+  for (const e of events) counts.set(`${e.type}:${Number(e.id)}`, { metric: e.type, item_id: Number(e.id), count: 1 });
+  return [...counts.values()];
+};
+
+const collect = async ({ cfg, event, body }) => {
+  if (ignored(event)) return reply(204, '');
+  const counts = countEvents(body.events);
+  const referrer = referrerHost(event, body.referrer);
+  if (!counts.length && !referrer) return reply(204, '');
+
+  const res = await fetch(cfg.rest('/rpc/record_stats'), {
+    method: 'POST',
+    headers: headersJSON(cfg.KEY),
+    body: JSON.stringify({ p_day: new Date().toISOString().slice(0, 10), p_counts: counts, p_referrer: referrer }),
+  });
+  if (!res.ok) throw await restError(res, 'Failed to record stats');
+  return reply(204, '');
+};
+
+exports.handler = createHandler({
+  name: 'collect',
+  config: getConfig,
+  headers: { 'Cache-Control': 'no-store' },
+  routes: {
+    POST: { run: collect, schema: COLLECT_FIELDS, admin: false },
+  },
+});
@@ -0,0 +1,47 @@
+// functions/exif.js
+// Reads camera/exposure/date/GPS metadata so the manage page can prefill the upload form.
+// Methods:
+//   POST /.netlify/functions/exif     { image|dataUrl }  -> { fields, suggestions }
+// The image may be just the first few hundred KB of the file; EXIF lives at the start.
+// The data URL must declare one of the upload formats (see _shared/images.js) and decode
+// to at most 1 MB.
+// Requires `Authorization: Bearer <token>` issued by /auth.
+
+const { createHandler, fail } = require('./_shared/http');
+const { extractExif } = require('./_shared/exif');
+const { IMAGE_TYPES } = require('./_shared/images');
+
+const DATA_URL = /^data:([^;]*);base64,(.+)$/i;
+const NEEDED = 'image dataUrl required';
+
+// The manage page sends 512 KB; this leaves room for base64 and big XMP blocks
+const MAX_BYTES = 1024 * 1024;
+
+exports.handler = createHandler({
+  name: 'exif',
+  routes: {
+    POST: {
+      schema: {
+        image: { type: 'string', pattern: DATA_URL, message: NEEDED },
+        dataUrl: { type: 'string', pattern: DATA_URL, message: NEEDED },
+      },
+      run: async ({ body }) => {
+        const field = body.image ? 'image' : 'dataUrl';
+        const m = DATA_URL.exec(body.image || body.dataUrl || '');
+        if (!m) fail(400, NEEDED, { fields: { image: NEEDED } });
+
+        const type = m[1].toLowerCase();
+        if (!IMAGE_TYPES.includes(type)) {
+          const message = `${field} must be one of: ${IMAGE_TYPES.join(', ')}`;
+          fail(415, message, { code: 'unsupported_type', fields: { [field]: message } });
+        }
+        // base64 is 4 characters per 3 bytes
+        if (Math.floor((m[2].length * 3) / 4) > MAX_BYTES) {
+          const message = `${field} must be at most ${MAX_BYTES / 1048576} MB`;
+          fail(413, message, { code: 'too_large', fields: { [field]: message } });
+        }
+        return extractExif(Buffer.from(m[2], 'base64'));
+      },
+    },
+  },
+});
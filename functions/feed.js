@@ -0,0 +1,240 @@
+// functions/feed.js
+// Subscription feeds for the journal and newly added photos.
+// Methods:
+//   GET /.netlify/functions/feed                      RSS 2.0 (default)
+//   GET /.netlify/functions/feed?format=atom          Atom 1.0
+//   GET /.netlify/functions/feed?format=json          JSON Feed 1.1
+//   GET ...?type=journal|photos|all                   which items to include (default "all")
+// Also reachable as /api/feed (netlify.toml). Only live items are listed (see _shared/publishing.js).
+// Responses carry ETag / Last-Modified and answer conditional requests with 304.
+//
+// Optional env vars:
+//   SITE_URL     absolute site URL for links (defaults to Netlify's URL, then the request host)
+//   FEED_TITLE   (default "Kurt Tristan - Wander in Wonder")
+//   FEED_LIMIT   items per feed (default 20, max 100)
+//   SUPAHUB_JOURNAL_TABLE / SUPAHUB_GALLERY_TABLE as in journal.js / gallery.js
+
+const crypto = require('crypto');
+const { liveFilter } = require('./_shared/publishing');
+const { render, photoIds, photoImage, escapeHtml } = require('./_shared/markdown');
+const { fetchPhotosById } = require('./_shared/photos');
+const { getHeader } = require('./_shared/auth');
+const { createHandler, reply, fail } = require('./_shared/http');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+const TYPES = ['journal', 'photos', 'all'];
+
+const feedLimit = () => Math.min(parseInt(process.env.FEED_LIMIT || '', 10) || 20, 100);
+
+const siteUrl = (event) => {
+  const fromEnv = process.env.SITE_URL || process.env.URL;
+  if (fromEnv) return fromEnv.replace(/\/$/, '');
+  const h = event.headers || {};
+  const host = h.host || h.Host || 'localhost';
+  const proto = h['x-forwarded-proto'] || 'https';
+  return `${proto}://${host}`;
+};
+
+// entry_date is a plain date; treat it as midnight UTC so every reader agrees on the day
+const toDate = (v) => {
+  if (!v) return null;
+  const s = String(v);
+  const d = new Date(s.length === 10 ? `${s}T00:00:00Z` : s);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const xml = (s) =>
+  String(s == null ? '' : s).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[m]));
+
+// CDATA can't contain "]]>", so split it across two sections
+const cdata = (s) => `<![CDATA[${String(s).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', avif: 'image/avif', gif: 'image/gif' };
+const imageType = (url) => {
+  const m = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(url);
+  return (m && IMAGE_TYPES[m[1].toLowerCase()]) || 'image/jpeg';
+};
+
+const fetchRows = async (url, key, tag) => {
+  const res = await fetch(url, { headers: headersJSON(key) });
+  if (!res.ok) throw await restError(res, `Failed to load ${tag}`);
+  return res.json();
+};
+
+const journalItems = async (cfg, site) => {
+  const { KEY, JOURNAL, GALLERY, LIMIT, rest } = cfg;
+  const rows = await fetchRows(
+    rest(`/${encodeURIComponent(JOURNAL)}?select=*&${liveFilter()}&order=entry_date.desc.nullslast&order=id.desc&limit=${LIMIT}`),
+    KEY,
+    'journal'
+  );
+  const photos = await fetchPhotosById({ KEY, rest, table: GALLERY }, rows.flatMap((r) => photoIds(r.content)));
+
+  return rows.map((r) => {
+    const published = toDate(r.entry_date) || toDate(r.publish_at) || toDate(r.created_at) || new Date();
+    const url = r.slug ? `${site}/journal/${encodeURIComponent(r.slug)}/` : `${site}/#journal-${r.id}`;
+    return {
+      id: url,
+      url,
+      title: r.title || 'Untitled',
+      html: render(r.content || '', { resolvePhoto: (id) => photoImage(photos.get(id)) }),
+      published,
+      updated: toDate(r.updated_at) || published,
+      tags: ['journal'],
+    };
+  });
+};
+
+const photoItems = async (cfg, site) => {
+  const { KEY, GALLERY, LIMIT, rest } = cfg;
+  const rows = await fetchRows(
+    rest(`/${encodeURIComponent(GALLERY)}?select=*&${liveFilter()}&order=created_at.desc.nullslast&order=id.desc&limit=${LIMIT}`),
+    KEY,
+    'photos'
+  );
+
+  return rows
+    .map((r) => {
+      const img = photoImage(r);
+      if (!img) return null;
+      const published = toDate(r.publish_at) || toDate(r.created_at) || new Date();
+      const url = r.slug ? `${site}/#photo/${encodeURIComponent(r.slug)}` : `${site}/#photo-${r.id}`;
+      const caption = [r.caption, r.location].filter(Boolean).map(escapeHtml).join(' · ');
+      return {
+        id: url,
+        url,
+        title: r.title || 'New photo',
+        html: `<p><img src="${escapeHtml(img.src)}" alt="${escapeHtml(r.alt_text || r.title || '')}"></p>${caption ? `<p>${caption}</p>` : ''}`,
+        published,
+        updated: toDate(r.updated_at) || published,
+        image: img.src,
+        imageType: imageType(img.src),
+        tags: ['photos'],
+      };
+    })
+    .filter(Boolean);
+};
+
+const toRss = (feed) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+<channel>
+<title>${xml(feed.title)}</title>
+<link>${xml(feed.home)}</link>
+<description>${xml(feed.description)}</description>
+<atom:link href="${xml(feed.self)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${feed.items.map((i) => `<item>
+<title>${xml(i.title)}</title>
+<link>${xml(i.url)}</link>
+<guid isPermaLink="false">${xml(i.id)}</guid>
+<pubDate>${i.published.toUTCString()}</pubDate>
+${i.tags.map((t) => `<category>${xml(t)}</category>`).join('')}
+<description>${cdata(i.html)}</description>
+<content:encoded>${cdata(i.html)}</content:encoded>
+${i.image ? `<enclosure url="${xml(i.image)}" length="0" type="${xml(i.imageType)}"/>` : ''}
+</item>`).join('\n')}
+</channel>
+</rss>
+`;
+
+const toAtom = (feed) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>${xml(feed.title)}</title>
+<subtitle>${xml(feed.description)}</subtitle>
+<id>${xml(feed.home)}/</id>
+<link href="${xml(feed.home)}"/>
+<link rel="self" type="application/atom+xml" href="${xml(feed.self)}"/>
+<updated>${feed.updated.toISOString()}</updated>
+<author><name>Kurt Tristan</name></author>
+${feed.items.map((i) => `<entry>
+<title>${xml(i.title)}</title>
+<id>${xml(i.id)}</id>
+<link href="${xml(i.url)}"/>
+<published>${i.published.toISOString()}</published>
+<updated>${i.updated.toISOString()}</updated>
+${i.tags.map((t) => `<category term="${xml(t)}"/>`).join('')}
+${i.image ? `<link rel="enclosure" type="${xml(i.imageType)}" href="${xml(i.image)}"/>` : ''}
+<content type="html">${xml(i.html)}</content>
+</entry>`).join('\n')}
+</feed>
+`;
+
+const toJsonFeed = (feed) =>
+  JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.home,
+    feed_url: feed.self,
+    authors: [{ name: 'Kurt Tristan' }],
+    items: feed.items.map((i) => ({
+      id: i.id,
+      url: i.url,
+      title: i.title,
+      content_html: i.html,
+      date_published: i.published.toISOString(),
+      date_modified: i.updated.toISOString(),
+      tags: i.tags,
+      ...(i.image ? { image: i.image, attachments: [{ url: i.image, mime_type: i.imageType }] } : {}),
+    })),
+  }, null, 2);
+
+const serveFeed = async ({ cfg, event, query: qs }) => {
+  const format = (qs.format || 'rss').toLowerCase();
+  const type = (qs.type || 'all').toLowerCase();
+  if (!FORMATS[format]) fail(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  if (!TYPES.includes(type)) fail(400, `type must be one of: ${TYPES.join(', ')}`);
+
+  const site = siteUrl(event);
+  const lists = await Promise.all([
+    type !== 'photos' ? journalItems(cfg, site) : [],
+    type !== 'journal' ? photoItems(cfg, site) : [],
+  ]);
+  const items = lists
+    .flat()
+    .sort((a, b) => b.published - a.published)
+    .slice(0, cfg.LIMIT);
+
+  const updated = items.reduce((max, i) => (i.updated > max ? i.updated : max), new Date(0));
+  const query = new URLSearchParams({ ...(format !== 'rss' ? { format } : {}), ...(type !== 'all' ? { type } : {}) }).toString();
+  const feed = {
+    title: process.env.FEED_TITLE || 'Kurt Tristan - Wander in Wonder',
+    description: type === 'photos' ? 'New photographs' : type === 'journal' ? 'Journal entries' : 'Journal entries and new photographs',
+    home: site,
+    self: `${site}/api/feed${query ? `?${query}` : ''}`,
+    updated,
+    items,
+  };
+
+  const body = format === 'atom' ? toAtom(feed) : format === 'json' ? toJsonFeed(feed) : toRss(feed);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 27)}"`;
+  const lastModified = updated.toUTCString();
+  const headers = {
+    'Content-Type': FORMATS[format],
+    'Cache-Control': 'public, max-age=300',
+    ETag: etag,
+    'Last-Modified': lastModified,
+  };
+
+  // If-None-Match wins over If-Modified-Since when both are sent
+  const inm = getHeader(event, 'if-none-match');
+  const ims = getHeader(event, 'if-modified-since');
+  const notModified = inm
+    ? inm.split(',').map((t) => t.trim().replace(/^W\//, '')).some((t) => t === etag || t === '*')
+    : !!ims && !Number.isNaN(Date.parse(ims)) && Math.floor(updated.getTime() / 1000) <= Math.floor(Date.parse(ims) / 1000);
+  if (notModified) return reply(304, '', headers);
+
+  return reply(200, body, headers);
+};
+
+exports.handler = createHandler({
+  name: 'feed',
+  config: () => ({ ...getConfig(), JOURNAL: tableName('journal'), GALLERY: tableName('gallery'), LIMIT: feedLimit() }),
+  allowHeaders: 'Content-Type, If-None-Match, If-Modified-Since',
+  routes: { GET: serveFeed },
+});
@@ -0,0 +1,23 @@
+// functions/flush-builds.js
+// Scheduled once a minute (see netlify.toml): calls the build hook for queued rebuilds
+// whose window has passed, so saves queued with AUTO_REBUILD ship even when nobody has the
+// manage page open. Netlify doesn't route URLs to scheduled functions, so nothing else can
+// call it. See _shared/builds.js.
+
+const { createHandler } = require('./_shared/http');
+const { getConfig } = require('./_shared/supabase');
+const { flushBuilds } = require('./_shared/builds');
+
+exports.handler = createHandler({
+  name: 'flush-builds',
+  config: getConfig,
+  routes: {
+    POST: {
+      admin: false,
+      run: async ({ cfg }) => {
+        const fired = await flushBuilds(cfg);
+        return { ok: true, fired: fired.map((b) => ({ id: b.id, status: b.status })) };
+      },
+    },
+  },
+});
@@ -1,250 +1,550 @@
 // netlify/functions/gallery.js
 // REST API for your gallery.
 // Methods:
-//   GET    /.netlify/functions/gallery
-//   POST   /.netlify/functions/gallery     { image|dataUrl, filename, location?, title?, caption?, camera?, film? }
-//   PUT    /.netlify/functions/gallery     { id, location?, image_url?, title?, caption?, camera?, film? }
-//   DELETE /.netlify/functions/gallery     { id }
+//   GET    /.netlify/functions/gallery                published photos that are due
+//   GET    /.netlify/functions/gallery?scope=all      every photo incl. drafts, unredacted (admin)
+//   GET    /.netlify/functions/gallery?scope=trash    photos in the trash, last deleted first (admin)
+//   GET    /.netlify/functions/gallery?slug=fog-at-dawn   one photo (404 unless live; any but trashed with scope=all)
+//   GET    ...?limit=24&cursor=…&sort=order|newest|oldest|taken|title
+//             &location=&camera=&film=&from=&to=&q=&tag=&place=    one page: { items, total, limit, next_cursor }
+//   POST   /.netlify/functions/gallery/uploads    { files: [{ filename, size, content_type }] }
+//                                                 -> { uploads: [{ filename, path, signed_url, expires_in }] }
+//   POST   /.netlify/functions/gallery     { upload_path, content_type?, filename?, slug?, location?, title?, alt_text?, caption?, camera?, film?, taken_at?, hide_location?, status?, publish_at?, tags? }
+//   PUT    /.netlify/functions/gallery     { id, slug?, location?, image_url?, title?, alt_text?, caption?, camera?, film?, hide_location?, status?, publish_at?, tags? }
+//   DELETE /.netlify/functions/gallery     { id }   (moves it to the trash)
+//   POST   /.netlify/functions/gallery/restore    { id }   (takes it out of the trash)
+//   DELETE /.netlify/functions/gallery/trash      { id }   (purges a trashed photo and its files)
+//                                                 -> { ok, id, removed: [path], orphans: [path] }
+//   PATCH  /.netlify/functions/gallery/order   { ids: [id, ...] }  (new display order)
+// GET returns rows sorted by `order_index` by default; new uploads go to the end.
+// from/to filter on `taken_at`; q searches title and caption (see _shared/query.js);
+// tag=<slug> keeps the photos carrying that tag, place=<slug> those taken at that place.
+// Every photo comes back with its `tags`; `tags: ["name", ...]` on POST/PUT replaces them,
+// creating new tags as needed (see _shared/tags.js).
+// Uploading is two steps so large scans never pass through a function body: the browser
+// PUTs each file to its signed URL (see _shared/storage.js), then POSTs its `path` back.
+// POST checks the file's real type by its magic bytes, deletes it if it isn't a supported
+// image, and resizes it into thumb/grid/lightbox variants (see _shared/images.js)
+// and stores their URLs in `variants` along with the original's `width`/`height`. If a
+// later step fails, the variants, the upload and any row it made are removed again; a
+// path that was already finalized returns that photo rather than a second row.
+// It also stores parsed EXIF (camera, lens, exposure, taken_at, GPS); camera/location
+// fall back to EXIF suggestions when not supplied. Rows with `hide_location` never
+// expose GPS or the original file (which still carries it) through GET.
+// status is draft | scheduled | published (see _shared/publishing.js).
+// alt_text describes the photo for screen readers; pages fall back to the title without it.
+// `location` is free text; POST and PUT also link the photo to its place (`place_id`, see
+// _shared/places.js), creating the place when it's new. A failed lookup only leaves the
+// link as it was; an emptied location clears it.
+// Each photo gets a unique `slug` from its title (or file name) when it is created, for
+// /#photo/<slug> links; it only changes when PUT sets it (see _shared/slugs.js).
+// Deleting only sets `deleted_at`; trashed photos drop out of every list but scope=trash.
+// Purging removes the row, then its files; files storage failed to delete come back as
+// `orphans` so they can be cleaned up by hand.
+// POST and PUT bodies are checked against PHOTO_FIELDS: unknown fields, over-long text,
+// malformed dates and an image_url outside the photo bucket are 400s naming each bad
+// field in `fields` (see _shared/http.js). Uploads must be JPEG, PNG, WebP, AVIF, TIFF or GIF.
+// POST/PUT/PATCH/DELETE and ?scope=all|trash require `Authorization: Bearer <token>` issued by /auth.
+// Every write except signing uploads is recorded in the audit log (see _shared/audit.js)
+// and, with AUTO_REBUILD on, queues a rebuild of the site (see _shared/builds.js).
 //
 // Required Netlify env vars (Site settings → Environment):
 //   SUPAHUB_URL or SUPABASE_URL
 //   SUPAHUB_SERVICE_KEY or SUPABASE_SERVICE_ROLE_KEY
 // Optional:
 //   SUPAHUB_BUCKET (default "photos")
-//   SUPAHUB_GALLERY_TABLE (default "gallery")
+//   SUPAHUB_GALLERY_TABLE (default "gallery"; reorder_gallery() in the SQL always uses "gallery",
+//                         see _shared/supabase.js)
+//   UPLOAD_MAX_MB (default 200) largest accepted original
+// Writes also need ADMIN_TOKEN_SECRET (see _shared/auth.js).
 // Also set: NODE_VERSION=18 (or 20) so global `fetch` exists.
 
-const CORS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-};
+const { createHandler, fail, invalid } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { withRebuild } = require('./_shared/builds');
+const { processImage, sniffImage, IMAGE_TYPES } = require('./_shared/images');
+const { extractExif } = require('./_shared/exif');
+const { publicPhoto, rowUrls } = require('./_shared/photos');
+const { PUBLISH_FIELDS, parsePublishFields, resolvePublishFields, liveFilter } = require('./_shared/publishing');
+const { buildListQuery, totalFromRange, pageBody } = require('./_shared/query');
+const { slugify, isConflict, uniqueSlug } = require('./_shared/slugs');
+const { TAGS_FIELD, parseTagNames, setTags, attachTags, taggedIds } = require('./_shared/tags');
+const { resolvePlace, placeIdOf } = require('./_shared/places');
+const { createStorage, cleanName, isUploadPath } = require('./_shared/storage');
+const { env, getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+// Files one signing request may ask for
+const MAX_FILES_PER_REQUEST = 50;
 
-const json = (status, obj) => ({
-  statusCode: status,
-  headers: { 'Content-Type': 'application/json', ...CORS },
-  body: JSON.stringify(obj),
-});
+// What GET lets callers sort and filter on
+const LIST_SPEC = {
+  sorts: {
+    order: ['order_index.asc.nullslast', 'id.asc'],
+    newest: ['created_at.desc.nullslast', 'id.desc'],
+    oldest: ['created_at.asc.nullslast', 'id.asc'],
+    taken: ['taken_at.desc.nullslast', 'id.desc'],
+    title: ['title.asc.nullslast', 'id.asc'],
+  },
+  defaultSort: 'order',
+  filters: { location: 'location', camera: 'camera', film: 'film' },
+  dateColumn: 'taken_at',
+  search: ['title', 'caption'],
+};
 
 const getCfg = () => {
-  const URL =
-    process.env.SUPAHUB_URL ||
-    process.env.SUPABASE_URL ||
-    '';
-  const KEY =
-    process.env.SUPAHUB_SERVICE_KEY ||
-    process.env.SUPABASE_SERVICE_ROLE_KEY ||
-    '';
-  const BUCKET = process.env.SUPAHUB_BUCKET || process.env.SUPABASE_BUCKET || 'photos';
-  const TABLE = process.env.SUPAHUB_GALLERY_TABLE || process.env.SUPABASE_GALLERY_TABLE || 'gallery';
-  if (!URL || !KEY) {
-    throw new Error('Missing env vars: SUPAHUB_URL/SUPABASE_URL and SUPAHUB_SERVICE_KEY/SUPABASE_SERVICE_ROLE_KEY');
-  }
-  const BASE = URL.replace(/\/$/, '');
-  const rest = (path) => `${BASE}/rest/v1${path}`;
-  const objectWrite = (bucket, objectPath) =>
-    `${BASE}/storage/v1/object/${encodeURIComponent(bucket)}/${objectPath}`;
-  const objectPublic = (bucket, objectPath) =>
-    `${BASE}/storage/v1/object/public/${encodeURIComponent(bucket)}/${objectPath}`;
-  return { BASE, KEY, BUCKET, TABLE, rest, objectWrite, objectPublic };
+  const { KEY, BASE, rest } = getConfig();
+  const MAX_BYTES = (parseInt(process.env.UPLOAD_MAX_MB || '', 10) || 200) * 1024 * 1024;
+  return { KEY, TABLE: tableName('gallery'), MAX_BYTES, rest, storage: createStorage({ BASE, KEY, BUCKET: env('BUCKET', 'photos') }) };
+};
+
+const ID = { type: 'id', required: true };
+const text = (max) => ({ type: 'string', max });
+
+// What both POST and PUT accept; their routes are strict, so any other field is a 400
+const PHOTO_FIELDS = {
+  slug: text(120),
+  title: text(200),
+  alt_text: text(500),
+  caption: text(2000),
+  location: text(200),
+  camera: text(120),
+  film: text(120),
+  hide_location: { type: 'boolean' },
+  tags: TAGS_FIELD,
+  ...PUBLISH_FIELDS,
 };
 
-const headersJSON = (key) => ({
-  apikey: key,
-  authorization: `Bearer ${key}`,
-  'content-type': 'application/json',
-});
+const imageType = {
+  type: 'string',
+  check: (v) => (!v || IMAGE_TYPES.includes(v) ? undefined : `content_type must be one of: ${IMAGE_TYPES.join(', ')}`),
+};
 
-const cleanName = (s = '') =>
-  s.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+// A public URL of a file in this site's bucket (not just any URL mentioning one)
+const isOwnImageUrl = (storage, url) => {
+  const path = url.startsWith(storage.publicUrl('')) && storage.pathFromUrl(url);
+  return !!path && !path.split('/').some((part) => part === '' || part === '.' || part === '..');
+};
 
-const parseDataUrl = (dataUrl) => {
-  const m = /^data:([^;]+);base64,(.+)$/i.exec(dataUrl || '');
-  if (!m) throw new Error('Bad image dataUrl');
-  return { contentType: m[1], buffer: Buffer.from(m[2], 'base64') };
+// Admin views get every column; image_url/src are normalised like publicPhoto()
+const adminPhoto = (r) => {
+  const url = r.image_url || r.src || null;
+  return { ...r, image_url: url, src: url };
 };
 
-// Derive storage object path from a Supabase public URL
-const extractObjectPath = (publicUrl, bucket) => {
+// The id of the place a location names (null for none), or undefined if the lookup failed
+const placeFor = async (cfg, location) => {
   try {
-    if (!publicUrl) return null;
-    const marker = `/storage/v1/object/public/${encodeURIComponent(bucket)}/`;
-    const idx = publicUrl.indexOf(marker);
-    if (idx === -1) return null;
-    return decodeURIComponent(publicUrl.slice(idx + marker.length));
-  } catch {
-    return null;
+    const place = await resolvePlace(cfg, location);
+    return place ? place.id : null;
+  } catch (e) {
+    console.error('[gallery] place lookup failed', e);
+    return undefined;
   }
 };
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: CORS, body: '' };
+// GET: list gallery items, or one photo by slug
+const list = async (req) => {
+  const { KEY, TABLE, rest } = req.cfg;
+  const qs = req.query;
+  const trash = qs.scope === 'trash';
+  const all = qs.scope === 'all' || trash;
+  if (all) req.requireAdmin();
 
+  if (qs.slug) {
+    const scope = all ? 'deleted_at=is.null' : liveFilter();
+    const res = await fetch(
+      rest(`/${encodeURIComponent(TABLE)}?slug=eq.${encodeURIComponent(qs.slug)}&${scope}&select=*`),
+      { headers: headersJSON(KEY) }
+    );
+    if (!res.ok) throw await restError(res, 'Failed to load photo');
+    const [row] = await res.json();
+    if (!row) fail(404, 'Photo not found');
+    const [tagged] = await attachTags({ KEY, rest }, 'photo', [row]);
+    return all ? adminPhoto(tagged) : publicPhoto(tagged);
+  }
+
+  const tag = (qs.tag || '').toString().trim();
+  const place = (qs.place || '').toString().trim();
+  let ids = tag ? await taggedIds({ KEY, rest }, 'photo', tag) : undefined;
+  const placeId = place ? await placeIdOf({ KEY, rest }, place) : undefined;
+  // An unknown place matches nothing
+  if (placeId === null) ids = [];
+  const match = placeId ? { place_id: placeId } : undefined;
+  const list = buildListQuery(qs, LIST_SPEC, { live: !all, trash, ids, match });
+  if (list.error) fail(400, list.error);
+
+  const res = await fetch(rest(`/${encodeURIComponent(TABLE)}?select=*&${list.query}`), {
+    headers: { ...headersJSON(KEY), ...(list.paged ? { Prefer: 'count=exact' } : {}) },
+  });
+  if (!res.ok) throw await restError(res, 'Failed to list gallery');
+  const rows = await attachTags({ KEY, rest }, 'photo', await res.json());
+  const items = all ? rows.map(adminPhoto) : rows.map(publicPhoto);
+  return list.paged ? pageBody(items, list, totalFromRange(res)) : items;
+};
+
+// POST /uploads: signed URLs for direct-to-storage uploads
+// body: { files: [{ filename, size, content_type }] }
+const signUploads = async ({ cfg, body }) => {
+  const { MAX_BYTES, storage } = cfg;
+  body.files.forEach((f, i) => {
+    const field = `files[${i}]`;
+    if (Number(f.size) > MAX_BYTES) {
+      const message = `${f.filename} is larger than ${Math.round(MAX_BYTES / 1048576)} MB`;
+      fail(413, message, { code: 'too_large', fields: { [field]: message } });
+    }
+    if (f.content_type && !IMAGE_TYPES.includes(f.content_type)) {
+      const message = `${f.filename} is not a supported image (JPEG, PNG, WebP, AVIF, TIFF or GIF)`;
+      fail(415, message, { code: 'unsupported_type', fields: { [field]: message } });
+    }
+  });
+
+  const uploads = [];
+  for (const f of body.files) {
+    const signed = await storage.signUpload(f.filename);
+    uploads.push({ filename: f.filename, ...signed });
+  }
+  return { uploads };
+};
+
+// POST /restore: take a photo out of the trash
+// body: { id }
+const restore = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const resRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}&deleted_at=not.is.null`),
+    {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify({ deleted_at: null }),
+    }
+  );
+  if (!resRes.ok) throw await restError(resRes, 'db update failed');
+  const [row] = await resRes.json();
+  if (!row) fail(404, 'Photo is not in the trash');
+  trail.after = null; // the action says it all
+  const [tagged] = await attachTags({ KEY, rest }, 'photo', [row]);
+  return adminPhoto(tagged);
+};
+
+// POST: finalize one uploaded file into a gallery row
+// body: { upload_path, content_type?, filename?, slug?, location?, title?, alt_text?, caption?, camera?, film?, taken_at?, hide_location?, status?, publish_at?, tags? }
+const finalize = async ({ cfg, body }) => {
+  const { KEY, TABLE, MAX_BYTES, rest, storage } = cfg;
+  const path = body.upload_path;
+
+  const publish = parsePublishFields(body);
+  if (publish.error) invalid(publish.field, publish.error);
+  const tagNames = parseTagNames(body.tags);
+
+  // A retried request gets the photo its first attempt made
+  const originalUrl = storage.publicUrl(path);
+  const dupRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?original_url=eq.${encodeURIComponent(originalUrl)}&select=*`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!dupRes.ok) throw await restError(dupRes, 'db read failed');
+  const [done] = await dupRes.json();
+  if (done) return adminPhoto((await attachTags({ KEY, rest }, 'photo', [done]))[0]);
+
+  const buffer = await storage.get(path);
+  if (!buffer) fail(404, 'Upload not found; it may have expired or failed');
+  if (buffer.length > MAX_BYTES) {
+    await storage.remove([path]);
+    fail(413, `File is larger than ${Math.round(MAX_BYTES / 1048576)} MB`);
+  }
+
+  // Trust the bytes, not the name or the Content-Type the browser sent
+  const type = sniffImage(buffer);
+  if (!type) {
+    await storage.remove([path]);
+    fail(415, 'Unsupported file type (JPEG, PNG, WebP, AVIF, TIFF or GIF only)');
+  }
+
+  // Decode + resize before writing variants so bad files leave nothing behind
+  let processed;
   try {
-    const { BASE, KEY, BUCKET, TABLE, rest, objectWrite, objectPublic } = getCfg();
+    processed = await processImage(buffer);
+  } catch (e) {
+    console.error('[POST finalize] image processing failed', e);
+    await storage.remove([path]);
+    fail(400, 'Unsupported or corrupt image');
+  }
 
-    switch (event.httpMethod) {
-      // GET: list gallery items
-      case 'GET': {
-        const res = await fetch(rest(`/${encodeURIComponent(TABLE)}?select=*`), {
-          headers: headersJSON(KEY),
-        });
-        if (!res.ok) {
-          const t = await res.text().catch(() => '');
-          console.error('[GET gallery] REST error', res.status, t);
-          return json(502, { error: 'Failed to list gallery', detail: t });
-        }
-        const rows = await res.json();
-        const out = rows.map((r) => {
-          const url = r.image_url || r.src || null;
-          return { ...r, image_url: url, src: url };
-        });
-        return json(200, out);
+  const exif = await extractExif(buffer);
+
+  // From here on a failure takes back what was written: variants, the upload and the row
+  const written = [];
+  let row = null;
+  try {
+    // The original stays where the browser put it; fix its stored type if it was mislabelled
+    if (body.content_type !== type.contentType) await storage.put(path, type.contentType, buffer);
+
+    // variants: { thumb: { width, height, avif?, webp?, jpeg }, grid: {...}, lightbox: {...} }
+    const stamp = path.slice(path.indexOf('/') + 1);
+    const variants = {};
+    const variantDir = `variants/${stamp.replace(/\.[a-z0-9]+$/, '')}`;
+    for (const v of processed.variants) {
+      variants[v.name] = { width: v.width, height: v.height };
+      for (const file of v.files) {
+        const vPath = `${variantDir}/${v.name}.${file.ext}`;
+        written.push(vPath);
+        await storage.put(vPath, file.contentType, file.buffer);
+        variants[v.name][file.format] = storage.publicUrl(vPath);
       }
+    }
 
-      // POST: upload + insert row
-      // body: { image|dataUrl, filename, location?, title?, caption?, camera?, film? }
-      case 'POST': {
-        const body = JSON.parse(event.body || '{}');
-        const image = body.image || body.dataUrl;
-        const { filename } = body;
-        if (!image || !filename) return json(400, { error: 'image and filename required' });
-
-        const { contentType, buffer } = parseDataUrl(image);
-        const fname = cleanName(filename);
-        const objectPath = `uploads/${Date.now()}_${fname}`;
-
-        // Upload to storage (write path)
-        const upRes = await fetch(objectWrite(BUCKET, objectPath), {
-          method: 'POST',
-          headers: {
-            authorization: `Bearer ${KEY}`,
-            'content-type': contentType,
-            'x-upsert': 'true',
-          },
-          body: buffer,
-        });
-        if (!upRes.ok) {
-          const t = await upRes.text().catch(() => '');
-          console.error('[POST upload] storage error', upRes.status, t);
-          return json(502, { error: 'upload failed', detail: t });
-        }
-
-        const publicUrl = objectPublic(BUCKET, objectPath);
-
-        // Only keep the fields we support
-        const payload = {
-          filename: fname,
-          image_url: publicUrl,
-          location: (body.location || '').toString(),
-          title: (body.title || '').toString(),
-          caption: (body.caption || '').toString(),
-          camera: (body.camera || '').toString(),
-          film: (body.film || '').toString(),
-        };
-
-        const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
-          method: 'POST',
-          headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
-          body: JSON.stringify(payload),
+    // The largest JPEG is what legacy clients (and image_url readers) get
+    const publicUrl = variants.lightbox.jpeg;
+
+    const filename = cleanName(body.filename || stamp);
+    const slug = await uniqueSlug(
+      { KEY, rest, table: TABLE },
+      slugify(body.slug || body.title || filename.replace(/\.[a-z0-9]+$/i, '')) || 'photo'
+    );
+
+    // Only keep the fields we support
+    const payload = {
+      filename,
+      slug,
+      image_url: publicUrl,
+      original_url: originalUrl,
+      width: processed.width,
+      height: processed.height,
+      variants,
+      ...exif.fields,
+      ...(typeof body.taken_at === 'string' && body.taken_at && { taken_at: body.taken_at }),
+      hide_location: body.hide_location === true,
+      location: (body.location || exif.suggestions.location || '').toString(),
+      title: (body.title || '').toString(),
+      alt_text: (body.alt_text || '').toString().trim(),
+      caption: (body.caption || '').toString(),
+      camera: (body.camera || exif.suggestions.camera || '').toString(),
+      film: (body.film || '').toString(),
+      order_index: Date.now(), // sorts after anything already placed
+      ...publish.fields,
+    };
+    const placeId = await placeFor({ KEY, rest }, payload.location);
+    if (placeId !== undefined) payload.place_id = placeId;
+
+    const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
+      method: 'POST',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify(payload),
+    });
+    if (!insRes.ok) throw await restError(insRes, 'db insert failed');
+    [row] = await insRes.json();
+    const tags = tagNames.names ? await setTags({ KEY, rest }, 'photo', row.id, tagNames.names) : [];
+    return { ...row, image_url: publicUrl, src: publicUrl, tags };
+  } catch (e) {
+    await storage.remove([...written, path]);
+    if (row) {
+      try {
+        const delRes = await fetch(rest(`/${encodeURIComponent(TABLE)}?id=eq.${row.id}`), {
+          method: 'DELETE',
+          headers: headersJSON(KEY),
         });
-        if (!insRes.ok) {
-          const t = await insRes.text().catch(() => '');
-          console.error('[POST insert] REST error', insRes.status, t);
-          return json(502, { error: 'db insert failed', detail: t });
-        }
-        const [row] = await insRes.json();
-        const result = { ...row, image_url: publicUrl, src: publicUrl };
-        return json(200, result);
+        if (!delRes.ok) throw await restError(delRes, 'db delete failed');
+      } catch (err) {
+        console.error('[POST finalize] could not remove the new row', row.id, err);
       }
+    }
+    throw e;
+  }
+};
 
-      // PUT: update supported fields
-      // body: { id, location?, image_url?, title?, caption?, camera?, film? }
-      case 'PUT': {
-        const body = JSON.parse(event.body || '{}');
-        const { id } = body || {};
-        if (!id) return json(400, { error: 'Missing id' });
-
-        const fields = {};
-        if (typeof body.location === 'string')  fields.location = body.location;
-        if (typeof body.image_url === 'string') fields.image_url = body.image_url;
-
-        // NEW supported fields:
-        if (typeof body.title === 'string')     fields.title = body.title;
-        if (typeof body.caption === 'string')   fields.caption = body.caption;
-        if (typeof body.camera === 'string')    fields.camera = body.camera;
-        if (typeof body.film === 'string')      fields.film = body.film;
-
-        if (Object.keys(fields).length === 0) return json(400, { error: 'No updatable fields provided' });
-
-        const updRes = await fetch(
-          rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(id))}`),
-          {
-            method: 'PATCH',
-            headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
-            body: JSON.stringify(fields),
-          }
-        );
-        if (!updRes.ok) {
-          const t = await updRes.text().catch(() => '');
-          console.error('[PUT update] REST error', updRes.status, t);
-          return json(502, { error: 'db update failed', detail: t });
-        }
-
-        const [row] = await updRes.json();
-        const url = row.image_url || row.src || null;
-        return json(200, { ...row, image_url: url, src: url });
-      }
+// PUT: update supported fields
+// body: { id, slug?, location?, image_url?, title?, alt_text?, caption?, camera?, film?, hide_location?, status?, publish_at?, tags? }
+const update = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest, storage } = cfg;
+  const fields = {};
+  if (typeof body.location === 'string')  fields.location = body.location;
+  if (typeof body.image_url === 'string') {
+    if (!isOwnImageUrl(storage, body.image_url)) invalid('image_url', 'image_url must be a file in the photo bucket');
+    fields.image_url = body.image_url;
+  }
 
-      // DELETE: remove DB row and storage object
-      // body: { id }
-      case 'DELETE': {
-        const body = JSON.parse(event.body || '{}');
-        const { id } = body || {};
-        if (!id) return json(400, { error: 'Missing id' });
-
-        // Read row to get image_url
-        const getRes = await fetch(
-          rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(id))}&select=id,image_url`),
-          { headers: headersJSON(KEY) }
-        );
-        if (!getRes.ok) {
-          const t = await getRes.text().catch(() => '');
-          console.error('[DELETE fetch row] REST error', getRes.status, t);
-          return json(502, { error: 'db read failed', detail: t });
-        }
-        const [row] = await getRes.json();
-
-        // Delete row
-        const delRes = await fetch(
-          rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(id))}`),
-          { method: 'DELETE', headers: { ...headersJSON(KEY), Prefer: 'return=minimal' } }
-        );
-        if (!delRes.ok) {
-          const t = await delRes.text().catch(() => '');
-          console.error('[DELETE row] REST error', delRes.status, t);
-          return json(502, { error: 'db delete failed', detail: t });
-        }
-
-        // Best-effort delete file
-        if (row && row.image_url) {
-          const objectPath = extractObjectPath(row.image_url, BUCKET);
-          if (objectPath) {
-            await fetch(`${BASE}/storage/v1/object/${encodeURIComponent(BUCKET)}/${objectPath}`, {
-              method: 'DELETE',
-              headers: { authorization: `Bearer ${KEY}` },
-            }).catch(() => null);
-          }
-        }
-
-        return json(200, { ok: true });
-      }
+  // NEW supported fields:
+  if (typeof body.title === 'string')     fields.title = body.title;
+  if (typeof body.alt_text === 'string')  fields.alt_text = body.alt_text.trim();
+  if (typeof body.caption === 'string')   fields.caption = body.caption;
+  if (typeof body.camera === 'string')    fields.camera = body.camera;
+  if (typeof body.film === 'string')      fields.film = body.film;
+  if (typeof body.hide_location === 'boolean') fields.hide_location = body.hide_location;
+  if (typeof body.slug === 'string') {
+    fields.slug = slugify(body.slug);
+    if (!fields.slug) invalid('slug', 'slug must contain letters or numbers');
+  }
+
+  const publish = parsePublishFields(body, { partial: true });
+  if (publish.error) invalid(publish.field, publish.error);
+  Object.assign(fields, publish.fields);
+
+  const tagNames = parseTagNames(body.tags);
+
+  if (Object.keys(fields).length === 0 && !tagNames.names) fail(400, 'No updatable fields provided');
+
+  // The row as it was, for the audit diff (and all a tags-only update needs)
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const curRes = await fetch(rest(`${byId}&select=*`), { headers: headersJSON(KEY) });
+  if (!curRes.ok) throw await restError(curRes, 'db read failed');
+  const [current] = await curRes.json();
+  if (!current) fail(404, 'Photo not found');
+  trail.before = adminPhoto((await attachTags({ KEY, rest }, 'photo', [current]))[0]);
 
-      default:
-        return json(405, { error: 'Method not allowed' });
+  const resolved = resolvePublishFields(fields, current);
+  if (resolved.error) invalid(resolved.field, resolved.error);
+  Object.assign(fields, resolved.fields);
+
+  if (fields.location !== undefined) {
+    const placeId = await placeFor({ KEY, rest }, fields.location);
+    if (placeId !== undefined) fields.place_id = placeId;
+  }
+
+  let row = current;
+  if (Object.keys(fields).length) {
+    const updRes = await fetch(rest(byId), {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify(fields),
+    });
+    if (!updRes.ok) {
+      const err = await restError(updRes, 'db update failed');
+      if (isConflict(updRes.status, err.detail)) fail(409, `Slug "${fields.slug}" is already used`);
+      throw err;
     }
-  } catch (err) {
-    console.error('[gallery handler]', err);
-    return json(500, { error: 'Internal error', detail: String((err && err.message) || err) });
+    [row] = await updRes.json();
+    if (!row) fail(404, 'Photo not found');
+  }
+  if (tagNames.names) await setTags({ KEY, rest }, 'photo', row.id, tagNames.names);
+  const [tagged] = await attachTags({ KEY, rest }, 'photo', [row]);
+  return adminPhoto(tagged);
+};
+
+// PATCH /order: save a new display order
+// body: { ids: [id, ...] } — listed rows first, in that order; the rest keep
+// their relative order after them. Applied in one statement by reorder_gallery().
+const reorder = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const ordered = body.ids.map(Number);
+  if (new Set(ordered).size !== ordered.length) invalid('ids', 'ids must be unique');
+  trail.meta = { ids: ordered };
+
+  const rpcRes = await fetch(rest('/rpc/reorder_gallery'), {
+    method: 'POST',
+    headers: headersJSON(KEY),
+    body: JSON.stringify({ ids: ordered }),
+  });
+  if (!rpcRes.ok) throw await restError(rpcRes, 'reorder failed');
+
+  const res = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?select=id,order_index&order=order_index.asc.nullslast&order=id.asc`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'db read failed');
+  return { ok: true, order: await res.json() };
+};
+
+// DELETE: move a photo to the trash
+// body: { id }
+const trash = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const trashRes = await fetch(rest(`${byId}&deleted_at=is.null`), {
+    method: 'PATCH',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify({ deleted_at: new Date().toISOString() }),
+  });
+  if (!trashRes.ok) throw await restError(trashRes, 'db update failed');
+  const [row] = await trashRes.json();
+  if (!row) fail(404, 'Photo not found or already in the trash');
+  trail.before = { id: row.id, deleted_at: null };
+  trail.after = { id: row.id, deleted_at: row.deleted_at };
+  return { ok: true, id: row.id, deleted_at: row.deleted_at };
+};
+
+// DELETE /trash: purge a trashed photo, then its storage objects
+// body: { id }
+const purge = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest, storage } = cfg;
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+
+  // Only trashed rows can be purged, so a stale id can't skip the trash
+  const getRes = await fetch(
+    rest(`${byId}&deleted_at=not.is.null&select=id,image_url,original_url,variants`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!getRes.ok) throw await restError(getRes, 'db read failed');
+  const [row] = await getRes.json();
+  if (!row) fail(404, 'Photo is not in the trash');
+  trail.before = row;
+
+  const delRes = await fetch(
+    rest(`${byId}&deleted_at=not.is.null`),
+    { method: 'DELETE', headers: { ...headersJSON(KEY), Prefer: 'return=minimal' } }
+  );
+  if (!delRes.ok) throw await restError(delRes, 'db delete failed');
+
+  // The image, its original and every variant
+  const { removed, failed } = await storage.remove(rowUrls(row).map((u) => storage.pathFromUrl(u)));
+  if (failed.length) {
+    console.error('[DELETE purge] storage objects left behind', row.id, failed);
+    trail.meta = { orphans: failed };
   }
+
+  return { ok: true, id: row.id, removed, orphans: failed };
 };
+
+exports.handler = withRebuild('photo', withAudit('photo', createHandler({
+  name: 'gallery',
+  config: getCfg,
+  routes: {
+    GET: list,
+    'POST /uploads': {
+      run: signUploads,
+      schema: {
+        files: {
+          type: 'array',
+          required: true,
+          min: 1,
+          max: MAX_FILES_PER_REQUEST,
+          items: {
+            type: 'object',
+            check: (f) => {
+              if (typeof f.filename !== 'string' || !f.filename.trim()) return 'Each file needs a filename';
+              if (f.size !== undefined && !(Number.isInteger(f.size) && f.size >= 0)) return `${f.filename} needs its size in bytes`;
+              if (f.content_type !== undefined && typeof f.content_type !== 'string') return `${f.filename} has a content_type that isn't text`;
+              return undefined;
+            },
+          },
+        },
+      },
+    },
+    'POST /restore': { run: restore, schema: { id: ID } },
+    POST: {
+      run: finalize,
+      strict: true,
+      schema: {
+        upload_path: {
+          required: true,
+          check: (v) => (isUploadPath(v) ? undefined : 'upload_path must be a path returned by /gallery/uploads'),
+        },
+        content_type: imageType,
+        filename: text(255),
+        taken_at: { type: 'string', nullable: true, format: 'datetime' },
+        ...PHOTO_FIELDS,
+      },
+    },
+    PUT: { run: update, strict: true, schema: { id: ID, image_url: text(2048), ...PHOTO_FIELDS } },
+    'PATCH /order': {
+      run: reorder,
+      schema: { ids: { type: 'array', required: true, min: 1, items: { type: 'id' } } },
+    },
+    DELETE: { run: trash, schema: { id: ID } },
+    'DELETE /trash': { run: purge, schema: { id: ID } },
+  },
+}), {
+  'POST /uploads': null,
+  'POST /restore': 'restore',
+  'PATCH /order': 'reorder',
+  'DELETE /trash': 'purge',
+}), ['POST /uploads']);
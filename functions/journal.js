@@ -1,189 +1,394 @@
 // functions/journal.js
 // REST API for your journal.
 // Methods:
-//   GET    /.netlify/functions/journal
-//   POST   /.netlify/functions/journal     { title, entry_date, content }
-//   PUT    /.netlify/functions/journal     { id, title?, entry_date?, content? }
-//   DELETE /.netlify/functions/journal     { id }
-
-const CORS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+//   GET    /.netlify/functions/journal                published entries that are due
+//   GET    /.netlify/functions/journal?scope=all      every entry incl. drafts (admin)
+//   GET    /.netlify/functions/journal?scope=trash    entries in the trash, last deleted first (admin)
+//   GET    /.netlify/functions/journal?slug=coast-walk   one entry (404 unless live; any but trashed with scope=all)
+//   GET    ...?limit=10&cursor=…&sort=recent|newest|oldest|title&from=&to=&q=&tag=
+//                                                     one page: { items, total, limit, next_cursor }
+//   POST   /.netlify/functions/journal     { title, entry_date, content, slug?, status?, publish_at?, tags? }
+//   PUT    /.netlify/functions/journal     { id, title?, slug?, entry_date?, content?, status?, publish_at?, tags? }
+//   DELETE /.netlify/functions/journal     { id }   (moves it to the trash)
+//   POST   /.netlify/functions/journal/restore  { id }   (takes it out of the trash)
+//   DELETE /.netlify/functions/journal/trash    { id }   (deletes a trashed entry for good)
+//   GET    /.netlify/functions/journal/revisions?entry_id=ID   an entry's earlier versions, newest first (admin)
+//   GET    /.netlify/functions/journal/revisions?id=REV        one earlier version with its content (admin)
+//   POST   /.netlify/functions/journal/revisions/restore { id: REV }   (puts that version back)
+// status is draft | scheduled | published (see _shared/publishing.js).
+// Each entry gets a unique `slug` from its title when it is created, for /journal/<slug>
+// links; it only changes when PUT sets it (see _shared/slugs.js).
+// from/to filter on `entry_date`; q searches title and content (see _shared/query.js);
+// tag=<slug> keeps the entries carrying that tag.
+// Every entry comes back with its `tags`; `tags: ["name", ...]` on POST/PUT replaces them,
+// creating new tags as needed (see _shared/tags.js).
+// `content` is Markdown; every response also carries `content_html`, rendered and
+// sanitized by _shared/markdown.js. ![alt](photo:ID) embeds a gallery photo.
+// Deleting only sets `deleted_at`; trashed entries drop out of every list but scope=trash.
+// Every PUT that changes title, entry_date or content first copies the old text into
+// `journal_revisions`; restoring a revision does the same, so it can be undone too.
+// POST and PUT bodies are checked against ENTRY_FIELDS: unknown fields, over-long text and
+// an entry_date that isn't a YYYY-MM-DD day are 400s naming each bad field in `fields`
+// (see _shared/http.js).
+// POST/PUT/DELETE, ?scope=all|trash and /revisions require `Authorization: Bearer <token>` issued by /auth.
+// Every write is recorded in the audit log (see _shared/audit.js) and, with AUTO_REBUILD
+// on, queues a rebuild of the site (see _shared/builds.js).
+//
+// Optional env vars:
+//   SUPAHUB_JOURNAL_REVISIONS_TABLE (default "journal_revisions")
+
+const { createHandler, fail, invalid } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { withRebuild } = require('./_shared/builds');
+const { PUBLISH_FIELDS, parsePublishFields, resolvePublishFields, liveFilter } = require('./_shared/publishing');
+const { buildListQuery, totalFromRange, pageBody } = require('./_shared/query');
+const { render, photoIds, photoImage } = require('./_shared/markdown');
+const { fetchPhotosById } = require('./_shared/photos');
+const { slugify, isConflict, uniqueSlug } = require('./_shared/slugs');
+const { TAGS_FIELD, parseTagNames, setTags, loadTags, taggedIds } = require('./_shared/tags');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const getCfg = () => ({
+  ...getConfig(),
+  TABLE: tableName('journal'),
+  GALLERY: tableName('gallery'),
+  REVISIONS: tableName('journal_revisions'),
+});
+
+// What GET lets callers sort and filter on ("recent" = last written, the historical order)
+const LIST_SPEC = {
+  sorts: {
+    recent: ['created_at.desc.nullslast', 'id.desc'],
+    newest: ['entry_date.desc.nullslast', 'id.desc'],
+    oldest: ['entry_date.asc.nullslast', 'id.asc'],
+    title: ['title.asc.nullslast', 'id.asc'],
+  },
+  defaultSort: 'recent',
+  dateColumn: 'entry_date',
+  search: ['title', 'content'],
 };
 
-const json = (status, obj) => ({
-  statusCode: status,
-  headers: { 'Content-Type': 'application/json', ...CORS },
-  body: JSON.stringify(obj),
+// Gallery rows referenced by ![alt](photo:ID) in any of the entries
+const loadPhotos = ({ KEY, GALLERY, rest }, rows, all) =>
+  fetchPhotosById({ KEY, rest, table: GALLERY }, rows.flatMap((r) => photoIds(r.content)), { all });
+
+const shapeEntry = (r, photos = new Map(), tags = new Map()) => ({
+  id: r.id,
+  slug: r.slug || null,
+  title: r.title || 'Untitled',
+  entry_date: r.entry_date || r.created_at || new Date().toISOString(),
+  date: r.entry_date || r.created_at || new Date().toISOString(), // legacy alias
+  content: r.content || '',
+  content_html: render(r.content || '', { resolvePhoto: (id) => photoImage(photos.get(id)) }),
+  status: r.status || 'published',
+  publish_at: r.publish_at || null,
+  deleted_at: r.deleted_at || null,
+  tags: tags.get(Number(r.id)) || [],
+  created_at: r.created_at,
+  updated_at: r.updated_at,
 });
 
-const getCfg = () => {
-  const URL =
-    process.env.SUPAHUB_URL ||
-    process.env.SUPABASE_URL ||
-    '';
-  const KEY =
-    process.env.SUPAHUB_SERVICE_KEY ||
-    process.env.SUPABASE_SERVICE_ROLE_KEY ||
-    '';
-  const TABLE =
-    process.env.SUPAHUB_JOURNAL_TABLE ||
-    process.env.SUPABASE_JOURNAL_TABLE ||
-    'journal';
-
-  if (!URL || !KEY) {
-    throw new Error('Missing env vars: SUPAHUB_URL/SUPABASE_URL and SUPAHUB_SERVICE_KEY/SUPABASE_SERVICE_ROLE_KEY');
+// Rows as responses carry them, with their embedded photos and tags
+const shapeEntries = async (cfg, rows, all) => {
+  const [photos, tags] = await Promise.all([loadPhotos(cfg, rows, all), loadTags(cfg, 'entry', rows.map((r) => r.id))]);
+  return rows.map((r) => shapeEntry(r, photos, tags));
+};
+
+// The fields a revision keeps
+const TEXT_FIELDS = ['title', 'entry_date', 'content'];
+
+// Revision list rows leave out the (possibly long) content
+const REVISION_LIST_COLS = 'id,entry_id,title,entry_date,created_at';
+
+// Current text of an entry, or null if there is no such entry
+const loadEntryText = async ({ KEY, TABLE, rest }, id) => {
+  const res = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(id))}&select=id,${TEXT_FIELDS.join(',')}`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'db read failed');
+  const [row] = await res.json();
+  return row || null;
+};
+
+// Keep the text an entry had before `next` is written over it (no-op if nothing changes)
+const saveRevision = async ({ KEY, REVISIONS, rest }, current, next) => {
+  if (!TEXT_FIELDS.some((f) => next[f] !== undefined && next[f] !== current[f])) return;
+  const res = await fetch(rest(`/${encodeURIComponent(REVISIONS)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=minimal' },
+    body: JSON.stringify({
+      entry_id: current.id,
+      title: current.title,
+      entry_date: current.entry_date,
+      content: current.content,
+    }),
+  });
+  if (!res.ok) throw await restError(res, 'revision save failed');
+};
+
+const ID = { type: 'id', required: true };
+const text = (max) => ({ type: 'string', max });
+const DAY = { type: 'string', format: 'date' };
+
+// What both POST and PUT accept; their routes are strict, so any other field is a 400
+const ENTRY_FIELDS = {
+  title: text(200),
+  slug: text(120),
+  entry_date: DAY,
+  date: DAY, // legacy name for entry_date
+  content: text(100000),
+  tags: TAGS_FIELD,
+  ...PUBLISH_FIELDS,
+};
+
+// GET: list journal entries (most recently written first by default), or one by slug
+const list = async (req) => {
+  const { cfg, query: qs } = req;
+  const { KEY, TABLE, rest } = cfg;
+  const trash = qs.scope === 'trash';
+  const all = qs.scope === 'all' || trash;
+  if (all) req.requireAdmin();
+
+  if (qs.slug) {
+    const scope = all ? 'deleted_at=is.null' : liveFilter();
+    const res = await fetch(
+      rest(`/${encodeURIComponent(TABLE)}?slug=eq.${encodeURIComponent(qs.slug)}&${scope}&select=*`),
+      { headers: headersJSON(KEY) }
+    );
+    if (!res.ok) throw await restError(res, 'Failed to load entry');
+    const [row] = await res.json();
+    if (!row) fail(404, 'Entry not found');
+    return (await shapeEntries(cfg, [row], all))[0];
   }
 
-  const BASE = URL.replace(/\/$/, '');
-  const rest = (path) => `${BASE}/rest/v1${path}`;
-  return { KEY, TABLE, rest };
+  const tag = (qs.tag || '').toString().trim();
+  const ids = tag ? await taggedIds(cfg, 'entry', tag) : undefined;
+  const list = buildListQuery(qs, LIST_SPEC, { live: !all, trash, ids });
+  if (list.error) fail(400, list.error);
+
+  const url = rest(`/${encodeURIComponent(TABLE)}?select=*&${list.query}`);
+  const res = await fetch(url, {
+    headers: { ...headersJSON(KEY), ...(list.paged ? { Prefer: 'count=exact' } : {}) },
+  });
+  if (!res.ok) throw await restError(res, 'Failed to list journal');
+  const items = await shapeEntries(cfg, await res.json(), all);
+  return list.paged ? pageBody(items, list, totalFromRange(res)) : items;
 };
 
-const headersJSON = (key) => ({
-  apikey: key,
-  authorization: `Bearer ${key}`,
-  'content-type': 'application/json',
-});
+// GET /revisions: an entry's history, or one revision
+const revisions = async ({ cfg, query: qs }) => {
+  const { KEY, REVISIONS, rest } = cfg;
+  if (qs.id) {
+    const revRes = await fetch(
+      rest(`/${encodeURIComponent(REVISIONS)}?id=eq.${encodeURIComponent(String(qs.id))}&select=*`),
+      { headers: headersJSON(KEY) }
+    );
+    if (!revRes.ok) throw await restError(revRes, 'Failed to load revision');
+    const [rev] = await revRes.json();
+    if (!rev) fail(404, 'Revision not found');
+    return rev;
+  }
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: CORS, body: '' };
-
-  try {
-    const { KEY, TABLE, rest } = getCfg();
-
-    switch (event.httpMethod) {
-      // -----------------------
-      // GET: list journal entries (newest first)
-      // -----------------------
-      case 'GET': {
-        const url = rest(`/${encodeURIComponent(TABLE)}?select=*&order=created_at.desc.nullslast&order=id.desc`);
-        const res = await fetch(url, { headers: headersJSON(KEY) });
-        if (!res.ok) {
-          const t = await res.text().catch(() => '');
-          console.error('[GET journal] REST error', res.status, t);
-          return json(502, { error: 'Failed to list journal', detail: t });
-        }
-        const rows = await res.json();
-
-        const out = rows.map(r => ({
-          id: r.id,
-          title: r.title || 'Untitled',
-          entry_date: r.entry_date || r.created_at || new Date().toISOString(),
-          date: r.entry_date || r.created_at || new Date().toISOString(), // legacy alias
-          content: r.content || '',
-          created_at: r.created_at,
-          updated_at: r.updated_at,
-        }));
-        return json(200, out);
-      }
-
-      // --------------------------------------
-      // POST: add an entry
-      // body: { title, entry_date, content }
-      // --------------------------------------
-      case 'POST': {
-        const body = JSON.parse(event.body || '{}');
-        let { title, entry_date, date, content } = body;
-
-        title = (title || '').toString().trim() || 'Untitled';
-        entry_date = (entry_date || date || '').toString().trim() || new Date().toISOString().slice(0,10);
-        content = (content || '').toString();
-
-        const payload = { title, entry_date, content };
-
-        const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
-          method: 'POST',
-          headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
-          body: JSON.stringify(payload),
-        });
-        if (!insRes.ok) {
-          const t = await insRes.text().catch(() => '');
-          console.error('[POST journal] REST error', insRes.status, t);
-          return json(502, { error: 'db insert failed', detail: t });
-        }
-        const [row] = await insRes.json();
-        return json(200, {
-          id: row.id,
-          title: row.title,
-          entry_date: row.entry_date || row.created_at,
-          date: row.entry_date || row.created_at, // legacy alias
-          content: row.content || '',
-          created_at: row.created_at,
-          updated_at: row.updated_at,
-        });
-      }
-
-      // --------------------------------------
-      // PUT: update an entry
-      // body: { id, title?, entry_date?, content? }
-      // --------------------------------------
-      case 'PUT': {
-        const body = JSON.parse(event.body || '{}');
-        const { id } = body || {};
-        if (!id) return json(400, { error: 'Missing id' });
-
-        const fields = {};
-        if (typeof body.title === 'string') fields.title = body.title;
-        if (typeof body.entry_date === 'string') fields.entry_date = body.entry_date;
-        else if (typeof body.date === 'string') fields.entry_date = body.date; // map legacy date
-        if (typeof body.content === 'string') fields.content = body.content;
-
-        if (Object.keys(fields).length === 0) {
-          return json(400, { error: 'No updatable fields provided' });
-        }
-
-        const updRes = await fetch(
-          rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(id))}`),
-          {
-            method: 'PATCH',
-            headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
-            body: JSON.stringify(fields),
-          }
-        );
-        if (!updRes.ok) {
-          const t = await updRes.text().catch(() => '');
-          console.error('[PUT journal] REST error', updRes.status, t);
-          return json(502, { error: 'db update failed', detail: t });
-        }
-        const [row] = await updRes.json();
-        return json(200, {
-          id: row.id,
-          title: row.title,
-          entry_date: row.entry_date || row.created_at,
-          date: row.entry_date || row.created_at, // legacy alias
-          content: row.content || '',
-          created_at: row.created_at,
-          updated_at: row.updated_at,
-        });
-      }
-
-      // --------------------------------------
-      // DELETE: remove an entry
-      // --------------------------------------
-      case 'DELETE': {
-        const body = JSON.parse(event.body || '{}');
-        const { id } = body || {};
-        if (!id) return json(400, { error: 'Missing id' });
-
-        const delRes = await fetch(
-          rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(id))}`),
-          { method: 'DELETE', headers: { ...headersJSON(KEY), Prefer: 'return=minimal' } }
-        );
-        if (!delRes.ok) {
-          const t = await delRes.text().catch(() => '');
-          console.error('[DELETE journal] REST error', delRes.status, t);
-          return json(502, { error: 'db delete failed', detail: t });
-        }
-        return json(200, { ok: true });
-      }
-
-      default:
-        return json(405, { error: 'Method not allowed' });
+  if (!qs.entry_id) fail(400, 'entry_id or id required');
+  const listRes = await fetch(
+    rest(
+      `/${encodeURIComponent(REVISIONS)}?entry_id=eq.${encodeURIComponent(String(qs.entry_id))}` +
+      `&select=${REVISION_LIST_COLS}&order=created_at.desc&order=id.desc`
+    ),
+    { headers: headersJSON(KEY) }
+  );
+  if (!listRes.ok) throw await restError(listRes, 'Failed to list revisions');
+  return listRes.json();
+};
+
+// POST /revisions/restore: put an earlier version of an entry back
+// body: { id }  (revision id)
+const revert = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, REVISIONS, rest } = cfg;
+  const revRes = await fetch(
+    rest(`/${encodeURIComponent(REVISIONS)}?id=eq.${encodeURIComponent(String(body.id))}&select=*`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!revRes.ok) throw await restError(revRes, 'db read failed');
+  const [rev] = await revRes.json();
+  if (!rev) fail(404, 'Revision not found');
+
+  const current = await loadEntryText(cfg, rev.entry_id);
+  if (!current) fail(404, 'Entry not found');
+  trail.before = current;
+  trail.meta = { revision_id: rev.id };
+
+  const fields = { title: rev.title, entry_date: rev.entry_date, content: rev.content };
+  await saveRevision(cfg, current, fields);
+
+  const updRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(rev.entry_id))}`),
+    {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify(fields),
     }
-  } catch (err) {
-    console.error('[journal handler]', err);
-    return json(500, { error: 'Internal error', detail: String((err && err.message) || err) });
+  );
+  if (!updRes.ok) throw await restError(updRes, 'db update failed');
+  const [row] = await updRes.json();
+  return (await shapeEntries(cfg, [row], true))[0];
+};
+
+// POST /restore: take an entry out of the trash
+// body: { id }
+const restore = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const resRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}&deleted_at=not.is.null`),
+    {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify({ deleted_at: null }),
+    }
+  );
+  if (!resRes.ok) throw await restError(resRes, 'db update failed');
+  const [row] = await resRes.json();
+  if (!row) fail(404, 'Entry is not in the trash');
+  trail.after = null; // the action says it all
+  return (await shapeEntries(cfg, [row], true))[0];
+};
+
+// POST: add an entry
+// body: { title, entry_date, content, slug?, status?, publish_at?, tags? }
+const create = async ({ cfg, body }) => {
+  const { KEY, TABLE, rest } = cfg;
+  let { title, entry_date, date, content } = body;
+
+  title = (title || '').toString().trim() || 'Untitled';
+  entry_date = (entry_date || date || '').toString().trim() || new Date().toISOString().slice(0,10);
+  content = (content || '').toString();
+
+  const publish = parsePublishFields(body);
+  if (publish.error) invalid(publish.field, publish.error);
+  const tagNames = parseTagNames(body.tags);
+
+  const slug = await uniqueSlug({ KEY, rest, table: TABLE }, slugify(body.slug || title) || 'entry');
+
+  const payload = { title, slug, entry_date, content, ...publish.fields };
+
+  const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify(payload),
+  });
+  if (!insRes.ok) throw await restError(insRes, 'db insert failed');
+  const [row] = await insRes.json();
+  if (tagNames.names) await setTags(cfg, 'entry', row.id, tagNames.names);
+  return (await shapeEntries(cfg, [row], true))[0];
+};
+
+// PUT: update an entry
+// body: { id, title?, slug?, entry_date?, content?, status?, publish_at?, tags? }
+const update = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const fields = {};
+  if (typeof body.title === 'string') fields.title = body.title;
+  if (typeof body.entry_date === 'string') fields.entry_date = body.entry_date;
+  else if (typeof body.date === 'string') fields.entry_date = body.date; // map legacy date
+  if (typeof body.content === 'string') fields.content = body.content;
+  if (typeof body.slug === 'string') {
+    fields.slug = slugify(body.slug);
+    if (!fields.slug) invalid('slug', 'slug must contain letters or numbers');
   }
+
+  const publish = parsePublishFields(body, { partial: true });
+  if (publish.error) invalid(publish.field, publish.error);
+  Object.assign(fields, publish.fields);
+
+  const tagNames = parseTagNames(body.tags);
+
+  if (Object.keys(fields).length === 0 && !tagNames.names) fail(400, 'No updatable fields provided');
+
+  // The entry as it was, for its revision, the audit diff and a tags-only update
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const curRes = await fetch(rest(`${byId}&select=*`), { headers: headersJSON(KEY) });
+  if (!curRes.ok) throw await restError(curRes, 'db read failed');
+  const [current] = await curRes.json();
+  if (!current) fail(404, 'Entry not found');
+  trail.before = (await shapeEntries(cfg, [current], true))[0];
+
+  const resolved = resolvePublishFields(fields, current);
+  if (resolved.error) invalid(resolved.field, resolved.error);
+  Object.assign(fields, resolved.fields);
+
+  // Keep the old text before overwriting it
+  if (TEXT_FIELDS.some((f) => fields[f] !== undefined)) await saveRevision(cfg, current, fields);
+
+  let row = current;
+  if (Object.keys(fields).length) {
+    const updRes = await fetch(rest(byId), {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify(fields),
+    });
+    if (!updRes.ok) {
+      const err = await restError(updRes, 'db update failed');
+      if (isConflict(updRes.status, err.detail)) fail(409, `Slug "${fields.slug}" is already used`);
+      throw err;
+    }
+    [row] = await updRes.json();
+    if (!row) fail(404, 'Entry not found');
+  }
+  if (tagNames.names) await setTags(cfg, 'entry', row.id, tagNames.names);
+  return (await shapeEntries(cfg, [row], true))[0];
+};
+
+// DELETE: move an entry to the trash
+// body: { id }
+const trash = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const trashRes = await fetch(rest(`${byId}&deleted_at=is.null`), {
+    method: 'PATCH',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify({ deleted_at: new Date().toISOString() }),
+  });
+  if (!trashRes.ok) throw await restError(trashRes, 'db update failed');
+  const [row] = await trashRes.json();
+  if (!row) fail(404, 'Entry not found or already in the trash');
+  trail.before = { id: row.id, deleted_at: null };
+  trail.after = { id: row.id, deleted_at: row.deleted_at };
+  return { ok: true, id: row.id, deleted_at: row.deleted_at };
 };
+
+// DELETE /trash: delete a trashed entry for good
+// body: { id }
+const purge = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  // Only trashed rows can be purged, so a stale id can't skip the trash
+  const delRes = await fetch(rest(`${byId}&deleted_at=not.is.null`), {
+    method: 'DELETE',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+  });
+  if (!delRes.ok) throw await restError(delRes, 'db delete failed');
+  const [row] = await delRes.json();
+  if (!row) fail(404, 'Entry is not in the trash');
+  trail.before = row;
+  return { ok: true, id: row.id };
+};
+
+exports.handler = withRebuild('entry', withAudit('entry', createHandler({
+  name: 'journal',
+  config: getCfg,
+  routes: {
+    GET: list,
+    'GET /revisions': { run: revisions, admin: true },
+    POST: { run: create, strict: true, schema: ENTRY_FIELDS },
+    'POST /restore': { run: restore, schema: { id: ID } },
+    'POST /revisions/restore': { run: revert, schema: { id: ID } },
+    PUT: { run: update, strict: true, schema: { id: ID, ...ENTRY_FIELDS } },
+    DELETE: { run: trash, schema: { id: ID } },
+    'DELETE /trash': { run: purge, schema: { id: ID } },
+  },
+}), {
+  'POST /revisions/restore': 'revert',
+  'POST /restore': 'restore',
+  'DELETE /trash': 'purge',
+}));
@@ -0,0 +1,272 @@
+// functions/places.js
+// REST API for the places photos were taken at.
+// Methods:
+//   GET    /.netlify/functions/places               places with photos on the public site, with counts
+//                                                  -> [{ id, slug, name, region, country, lat, lon, label, photo_count }]
+//   GET    /.netlify/functions/places?scope=all     every place, counting drafts too, with its `aliases` (admin)
+//   POST   /.netlify/functions/places               { name, region?, country?, lat?, lon?, slug? }
+//   PUT    /.netlify/functions/places               { id, name?, region?, country?, lat?, lon?, slug? }
+//   POST   /.netlify/functions/places/merge         { ids: [id, ...], into: id }
+//                                                  (their photos and aliases move to `into`, then they are deleted)
+//   POST   /.netlify/functions/places/match         { all? }   link photos to places by their location
+//                                                  -> { ok, linked, created, skipped }
+//   DELETE /.netlify/functions/places               { id }   (unlinks its photos, keeps them)
+// Photos are linked as they are saved (see gallery.js and _shared/places.js); /match links
+// the ones saved before places existed, or with `all: true` looks every photo up again.
+// `label` is how the site shows a place ("Monterey, CA"); saving a place also makes its label
+// an alias, so photos whose location reads that way find it.
+// country is a two-letter code; lat/lon place it on the map and may be left empty.
+// Renaming keeps the slug (and so ?place= links) unless a new slug is given.
+// Public counts only include live photos (see _shared/publishing.js); the trash never counts.
+// The database does the counting (place_photo_counts() in supabase/migrations/0016).
+// POST/PUT/DELETE and ?scope=all require `Authorization: Bearer <token>` issued by /auth.
+// Every write is recorded in the audit log (see _shared/audit.js).
+//
+// Optional env vars:
+//   SUPAHUB_PLACES_TABLE (default "places"), SUPAHUB_PLACE_ALIASES_TABLE (default "place_aliases")
+
+const { createHandler, fail, invalid } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { PLACE_COLS, placeKey, placeLabel, addAliases, resolvePlace } = require('./_shared/places');
+const { slugify, isConflict } = require('./_shared/slugs');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '');
+
+const ID = { type: 'id', required: true };
+const text = (max) => ({ type: 'string', max });
+
+// What both POST and PUT accept; their routes are strict, so any other field is a 400
+const PLACE_FIELDS = {
+  slug: text(120),
+  name: text(120),
+  region: text(120),
+  country: { type: 'string', pattern: /^([A-Za-z]{2})?$/, message: 'country must be a two-letter country code' },
+  lat: { type: 'number', nullable: true, min: -90, max: 90 },
+  lon: { type: 'number', nullable: true, min: -180, max: 180 },
+};
+
+// Body fields as columns; name is checked by the caller
+const placeFields = (body) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = cleanText(body.name);
+  if (body.region !== undefined) fields.region = cleanText(body.region);
+  if (body.country !== undefined) fields.country = body.country.toUpperCase();
+  if (body.lat !== undefined) fields.lat = body.lat;
+  if (body.lon !== undefined) fields.lon = body.lon;
+  return fields;
+};
+
+const withLabel = (p) => ({ ...p, label: placeLabel(p) });
+
+// GET: list places with how many photos were taken at each
+const list = async (req) => {
+  const { KEY, TABLE, ALIASES, rest } = req.cfg;
+  const all = req.query.scope === 'all';
+  if (all) req.requireAdmin();
+
+  const [placeRes, photoRes, aliasRes] = await Promise.all([
+    fetch(rest(`/${encodeURIComponent(TABLE)}?select=${PLACE_COLS}&order=name.asc,id.asc`), { headers: headersJSON(KEY) }),
+    // Counted in the database: one row per place rather than one per photo
+    fetch(rest('/rpc/place_photo_counts'), { method: 'POST', headers: headersJSON(KEY), body: '{}' }),
+    all
+      ? fetch(rest(`/${encodeURIComponent(ALIASES)}?select=key,place_id&order=key.asc`), { headers: headersJSON(KEY) })
+      : null,
+  ]);
+  for (const res of [placeRes, photoRes, aliasRes].filter(Boolean)) {
+    if (!res.ok) throw await restError(res, 'Failed to list places');
+  }
+
+  const counts = new Map(
+    (await photoRes.json()).map((c) => [Number(c.place_id), Number(all ? c.photo_count : c.live_count)])
+  );
+  const aliases = new Map();
+  if (aliasRes) {
+    (await aliasRes.json()).forEach((a) => {
+      const id = Number(a.place_id);
+      aliases.set(id, [...(aliases.get(id) || []), a.key]);
+    });
+  }
+
+  return (await placeRes.json())
+    .map((p) => ({
+      ...withLabel(p),
+      photo_count: counts.get(Number(p.id)) || 0,
+      ...(all && { aliases: aliases.get(Number(p.id)) || [] }),
+    }))
+    .filter((p) => all || p.photo_count > 0);
+};
+
+// POST /merge: fold places into another
+// body: { ids: [id, ...], into: id }
+const merge = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const ids = body.ids.map(Number);
+  const into = Number(body.into);
+  if (ids.includes(into)) invalid('into', 'into cannot be one of ids');
+  trail.id = into;
+  trail.meta = { merged: ids };
+
+  const tgtRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${into}&select=${PLACE_COLS}`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!tgtRes.ok) throw await restError(tgtRes, 'db read failed');
+  const [target] = await tgtRes.json();
+  if (!target) fail(404, 'Place not found');
+
+  const rpcRes = await fetch(rest('/rpc/merge_places'), {
+    method: 'POST',
+    headers: headersJSON(KEY),
+    body: JSON.stringify({ p_source_ids: ids, p_target_id: into }),
+  });
+  if (!rpcRes.ok) throw await restError(rpcRes, 'db update failed');
+  trail.after = null;
+  return { ok: true, into: withLabel(target), merged: ids };
+};
+
+// POST /match: link photos to the places their locations name
+// body: { all? }
+const match = async ({ cfg, body, trail }) => {
+  const { KEY, GALLERY, rest } = cfg;
+  const all = body.all === true;
+  const res = await fetch(
+    rest(`/${encodeURIComponent(GALLERY)}?select=id,location,place_id&order=id.asc${all ? '' : '&place_id=is.null'}`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!res.ok) throw await restError(res, 'db read failed');
+
+  // location key -> place id, so each spelling is looked up once
+  const found = new Map();
+  const moves = new Map(); // place id -> [photo id, ...]
+  let created = 0;
+  let skipped = 0;
+  for (const photo of await res.json()) {
+    const key = placeKey(photo.location);
+    if (!key) {
+      skipped += 1;
+      continue;
+    }
+    if (!found.has(key)) {
+      const place = await resolvePlace({ KEY, rest }, photo.location);
+      if (place.created) created += 1;
+      found.set(key, place.id);
+    }
+    const placeId = found.get(key);
+    if (Number(photo.place_id) === placeId) continue;
+    moves.set(placeId, [...(moves.get(placeId) || []), Number(photo.id)]);
+  }
+
+  let linked = 0;
+  for (const [placeId, ids] of moves) {
+    const updRes = await fetch(rest(`/${encodeURIComponent(GALLERY)}?id=in.(${ids.join(',')})`), {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=minimal' },
+      body: JSON.stringify({ place_id: placeId }),
+    });
+    if (!updRes.ok) throw await restError(updRes, 'db update failed');
+    linked += ids.length;
+  }
+  trail.after = null;
+  trail.meta = { all, linked, created };
+  return { ok: true, linked, created, skipped };
+};
+
+// POST: create a place
+// body: { name, region?, country?, lat?, lon?, slug? }
+const create = async ({ cfg, body }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const fields = placeFields(body);
+  if (!fields.name) invalid('name', 'name required');
+  const slug = slugify(body.slug || placeLabel(fields));
+  if (!slug) invalid('slug', 'slug must contain letters or numbers');
+
+  const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify({ ...fields, slug }),
+  });
+  if (!insRes.ok) {
+    const err = await restError(insRes, 'db insert failed');
+    if (isConflict(insRes.status, err.detail)) fail(409, `Place "${slug}" already exists`);
+    throw err;
+  }
+  const [row] = await insRes.json();
+  await addAliases({ KEY, rest }, row.id, [placeKey(placeLabel(row))]);
+  return withLabel(row);
+};
+
+// PUT: rename, move or relabel a place
+// body: { id, name?, region?, country?, lat?, lon?, slug? }
+const update = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const fields = placeFields(body);
+  if (fields.name === '') invalid('name', 'name cannot be empty');
+  if (typeof body.slug === 'string') {
+    fields.slug = slugify(body.slug);
+    if (!fields.slug) invalid('slug', 'slug must contain letters or numbers');
+  }
+  if (Object.keys(fields).length === 0) fail(400, 'No updatable fields provided');
+  fields.updated_at = new Date().toISOString();
+
+  // The place as it was, for the audit diff
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const curRes = await fetch(rest(`${byId}&select=${PLACE_COLS}`), { headers: headersJSON(KEY) });
+  if (!curRes.ok) throw await restError(curRes, 'db read failed');
+  [trail.before] = await curRes.json();
+  if (!trail.before) fail(404, 'Place not found');
+
+  const updRes = await fetch(rest(byId), {
+    method: 'PATCH',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify(fields),
+  });
+  if (!updRes.ok) {
+    const err = await restError(updRes, 'db update failed');
+    if (isConflict(updRes.status, err.detail)) fail(409, `Place "${fields.slug}" already exists`);
+    throw err;
+  }
+  const [row] = await updRes.json();
+  if (!row) fail(404, 'Place not found');
+  await addAliases({ KEY, rest }, row.id, [placeKey(placeLabel(row))]);
+  return withLabel(row);
+};
+
+// DELETE: remove a place (its aliases go with it, its photos stay unlinked)
+// body: { id }
+const remove = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const delRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`),
+    { method: 'DELETE', headers: { ...headersJSON(KEY), Prefer: 'return=representation' } }
+  );
+  if (!delRes.ok) throw await restError(delRes, 'db delete failed');
+  const [row] = await delRes.json();
+  if (!row) fail(404, 'Place not found');
+  trail.before = row;
+  return { ok: true, id: row.id };
+};
+
+exports.handler = withAudit('place', createHandler({
+  name: 'places',
+  config: () => ({
+    ...getConfig(),
+    TABLE: tableName('places'),
+    ALIASES: tableName('place_aliases'),
+    GALLERY: tableName('gallery'),
+  }),
+  routes: {
+    GET: list,
+    POST: { run: create, strict: true, schema: { ...PLACE_FIELDS, name: { ...PLACE_FIELDS.name, required: true } } },
+    'POST /merge': {
+      run: merge,
+      schema: {
+        ids: { type: 'array', required: true, min: 1, items: { type: 'id' }, message: 'ids must be a non-empty array of integers' },
+        into: { type: 'id', required: true, message: 'into must be a place id' },
+      },
+    },
+    'POST /match': { run: match, strict: true, schema: { all: { type: 'boolean' } } },
+    PUT: { run: update, strict: true, schema: { id: ID, ...PLACE_FIELDS } },
+    DELETE: { run: remove, schema: { id: ID } },
+  },
+}), { 'POST /merge': 'merge', 'POST /match': 'match' });
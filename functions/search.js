@@ -0,0 +1,84 @@
+// functions/search.js
+// Full-text search over live photos and journal entries.
+// Methods:
+//   GET /.netlify/functions/search?q=low+tide&limit=20
+//       -> { query, results: [{ kind: "photo"|"entry", id, slug, title, entry_date, rank,
+//                               snippet_html, photo? }] }
+// Postgres does the matching and ranking (search_site() in supabase/migrations/0011):
+// titles and tags weigh most, then captions and entry text, then location, camera and
+// film. q takes web-search syntax: "quoted phrases", -excluded words, or.
+// snippet_html is the matched passage, escaped, with matches in <mark>; photo hits also
+// carry `photo` (the columns the grid and lightbox need). Only live items are searched.
+// Also reachable as /api/search (netlify.toml). No session needed.
+//
+// Required env vars: the same as gallery.js.
+
+const { escapeHtml } = require('./_shared/markdown');
+const { fetchPhotosById, publicPhoto } = require('./_shared/photos');
+const { createHandler, fail } = require('./_shared/http');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 20;
+
+// search_site() marks matches with \u0002…\u0003 so the text can be escaped before the
+// <mark>s go in; Markdown syntax in entry snippets is dropped
+const snippetHtml = (snippet) =>
+  escapeHtml(
+    String(snippet || '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(^|\n)[ \t]*(#{1,6}|>)[ \t]*/g, '$1')
+      .replace(/\*{1,3}|_{2,3}|`+|~~/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+  )
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+
+const search = async ({ cfg, query: qs }) => {
+  const { KEY, GALLERY, rest } = cfg;
+
+  const query = (qs.q || '').toString().trim().replace(/\s+/g, ' ');
+  if (query.length < 2) fail(400, 'q must be at least 2 characters');
+  if (query.length > 200) fail(400, 'q must be at most 200 characters');
+
+  const limit = qs.limit === undefined ? DEFAULT_LIMIT : Number(qs.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    fail(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const res = await fetch(rest('/rpc/search_site'), {
+    method: 'POST',
+    headers: headersJSON(KEY),
+    body: JSON.stringify({ p_query: query, p_limit: limit }),
+  });
+  if (!res.ok) throw await restError(res, 'Search failed');
+  const hits = await res.json();
+
+  const photos = await fetchPhotosById(
+    { KEY, rest, table: GALLERY },
+    hits.filter((h) => h.kind === 'photo').map((h) => h.id)
+  );
+  const results = hits.map((h) => {
+    const photo = h.kind === 'photo' ? photos.get(Number(h.id)) : null;
+    return {
+      kind: h.kind,
+      id: h.id,
+      slug: h.slug,
+      title: h.title || '',
+      entry_date: h.entry_date || null,
+      rank: h.rank,
+      snippet_html: snippetHtml(h.snippet),
+      ...(photo && { photo: publicPhoto(photo) }),
+    };
+  });
+  return { query, results };
+};
+
+exports.handler = createHandler({
+  name: 'search',
+  config: () => ({ ...getConfig(), GALLERY: tableName('gallery') }),
+  allowHeaders: 'Content-Type',
+  routes: { GET: search },
+});
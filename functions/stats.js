@@ -0,0 +1,174 @@
+// functions/stats.js
+// What visitors looked at, from the daily counts functions/collect.js keeps.
+// Methods:
+//   GET /.netlify/functions/stats?from=YYYY-MM-DD&to=YYYY-MM-DD
+//       -> { from, to, days: [day, ...],
+//            totals: { impression, open, view, referral },
+//            daily: [{ day, impression, open, view, referral }],
+//            photos: [{ id, title, slug, removed, counts: { impression, open },
+//                       trend: { impression: [n, ...], open: [n, ...] } }],
+//            entries: [{ id, title, slug, removed, counts: { view }, trend: { view: [n, ...] } }],
+//            referrers: [{ host, count, trend: [n, ...] }] }
+// Days are UTC. The range defaults to the last 30 days and spans at most MAX_DAYS; every
+// trend has one number per day of `days`. Photos are ordered by opens, entries by views
+// and referrers by visits, most first. `removed` marks items since trashed or deleted
+// (their title is null once deleted).
+// Requires `Authorization: Bearer <token>` issued by /auth.
+//
+// Required env vars: the same as gallery.js. Optional:
+//   SUPAHUB_STATS_TABLE (default "stats_daily"), SUPAHUB_REFERRERS_TABLE (default "referrers_daily")
+
+const { createHandler, fail, invalid } = require('./_shared/http');
+const { validate } = require('./_shared/schema');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PostgREST returns at most this many rows per request on a default project
+const PAGE_SIZE = 1000;
+
+// Ids per id=in.(...) read, which keeps the URL well inside what the gateway accepts
+const IDS_PER_READ = 200;
+
+// Referrers listed; totals.referral counts them all
+const MAX_REFERRERS = 50;
+
+const METRICS = { photo: ['impression', 'open'], entry: ['view'] };
+
+const RANGE = { from: { type: 'string', format: 'date' }, to: { type: 'string', format: 'date' } };
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+const msOf = (day) => Date.parse(`${day}T00:00:00Z`);
+
+// The days from `from` to `to`, or the last DEFAULT_DAYS
+const rangeOf = (query) => {
+  const checked = validate(query, RANGE);
+  if (checked.fields) fail(400, checked.error, { fields: checked.fields });
+  const to = msOf(query.to || dayOf(Date.now()));
+  const from = query.from ? msOf(query.from) : to - (DEFAULT_DAYS - 1) * DAY_MS;
+  if (from > to) invalid('from', 'from must not be after to');
+  if ((to - from) / DAY_MS + 1 > MAX_DAYS) invalid('from', `The range can span at most ${MAX_DAYS} days`);
+  const days = [];
+  for (let ms = from; ms <= to; ms += DAY_MS) days.push(dayOf(ms));
+  return days;
+};
+
+// Every row of a daily table in the range, a page at a time
+const readRange = async ({ KEY, rest }, table, select, order, days) => {
+  const rows = [];
+  const where = `day=gte.${days[0]}&day=lte.${days[days.length - 1]}`;
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const res = await fetch(
+      rest(`/${encodeURIComponent(table)}?select=${select}&${where}&order=${order}&limit=${PAGE_SIZE}&offset=${offset}`),
+      { headers: headersJSON(KEY) }
+    );
+    if (!res.ok) throw await restError(res, 'Failed to read stats');
+    const page = await res.json();
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+};
+
+// id -> { id, title, slug, deleted_at } for the photos or entries the counts name, a few
+// hundred ids at a time
+const readItems = async ({ KEY, rest }, table, ids) => {
+  const items = new Map();
+  for (let i = 0; i < ids.length; i += IDS_PER_READ) {
+    const res = await fetch(
+      rest(`/${encodeURIComponent(table)}?select=id,title,slug,deleted_at&id=in.(${ids.slice(i, i + IDS_PER_READ).join(',')})`),
+      { headers: headersJSON(KEY) }
+    );
+    if (!res.ok) throw await restError(res, 'Failed to read stats');
+    for (const r of await res.json()) items.set(Number(r.id), r);
+  }
+  return items;
+};
+
+const byCount = (metrics) => (a, b) => {
+  for (const m of metrics) {
+    if (b.counts[m] !== a.counts[m]) return b.counts[m] - a.counts[m];
+  }
+  return a.id - b.id;
+};
+
+const stats = async ({ cfg, query }) => {
+  const days = rangeOf(query);
+  const index = new Map(days.map((d, i) => [d, i]));
+  const zeros = () => days.map(() => 0);
+
+  const [counts, referrals] = await Promise.all([
+    readRange(cfg, cfg.STATS, 'day,metric,item_id,count', 'day.asc,metric.asc,item_id.asc', days),
+    readRange(cfg, cfg.REFERRERS, 'day,host,count', 'day.asc,host.asc', days),
+  ]);
+
+  const daily = days.map((day) => ({ day, impression: 0, open: 0, view: 0, referral: 0 }));
+  // kind -> id -> { counts, trend }
+  const items = { photo: new Map(), entry: new Map() };
+  for (const r of counts) {
+    const i = index.get(String(r.day).slice(0, 10));
+    const kind = Object.keys(METRICS).find((k) => METRICS[k].includes(r.metric));
+    if (i === undefined || !kind) continue;
+    const id = Number(r.item_id);
+    if (!items[kind].has(id)) {
+      items[kind].set(id, {
+        counts: Object.fromEntries(METRICS[kind].map((m) => [m, 0])),
+        trend: Object.fromEntries(METRICS[kind].map((m) => [m, zeros()])),
+      });
+    }
+    const item = items[kind].get(id);
+    item.counts[r.metric] += r.count;
+    item.trend[r.metric][i] += r.count;
+    daily[i][r.metric] += r.count;
+  }
+
+  const hosts = new Map();
+  for (const r of referrals) {
+    const i = index.get(String(r.day).slice(0, 10));
+    if (i === undefined) continue;
+    if (!hosts.has(r.host)) hosts.set(r.host, { host: r.host, count: 0, trend: zeros() });
+    const h = hosts.get(r.host);
+    h.count += r.count;
+    h.trend[i] += r.count;
+    daily[i].referral += r.count;
+  }
+
+  const [photoRows, entryRows] = await Promise.all([
+    readItems(cfg, cfg.GALLERY, [...items.photo.keys()]),
+    readItems(cfg, cfg.JOURNAL, [...items.entry.keys()]),
+  ]);
+  const listOf = (kind, rows) => [...items[kind]].map(([id, item]) => {
+    const row = rows.get(id);
+    return { id, title: row ? row.title : null, slug: row ? row.slug : null, removed: !row || !!row.deleted_at, ...item };
+  }).sort(byCount(METRICS[kind].slice().reverse()));
+
+  const totals = { impression: 0, open: 0, view: 0, referral: 0 };
+  for (const d of daily) for (const k of Object.keys(totals)) totals[k] += d[k];
+
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    days,
+    totals,
+    daily,
+    photos: listOf('photo', photoRows),
+    entries: listOf('entry', entryRows),
+    referrers: [...hosts.values()].sort((a, b) => b.count - a.count || a.host.localeCompare(b.host)).slice(0, MAX_REFERRERS),
+  };
+};
+
+exports.handler = createHandler({
+  name: 'stats',
+  config: () => ({
+    ...getConfig(),
+    STATS: tableName('stats_daily'),
+    REFERRERS: tableName('referrers_daily'),
+    GALLERY: tableName('gallery'),
+    JOURNAL: tableName('journal'),
+  }),
+  headers: { 'Cache-Control': 'no-store' },
+  routes: {
+    GET: { run: stats, admin: true },
+  },
+});
@@ -0,0 +1,187 @@
+// functions/tags.js
+// REST API for the tags photos and journal entries share.
+// Methods:
+//   GET    /.netlify/functions/tags               tags in use on the public site, with counts
+//   GET    /.netlify/functions/tags?scope=all     every tag, counting drafts too (admin)
+//                                                 -> [{ id, slug, name, photo_count, entry_count }]
+//   POST   /.netlify/functions/tags               { name, slug? }
+//   PUT    /.netlify/functions/tags               { id, name?, slug? }   (rename)
+//   POST   /.netlify/functions/tags/merge         { ids: [id, ...], into: id }
+//                                                 (their photos and entries move to `into`, then they are deleted)
+//   DELETE /.netlify/functions/tags               { id }   (untags everything, keeps the items)
+// Tags are attached by name through the gallery and journal functions (see _shared/tags.js).
+// Renaming keeps the slug (and so ?tag= links) unless a new slug is given.
+// Public counts only include live items (see _shared/publishing.js); the trash never counts.
+// POST/PUT/DELETE and ?scope=all require `Authorization: Bearer <token>` issued by /auth.
+// Every write is recorded in the audit log (see _shared/audit.js).
+//
+// Optional env vars:
+//   SUPAHUB_TAGS_TABLE (default "tags")
+//   SUPAHUB_PHOTO_TAGS_TABLE (default "photo_tags"), SUPAHUB_ENTRY_TAGS_TABLE (default "entry_tags")
+
+const { createHandler, fail, invalid } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { isLive } = require('./_shared/publishing');
+const { slugify, isConflict } = require('./_shared/slugs');
+const { getConfig, tableName, headersJSON, restError } = require('./_shared/supabase');
+const { TAG_COLS } = require('./_shared/tags');
+
+const ITEM_COLS = 'status,publish_at,deleted_at';
+
+const cleanName = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '');
+
+const ID = { type: 'id', required: true };
+
+// GET: list tags with how many photos and entries carry each
+const list = async (req) => {
+  const { KEY, TABLE, GALLERY, JOURNAL, rest } = req.cfg;
+  const all = req.query.scope === 'all';
+  if (all) req.requireAdmin();
+
+  const [tagRes, photoRes, entryRes] = await Promise.all([
+    fetch(rest(`/${encodeURIComponent(TABLE)}?select=${TAG_COLS}&order=name.asc`), { headers: headersJSON(KEY) }),
+    fetch(rest(`/${encodeURIComponent(tableName('photo_tags'))}?select=tag_id,item:${encodeURIComponent(GALLERY)}(${ITEM_COLS})`), { headers: headersJSON(KEY) }),
+    fetch(rest(`/${encodeURIComponent(tableName('entry_tags'))}?select=tag_id,item:${encodeURIComponent(JOURNAL)}(${ITEM_COLS})`), { headers: headersJSON(KEY) }),
+  ]);
+  for (const res of [tagRes, photoRes, entryRes]) {
+    if (!res.ok) throw await restError(res, 'Failed to list tags');
+  }
+
+  const counted = (item) => !!item && (all ? !item.deleted_at : isLive(item));
+  const count = (links) => {
+    const n = new Map();
+    links.filter((l) => counted(l.item)).forEach((l) => n.set(Number(l.tag_id), (n.get(Number(l.tag_id)) || 0) + 1));
+    return n;
+  };
+  const photos = count(await photoRes.json());
+  const entries = count(await entryRes.json());
+
+  return (await tagRes.json())
+    .map((t) => ({ ...t, photo_count: photos.get(Number(t.id)) || 0, entry_count: entries.get(Number(t.id)) || 0 }))
+    .filter((t) => all || t.photo_count + t.entry_count > 0);
+};
+
+// POST /merge: fold tags into another
+// body: { ids: [id, ...], into: id }
+const merge = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const ids = body.ids.map(Number);
+  const into = Number(body.into);
+  if (ids.includes(into)) invalid('into', 'into cannot be one of ids');
+  trail.id = into;
+  trail.meta = { merged: ids };
+
+  const tgtRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${into}&select=${TAG_COLS}`),
+    { headers: headersJSON(KEY) }
+  );
+  if (!tgtRes.ok) throw await restError(tgtRes, 'db read failed');
+  const [target] = await tgtRes.json();
+  if (!target) fail(404, 'Tag not found');
+
+  const rpcRes = await fetch(rest('/rpc/merge_tags'), {
+    method: 'POST',
+    headers: headersJSON(KEY),
+    body: JSON.stringify({ p_source_ids: ids, p_target_id: into }),
+  });
+  if (!rpcRes.ok) throw await restError(rpcRes, 'db update failed');
+  trail.after = null;
+  return { ok: true, into: target, merged: ids };
+};
+
+// POST: create a tag
+// body: { name, slug? }
+const create = async ({ cfg, body }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const name = cleanName(body.name);
+  if (!name) invalid('name', 'name required');
+  const slug = slugify(body.slug || name);
+  if (!slug) invalid('slug', 'slug must contain letters or numbers');
+
+  const insRes = await fetch(rest(`/${encodeURIComponent(TABLE)}`), {
+    method: 'POST',
+    headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+    body: JSON.stringify({ name, slug }),
+  });
+  if (!insRes.ok) {
+    const err = await restError(insRes, 'db insert failed');
+    if (isConflict(insRes.status, err.detail)) fail(409, `Tag "${slug}" already exists`);
+    throw err;
+  }
+  const [row] = await insRes.json();
+  return row;
+};
+
+// PUT: rename a tag
+// body: { id, name?, slug? }
+const update = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const fields = {};
+  if (body.name !== undefined) {
+    fields.name = cleanName(body.name);
+    if (!fields.name) invalid('name', 'name cannot be empty');
+  }
+  if (typeof body.slug === 'string') {
+    fields.slug = slugify(body.slug);
+    if (!fields.slug) invalid('slug', 'slug must contain letters or numbers');
+  }
+  if (Object.keys(fields).length === 0) fail(400, 'No updatable fields provided');
+  fields.updated_at = new Date().toISOString();
+
+  // The tag as it was, for the audit diff
+  const byId = `/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`;
+  const curRes = await fetch(rest(`${byId}&select=${TAG_COLS}`), { headers: headersJSON(KEY) });
+  if (!curRes.ok) throw await restError(curRes, 'db read failed');
+  [trail.before] = await curRes.json();
+  if (!trail.before) fail(404, 'Tag not found');
+
+  const updRes = await fetch(
+    rest(byId),
+    {
+      method: 'PATCH',
+      headers: { ...headersJSON(KEY), Prefer: 'return=representation' },
+      body: JSON.stringify(fields),
+    }
+  );
+  if (!updRes.ok) {
+    const err = await restError(updRes, 'db update failed');
+    if (isConflict(updRes.status, err.detail)) fail(409, `Tag "${fields.slug}" already exists`);
+    throw err;
+  }
+  const [row] = await updRes.json();
+  if (!row) fail(404, 'Tag not found');
+  return row;
+};
+
+// DELETE: remove a tag (links cascade, photos and entries stay)
+// body: { id }
+const remove = async ({ cfg, body, trail }) => {
+  const { KEY, TABLE, rest } = cfg;
+  const delRes = await fetch(
+    rest(`/${encodeURIComponent(TABLE)}?id=eq.${encodeURIComponent(String(body.id))}`),
+    { method: 'DELETE', headers: { ...headersJSON(KEY), Prefer: 'return=representation' } }
+  );
+  if (!delRes.ok) throw await restError(delRes, 'db delete failed');
+  const [row] = await delRes.json();
+  if (!row) fail(404, 'Tag not found');
+  trail.before = row;
+  return { ok: true, id: row.id };
+};
+
+exports.handler = withAudit('tag', createHandler({
+  name: 'tags',
+  config: () => ({ ...getConfig(), TABLE: tableName('tags'), GALLERY: tableName('gallery'), JOURNAL: tableName('journal') }),
+  routes: {
+    GET: list,
+    POST: { run: create, schema: { name: { type: 'string', required: true, message: 'name required' }, slug: { type: 'string' } } },
+    'POST /merge': {
+      run: merge,
+      schema: {
+        ids: { type: 'array', required: true, min: 1, items: { type: 'id' }, message: 'ids must be a non-empty array of integers' },
+        into: { type: 'id', required: true, message: 'into must be a tag id' },
+      },
+    },
+    PUT: { run: update, schema: { id: ID, name: { type: 'string' }, slug: { type: 'string' } } },
+    DELETE: { run: remove, schema: { id: ID } },
+  },
+}), { 'POST /merge': 'merge' });
@@ -1,56 +1,77 @@
 // functions/update-site.js
-// Calls your Netlify build hook to rebuild the public site.
+// Rebuilds the public site through your Netlify build hook, and tracks how each rebuild went.
+// Methods:
+//   POST /.netlify/functions/update-site      rebuild now; joins a build that is already
+//                                             waiting, and waits out the rest of the window
+//                                             if the hook fired less than a window ago
+//        -> 200 { ok, build } once the hook accepted it, 202 { ok, queued: true, build }
+//   GET  /.netlify/functions/update-site      { pending, in_flight, last_deployed_at, failed,
+//                                               window_seconds, auto_rebuild, builds } (admin)
+//   POST /.netlify/functions/update-site/deploy-events   Netlify's deploy notifications
+// Both POST and GET first fire any queued build that is due (see _shared/builds.js, which
+// also covers the window and AUTO_REBUILD).
+// deploy-events takes Netlify's "Deploy started / succeeded / failed" outgoing webhooks
+// (Site settings → Build & deploy → Deploy notifications), signed with
+// NETLIFY_DEPLOY_WEBHOOK_SECRET; without them builds stop at "triggered".
+// POST and GET require `Authorization: Bearer <token>` issued by /auth. Each POST is
+// recorded in the audit log as a "rebuild" (see _shared/audit.js).
+//
+// Required env vars:
+//   NETLIFY_BUILD_HOOK_URL
+// Optional:
+//   BUILD_DEBOUNCE_SECONDS, AUTO_REBUILD, NETLIFY_DEPLOY_WEBHOOK_SECRET (see _shared/builds.js)
 
-const CORS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'POST,OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Key',
-};
-
-const json = (status, obj) => ({
-  statusCode: status,
-  headers: {
-    'Content-Type': 'application/json',
-    'Cache-Control': 'no-store, max-age=0',
-    'Pragma': 'no-cache',
-    ...CORS,
-  },
-  body: JSON.stringify(obj),
-});
+const { createHandler, reply, fail } = require('./_shared/http');
+const { withAudit } = require('./_shared/audit');
+const { getHeader } = require('./_shared/auth');
+const { getConfig } = require('./_shared/supabase');
+const { enqueueBuild, flushBuilds, buildStatus, verifyDeploySignature, recordDeployEvent } = require('./_shared/builds');
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: CORS, body: '' };
-  if (event.httpMethod !== 'POST') return json(405, { error: 'Method not allowed' });
+// POST: rebuild as soon as the window allows
+const rebuild = async ({ cfg, claims, trail }) => {
+  if (!process.env.NETLIFY_BUILD_HOOK_URL) fail(500, 'Missing NETLIFY_BUILD_HOOK_URL env var', { code: 'not_configured' });
 
-  const hook = process.env.NETLIFY_BUILD_HOOK_URL;
-  if (!hook) return json(500, { error: 'Missing NETLIFY_BUILD_HOOK_URL env var' });
+  const queued = await enqueueBuild(cfg, { reason: 'manual', actor: claims.name || claims.sub, immediate: true });
+  trail.id = queued.id;
+  trail.after = null;
+  const fired = await flushBuilds(cfg);
+  const build = fired.find((b) => b.id === queued.id);
 
-  // Optional guard: require a header if ADMIN_SECRET is set
-  const secret = process.env.ADMIN_SECRET;
-  if (secret) {
-    const provided = event.headers['x-admin-key'] || event.headers['X-Admin-Key'];
-    if (provided !== secret) return json(401, { error: 'Unauthorized' });
+  if (!build) {
+    trail.meta = { queued: true, due_at: queued.due_at };
+    return reply(202, { ok: true, queued: true, build: queued, note: `Build queued; it starts at ${queued.due_at}.` });
   }
+  if (build.status === 'failed') {
+    fail(502, build.error, { extra: { status: build.hook_status, build } });
+  }
+  return { ok: true, status: build.hook_status, build, note: 'Build enqueued. Check Netlify → Deploys.' };
+};
 
-  try {
-    // Some hooks prefer empty body, some accept JSON fine — we try JSON first, then fall back.
-    let res = await fetch(hook, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ triggeredBy: 'admin', ts: Date.now() }),
-    });
-
-    if (!res.ok) {
-      // Fallback with no body
-      res = await fetch(hook, { method: 'POST' });
-    }
-
-    const text = await res.text().catch(() => '');
-    let parsed = null; try { parsed = JSON.parse(text); } catch {}
+// GET: where rebuilds stand
+const status = async ({ cfg }) => {
+  await flushBuilds(cfg);
+  return buildStatus(cfg);
+};
 
-    if (!res.ok) return json(502, { error: 'Build hook responded with error', status: res.status, body: parsed || text });
-    return json(200, { ok: true, status: res.status, body: parsed || text, note: 'Build enqueued. Check Netlify → Deploys.' });
-  } catch (err) {
-    return json(500, { error: 'Failed to call build hook', detail: String(err) });
+// POST /deploy-events: a Netlify deploy notification
+const deployEvent = async ({ cfg, event, body }) => {
+  const secret = process.env.NETLIFY_DEPLOY_WEBHOOK_SECRET;
+  if (!secret) fail(500, 'Missing NETLIFY_DEPLOY_WEBHOOK_SECRET env var', { code: 'not_configured' });
+  const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || '';
+  if (!verifyDeploySignature(getHeader(event, 'x-webhook-signature'), raw, secret)) {
+    fail(401, 'Invalid deploy notification signature');
   }
+  const build = await recordDeployEvent(cfg, body);
+  return { ok: true, build_id: build ? build.id : null, status: build ? build.status : null };
 };
+
+exports.handler = withAudit('site', createHandler({
+  name: 'update-site',
+  config: getConfig,
+  headers: { 'Cache-Control': 'no-store, max-age=0', 'Pragma': 'no-cache' },
+  routes: {
+    GET: { run: status, admin: true },
+    POST: rebuild,
+    'POST /deploy-events': { run: deployEvent, admin: false },
+  },
+}), { POST: 'rebuild', 'POST /deploy-events': null });
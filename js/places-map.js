@@ -0,0 +1,126 @@
+// js/places-map.js
+// The map on the public site's Places view (window.KTPlacesMap in index.html): an SVG of
+// the land around the places photos were taken at, with a dot per place.
+//
+// The outlines are bundled so the map needs no tiles, keys or network. They are coarse and
+// hand-simplified (major coastlines and larger islands only, a few dozen points each, no
+// borders, lakes or small islands), good for "where in the world", not for navigation.
+// Coordinates are [lon, lat]; the projection is equirectangular, squeezed by the cosine of
+// the middle latitude so the area shown isn't stretched sideways.
+// Keep it dependency-free and ES2018, like js/site-render.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.KTPlacesMap = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LAND = [
+    // North America
+    [[-168,66],[-162,70],[-156,71.3],[-141,69.7],[-128,70],[-115,68.5],[-95,68],[-94,72],[-82,69],[-82,64],[-90,63],[-94,59],[-92,57],[-82,55],[-79,51.5],[-77,56],[-78,62],[-72,62],[-65,60],[-61,56],[-56,52],[-60,50],[-66,50],[-64,48.5],[-60,46],[-66,44],[-70,43],[-70,41.5],[-74,40.5],[-76,37],[-75.5,35.3],[-81,31.5],[-80,27],[-80.3,25.2],[-81.8,26],[-82.7,28],[-84,30],[-89,30.2],[-94,29.6],[-97.3,27.5],[-97.7,22],[-96,19],[-94.5,18.2],[-91,18.7],[-90.4,21],[-87,21.5],[-87.6,18],[-88.3,15.8],[-84,15.9],[-83.3,11],[-81.5,9],[-79,9.5],[-77.4,8.7],[-78.5,7.2],[-80.4,7.3],[-83,8.3],[-85.7,10],[-87.7,13],[-91.4,14],[-94.4,16.1],[-97.8,16],[-101.5,17.5],[-105.5,20],[-105.2,22.5],[-108.3,25.3],[-112.2,29],[-114.7,31.7],[-113,28],[-111.5,24.5],[-109.5,23],[-112,25],[-114.2,28],[-115.8,30.5],[-117.1,32.5],[-118.5,34],[-120.6,34.6],[-122.5,37.5],[-124.3,40.4],[-124.1,46],[-124.7,48.4],[-123,49],[-127,50.5],[-130.5,54.5],[-133,57.5],[-137.5,58.8],[-141,60],[-147,61],[-152,59.5],[-154,57.5],[-158,56.5],[-163,54.8],[-161,58.5],[-165,60.5],[-164.5,63.2],[-161,64.5],[-166,65.5]],
+    // Greenland, Baffin Island, Ellesmere Island
+    [[-73,78],[-66,81],[-50,82.5],[-30,83.5],[-20,82],[-18,77],[-21,71],[-25,69],[-33,67.5],[-40,65],[-43,60],[-48,61],[-52,65],[-54,69],[-58,75],[-68,76.5]],
+    [[-90,74],[-80,73.5],[-68,70.5],[-61.5,66.5],[-65,63],[-72,63.5],[-78,65],[-73,68],[-81,70],[-88,70.5]],
+    [[-90,77],[-75,78],[-62,82],[-80,83],[-95,81]],
+    // Cuba, Hispaniola, Hawaii (the Big Island and Oahu)
+    [[-84.9,21.9],[-82,22.7],[-80,23.1],[-77.2,21.7],[-74.2,20.2],[-77.7,19.9],[-78.7,21.6],[-81.8,22.2]],
+    [[-74.4,18.5],[-72.8,19.9],[-70,19.7],[-68.4,18.6],[-70,18.2],[-71.5,17.6],[-72.8,18.1]],
+    [[-155.9,20.2],[-155,19.7],[-155.6,18.9],[-156,19.6]],
+    [[-158.3,21.6],[-157.7,21.3],[-158.1,21.3]],
+    // South America
+    [[-77.4,8.7],[-75.5,10.7],[-71.5,12.4],[-68,10.5],[-61.5,10.7],[-57,6],[-52,4.5],[-50,1.8],[-48.5,-1],[-44,-2.5],[-39,-3.7],[-35,-5.5],[-35,-9],[-38.7,-13],[-39.2,-17.6],[-41,-22],[-44.5,-23.2],[-48.5,-26],[-50,-30],[-53,-33.7],[-57.5,-35],[-57,-38.5],[-62,-39],[-65,-42],[-67.5,-46.5],[-69,-51],[-68.5,-52.5],[-70,-55],[-74,-52],[-75.5,-47],[-73.7,-42],[-73.5,-37],[-71.5,-32],[-71.4,-28],[-70.4,-23],[-70.3,-18.4],[-75,-15.5],[-77,-12],[-79.5,-7.5],[-81,-4.5],[-80,-2],[-80.5,0.5],[-78.5,2],[-77.5,4],[-77.4,6.5]],
+    // Iceland, Ireland, Great Britain
+    [[-22,64],[-24,65.5],[-22.5,66.4],[-16,66.5],[-13.6,65.5],[-14.7,64.4],[-18.7,63.4]],
+    [[-6,52.2],[-6.2,53.9],[-5.5,54.7],[-7.3,55.3],[-8.5,54.5],[-10.1,54],[-9.9,52.4],[-10.4,51.8],[-8,51.6]],
+    [[-5.7,50],[-3,50.6],[1.4,51.2],[1.7,52.7],[0.2,53.5],[-1.3,54.9],[-2,55.9],[-3,56],[-1.8,57.5],[-4,57.7],[-3,58.6],[-5,58.6],[-6.2,57.5],[-5.6,56.3],[-5,55],[-3.1,54.9],[-3.3,53.4],[-4.6,53.3],[-4.3,52],[-5.3,51.7],[-3,51.4]],
+    // Eurasia
+    [[-5.6,36],[-9,37],[-9.5,39],[-8.9,42],[-9.2,43.2],[-7,43.6],[-1.8,43.4],[-1.2,46],[-2.5,47.3],[-4.6,48.4],[-1.6,48.7],[1.5,50.2],[3.5,51.4],[4.8,53],[8.6,53.6],[8.6,55.5],[8.2,57],[10.5,57.7],[10.6,56],[12.6,54.5],[14,54],[18.5,54.7],[21,55.2],[21,57],[23.5,57],[24.3,59.4],[28.5,60],[22.9,59.8],[21.4,61],[21.5,63.3],[25.4,65],[22.3,65.8],[17.8,62.5],[19.1,59.8],[16.6,57.1],[14,55.4],[12.5,56.3],[11,58.9],[8,58.1],[5.5,58.8],[5,61.5],[7,63],[12,66],[15.5,68.5],[19,70],[25.8,71.1],[31,70.2],[28.5,68.5],[33,69.3],[41,67.5],[38,66],[44,66],[44,68.4],[53.5,68.2],[58,69],[68.5,68.2],[67,71],[72.8,72.8],[80.5,73.5],[87,75],[100,78.5],[107,77.3],[113.5,73.5],[130,71],[140,72.5],[150,71.5],[160,70],[170,70],[180,69],[180,65.5],[178.5,64.5],[177,62.5],[172,60.6],[164,59.8],[163,57.8],[162,56],[156.5,51],[155.7,57],[163,62],[160,61.5],[155,59.3],[151,59.2],[143,59.4],[137,54],[141.3,53],[140.3,48.4],[135,43.5],[131,42.6],[129.5,40.8],[129.4,36.7],[126.6,34.4],[126.4,37.5],[124.8,39.6],[121.5,39],[122.2,40.5],[121,40.8],[118,39.1],[119.2,37.2],[122.5,37],[120.3,34.3],[121.9,30.8],[121.9,29],[119.5,25.5],[116.5,22.9],[113.6,22.2],[110.4,21.2],[108.5,21.6],[106.6,20.2],[105.6,18.6],[108.8,15.5],[109.3,12],[107,10.4],[104.8,8.6],[104.8,10.3],[103,11],[101,12.7],[100,13.4],[99.2,10.5],[100.4,7.3],[101.2,6.9],[103.4,4.6],[103.5,1.5],[101.3,2.8],[100.3,5.3],[98.3,8],[98.5,10.7],[97.7,15.6],[94.2,16],[94.5,19],[92.3,20.7],[91.9,22.6],[90.3,21.9],[86.9,21.4],[85,19.5],[82.3,16.6],[80.3,15.9],[80.3,13],[79.9,10.3],[77.5,8],[76.3,9.6],[74.8,12.8],[73.5,16],[72.8,19.3],[72.6,21.2],[70.4,20.9],[68.5,23.4],[66.6,25.4],[61.6,25.2],[57.3,25.8],[56.3,27.1],[54.7,26.5],[51.6,27.9],[50.1,30.1],[48.5,29.9],[50,26.6],[51.5,24.3],[54,24.1],[56.1,26.2],[56.5,24.3],[59.8,22.4],[57.8,19],[55.2,17.6],[52.2,15.6],[45,12.8],[43.4,12.7],[42.7,15.6],[40.9,19.6],[39,21.9],[38.4,24.1],[35.8,27.8],[34.6,28.1],[34.2,31.2],[35,32.8],[35.9,35.4],[36.1,36.6],[32.6,36.1],[30.4,36.3],[27.4,37.2],[26.3,38.6],[26.6,40.3],[29,41.1],[31.4,41.2],[36.6,41.3],[41.4,41.5],[39.3,44],[37.5,44.7],[38.3,46.9],[35.2,45.2],[33.5,44.5],[32.5,45.4],[30.7,46.5],[29.7,45.3],[28.6,44],[28,41.7],[26,40.8],[23.2,40.3],[24,38],[22.8,36.5],[21.1,38.3],[20,39.7],[19.4,41.8],[17.5,43],[13.6,45.1],[12.3,45.3],[12.4,44.2],[16,41.4],[18.5,40.2],[16.5,38.8],[15.7,38],[16.1,39.5],[14.5,40.7],[12.3,41.7],[10.2,43.9],[8.7,44.4],[6.6,43.1],[3.1,43.1],[3.2,41.9],[0.8,41],[-0.3,39.5],[0.2,38.8],[-1.4,37.5],[-2.1,36.7],[-4.4,36.7]],
+    // Corsica, Sardinia, Sicily, Sri Lanka
+    [[8.6,42.4],[9.4,43],[9.5,42],[9.2,41.4],[8.6,41.9]],
+    [[8.4,41],[9.8,41],[9.6,39.2],[8.5,39],[8.2,40.5]],
+    [[12.4,38.1],[15.6,38.3],[15.1,36.7],[12.6,37.6]],
+    [[79.9,9.8],[81.9,7.5],[81.3,6.2],[80.1,6],[79.8,8]],
+    // Africa, Madagascar
+    [[-17,21],[-16,24.5],[-13,27.8],[-9.8,29.8],[-9.5,32.5],[-6,35.8],[-2,35.1],[3,36.8],[10,37.3],[11,35.5],[10.2,33.8],[15.2,32.3],[20,30.8],[20.1,32.3],[25,31.7],[29,30.9],[32.3,31.3],[34.2,27.8],[35.5,23.9],[37.3,21],[38.6,18],[43.3,12.5],[44,11],[51.2,11.8],[51,10.4],[47.7,4.2],[40.8,-2.3],[39.2,-6.5],[40.4,-10.5],[40.7,-15],[35.3,-22],[35.4,-24.2],[32.6,-26],[32.4,-28.8],[30.2,-31.2],[27.3,-33.9],[22,-34.2],[18.4,-34.3],[18,-32],[16.5,-28.6],[14.5,-22.5],[11.8,-17.3],[13.6,-12.4],[12.2,-6],[9,-1],[9.6,4],[8.5,4.5],[6,4.3],[4.5,6.3],[1,5.9],[-2,4.8],[-7.5,4.4],[-11.5,6.9],[-13.2,8.9],[-15,10.9],[-16.7,12.4],[-17.5,14.7],[-16.5,16.5],[-16.2,19.5]],
+    [[49.3,-12],[50.5,-15.5],[49.5,-17.5],[48,-22],[47.1,-25],[45.2,-25.5],[43.7,-23.5],[43.3,-21.5],[44.4,-16.5],[46.3,-15.8],[48,-13.5]],
+    // Japan (Hokkaido, Honshu, Shikoku, Kyushu), Taiwan
+    [[140,41.5],[139.9,42.7],[141.3,43.3],[141.6,45.4],[143.5,44.2],[145.4,43.4],[144,42.9],[141.5,42.6],[140.9,41.8]],
+    [[130.9,34],[132.5,35.5],[135.2,35.7],[136.7,37.3],[138.5,37.5],[140,39.8],[139.9,41.1],[141.5,41.3],[142,39.5],[141,38],[140.9,36.2],[140.8,35.1],[139.8,34.9],[138.8,34.6],[137,34.6],[136.8,34.3],[135.7,33.5],[135.1,34.3],[133.5,34.4],[131.9,33.9]],
+    [[132.5,33.2],[133,34],[134.6,34.2],[134.7,33.8],[133.6,33.4],[132.9,32.8]],
+    [[129.7,33.3],[130.9,34],[131.9,33.1],[131.4,31.4],[130.2,31.2],[130.2,32.5]],
+    [[121,25.3],[122,25],[121.6,24],[120.9,22],[120.1,23],[120.2,24.3]],
+    // The Philippines (Luzon, Mindanao)
+    [[120.6,18.5],[122.2,18.5],[122.4,17],[121.6,15.9],[121.6,14.2],[124.1,13],[123.3,13.9],[121,13.8],[120.6,14.5],[119.8,16.3]],
+    [[122,7],[125.4,6],[126.2,6.3],[126.6,7.3],[126,9.2],[124.7,8.9],[123.6,8.6]],
+    // Borneo, Sumatra, Java, Bali, Sulawesi, New Guinea
+    [[109.6,1.9],[111,1.6],[113,3.2],[115.5,5.2],[117,7],[118.8,5.3],[117.9,4.1],[118.5,1.1],[117.5,-0.5],[116.2,-3.9],[114.5,-4],[111,-3],[110.2,-1.7],[109,0.3]],
+    [[95.3,5.6],[97.5,5.2],[100.3,2.4],[103.8,-1],[106,-3.2],[105.8,-5.8],[104.5,-5.9],[101.5,-3],[99,0],[97,2.4]],
+    [[105.2,-6.8],[108.5,-6.4],[111,-6.4],[114.5,-7.7],[114.4,-8.6],[110.5,-8.2],[106.5,-7.4]],
+    [[114.5,-8.1],[115.7,-8.4],[115.2,-8.8],[114.6,-8.4]],
+    [[119.4,-5.5],[120.4,-5.5],[121,-2.7],[122.8,-4.6],[123.2,-1],[121.1,-1.4],[121.6,0.8],[124.3,1.1],[125.1,1.6],[124,0.4],[120.3,0.5],[119.7,-0.5]],
+    [[131,-1.4],[134,-0.9],[135.5,-3.3],[138,-1.7],[141,-2.6],[145.8,-4.9],[147.5,-6.2],[147.9,-8],[150.4,-10.6],[146,-8.1],[143.3,-9],[142.3,-9.2],[141,-9.1],[138.9,-8.3],[137.8,-5.2],[135.2,-4.4],[133.4,-4],[132,-2.8]],
+    // Australia, Tasmania, New Zealand
+    [[113.4,-22],[114.1,-26.3],[115,-30],[115,-33.5],[117.5,-35],[123.5,-33.9],[126,-32.3],[131,-31.5],[135.5,-34.8],[137.8,-33],[138.1,-35.6],[140.6,-38],[144,-38.4],[146.4,-39.1],[150,-37.5],[151.3,-33.8],[153.1,-30.5],[153.4,-27.5],[152.9,-25.3],[150.9,-23],[149,-20.6],[146.3,-19],[145.3,-15],[143.5,-14],[142.5,-10.7],[141.6,-13],[141.5,-16.9],[140,-17.6],[136.7,-15.9],[135.8,-13.5],[136.8,-12.2],[132.6,-11.5],[131,-12.2],[129.5,-14.9],[128,-15],[126.1,-14],[122.3,-17],[121,-19.6],[117,-20.6]],
+    [[144.7,-40.7],[148.3,-40.9],[148.3,-42.2],[147,-43.6],[145.2,-42.3]],
+    [[172.7,-34.4],[174.6,-36.2],[175.9,-37.2],[178.5,-37.7],[177,-39.3],[176.9,-40],[175.2,-41.6],[174.6,-39.9],[173.8,-39.2],[174.6,-37.3]],
+    [[172.6,-40.5],[174.3,-41.2],[173.3,-43],[171.2,-44.5],[170.6,-45.9],[169.2,-46.6],[166.5,-46],[166.9,-45.1],[168.4,-44],[170.8,-42.9],[172,-41.4]],
+  ];
+
+  // Smallest area shown, in degrees, so one place or a few close together still get context
+  const MIN_SPAN = 20;
+  // Width of the drawing in SVG units; the height follows the area shown
+  const WIDTH = 1000;
+
+  function esc(str){return String(str).replace(/[&<>"']/g,m=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"}[m]));}
+
+  function mapped(places){
+    return (places || []).filter(p=> Number.isFinite(p.lat) && Number.isFinite(p.lon));
+  }
+
+  // The area around the places, padded, at least MIN_SPAN each way and inside the world
+  function bounds(places){
+    const lats = places.map(p=>p.lat);
+    const lons = places.map(p=>p.lon);
+    const grow = (lo, hi, min, limit)=>{
+      const pad = Math.max((hi - lo) * 0.15, (min - (hi - lo)) / 2, 0);
+      lo -= pad; hi += pad;
+      if(lo < -limit){ hi += -limit - lo; lo = -limit; }
+      if(hi > limit){ lo -= hi - limit; hi = limit; }
+      return [Math.max(lo, -limit), Math.min(hi, limit)];
+    };
+    const [south, north] = grow(Math.min(...lats), Math.max(...lats), MIN_SPAN, 85);
+    const [west, east] = grow(Math.min(...lons), Math.max(...lons), MIN_SPAN * 1.5, 180);
+    return { south, north, west, east };
+  }
+
+  /**
+   * SVG markup for the places with coordinates, each dot a link to placePath(p) (see
+   * js/site-render.js) carrying data-place, sized by photo_count; `active` is the slug of
+   * the one to highlight. Returns '' when none of the places has coordinates.
+   */
+  function placesMapSvg(places, { active = '', placePath }){
+    const shown = mapped(places);
+    if(!shown.length) return '';
+    const b = bounds(shown);
+    const squeeze = Math.cos(((b.north + b.south) / 2) * Math.PI / 180);
+    const scale = WIDTH / ((b.east - b.west) * squeeze);
+    const height = Math.round((b.north - b.south) * scale);
+    const x = (lon)=> ((lon - b.west) * squeeze * scale).toFixed(1);
+    const y = (lat)=> ((b.north - lat) * scale).toFixed(1);
+
+    const land = LAND.map(ring=> 'M' + ring.map(([lon, lat])=> `${x(lon)} ${y(lat)}`).join('L') + 'Z').join('');
+    const most = Math.max(...shown.map(p=> p.photo_count || 0), 1);
+    const dots = shown
+      .slice()
+      .sort((a, b)=> (b.photo_count || 0) - (a.photo_count || 0)) // small dots on top
+      .map(p=>{
+        const r = (5 + 11 * Math.sqrt((p.photo_count || 0) / most)).toFixed(1);
+        const count = p.photo_count === 1 ? '1 photo' : `${p.photo_count || 0} photos`;
+        return `<a class="place-dot${p.slug === active ? ' active' : ''}" href="${esc(placePath(p))}" data-place="${esc(p.slug)}">`
+          + `<circle cx="${x(p.lon)}" cy="${y(p.lat)}" r="${r}"><title>${esc(p.label || p.name)}: ${count}</title></circle></a>`;
+      }).join('');
+
+    return `<svg class="places-map" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="Map of the places photos were taken">`
+      + `<rect class="places-sea" width="${WIDTH}" height="${height}"/><path class="places-land" d="${land}"/>${dots}</svg>`;
+  }
+
+  return { LAND, bounds, placesMapSvg };
+});
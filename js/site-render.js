@@ -0,0 +1,118 @@
+// js/site-render.js
+// Markup for the public site's gallery grid and journal deck.
+//
+// Shared by index.html (window.KTRender), which renders and hydrates in the browser, and
+// scripts/prerender.js, which writes the same markup into the page at build time, so the
+// two can't drift apart. Keep it dependency-free and ES2018 so it runs in both.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.KTRender = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  function escapeHtml(str){return str?String(str).replace(/[&<>"']/g,m=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"}[m])):"";}
+
+  function fmtDate(dateStr){
+    if(!dateStr) return '';
+    try{
+      const d = String(dateStr);
+      const dt = new Date(d.length>10 ? d : d + 'T00:00:00');
+      return dt.toLocaleDateString("en-US",{year:"numeric",month:"long",day:"numeric"});
+    }catch(e){return dateStr;}
+  }
+
+  // ===== Responsive images (variants written by functions/gallery.js) =====
+  const VARIANT_ORDER = ['thumb','grid','lightbox'];
+  const GRID_SIZES = '(max-width:768px) 100vw, (max-width:1400px) 50vw, 460px';
+
+  function variantSrcset(variants, format){
+    return VARIANT_ORDER
+      .filter(k => variants[k] && variants[k][format])
+      .map(k => `${variants[k][format]} ${variants[k].width}w`)
+      .join(', ');
+  }
+
+  // <picture> with AVIF/WebP sources and a JPEG fallback; plain <img> for legacy rows
+  function galleryPicture(g){
+    const alt = escapeHtml(g.alt_text || g.title || 'Photo');
+    const dims = g.width && g.height ? ` width="${g.width}" height="${g.height}"` : '';
+    const onerr = `onerror="this.style.display='none'; this.closest('.gallery-item').classList.add('placeholder'); this.closest('.gallery-item').innerHTML='<div>Image Coming Soon</div>'"`;
+    if(!g.variants) return `<img src="${escapeHtml(g.src)}" alt="${alt}"${dims} loading="lazy" decoding="async" ${onerr}>`;
+    const sources = ['avif','webp'].map(f=>{
+      const set = variantSrcset(g.variants, f);
+      return set ? `<source type="image/${f}" srcset="${escapeHtml(set)}" sizes="${GRID_SIZES}">` : '';
+    }).join('');
+    const jpeg = variantSrcset(g.variants, 'jpeg');
+    const src = (g.variants.grid && g.variants.grid.jpeg) || g.src;
+    return `<picture>${sources}<img src="${escapeHtml(src)}" srcset="${escapeHtml(jpeg)}" sizes="${GRID_SIZES}" alt="${alt}"${dims} loading="lazy" decoding="async" ${onerr}></picture>`;
+  }
+
+  // A row from /gallery (or an album) as the grid and lightbox use it
+  function toGalleryImage(x){
+    const src = x.image_url || x.src || x.url || '';
+    const variants = x.variants && x.variants.lightbox ? x.variants : null;
+    return {
+      id: x.id != null ? x.id : null,
+      slug: x.slug || null,
+      src,
+      variants,
+      width: x.width || null,
+      height: x.height || null,
+      title: x.title || '',
+      alt_text: x.alt_text || '',
+      caption: x.caption || '',
+      camera: x.camera || '',
+      film: x.film || '',
+      location: x.location || '',
+      lens: x.lens || '',
+      focal_length: x.focal_length || null,
+      f_number: x.f_number || null,
+      exposure_time: x.exposure_time || null,
+      iso: x.iso || null,
+      tags: x.tags || []
+    };
+  }
+
+  function galleryItemHtml(g,i){
+    return `
+          <div class="gallery-item"${g.id != null ? ` id="photo-${g.id}"` : ''} onclick="openLightbox(${i})" role="button" tabindex="0" style="opacity:0; transform:translateY(30px); transition:all .6s ease">
+            ${galleryPicture(g)}
+          </div>
+        `;
+  }
+
+  // Permalinks: an entry's page (written by scripts/prerender.js) and a photo's lightbox
+  function entryPath(e){ return `/journal/${encodeURIComponent(e.slug || e.id)}/`; }
+  function photoPath(g){ return `/#photo/${encodeURIComponent(g.slug)}`; }
+  // The gallery and deck narrowed to one tag
+  function tagPath(t){ return `/?tag=${encodeURIComponent(t.slug)}`; }
+  // The gallery narrowed to photos taken at one place
+  function placePath(p){ return `/?place=${encodeURIComponent(p.slug)}`; }
+
+  function tagChipsHtml(tags){
+    if(!tags || !tags.length) return '';
+    return `<p class="entry-tags">${tags.map(t=>`<a class="tag-chip" href="${escapeHtml(tagPath(t))}" data-tag="${escapeHtml(t.slug)}">${escapeHtml(t.name)}</a>`).join(' ')}</p>`;
+  }
+
+  // One deck card; `pos` is how far it sits behind the front card (0-3 are visible)
+  function journalCardHtml(e,pos){
+    const date = e.entry_date || e.date || e.created_at || '';
+    const title = e.title || 'Untitled';
+    // content_html is rendered + sanitized by the journal function; plain text otherwise
+    const content = e.content_html || escapeHtml(e.content || e.body || '').replace(/\n/g,'<br>');
+    const stack = pos <= 3 ? ` pos-${pos}` : '';
+    const link = e.id != null ? escapeHtml(entryPath(e)) : '';
+    return `
+          <article class="card${stack}"${e.id != null ? ` id="journal-${e.id}"` : ''}>
+            <div class="content">
+              <h3>${escapeHtml(title)}</h3>
+              <time>${escapeHtml(fmtDate(String(date)))}</time>
+              ${tagChipsHtml(e.tags)}
+              <div class="entry-body">${content}</div>
+              ${link ? `<p class="entry-links"><a class="entry-link" href="${link}">Permalink</a> <button class="share-btn" type="button" data-share="${link}">Copy link</button></p>` : ''}
+            </div>
+          </article>
+        `;
+  }
+
+  return { escapeHtml, fmtDate, variantSrcset, galleryPicture, toGalleryImage, galleryItemHtml, entryPath, photoPath, tagPath, placePath, tagChipsHtml, journalCardHtml };
+});
@@ -0,0 +1,293 @@
+// scripts/prerender.js
+// Build step: writes the public site to dist/ with its content already in the HTML, for
+// search engines, link previews and visitors without JavaScript.
+//
+//   npm run prerender               netlify.toml runs this on every deploy, so the build
+//                                   hook behind functions/update-site.js refreshes it
+//   node scripts/prerender.js --out /tmp/site
+//
+// Writes:
+//   index.html                  the gallery grid and journal deck rendered with
+//                               js/site-render.js (the same code the page uses), the data
+//                               the page hydrates from, and OpenGraph/Twitter tags
+//   journal/<slug>/index.html   the same page per published entry, with its card in front
+//                               of the deck and the entry's own title and tags
+//   sitemap.xml, robots.txt     (only when the site URL is known)
+//   sw.js                       the service worker, its cache VERSION a hash of the shell
+//                               it precaches, so each deploy that changes it replaces the
+//                               copies visitors hold
+//   everything else public      copied from the repo root as is (see SKIP)
+// Content comes from the gallery, journal and albums functions called in-process, so it
+// is exactly what the public API serves: live rows only, hidden locations redacted.
+//
+// Env vars: the Supabase ones the functions read, and SITE_URL (or Netlify's URL) for
+// absolute links. Without Supabase credentials it warns and publishes the pages without
+// content (the browser then fetches everything, as before); an API error fails the
+// build, so the previous deploy stays live.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, galleryItemHtml, journalCardHtml, toGalleryImage, entryPath } = require('../js/site-render');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Repo entries that aren't part of the public site
+const SKIP = new Set([
+  '.git', '.gitignore', 'node_modules', 'dist', 'dev', 'functions', 'scripts', 'supabase', 'test',
+  'package.json', 'package-lock.json', 'netlify.toml', 'README.md',
+]);
+// ...except the modules pages load straight from functions/
+const BROWSER_MODULES = ['functions/_shared/markdown.js'];
+
+// First pages, matching GALLERY_PAGE_SIZE / JOURNAL_PAGE_SIZE in index.html
+const GALLERY_PAGE_SIZE = 24;
+const JOURNAL_PAGE_SIZE = 10;
+
+const SITE_NAME = 'Kurt Tristan';
+
+// What sw.js precaches besides the built index.html (its SHELL)
+const WORKER_SHELL = ['js/site-render.js', 'js/places-map.js', 'manifest.webmanifest', 'icons/icon.svg', 'icons/icon-192.png'];
+
+const decodeEntities = (s) =>
+  String(s).replace(/&(amp|lt|gt|quot|#039);/g, (m, e) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#039': "'" }[e]));
+
+// Call a function's GET handler the way Netlify would
+const api = async (name, query) => {
+  const { handler } = require(`../functions/${name}`);
+  const res = await handler({
+    httpMethod: 'GET',
+    path: `/.netlify/functions/${name}`,
+    headers: {},
+    queryStringParameters: query,
+    body: null,
+  });
+  if (res.statusCode !== 200) throw new Error(`${name} returned ${res.statusCode}: ${res.body}`);
+  return JSON.parse(res.body);
+};
+
+// Every published entry, for the permalink pages and the sitemap
+const allEntries = async () => {
+  const entries = [];
+  let cursor;
+  do {
+    const page = await api('journal', { limit: '100', ...(cursor && { cursor }) });
+    entries.push(...page.items);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return entries;
+};
+
+const fetchContent = async () => {
+  const [gallery, journal, albums] = await Promise.all([
+    api('gallery', { limit: String(GALLERY_PAGE_SIZE) }),
+    api('journal', { limit: String(JOURNAL_PAGE_SIZE) }),
+    api('albums', null),
+  ]);
+  return { gallery, journal, albums: albums.filter((a) => a.photo_count > 0), entries: await allEntries() };
+};
+
+const absolute = (url, site) => {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return site && url.startsWith('/') ? `${site}${url}` : null;
+};
+
+// Plain-text summary of an entry's Markdown for descriptions and previews
+const excerpt = (markdown, max = 200) => {
+  const text = String(markdown || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(#{1,6}|>|[-*]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > max ? `${text.slice(0, max - 1).replace(/\s+\S*$/, '')}…` : text;
+};
+
+const metaTags = ({ title, description, url, image, type = 'website', published }) =>
+  [
+    url && `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:type" content="${type}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    url && `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    image && `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    published && `<meta property="article:published_time" content="${escapeHtml(published)}" />`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`,
+    image && `<meta name="twitter:image" content="${escapeHtml(image)}" />`,
+  ].filter(Boolean).join('\n  ');
+
+// JSON inside <script>: "<" escaped so no value can close the tag
+const scriptJson = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+const fill = (html, marker, content) => {
+  const tag = `<!-- prerender:${marker} -->`;
+  if (!html.includes(tag)) throw new Error(`index.html has no ${tag} marker`);
+  return html.replace(tag, () => content);
+};
+
+// What an entry's page says about it in <title>, descriptions and previews
+const entryMeta = (e, site) => {
+  const title = e.title || 'Untitled';
+  const firstImage = /<img\b[^>]*\ssrc="([^"]+)"/.exec(e.content_html || '');
+  return {
+    title,
+    description: excerpt(e.content) || `${title}, from the journal of ${SITE_NAME}.`,
+    url: site ? `${site}${entryPath(e)}` : null,
+    image: firstImage && absolute(decodeEntities(firstImage[1]), site),
+    type: 'article',
+    published: e.entry_date || e.created_at || '',
+  };
+};
+
+/**
+ * index.html with the content filled in. With `entry` it is that entry's permalink page:
+ * its card is in front of the deck (appended when it isn't on the first page) and the
+ * title, description and preview tags are its own.
+ */
+const renderIndex = (template, content, site, entry = null) => {
+  let meta;
+  if (entry) {
+    meta = entryMeta(entry, site);
+    template = template
+      .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(meta.title)} - ${SITE_NAME}</title>`)
+      .replace(/<meta name="description" content="[^"]*"/, () => `<meta name="description" content="${escapeHtml(meta.description)}"`);
+  } else {
+    const first = content && content.gallery.items[0];
+    const cover = first && ((first.variants && first.variants.lightbox && first.variants.lightbox.jpeg) || first.image_url);
+    meta = {
+      title: decodeEntities((/<title>([^<]*)<\/title>/.exec(template) || [])[1] || SITE_NAME),
+      description: decodeEntities((/<meta name="description" content="([^"]*)"/.exec(template) || [])[1] || ''),
+      url: site && `${site}/`,
+      image: absolute(cover, site),
+    };
+  }
+
+  let html = fill(template, 'meta', metaTags(meta));
+  if (!content) {
+    return ['gallery', 'journal', 'data'].reduce((h, m) => fill(h, m, ''), html);
+  }
+  const photos = content.gallery.items.map(toGalleryImage).filter((g) => g.src);
+  html = fill(html, 'gallery', photos.map(galleryItemHtml).join(''));
+
+  let entries = content.journal.items;
+  if (entry && !entries.some((e) => e.id === entry.id)) entries = [...entries, entry];
+  const front = entry ? entries.findIndex((e) => e.id === entry.id) : 0;
+  html = fill(html, 'journal', entries.map((e, i) => journalCardHtml(e, (i - front + entries.length) % entries.length)).join(''));
+  const data = {
+    gallery: { items: content.gallery.items, next_cursor: content.gallery.next_cursor },
+    journal: { items: entries, next_cursor: content.journal.next_cursor },
+  };
+  return fill(html, 'data', `<script type="application/json" id="prerendered-data">${scriptJson(data)}</script>`);
+};
+
+const lastmod = (value) => {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? `<lastmod>${d.toISOString().slice(0, 10)}</lastmod>` : '';
+};
+
+const renderSitemap = (content, site) => {
+  const urls = [`  <url><loc>${escapeHtml(site)}/</loc></url>`];
+  if (content) {
+    content.entries.forEach((e) => {
+      urls.push(`  <url><loc>${escapeHtml(site + entryPath(e))}</loc>${lastmod(e.updated_at || e.created_at)}</url>`);
+    });
+    content.albums.forEach((a) => {
+      urls.push(`  <url><loc>${escapeHtml(`${site}/albums/${encodeURIComponent(a.slug)}`)}</loc>${lastmod(a.updated_at)}</url>`);
+    });
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+};
+
+/** sw.js with its cache version set to `version`. */
+const stampWorker = (source, version) => source.replace(/const VERSION = '[^']*';/, `const VERSION = '${version}';`);
+
+const workerVersion = (root, indexHtml) => {
+  const hash = crypto.createHash('sha256').update(indexHtml);
+  for (const rel of WORKER_SHELL) hash.update(fs.readFileSync(path.join(root, rel)));
+  return hash.digest('hex').slice(0, 12);
+};
+
+const write = (out, rel, body) => {
+  const file = path.join(out, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, body);
+};
+
+const copyStatic = (root, out) => {
+  for (const name of fs.readdirSync(root)) {
+    if (SKIP.has(name)) continue;
+    fs.cpSync(path.join(root, name), path.join(out, name), { recursive: true });
+  }
+  for (const rel of BROWSER_MODULES) {
+    fs.mkdirSync(path.dirname(path.join(out, rel)), { recursive: true });
+    fs.copyFileSync(path.join(root, rel), path.join(out, rel));
+  }
+};
+
+/**
+ * Build the site into `out` (emptied first).
+ * @param {{ out: string, site?: string, root?: string, copy?: boolean }} opts
+ *   copy: false writes only the generated files (tests use this)
+ * @returns {Promise<{ rendered: boolean, photos: number, entries: number, albums: number }>}
+ */
+const prerender = async ({ out, site = '', root = ROOT, copy = true }) => {
+  if (path.resolve(out) === path.resolve(root)) throw new Error('Refusing to write over the repo root');
+  site = site.replace(/\/$/, '');
+  const template = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+
+  const configured =
+    (process.env.SUPAHUB_URL || process.env.SUPABASE_URL) &&
+    (process.env.SUPAHUB_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+  if (!configured) console.warn('[prerender] no Supabase credentials; publishing pages without content');
+  const content = configured ? await fetchContent() : null;
+
+  fs.rmSync(out, { recursive: true, force: true });
+  fs.mkdirSync(out, { recursive: true });
+  if (copy) copyStatic(root, out);
+
+  const index = renderIndex(template, content, site);
+  write(out, 'index.html', index);
+  write(out, 'sw.js', stampWorker(fs.readFileSync(path.join(root, 'sw.js'), 'utf8'), workerVersion(root, index)));
+  if (content) content.entries.forEach((e) => write(out, `${entryPath(e).slice(1)}index.html`, renderIndex(template, content, site, e)));
+
+  if (site) {
+    write(out, 'sitemap.xml', renderSitemap(content, site));
+    if (!fs.existsSync(path.join(root, 'robots.txt'))) {
+      write(out, 'robots.txt', `User-agent: *\nAllow: /\n\nSitemap: ${site}/sitemap.xml\n`);
+    }
+  } else {
+    console.warn('[prerender] SITE_URL/URL not set; skipping sitemap.xml and absolute links');
+  }
+
+  return {
+    rendered: !!content,
+    photos: content ? content.gallery.items.length : 0,
+    entries: content ? content.entries.length : 0,
+    albums: content ? content.albums.length : 0,
+  };
+};
+
+module.exports = { prerender, excerpt, stampWorker };
+
+if (require.main === module) {
+  const i = process.argv.indexOf('--out');
+  const out = path.resolve(i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : path.join(ROOT, 'dist'));
+  prerender({ out, site: process.env.SITE_URL || process.env.URL || '' })
+    .then((r) => {
+      console.log(`[prerender] ${out}: ${r.photos} photos, ${r.entries} journal pages, ${r.albums} albums`);
+    })
+    .catch((err) => {
+      console.error('[prerender] failed', err);
+      process.exit(1);
+    });
+}
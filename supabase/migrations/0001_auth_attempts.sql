@@ -0,0 +1,12 @@
+-- Login attempts, used by functions/auth.js to rate-limit password guesses per IP.
+create table if not exists public.auth_attempts (
+  id          bigint generated always as identity primary key,
+  ip          text not null,
+  success     boolean not null default false,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists auth_attempts_ip_created_idx
+  on public.auth_attempts (ip, created_at desc);
+
+alter table public.auth_attempts enable row level security;
@@ -0,0 +1,6 @@
+-- Responsive image variants produced by functions/_shared/images.js on upload.
+alter table public.gallery
+  add column if not exists original_url text,
+  add column if not exists width integer,
+  add column if not exists height integer,
+  add column if not exists variants jsonb not null default '{}'::jsonb;
@@ -0,0 +1,14 @@
+-- Structured EXIF values parsed on upload by functions/_shared/exif.js.
+alter table public.gallery
+  add column if not exists camera_make text,
+  add column if not exists camera_model text,
+  add column if not exists lens text,
+  add column if not exists exposure_time double precision,
+  add column if not exists f_number double precision,
+  add column if not exists iso integer,
+  add column if not exists focal_length double precision,
+  add column if not exists taken_at timestamptz,
+  add column if not exists gps_lat double precision,
+  add column if not exists gps_lon double precision,
+  add column if not exists place_name text,
+  add column if not exists hide_location boolean not null default false;
@@ -0,0 +1,29 @@
+-- Manual gallery ordering. functions/gallery.js calls reorder_gallery() for PATCH /gallery/order.
+-- Like every function in these migrations it names the default tables; SUPAHUB_GALLERY_TABLE
+-- and the other *_TABLE settings don't reach it (see functions/_shared/supabase.js).
+alter table public.gallery
+  add column if not exists order_index bigint;
+
+create index if not exists gallery_order_idx on public.gallery (order_index);
+
+-- Listed ids take positions 1..n in the given order; any rows not listed keep
+-- their relative order after them. One UPDATE statement, so it applies atomically.
+create or replace function public.reorder_gallery(ids bigint[])
+returns void
+language sql
+as $$
+  with listed as (
+    select t.id, t.ord
+    from unnest(ids) with ordinality as t(id, ord)
+  ),
+  unlisted as (
+    select g.id,
+           cardinality(ids) + row_number() over (order by g.order_index nulls last, g.id) as ord
+    from public.gallery g
+    where g.id <> all(ids)
+  )
+  update public.gallery g
+     set order_index = x.ord
+    from (select id, ord from listed union all select id, ord from unlisted) x
+   where g.id = x.id;
+$$;
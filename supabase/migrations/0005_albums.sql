@@ -0,0 +1,37 @@
+-- Albums: named, ordered collections of gallery photos (functions/albums.js).
+create table if not exists public.albums (
+  id              bigint generated always as identity primary key,
+  slug            text not null unique,
+  title           text not null,
+  description     text not null default '',
+  cover_photo_id  bigint references public.gallery(id) on delete set null,
+  order_index     bigint,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz not null default now()
+);
+
+-- Many-to-many: one photo can sit in several albums, each with its own position.
+create table if not exists public.album_photos (
+  album_id  bigint not null references public.albums(id) on delete cascade,
+  photo_id  bigint not null references public.gallery(id) on delete cascade,
+  position  integer not null default 0,
+  primary key (album_id, photo_id)
+);
+
+create index if not exists album_photos_photo_idx on public.album_photos (photo_id);
+
+-- Replace an album's photos with the given ids, in order. Runs as one transaction.
+create or replace function public.set_album_photos(p_album_id bigint, p_photo_ids bigint[])
+returns void
+language plpgsql
+as $$
+begin
+  delete from public.album_photos where album_id = p_album_id;
+  insert into public.album_photos (album_id, photo_id, position)
+  select p_album_id, t.id, t.ord
+  from unnest(p_photo_ids) with ordinality as t(id, ord);
+end;
+$$;
+
+alter table public.albums enable row level security;
+alter table public.album_photos enable row level security;
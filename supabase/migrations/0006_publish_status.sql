@@ -0,0 +1,20 @@
+-- Draft / scheduled / published workflow (functions/_shared/publishing.js).
+-- Existing rows stay live: they default to "published".
+alter table public.journal
+  add column if not exists status text not null default 'published',
+  add column if not exists publish_at timestamptz;
+
+alter table public.gallery
+  add column if not exists status text not null default 'published',
+  add column if not exists publish_at timestamptz;
+
+alter table public.journal drop constraint if exists journal_status_check;
+alter table public.journal add constraint journal_status_check
+  check (status in ('draft', 'scheduled', 'published') and (status <> 'scheduled' or publish_at is not null));
+
+alter table public.gallery drop constraint if exists gallery_status_check;
+alter table public.gallery add constraint gallery_status_check
+  check (status in ('draft', 'scheduled', 'published') and (status <> 'scheduled' or publish_at is not null));
+
+create index if not exists journal_status_publish_idx on public.journal (status, publish_at);
+create index if not exists gallery_status_publish_idx on public.gallery (status, publish_at);
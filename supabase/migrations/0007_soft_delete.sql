@@ -0,0 +1,8 @@
+-- Soft deletion: DELETE moves photos and journal entries to the trash by setting
+-- deleted_at; they can be restored or purged for good from there.
+alter table public.gallery add column if not exists deleted_at timestamptz;
+alter table public.journal add column if not exists deleted_at timestamptz;
+
+-- Public reads and the admin lists all filter on it; the trash sorts by it
+create index if not exists gallery_deleted_at_idx on public.gallery (deleted_at);
+create index if not exists journal_deleted_at_idx on public.journal (deleted_at);
@@ -0,0 +1,15 @@
+-- Earlier versions of journal entries. functions/journal.js copies an entry's text here
+-- before every PUT (or revision restore) that changes it.
+create table if not exists public.journal_revisions (
+  id          bigint generated always as identity primary key,
+  entry_id    bigint not null references public.journal (id) on delete cascade,
+  title       text,
+  entry_date  text,   -- as stored on the entry when it was replaced
+  content     text,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists journal_revisions_entry_created_idx
+  on public.journal_revisions (entry_id, created_at desc);
+
+alter table public.journal_revisions enable row level security;
@@ -0,0 +1,5 @@
+-- Private bucket for site backups (functions/backup.js): exported archives, and
+-- archives uploaded for import. Only the service role and signed URLs can read it.
+insert into storage.buckets (id, name, public)
+values ('backups', 'backups', false)
+on conflict (id) do nothing;
@@ -0,0 +1,16 @@
+-- Stable URL slugs for photos (/#photo/<slug>) and journal entries (/journal/<slug>).
+-- functions/gallery.js and functions/journal.js set them on insert (see _shared/slugs.js).
+alter table public.gallery add column if not exists slug text;
+alter table public.journal add column if not exists slug text;
+
+-- Existing rows: slugified title plus the id, which keeps them unique
+update public.gallery
+set slug = coalesce(nullif(trim(both '-' from left(lower(regexp_replace(coalesce(title, ''), '[^a-zA-Z0-9]+', '-', 'g')), 60)), ''), 'photo') || '-' || id
+where slug is null;
+
+update public.journal
+set slug = coalesce(nullif(trim(both '-' from left(lower(regexp_replace(coalesce(title, ''), '[^a-zA-Z0-9]+', '-', 'g')), 60)), ''), 'entry') || '-' || id
+where slug is null;
+
+create unique index if not exists gallery_slug_key on public.gallery (slug);
+create unique index if not exists journal_slug_key on public.journal (slug);
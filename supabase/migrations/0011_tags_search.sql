@@ -0,0 +1,134 @@
+-- Tags shared by photos and journal entries (functions/tags.js, _shared/tags.js) and the
+-- full-text search behind functions/search.js.
+create table if not exists public.tags (
+  id          bigint generated always as identity primary key,
+  slug        text not null unique,
+  name        text not null,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+
+create table if not exists public.photo_tags (
+  photo_id  bigint not null references public.gallery(id) on delete cascade,
+  tag_id    bigint not null references public.tags(id) on delete cascade,
+  primary key (photo_id, tag_id)
+);
+
+create table if not exists public.entry_tags (
+  entry_id  bigint not null references public.journal(id) on delete cascade,
+  tag_id    bigint not null references public.tags(id) on delete cascade,
+  primary key (entry_id, tag_id)
+);
+
+create index if not exists photo_tags_tag_idx on public.photo_tags (tag_id);
+create index if not exists entry_tags_tag_idx on public.entry_tags (tag_id);
+
+-- Replace a photo's / an entry's tags with the given ids. Each runs as one transaction.
+create or replace function public.set_photo_tags(p_photo_id bigint, p_tag_ids bigint[])
+returns void
+language plpgsql
+as $$
+begin
+  delete from public.photo_tags where photo_id = p_photo_id;
+  insert into public.photo_tags (photo_id, tag_id)
+  select p_photo_id, t.id from (select distinct unnest(p_tag_ids) as id) t;
+end;
+$$;
+
+create or replace function public.set_entry_tags(p_entry_id bigint, p_tag_ids bigint[])
+returns void
+language plpgsql
+as $$
+begin
+  delete from public.entry_tags where entry_id = p_entry_id;
+  insert into public.entry_tags (entry_id, tag_id)
+  select p_entry_id, t.id from (select distinct unnest(p_tag_ids) as id) t;
+end;
+$$;
+
+-- Move every use of the source tags onto the target, then drop the sources
+create or replace function public.merge_tags(p_source_ids bigint[], p_target_id bigint)
+returns void
+language plpgsql
+as $$
+begin
+  insert into public.photo_tags (photo_id, tag_id)
+  select photo_id, p_target_id from public.photo_tags where tag_id = any(p_source_ids)
+  on conflict do nothing;
+  insert into public.entry_tags (entry_id, tag_id)
+  select entry_id, p_target_id from public.entry_tags where tag_id = any(p_source_ids)
+  on conflict do nothing;
+  delete from public.tags where id = any(p_source_ids) and id <> p_target_id;
+end;
+$$;
+
+-- What search matches on. Titles weigh most, then captions / entry text, then the rest;
+-- tag names are matched separately (they live in another table) at title weight.
+alter table public.gallery add column if not exists search tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(caption, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(location, '') || ' ' || coalesce(camera, '') || ' ' || coalesce(film, '')), 'C')
+  ) stored;
+
+alter table public.journal add column if not exists search tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'B')
+  ) stored;
+
+create index if not exists gallery_search_idx on public.gallery using gin (search);
+create index if not exists journal_search_idx on public.journal using gin (search);
+
+-- Live photos and entries matching a web-style query ("fog -harbour", "\"low tide\""),
+-- best first. Snippets mark matches with chr(2) ... chr(3); search.js escapes the text and
+-- turns those into <mark>, so nothing in a caption or entry reaches the page as HTML.
+create or replace function public.search_site(p_query text, p_limit integer default 20)
+returns table (kind text, id bigint, slug text, title text, entry_date text, snippet text, rank real)
+language sql
+stable
+as $$
+  with q as (
+    select websearch_to_tsquery('english', p_query) as query,
+           'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=2, MinWords=8, MaxWords=24' as opts
+  ),
+  photos as (
+    select 'photo'::text as kind, g.id, g.slug, g.title, null::text as entry_date,
+           ts_headline('english', coalesce(nullif(g.caption, ''), g.title, ''), q.query, q.opts) as snippet,
+           (ts_rank(g.search, q.query) + coalesce(t.rank, 0))::real as rank
+    from public.gallery g
+    cross join q
+    left join lateral (
+      select ts_rank(setweight(to_tsvector('english', string_agg(tg.name, ' ')), 'A'), q.query) as rank,
+             to_tsvector('english', string_agg(tg.name, ' ')) as doc
+      from public.photo_tags pt join public.tags tg on tg.id = pt.tag_id
+      where pt.photo_id = g.id
+    ) t on true
+    where g.deleted_at is null
+      and (g.status = 'published' or (g.status = 'scheduled' and g.publish_at <= now()))
+      and (g.search @@ q.query or coalesce(t.doc @@ q.query, false))
+  ),
+  entries as (
+    select 'entry'::text, j.id, j.slug, j.title, j.entry_date::text,
+           ts_headline('english', coalesce(j.content, ''), q.query, q.opts),
+           (ts_rank(j.search, q.query) + coalesce(t.rank, 0))::real
+    from public.journal j
+    cross join q
+    left join lateral (
+      select ts_rank(setweight(to_tsvector('english', string_agg(tg.name, ' ')), 'A'), q.query) as rank,
+             to_tsvector('english', string_agg(tg.name, ' ')) as doc
+      from public.entry_tags et join public.tags tg on tg.id = et.tag_id
+      where et.entry_id = j.id
+    ) t on true
+    where j.deleted_at is null
+      and (j.status = 'published' or (j.status = 'scheduled' and j.publish_at <= now()))
+      and (j.search @@ q.query or coalesce(t.doc @@ q.query, false))
+  )
+  select * from (select * from photos union all select * from entries) hits
+  order by rank desc, kind, id desc
+  limit greatest(1, least(coalesce(p_limit, 20), 50));
+$$;
+
+alter table public.tags enable row level security;
+alter table public.photo_tags enable row level security;
+alter table public.entry_tags enable row level security;
@@ -0,0 +1,22 @@
+-- One row per admin write (functions/_shared/audit.js), read back by functions/audit.js.
+create table if not exists public.audit_log (
+  id           bigint generated always as identity primary key,
+  created_at   timestamptz not null default now(),
+  actor        text not null,
+  session      text,
+  ip           text,
+  action       text not null,
+  resource     text not null,
+  resource_id  text,
+  diff         jsonb,
+  meta         jsonb,
+  status       integer,
+  outcome      text not null check (outcome in ('success', 'failure')),
+  error        text
+);
+
+create index if not exists audit_log_created_idx on public.audit_log (created_at desc, id desc);
+create index if not exists audit_log_resource_idx on public.audit_log (resource, resource_id, created_at desc);
+create index if not exists audit_log_actor_idx on public.audit_log (actor, created_at desc);
+
+alter table public.audit_log enable row level security;
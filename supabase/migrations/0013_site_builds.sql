@@ -0,0 +1,71 @@
+-- Rebuild requests for the public site (functions/update-site.js, _shared/builds.js).
+-- Requests within BUILD_DEBOUNCE_SECONDS of each other share one "pending" row, which
+-- calls the build hook once it is due; Netlify's deploy notifications then move it on to
+-- building / ready / failed.
+create table if not exists public.site_builds (
+  id                 bigint generated always as identity primary key,
+  created_at         timestamptz not null default now(),
+  status             text not null default 'pending'
+                     check (status in ('pending', 'triggering', 'triggered', 'building', 'ready', 'failed')),
+  requests           integer not null default 1,       -- how many saves/clicks it stands for
+  reasons            jsonb not null default '[]'::jsonb, -- the latest few, e.g. "photo updated"
+  requested_by       text,
+  last_requested_at  timestamptz not null default now(),
+  due_at             timestamptz not null,
+  claimed_at         timestamptz,                       -- when a flush took it to call the hook
+  triggered_at       timestamptz,
+  hook_status        integer,
+  deploy_id          text,
+  deploy_url         text,
+  finished_at        timestamptz,
+  error              text
+);
+
+-- At most one request waits at a time
+create unique index if not exists site_builds_one_pending on public.site_builds (status) where status = 'pending';
+create index if not exists site_builds_created_idx on public.site_builds (created_at desc, id desc);
+
+-- Join the pending build, or start one. It is due p_window_seconds from now (at once with
+-- p_immediate), but never sooner than p_window_seconds after the last hook call, so the
+-- hook fires at most once per window.
+create or replace function public.enqueue_site_build(
+  p_reason text, p_actor text, p_window_seconds integer, p_immediate boolean default false
+)
+returns public.site_builds
+language plpgsql
+as $$
+declare
+  window_len interval := make_interval(secs => greatest(p_window_seconds, 0));
+  earliest timestamptz;
+  b public.site_builds;
+begin
+  perform pg_advisory_xact_lock(hashtext('public.site_builds'));
+
+  select coalesce(max(triggered_at) + window_len, '-infinity') into earliest from public.site_builds;
+
+  update public.site_builds
+     set requests = requests + 1,
+         reasons = case when p_reason is null then reasons
+                        when jsonb_array_length(reasons) >= 10 then (reasons - 0) || to_jsonb(p_reason)
+                        else reasons || to_jsonb(p_reason) end,
+         requested_by = coalesce(p_actor, requested_by),
+         last_requested_at = now(),
+         due_at = case when p_immediate then greatest(now(), earliest) else due_at end
+   where status = 'pending'
+  returning * into b;
+
+  if not found then
+    insert into public.site_builds (reasons, requested_by, due_at)
+    values (
+      case when p_reason is null then '[]'::jsonb else jsonb_build_array(p_reason) end,
+      p_actor,
+      greatest(case when p_immediate then now() else now() + window_len end, earliest)
+    )
+    returning * into b;
+  end if;
+
+  return b;
+end;
+$$;
+
+alter table public.site_builds enable row level security;
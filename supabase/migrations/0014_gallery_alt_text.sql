@@ -0,0 +1,4 @@
+-- Per-photo alternative text for screen readers (functions/gallery.js). Empty means not
+-- written yet; pages then fall back to the title.
+alter table public.gallery
+  add column if not exists alt_text text not null default '';
@@ -0,0 +1,61 @@
+-- Daily view counts for the public site (functions/collect.js writes them, functions/stats.js
+-- reads them). Only counts are kept: no visitor ids, addresses or user agents.
+create table if not exists public.stats_daily (
+  day      date not null,
+  metric   text not null check (metric in ('impression', 'open', 'view')),
+                                  -- impression / open: a photo seen in the grid / opened in
+                                  -- the lightbox; view: a journal entry brought to the front
+  item_id  bigint not null,       -- gallery.id for impression and open, journal.id for view
+  count    integer not null default 0,
+  primary key (day, metric, item_id)
+);
+
+-- Where visitors came from, by host ("news.ycombinator.com")
+create table if not exists public.referrers_daily (
+  day    date not null,
+  host   text not null,
+  count  integer not null default 0,
+  primary key (day, host)
+);
+
+create index if not exists stats_daily_item_idx on public.stats_daily (metric, item_id, day);
+
+-- Add one batch to the day's counts. p_counts: [{ "metric", "item_id", "count" }], with each
+-- (metric, item_id) listed once. Only photos and entries live on the site are counted (the
+-- rule of 0006: not in the trash, and published or scheduled with publish_at passed), and a
+-- day keeps at most 200 referrer hosts; visits from any more count as "other".
+-- Anyone can call collect.js, so neither can be filled with made-up or unpublished ids or hosts.
+create or replace function public.record_stats(p_day date, p_counts jsonb, p_referrer text default null)
+returns void
+language sql
+as $$
+  insert into public.stats_daily (day, metric, item_id, count)
+  select p_day, c->>'metric', (c->>'item_id')::bigint, (c->>'count')::integer
+    from jsonb_array_elements(coalesce(p_counts, '[]'::jsonb)) as c
+   where case c->>'metric'
+           when 'view' then exists (
+             select 1 from public.journal j
+              where j.id = (c->>'item_id')::bigint and j.deleted_at is null
+                and (j.status = 'published' or (j.status = 'scheduled' and j.publish_at <= now())))
+           else exists (
+             select 1 from public.gallery g
+              where g.id = (c->>'item_id')::bigint and g.deleted_at is null
+                and (g.status = 'published' or (g.status = 'scheduled' and g.publish_at <= now())))
+         end
+  on conflict (day, metric, item_id) do update set count = stats_daily.count + excluded.count;
+
+  insert into public.referrers_daily (day, host, count)
+  select p_day,
+         case
+           when exists (select 1 from public.referrers_daily r where r.day = p_day and r.host = p_referrer)
+             or (select count(*) from public.referrers_daily r where r.day = p_day and r.host <> 'other') < 200
+           then p_referrer
+           else 'other'
+         end,
+         1
+   where p_referrer is not null
+  on conflict (day, host) do update set count = referrers_daily.count + 1;
+$$;
+
+alter table public.stats_daily enable row level security;
+alter table public.referrers_daily enable row level security;
@@ -0,0 +1,54 @@
+-- Places photos were taken at (functions/places.js, _shared/places.js). gallery.location
+-- stays the free text the caption shows; place_id ties it to one canonical place.
+create table if not exists public.places (
+  id          bigint generated always as identity primary key,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz,
+  slug        text not null unique,
+  name        text not null,                  -- "Monterey"
+  region      text not null default '',       -- "CA"
+  country     text not null default '',       -- "US"
+  lat         double precision check (lat between -90 and 90),
+  lon         double precision check (lon between -180 and 180)
+);
+
+-- Location texts known to mean each place, by key (see placeKey in _shared/places.js), so
+-- "Monterey, California" finds the place "Monterey, CA" once they have been merged
+create table if not exists public.place_aliases (
+  key       text primary key,
+  place_id  bigint not null references public.places (id) on delete cascade
+);
+create index if not exists place_aliases_place_idx on public.place_aliases (place_id);
+
+alter table public.gallery add column if not exists place_id bigint references public.places (id) on delete set null;
+create index if not exists gallery_place_idx on public.gallery (place_id);
+
+-- Fold places into another: their photos and aliases move to it, then they are deleted
+create or replace function public.merge_places(p_source_ids bigint[], p_target_id bigint)
+returns void
+language sql
+as $$
+  update public.gallery set place_id = p_target_id
+   where place_id = any(array_remove(p_source_ids, p_target_id));
+  update public.place_aliases set place_id = p_target_id
+   where place_id = any(array_remove(p_source_ids, p_target_id));
+  delete from public.places where id = any(array_remove(p_source_ids, p_target_id));
+$$;
+
+-- Photos per place, for GET /places: every one outside the trash, and the ones live on the
+-- site (the rule of 0006). One row per place, however many photos there are.
+create or replace function public.place_photo_counts()
+returns table (place_id bigint, photo_count bigint, live_count bigint)
+language sql
+stable
+as $$
+  select g.place_id,
+         count(*),
+         count(*) filter (where g.status = 'published' or (g.status = 'scheduled' and g.publish_at <= now()))
+    from public.gallery g
+   where g.place_id is not null and g.deleted_at is null
+   group by g.place_id;
+$$;
+
+alter table public.places enable row level security;
+alter table public.place_aliases enable row level security;
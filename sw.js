@@ -0,0 +1,198 @@
+// sw.js
+// Service worker for the public site (registered by index.html), so it keeps working on a
+// bad connection or none.
+//
+//   pages (/, /journal/<slug>/, /albums/<slug>)   network first, the last copy if that fails
+//                                                 or takes over NAVIGATION_TIMEOUT_MS
+//   shell (SHELL below)                           precached, served from the cache
+//   GET /gallery and /journal                     stale-while-revalidate: the last good
+//                                                 response at once, then the network's
+//   photo bucket images                           cache first; thumbnails of every photo a
+//                                                 gallery response lists are precached, and
+//                                                 stand in for larger sizes that aren't
+//
+// The page hears about it through postMessage:
+//   { type: 'saved-copy', url, saved_at }   it was given a cached response and the network
+//                                           couldn't refresh it (saved_at: when it was saved)
+//   { type: 'updated', url }                a fresh response differed from the one it got
+// An API request with nothing cached that fails is a 503 { error, code: "offline" }.
+// Requests carrying Authorization (the manage page) and other functions are left alone.
+//
+// VERSION is stamped by scripts/prerender.js (a hash of the shell) and by dev/server.js, so
+// each deploy gets a fresh shell cache and the old one is dropped. Saved API responses and
+// images live in caches versioned by DATA_VERSION instead, so they survive deploys.
+
+const VERSION = 'dev';
+const DATA_VERSION = 1;
+
+const SHELL_CACHE = `kt-shell-${VERSION}`;
+const API_CACHE = `kt-api-v${DATA_VERSION}`;
+const IMAGE_CACHE = `kt-images-v${DATA_VERSION}`;
+
+const SHELL = ['/', '/js/site-render.js', '/js/places-map.js', '/manifest.webmanifest', '/icons/icon.svg', '/icons/icon-192.png'];
+
+const NAVIGATION_TIMEOUT_MS = 5000;
+// Oldest images are dropped past this many
+const MAX_IMAGES = 300;
+
+const API_PATH = /^\/(?:\.netlify\/functions|api)\/(gallery|journal)\/?$/;
+const PAGE_PATH = /^\/(?:index\.html)?$|^\/(?:journal|albums)\/[^/]+\/?$/;
+const BUCKET_PATH = /\/storage\/v1\/object\/public\//;
+// A variant of a processed photo (functions/_shared/images.js): .../variants/<key>/<name>.<ext>
+const VARIANT = /^(.*\/variants\/[^/]+\/)(thumb|grid|lightbox)\.(avif|webp|jpe?g)$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((n) => n.startsWith('kt-') && !keep.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.headers.has('Authorization')) return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    if (sameOrigin && PAGE_PATH.test(url.pathname)) event.respondWith(page(event));
+    return;
+  }
+  if (sameOrigin && API_PATH.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, url));
+    return;
+  }
+  if (request.destination === 'image' && (BUCKET_PATH.test(url.pathname) || (sameOrigin && url.pathname.startsWith('/photos/')))) {
+    event.respondWith(image(request));
+    return;
+  }
+  if (sameOrigin && SHELL.includes(url.pathname)) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then((hit) => hit || fetch(request)));
+  }
+});
+
+const notify = async (clientId, message) => {
+  const client = clientId && (await self.clients.get(clientId));
+  if (client) client.postMessage(message);
+};
+
+// A copy of `res` that remembers when it was saved
+const stamped = async (res) => {
+  const headers = new Headers(res.headers);
+  headers.set('X-Saved-At', new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+};
+
+const offline = () => new Response(JSON.stringify({ error: 'You are offline', code: 'offline' }), {
+  status: 503,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+// Pages: the network's, unless it fails or dawdles and there is a copy to fall back on
+async function page(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = new URL(event.request.url);
+  key.search = '';
+  const saved = (await cache.match(key.href)) || (await cache.match('/'));
+
+  const network = fetch(event.request).then((res) => {
+    if (res.ok) event.waitUntil(cache.put(key.href, res.clone()));
+    return res;
+  });
+  if (!saved) return network;
+  event.waitUntil(network.catch(() => {}));
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(saved), NAVIGATION_TIMEOUT_MS));
+  return Promise.race([network.catch(() => saved), timeout]);
+}
+
+async function staleWhileRevalidate(event, url) {
+  const cache = await caches.open(API_CACHE);
+  const cached = await cache.match(event.request);
+  const cachedBody = cached ? await cached.clone().text() : null;
+  const savedCopy = () => cached &&
+    notify(event.clientId, { type: 'saved-copy', url: url.href, saved_at: cached.headers.get('X-Saved-At') });
+
+  const network = fetch(event.request).then(async (res) => {
+    if (!res.ok) {
+      await savedCopy();
+      return res;
+    }
+    const body = await res.clone().text();
+    await cache.put(event.request, await stamped(res.clone()));
+    if (API_PATH.exec(url.pathname)[1] === 'gallery') event.waitUntil(precacheThumbs(body));
+    if (cached && body !== cachedBody) await notify(event.clientId, { type: 'updated', url: url.href });
+    return res;
+  }, async (err) => {
+    await savedCopy();
+    throw err;
+  });
+
+  if (!cached) return network.catch(() => offline());
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+// The thumbnail of every photo in a gallery response (a page, or one photo by slug)
+async function precacheThumbs(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    return;
+  }
+  const items = Array.isArray(data.items) ? data.items : [data];
+  const urls = items
+    .map((p) => p && p.variants && p.variants.thumb && p.variants.thumb.jpeg)
+    .filter(Boolean);
+  const cache = await caches.open(IMAGE_CACHE);
+  for (const src of urls) {
+    if (await cache.match(src)) continue;
+    try {
+      const res = await fetch(src, { mode: 'cors', credentials: 'omit' });
+      if (res.ok) await cache.put(src, res);
+    } catch {
+      // Offline again; the next response tries the rest
+      break;
+    }
+  }
+  await trim(cache);
+}
+
+async function image(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const hit = await cache.match(request.url);
+  if (hit) return hit;
+  try {
+    // A CORS copy, so what's cached isn't an opaque response (those count megabytes each)
+    const res = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    if (res.ok) {
+      await cache.put(request.url, res.clone());
+      trim(cache);
+    }
+    return res;
+  } catch {
+    return (await thumbFor(cache, request.url)) || fetch(request);
+  }
+}
+
+// Offline, a larger size of a photo can make do with its cached thumbnail
+async function thumbFor(cache, src) {
+  const m = VARIANT.exec(src);
+  if (!m) return null;
+  return (await cache.match(`${m[1]}thumb.${m[3]}`)) || (await cache.match(`${m[1]}thumb.jpg`));
+}
+
+async function trim(cache) {
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_IMAGES))) await cache.delete(key);
+}
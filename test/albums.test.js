@@ -0,0 +1,68 @@
+// Covers functions/albums.js.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet } = require('./helpers');
+const { handler } = require('../functions/albums');
+
+beforeEach(() => fake.reset());
+
+const seedAlbum = () => {
+  const { gallery } = fake.seed({ gallery: [{ title: 'Pier' }, { title: 'Dunes', status: 'draft' }] });
+  const [album] = fake.seed({ albums: [{ slug: 'coast', title: 'Coast', cover_photo_id: gallery[1].id }] }).albums;
+  fake.seed({ album_photos: gallery.map((p, i) => ({ album_id: album.id, photo_id: p.id, position: i + 1 })) });
+  return { album, gallery };
+};
+
+describe('GET /albums', () => {
+  test('lists albums with a live cover and count, and one album with its photos', async () => {
+    const { gallery } = seedAlbum();
+    const list = await call(handler, event('GET', { token: false }));
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.map((a) => [a.slug, a.photo_count, a.cover.id]), [['coast', 1, gallery[0].id]]);
+
+    const one = await call(handler, event('GET', { query: { slug: 'coast', scope: 'all' } }));
+    assert.deepEqual(one.body.photos.map((p) => p.title), ['Pier', 'Dunes']);
+    assert.equal(one.body.cover.id, gallery[1].id);
+  });
+
+  test('embeds photos from the configured gallery table', async () => {
+    process.env.SUPAHUB_GALLERY_TABLE = 'photos_2024';
+    try {
+      await quiet(() => call(handler, event('GET', { token: false })));
+      assert.match(fake.requests.at(-1).url, /cover:photos_2024!cover_photo_id\(.*photo:photos_2024\(/);
+    } finally {
+      delete process.env.SUPAHUB_GALLERY_TABLE;
+    }
+  });
+});
+
+describe('album writes', () => {
+  test('a cover has to be a photo id, and one in the gallery', async () => {
+    const { album } = seedAlbum();
+    const bad = await call(handler, event('PUT', { body: { id: album.id, cover_photo_id: 'the pier' } }));
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.fields.cover_photo_id, 'cover_photo_id must be a positive integer id');
+    assert.equal((await call(handler, event('POST', { body: { title: 'Dunes', cover_photo_id: -1 } }))).status, 400);
+
+    fake.failNext({ method: 'PATCH', url: '/rest/v1/albums' }, {
+      status: 409,
+      body: { code: '23503', message: 'insert or update on table "albums" violates foreign key constraint' },
+    });
+    const missing = await call(handler, event('PUT', { body: { id: album.id, cover_photo_id: 999 } }));
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.fields.cover_photo_id, 'cover_photo_id must be a photo in the gallery');
+
+    const cleared = await call(handler, event('PUT', { body: { id: album.id, cover_photo_id: null } }));
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.cover_photo_id, null);
+  });
+
+  test('deleting an album that does not exist is a 404', async () => {
+    const { album } = seedAlbum();
+    assert.equal((await call(handler, event('DELETE', { body: { id: album.id } }))).status, 200);
+    assert.equal(fake.rows('album_photos').length, 0);
+    const again = await call(handler, event('DELETE', { body: { id: album.id } }));
+    assert.equal(again.status, 404);
+    assert.equal(again.body.error, 'Album not found');
+  });
+});
@@ -0,0 +1,141 @@
+// Covers functions/_shared/audit.js through the handlers it wraps, and functions/audit.js.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet } = require('./helpers');
+const { signToken } = require('../functions/_shared/auth');
+const { diffRows } = require('../functions/_shared/audit');
+const { handler } = require('../functions/audit');
+const gallery = require('../functions/gallery').handler;
+const journal = require('../functions/journal').handler;
+const updateSite = require('../functions/update-site').handler;
+
+beforeEach(() => fake.reset());
+
+const entries = () => fake.rows('audit_log');
+const as = (name) => signToken({ name });
+
+describe('recording', () => {
+  test('an update keeps who, where and the changed columns', async () => {
+    const [photo] = fake.seed({ gallery: [{ title: 'Harbour', caption: 'Low tide', slug: 'harbour' }] }).gallery;
+    const token = as('Ana');
+    await call(gallery, event('PUT', {
+      token,
+      headers: { 'x-nf-client-connection-ip': '198.51.100.7' },
+      body: { id: photo.id, title: 'Harbour at dusk', caption: 'Low tide', tags: ['Sea'] },
+    }));
+
+    const [entry] = entries();
+    assert.equal(entry.actor, 'Ana');
+    assert.ok(entry.session);
+    assert.equal(entry.ip, '198.51.100.7');
+    assert.deepEqual([entry.action, entry.resource, entry.resource_id, entry.outcome, entry.status], ['update', 'photo', String(photo.id), 'success', 200]);
+    assert.deepEqual(entry.diff, {
+      title: { before: 'Harbour', after: 'Harbour at dusk' },
+      tags: { before: [], after: ['Sea'] },
+    });
+    assert.ok(entry.created_at);
+  });
+
+  test('create, trash, restore and purge each get their action', async () => {
+    const created = await call(journal, event('POST', { body: { title: 'Fog', entry_date: '2024-05-01', content: 'Grey' } }));
+    const { id } = created.body;
+    await call(journal, event('DELETE', { body: { id } }));
+    await call(journal, event('POST', { path: '/.netlify/functions/journal/restore', body: { id } }));
+    await call(journal, event('DELETE', { body: { id } }));
+    await call(journal, event('DELETE', { path: '/.netlify/functions/journal/trash', body: { id } }));
+
+    assert.deepEqual(entries().map((e) => e.action), ['create', 'delete', 'restore', 'delete', 'purge']);
+    assert.ok(entries().every((e) => e.resource === 'entry' && e.resource_id === String(id) && e.actor === 'admin'));
+    const [create, trash, restore, , purge] = entries();
+    assert.equal(create.diff.title.after, 'Fog');
+    assert.equal(create.diff.title.before, null);
+    assert.deepEqual(Object.keys(trash.diff), ['deleted_at']);
+    assert.equal(restore.diff, null);
+    assert.equal(purge.diff.content.before, 'Grey');
+    assert.equal(purge.diff.content.after, null);
+  });
+
+  test('a failed write is recorded with its error', async () => {
+    const res = await call(gallery, event('PUT', { body: { id: 999, title: 'x' } }));
+    assert.equal(res.status, 404);
+    const [entry] = entries();
+    assert.deepEqual([entry.outcome, entry.status, entry.error, entry.resource_id], ['failure', 404, 'Photo not found', '999']);
+    assert.equal(entry.diff, null);
+  });
+
+  test('reorders and rebuilds are recorded with what they did', async () => {
+    const [a, b] = fake.seed({ gallery: [{ title: 'A' }, { title: 'B' }] }).gallery;
+    await call(gallery, event('PATCH', { path: '/.netlify/functions/gallery/order', body: { ids: [b.id, a.id] } }));
+    await call(updateSite, event('POST'));
+    assert.deepEqual(entries().map((e) => [e.action, e.resource]), [['reorder', 'photo'], ['rebuild', 'site']]);
+    assert.deepEqual(entries()[0].meta, { ids: [b.id, a.id] });
+  });
+
+  test('reads, signing uploads and requests without a session are left out', async () => {
+    await call(gallery, event('GET', { token: false }));
+    await call(gallery, event('POST', { path: '/.netlify/functions/gallery/uploads', body: { files: [{ filename: 'a.jpg', size: 10 }] } }));
+    await call(gallery, event('DELETE', { token: false, body: { id: 1 } }));
+    await call(gallery, event('DELETE', { token: 'x.y.z', body: { id: 1 } }));
+    assert.equal(entries().length, 0);
+  });
+
+  test('a failed audit write never fails the request', async () => {
+    const [photo] = fake.seed({ gallery: [{ title: 'Harbour' }] }).gallery;
+    fake.failNext({ method: 'POST', url: /audit_log/ }, { status: 500, body: 'boom' });
+    const res = await quiet(() => call(gallery, event('PUT', { body: { id: photo.id, title: 'New' } })));
+    assert.equal(res.status, 200);
+    assert.equal(entries().length, 0);
+  });
+
+  test('diffRows only compares columns both sides know', () => {
+    assert.deepEqual(diffRows({ id: 1, title: 'a' }, { id: 1, title: 'b', slug: 'b', updated_at: 'x' }), {
+      title: { before: 'a', after: 'b' },
+    });
+    assert.equal(diffRows({ id: 1, title: 'a' }, { id: 1, title: 'a' }), null);
+  });
+});
+
+describe('GET /audit', () => {
+  const list = (query, token) => call(handler, event('GET', { query, token }));
+
+  const seedLog = () =>
+    fake.seed({
+      audit_log: [
+        { actor: 'Ana', action: 'create', resource: 'photo', resource_id: '1', outcome: 'success', created_at: '2024-05-01T10:00:00Z' },
+        { actor: 'Ben', action: 'update', resource: 'entry', resource_id: '2', outcome: 'failure', error: 'db update failed', created_at: '2024-05-02T10:00:00Z' },
+        { actor: 'Ana', action: 'delete', resource: 'photo', resource_id: '1', outcome: 'success', created_at: '2024-05-03T10:00:00Z' },
+      ],
+    }).audit_log;
+
+  test('needs an admin session and only answers GET', async () => {
+    assert.equal((await list({}, false)).status, 401);
+    assert.equal((await call(handler, event('POST', { body: {} }))).status, 405);
+  });
+
+  test('pages through the log, newest first', async () => {
+    seedLog();
+    const first = await list({ limit: '2' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 3);
+    assert.deepEqual(first.body.items.map((e) => e.action), ['delete', 'update']);
+    const next = await list({ limit: '2', cursor: first.body.next_cursor });
+    assert.deepEqual(next.body.items.map((e) => e.action), ['create']);
+    assert.equal(next.body.next_cursor, null);
+  });
+
+  test('filters by actor, resource, id, action, outcome and date', async () => {
+    seedLog();
+    const actions = async (query) => (await list(query)).body.items.map((e) => e.action);
+    assert.deepEqual(await actions({ actor: 'an' }), ['delete', 'create']);
+    assert.deepEqual(await actions({ resource: 'photo', resource_id: '1', action: 'create' }), ['create']);
+    assert.deepEqual(await actions({ outcome: 'failure' }), ['update']);
+    assert.deepEqual(await actions({ from: '2024-05-02', to: '2024-05-02' }), ['update']);
+    assert.equal((await list({ from: 'yesterday' })).status, 400);
+    assert.equal((await list({ sort: 'actor' })).status, 400);
+  });
+
+  test('a REST failure is a 502', async () => {
+    fake.failNext({ method: 'GET', url: /audit_log/ }, { status: 500, body: 'boom' });
+    assert.equal((await quiet(() => list({}))).status, 502);
+  });
+});
@@ -0,0 +1,119 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet, adminToken } = require('./helpers');
+const { handler } = require('../functions/auth');
+const { verifyToken } = require('../functions/_shared/auth');
+
+beforeEach(() => fake.reset());
+
+// auth.js keeps a per-instance limiter, so every test logs in from its own address
+let lastIp = 0;
+const freshIp = () => `203.0.113.${++lastIp}`;
+
+const login = (ip, body) =>
+  call(handler, event('POST', { token: false, headers: { 'x-nf-client-connection-ip': ip }, body }));
+
+const PASSWORD = process.env.ADMIN_PASSWORD;
+
+describe('auth session check', () => {
+  test('OPTIONS answers the preflight', async () => {
+    assert.equal((await call(handler, event('OPTIONS', { token: false }))).status, 204);
+  });
+
+  test('GET accepts a valid token and reports its expiry', async () => {
+    const res = await call(handler, event('GET', { token: adminToken() }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.ok(Date.parse(res.body.expires_at) > Date.now());
+  });
+
+  test('GET rejects missing and invalid tokens', async () => {
+    assert.equal((await call(handler, event('GET', { token: false }))).status, 401);
+    assert.equal((await call(handler, event('GET', { token: 'x.y.z' }))).status, 401);
+  });
+
+  test('other methods are 405', async () => {
+    assert.equal((await call(handler, event('DELETE', { token: false }))).status, 405);
+  });
+});
+
+describe('auth login', () => {
+  test('the right password returns a working token and is recorded', async () => {
+    const ip = freshIp();
+    const res = await login(ip, { password: PASSWORD });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.ok(verifyToken(res.body.token));
+    assert.equal(res.headers['Cache-Control'], 'no-store');
+    assert.deepEqual(fake.rows('auth_attempts').map((a) => [a.ip, a.success]), [[ip, true]]);
+  });
+
+  test('a name given at login is carried by the token and reported back', async () => {
+    const res = await login(freshIp(), { password: PASSWORD, name: '  Ana   Lopes ' });
+    assert.equal(verifyToken(res.body.token).name, 'Ana Lopes');
+    const check = await call(handler, event('GET', { token: res.body.token }));
+    assert.equal(check.body.name, 'Ana Lopes');
+    assert.equal(verifyToken((await login(freshIp(), { password: PASSWORD })).body.token).name, undefined);
+  });
+
+  test('a wrong password is 401 and recorded as a failure', async () => {
+    const ip = freshIp();
+    const res = await login(ip, { password: 'hunter2' });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.token, undefined);
+    assert.deepEqual(fake.rows('auth_attempts').map((a) => [a.ip, a.success]), [[ip, false]]);
+  });
+
+  test('non-string passwords and an unset ADMIN_PASSWORD never match', async () => {
+    assert.equal((await login(freshIp(), { password: [PASSWORD] })).status, 401);
+    assert.equal((await login(freshIp(), {})).status, 401);
+
+    delete process.env.ADMIN_PASSWORD;
+    try {
+      assert.equal((await login(freshIp(), { password: '' })).status, 401);
+      assert.equal((await login(freshIp(), { password: 'undefined' })).status, 401);
+    } finally {
+      process.env.ADMIN_PASSWORD = PASSWORD;
+    }
+  });
+
+  test('too many recent failures from one address are 429', async () => {
+    const ip = freshIp();
+    for (let i = 0; i < 5; i++) assert.equal((await login(ip, { password: 'nope' })).status, 401);
+
+    const blocked = await login(ip, { password: PASSWORD });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.headers['Retry-After'], '900');
+
+    // Other addresses are unaffected
+    assert.equal((await login(freshIp(), { password: PASSWORD })).status, 200);
+  });
+
+  test('failures outside the window do not count', async () => {
+    const ip = freshIp();
+    const old = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+    fake.seed({ auth_attempts: Array.from({ length: 5 }, () => ({ ip, success: false, created_at: old })) });
+    assert.equal((await login(ip, { password: PASSWORD })).status, 200);
+  });
+
+  test('falls back to the in-memory limiter when the attempts table fails', async () => {
+    const ip = freshIp();
+    const failAttempts = () => fake.failNext({ url: '/rest/v1/auth_attempts' }, { status: 500, body: { message: 'down' } });
+
+    await quiet(async () => {
+      for (let i = 0; i < 5; i++) {
+        failAttempts(); // lookup
+        failAttempts(); // insert
+        assert.equal((await login(ip, { password: 'nope' })).status, 401);
+      }
+      failAttempts();
+      assert.equal((await login(ip, { password: PASSWORD })).status, 429);
+    });
+  });
+
+  test('malformed JSON is a 400', async () => {
+    const res = await login(freshIp(), '{');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_json');
+  });
+});
@@ -0,0 +1,384 @@
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const { fake, event, call, quiet, SUPABASE_URL } = require('./helpers');
+const { handler } = require('../functions/backup');
+
+const PUBLIC = `${SUPABASE_URL}/storage/v1/object/public/photos`;
+
+let jpeg;
+before(async () => {
+  jpeg = await sharp({ create: { width: 32, height: 24, channels: 3, background: '#996633' } }).jpeg().toBuffer();
+});
+
+beforeEach(() => fake.reset());
+
+// One photo with its files in storage, a legacy photo, an entry embedding the first
+// with a revision, an album holding both, and a tag on the first photo and the entry
+const seedSite = () => {
+  fake.putObject('photos/uploads/1700000000000_aaaaaa-pier.jpg', 'image/jpeg', jpeg);
+  fake.putObject('photos/variants/1700000000000_aaaaaa-pier/thumb.jpg', 'image/jpeg', jpeg);
+  const { gallery } = fake.seed({
+    gallery: [
+      {
+        title: 'Pier',
+        image_url: `${PUBLIC}/variants/1700000000000_aaaaaa-pier/thumb.jpg`,
+        original_url: `${PUBLIC}/uploads/1700000000000_aaaaaa-pier.jpg`,
+        variants: { thumb: { width: 32, height: 24, jpeg: `${PUBLIC}/variants/1700000000000_aaaaaa-pier/thumb.jpg` } },
+        order_index: 1,
+      },
+      { title: 'Old scan', image_url: '/photos/gallery-3.jpg', order_index: 2 },
+    ],
+  });
+  const { journal } = fake.seed({
+    journal: [{ title: 'Walk', entry_date: '2024-05-01', content: `Look ![pier](photo:${gallery[0].id})`, created_at: '2024-05-01T10:00:00Z' }],
+  });
+  fake.seed({ journal_revisions: [{ entry_id: journal[0].id, title: 'Walk', entry_date: '2024-05-01', content: 'draft' }] });
+  const { albums } = fake.seed({ albums: [{ slug: 'coast', title: 'Coast', cover_photo_id: gallery[0].id }] });
+  fake.seed({
+    album_photos: [
+      { album_id: albums[0].id, photo_id: gallery[0].id, position: 1 },
+      { album_id: albums[0].id, photo_id: gallery[1].id, position: 2 },
+    ],
+  });
+  const { tags } = fake.seed({ tags: [{ slug: 'sea', name: 'Sea' }] });
+  fake.seed({
+    photo_tags: [{ photo_id: gallery[0].id, tag_id: tags[0].id }],
+    entry_tags: [{ entry_id: journal[0].id, tag_id: tags[0].id }],
+  });
+  return { gallery, journal, albums, tags };
+};
+
+const exportZip = async () => {
+  const res = await call(handler, event('POST', { path: '/.netlify/functions/backup/export' }));
+  assert.equal(res.status, 200);
+  const download = await fetch(res.body.download_url);
+  assert.equal(download.status, 200);
+  return { res, buffer: Buffer.from(await download.arrayBuffer()) };
+};
+
+// Put an archive where a signed upload would have, returning its path
+const uploaded = (buffer) => {
+  const path = `uploads/${Date.now()}_abc123-site.zip`;
+  fake.putObject(`backups/${path}`, 'application/zip', buffer);
+  return path;
+};
+
+const runImport = (path, dryRun) =>
+  call(handler, event('POST', { path: '/.netlify/functions/backup/import', body: { path, dry_run: dryRun } }));
+
+describe('backup auth', () => {
+  test('every route needs a session', async () => {
+    for (const route of ['export', 'uploads', 'import']) {
+      const res = await call(handler, event('POST', { path: `/.netlify/functions/backup/${route}`, token: false }));
+      assert.equal(res.status, 401);
+    }
+  });
+
+  test('only POST is accepted', async () => {
+    const res = await call(handler, event('GET', { path: '/.netlify/functions/backup/export' }));
+    assert.equal(res.status, 405);
+  });
+});
+
+describe('POST /backup/export', () => {
+  test('zips every table and the files the photos point at', async () => {
+    const { gallery } = seedSite();
+    const { res, buffer } = await exportZip();
+
+    assert.match(res.body.path, /^exports\/.+\.zip$/);
+    assert.deepEqual(res.body.counts, {
+      gallery: 2, journal: 1, journal_revisions: 1, albums: 1, album_photos: 2, tags: 1, photo_tags: 1, entry_tags: 1,
+      places: 0, place_aliases: 0,
+    });
+    assert.deepEqual(res.body.missing, []);
+    assert.match(res.body.download_url, /\/storage\/v1\/object\/sign\/backups\/exports\/.+token=.+&download=kt-portfolio-backup-/);
+
+    const zip = await JSZip.loadAsync(buffer);
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    assert.equal(manifest.format, 'kt-portfolio-backup');
+    assert.equal(manifest.schema_version, 1);
+    assert.deepEqual(manifest.files.map((f) => f.path).sort(), [
+      'uploads/1700000000000_aaaaaa-pier.jpg',
+      'variants/1700000000000_aaaaaa-pier/thumb.jpg',
+    ]);
+    assert.equal(manifest.files[0].content_type, 'image/jpeg');
+
+    const rows = JSON.parse(await zip.file('data/gallery.json').async('string'));
+    assert.deepEqual(rows.map((r) => r.id), gallery.map((r) => r.id));
+    const original = await zip.file('files/uploads/1700000000000_aaaaaa-pier.jpg').async('nodebuffer');
+    assert.ok(original.equals(jpeg));
+  });
+
+  test('trashed rows are included and files gone from storage are listed', async () => {
+    fake.seed({ gallery: [{ title: 'Gone', image_url: `${PUBLIC}/uploads/nope.jpg`, deleted_at: '2024-01-01T00:00:00Z' }] });
+    const { res, buffer } = await quiet(exportZip);
+    assert.deepEqual(res.body.missing, ['uploads/nope.jpg']);
+    const zip = await JSZip.loadAsync(buffer);
+    const rows = JSON.parse(await zip.file('data/gallery.json').async('string'));
+    assert.equal(rows[0].deleted_at, '2024-01-01T00:00:00Z');
+  });
+
+  test('a failed read is 502', async () => {
+    fake.failNext({ method: 'GET', url: /\/rest\/v1\/journal\?/ }, { status: 500, body: 'boom' });
+    const res = await quiet(() => call(handler, event('POST', { path: '/.netlify/functions/backup/export' })));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'journal read failed');
+  });
+});
+
+describe('POST /backup/uploads', () => {
+  test('signs an upload for a zip', async () => {
+    const res = await call(handler, event('POST', { path: '/.netlify/functions/backup/uploads', body: { filename: 'Site.zip' } }));
+    assert.equal(res.status, 200);
+    assert.match(res.body.path, /^uploads\/\d{13}_[a-f0-9]{6}-site\.zip$/);
+    assert.match(res.body.signed_url, /\/storage\/v1\/object\/upload\/sign\/backups\//);
+  });
+
+  test('refuses anything but a zip', async () => {
+    const res = await call(handler, event('POST', { path: '/.netlify/functions/backup/uploads', body: { filename: 'site.tar' } }));
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /backup/import', () => {
+  test('restores into a project with other content, remapping ids', async () => {
+    const source = seedSite();
+    const { buffer } = await exportZip();
+
+    fake.reset();
+    const [existing] = fake.seed({ gallery: [{ title: 'Already here', image_url: '/photos/gallery-4.jpg' }] }).gallery;
+    const res = await runImport(uploaded(buffer));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, false);
+    assert.deepEqual(res.body.created, {
+      gallery: 2, journal: 1, journal_revisions: 1, albums: 1, album_photos: 2, tags: 1, photo_tags: 1, entry_tags: 1,
+      places: 0, place_aliases: 0,
+    });
+    assert.deepEqual(res.body.conflicts, []);
+    assert.deepEqual(res.body.files, { copied: 2, missing: [] });
+
+    const photos = fake.rows('gallery');
+    assert.equal(photos.length, 3);
+    const pierId = res.body.id_map.gallery[source.gallery[0].id];
+    assert.notEqual(pierId, source.gallery[0].id);
+    assert.notEqual(pierId, existing.id);
+    const pier = photos.find((p) => p.id === pierId);
+    assert.equal(pier.original_url, `${PUBLIC}/uploads/1700000000000_aaaaaa-pier.jpg`);
+    assert.ok(fake.object('photos/uploads/1700000000000_aaaaaa-pier.jpg').body.equals(jpeg));
+
+    const [entry] = fake.rows('journal');
+    assert.equal(entry.content, `Look ![pier](photo:${pierId})`);
+    assert.equal(entry.created_at, '2024-05-01T10:00:00Z');
+    assert.equal(fake.rows('journal_revisions')[0].entry_id, entry.id);
+
+    const [album] = fake.rows('albums');
+    assert.equal(album.cover_photo_id, pierId);
+    assert.deepEqual(
+      fake.rows('album_photos').map((l) => [l.album_id, l.photo_id, l.position]),
+      [[album.id, pierId, 1], [album.id, res.body.id_map.gallery[source.gallery[1].id], 2]]
+    );
+
+    const [tag] = fake.rows('tags');
+    assert.equal(res.body.id_map.tags[source.tags[0].id], tag.id);
+    assert.deepEqual(fake.rows('photo_tags').map((l) => [l.photo_id, l.tag_id]), [[pierId, tag.id]]);
+    assert.deepEqual(fake.rows('entry_tags').map((l) => [l.entry_id, l.tag_id]), [[entry.id, tag.id]]);
+  });
+
+  test('an existing tag is reused and generated search columns are left out', async () => {
+    seedSite();
+    const { buffer } = await exportZip();
+    const zip = await JSZip.loadAsync(buffer);
+    const entries = JSON.parse(await zip.file('data/journal.json').async('string'));
+    zip.file('data/journal.json', JSON.stringify(entries.map((e) => ({ ...e, search: "'walk':1A" }))));
+
+    fake.reset();
+    const [sea] = fake.seed({ tags: [{ slug: 'sea', name: 'The sea' }] }).tags;
+    const res = await runImport(uploaded(await zip.generateAsync({ type: 'nodebuffer' })));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.created.tags, 0);
+    assert.deepEqual(res.body.conflicts.map((c) => [c.table, c.existing_id]), [['tags', sea.id]]);
+    assert.equal(fake.rows('tags').length, 1);
+    assert.deepEqual(fake.rows('entry_tags').map((l) => [l.entry_id, l.tag_id]), [[fake.rows('journal')[0].id, sea.id]]);
+    assert.equal('search' in fake.rows('journal')[0], false);
+  });
+
+  test('photos keep their places; a place whose slug exists here is reused', async () => {
+    seedSite();
+    const [kyoto, monterey] = fake.seed({
+      places: [
+        { slug: 'kyoto-jp', name: 'Kyoto', region: 'Kyoto', country: 'JP', lat: 35.0116, lon: 135.7681 },
+        { slug: 'monterey-ca', name: 'Monterey', region: 'CA', country: 'US' },
+      ],
+    }).places;
+    fake.seed({ place_aliases: [{ key: 'kyoto jp', place_id: kyoto.id }, { key: 'monterey', place_id: monterey.id }] });
+    fake.rows('gallery')[0].place_id = kyoto.id;
+    fake.rows('gallery')[1].place_id = monterey.id;
+    const { buffer } = await exportZip();
+
+    fake.reset();
+    const [here] = fake.seed({ places: [{ slug: 'monterey-ca', name: 'Monterey', region: 'CA', country: 'US' }] }).places;
+    fake.seed({ place_aliases: [{ key: 'monterey', place_id: here.id }] });
+    const res = await runImport(uploaded(buffer));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.created.places, 1);
+    assert.deepEqual(res.body.conflicts.map((c) => [c.table, c.existing_id]), [['places', here.id]]);
+    assert.deepEqual([res.body.created.place_aliases, res.body.skipped.place_aliases], [1, 1]);
+    const newKyoto = fake.rows('places').find((p) => p.slug === 'kyoto-jp');
+    assert.equal(res.body.id_map.places[kyoto.id], newKyoto.id);
+    assert.deepEqual(fake.rows('gallery').map((g) => [g.title, g.place_id]), [['Pier', newKyoto.id], ['Old scan', here.id]]);
+    assert.deepEqual(fake.rows('place_aliases').map((a) => [a.key, a.place_id]), [['monterey', here.id], ['kyoto jp', newKyoto.id]]);
+  });
+
+  test('dry_run reports the plan and writes nothing', async () => {
+    seedSite();
+    const { buffer } = await exportZip();
+    fake.reset();
+    const path = uploaded(buffer);
+
+    const res = await runImport(path, true);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.equal(res.body.created.gallery, 2);
+    assert.equal(res.body.files.copied, 2);
+    assert.ok(Object.values(res.body.id_map.gallery).every((id) => id === null));
+    assert.equal(fake.rows('gallery').length, 0);
+    assert.equal(fake.rows('journal').length, 0);
+    assert.deepEqual(fake.objectKeys(), [`backups/${path}`]);
+  });
+
+  test('importing into the same project again only reports conflicts', async () => {
+    const source = seedSite();
+    const { buffer } = await exportZip();
+
+    const res = await runImport(uploaded(buffer));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.created, {
+      gallery: 0, journal: 0, journal_revisions: 0, albums: 0, album_photos: 0, tags: 0, photo_tags: 0, entry_tags: 0,
+      places: 0, place_aliases: 0,
+    });
+    assert.deepEqual(res.body.skipped, {
+      gallery: 2, journal: 1, journal_revisions: 1, albums: 1, album_photos: 2, tags: 1, photo_tags: 1, entry_tags: 1,
+      places: 0, place_aliases: 0,
+    });
+    assert.deepEqual(res.body.conflicts.map((c) => [c.table, c.id, c.existing_id]), [
+      ['gallery', source.gallery[0].id, source.gallery[0].id],
+      ['gallery', source.gallery[1].id, source.gallery[1].id],
+      ['journal', source.journal[0].id, source.journal[0].id],
+      ['albums', source.albums[0].id, source.albums[0].id],
+      ['tags', source.tags[0].id, source.tags[0].id],
+    ]);
+    assert.equal(fake.rows('gallery').length, 2);
+  });
+
+  test('a taken album slug skips that album and its links only', async () => {
+    seedSite();
+    const { buffer } = await exportZip();
+    fake.reset();
+    fake.seed({ albums: [{ slug: 'coast', title: 'Someone else’s coast' }] });
+
+    const res = await runImport(uploaded(buffer));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.created.gallery, 2);
+    assert.equal(res.body.skipped.album_photos, 2);
+    assert.match(res.body.conflicts[0].reason, /slug "coast" is already taken/);
+    assert.equal(fake.rows('albums').length, 1);
+    assert.equal(fake.rows('album_photos').length, 0);
+  });
+
+  test('a crafted manifest writes only photo files, typed by their bytes', async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toBuffer();
+    const SOURCE = 'https://elsewhere.supabase.co/storage/v1/object/public/photos';
+    const files = [
+      ['../backups/exports/site.zip', jpeg],
+      ['uploads/1700000000000_cccccc-page.jpg', Buffer.from('<script>alert(1)</script>')],
+      ['uploads/1700000000000_dddddd-new.png', png],
+    ].map(([path, bytes], i) => ({ path, bytes, url: `${SOURCE}/${i}`, content_type: 'text/html' }));
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ format: 'kt-portfolio-backup', schema_version: 1, files }));
+    zip.file('data/gallery.json', JSON.stringify(files.map((f, i) => ({ id: i + 1, title: `Photo ${i + 1}`, image_url: f.url }))));
+    files.forEach((f) => zip.file(`files/${f.path}`, f.bytes));
+    const res = await runImport(uploaded(await zip.generateAsync({ type: 'nodebuffer' })));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.conflicts.map((c) => [c.id, c.reason]), [
+      [1, 'file path "../backups/exports/site.zip" is not a photo upload or variant'],
+      [2, 'file "uploads/1700000000000_cccccc-page.jpg" is not an image'],
+    ]);
+    assert.equal(fake.object('backups/exports/site.zip'), null);
+    assert.equal(fake.object('photos/uploads/1700000000000_cccccc-page.jpg'), null);
+    assert.equal(fake.object('photos/uploads/1700000000000_dddddd-new.png').contentType, 'image/png');
+    assert.deepEqual(fake.rows('gallery').map((g) => g.image_url), [`${PUBLIC}/uploads/1700000000000_dddddd-new.png`]);
+  });
+
+  test('a file that would replace a different object here skips its photo', async () => {
+    const taken = 'variants/1700000000000_bbbbbb-other/thumb.jpg';
+    const same = 'variants/1700000000000_ffffff-same/thumb.jpg';
+    fake.putObject(`photos/${taken}`, 'image/jpeg', jpeg);
+    fake.putObject(`photos/${same}`, 'image/jpeg', jpeg);
+    const other = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } }).jpeg().toBuffer();
+    const SOURCE = 'https://elsewhere.supabase.co/storage/v1/object/public/photos';
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({
+      format: 'kt-portfolio-backup', schema_version: 1,
+      files: [
+        { path: 'uploads/1700000000000_eeeeee-a.jpg', url: `${SOURCE}/a`, content_type: 'image/jpeg' },
+        { path: taken, url: `${SOURCE}/a-thumb`, content_type: 'image/jpeg' },
+        { path: same, url: `${SOURCE}/b-thumb`, content_type: 'image/jpeg' },
+      ],
+    }));
+    zip.file('data/gallery.json', JSON.stringify([
+      { id: 1, title: 'A', original_url: `${SOURCE}/a`, image_url: `${SOURCE}/a-thumb` },
+      { id: 2, title: 'B', image_url: `${SOURCE}/b-thumb` },
+    ]));
+    zip.file('files/uploads/1700000000000_eeeeee-a.jpg', jpeg);
+    zip.file(`files/${taken}`, other);
+    zip.file(`files/${same}`, jpeg);
+    const res = await runImport(uploaded(await zip.generateAsync({ type: 'nodebuffer' })));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.conflicts, [{ table: 'gallery', id: 1, reason: `file "${taken}" is already in storage`, existing_id: null }]);
+    assert.ok(fake.object(`photos/${taken}`).body.equals(jpeg));
+    // The original written before the clash is taken back out
+    assert.equal(fake.object('photos/uploads/1700000000000_eeeeee-a.jpg'), null);
+    // An identical copy already here is used as it is
+    assert.deepEqual(fake.rows('gallery').map((g) => g.image_url), [`${PUBLIC}/${same}`]);
+  });
+
+  test('a failure part way returns what was already written', async () => {
+    seedSite();
+    const { buffer } = await exportZip();
+    fake.reset();
+    fake.failNext({ method: 'POST', url: /\/rest\/v1\/journal$/ }, { status: 500, body: 'boom' });
+
+    const res = await quiet(() => runImport(uploaded(buffer)));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'journal insert failed');
+    assert.equal(res.body.report.created.gallery, 2);
+    assert.equal(Object.keys(res.body.report.id_map.gallery).length, 2);
+  });
+
+  test('rejects bad paths, missing archives and unreadable ones', async () => {
+    assert.equal((await runImport('exports/x.zip')).status, 400);
+    assert.equal((await runImport('uploads/1700000000000_abc123-gone.zip')).status, 404);
+
+    const notZip = await runImport(uploaded(Buffer.from('hello')));
+    assert.equal(notZip.status, 400);
+    assert.equal(notZip.body.error, 'Not a zip archive');
+
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ format: 'kt-portfolio-backup', schema_version: 2 }));
+    const newer = await runImport(uploaded(await zip.generateAsync({ type: 'nodebuffer' })));
+    assert.equal(newer.status, 400);
+    assert.match(newer.body.error, /schema_version 2 is newer/);
+
+    const other = new JSZip();
+    other.file('notes.txt', 'hi');
+    const foreign = await runImport(uploaded(await other.generateAsync({ type: 'nodebuffer' })));
+    assert.equal(foreign.status, 400);
+  });
+});
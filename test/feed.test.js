@@ -0,0 +1,108 @@
+// Covers functions/feed.js.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet, isoOffset } = require('./helpers');
+const { handler } = require('../functions/feed');
+
+beforeEach(() => fake.reset());
+
+// One live entry and photo with markup in their text, plus rows that must stay out
+const seedFeed = () =>
+  fake.seed({
+    journal: [
+      { title: 'Fog & <rain>', slug: 'fog', entry_date: '2024-03-02', content: 'Waited for the **tide**.', created_at: '2024-03-02T09:00:00Z' },
+      { title: 'Unfinished', status: 'draft', entry_date: '2024-03-05', content: 'wip' },
+      { title: 'Next week', status: 'scheduled', publish_at: isoOffset(86400000), entry_date: '2024-03-08', content: 'soon' },
+      { title: 'Binned', entry_date: '2024-03-04', content: 'gone', deleted_at: isoOffset(-60000) },
+    ],
+    gallery: [
+      {
+        title: 'Harbour "at" dusk', slug: 'harbour', image_url: 'https://img.test/harbour.png', caption: 'Boats <b>resting</b>',
+        location: 'Lisbon', created_at: '2024-03-01T10:00:00Z',
+      },
+      { title: 'Secret', status: 'draft', image_url: 'https://img.test/secret.jpg', created_at: '2024-03-06T10:00:00Z' },
+    ],
+  });
+
+const get = (query, headers) => call(handler, event('GET', { token: false, query, headers }));
+
+describe('GET /feed', () => {
+  test('RSS by default, with only live entries and photos, newest first', async () => {
+    seedFeed();
+    const res = await get();
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'application/rss+xml; charset=utf-8');
+    const titles = [...res.raw.matchAll(/<item>\s*<title>([^<]*)<\/title>/g)].map((m) => m[1]);
+    assert.deepEqual(titles, ['Fog &amp; &lt;rain&gt;', 'Harbour &quot;at&quot; dusk']);
+    assert.match(res.raw, /<link>https:\/\/example\.test\/journal\/fog\/<\/link>/);
+    assert.match(res.raw, /<enclosure url="https:\/\/img\.test\/harbour\.png" length="0" type="image\/png"\/>/);
+    assert.doesNotMatch(res.raw, /Unfinished|Next week|Binned|Secret/);
+  });
+
+  test('escapes captions inside the item HTML', async () => {
+    seedFeed();
+    const json = (await get({ format: 'json', type: 'photos' })).body;
+    assert.match(json.items[0].content_html, /<p>Boats &lt;b&gt;resting&lt;\/b&gt; · Lisbon<\/p>$/);
+    assert.match(json.items[0].content_html, /alt="Harbour &quot;at&quot; dusk"/);
+
+    const atom = (await get({ format: 'atom', type: 'photos' })).raw;
+    assert.match(atom, /<content type="html">&lt;p&gt;&lt;img src=/);
+    assert.match(atom, /Boats &amp;lt;b&amp;gt;resting/);
+  });
+
+  test('Atom and JSON Feed carry the same items', async () => {
+    seedFeed();
+    const atom = await get({ format: 'atom' });
+    assert.equal(atom.headers['Content-Type'], 'application/atom+xml; charset=utf-8');
+    assert.match(atom.raw, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example\.test\/api\/feed\?format=atom"\/>/);
+    assert.equal(atom.raw.match(/<entry>/g).length, 2);
+    assert.match(atom.raw, /<published>2024-03-02T00:00:00\.000Z<\/published>/);
+
+    const json = await get({ format: 'json' });
+    assert.equal(json.headers['Content-Type'], 'application/feed+json; charset=utf-8');
+    assert.equal(json.body.version, 'https://jsonfeed.org/version/1.1');
+    assert.deepEqual(json.body.items.map((i) => [i.title, i.tags]), [['Fog & <rain>', ['journal']], ['Harbour "at" dusk', ['photos']]]);
+    assert.equal(json.body.items[0].content_html, '<p>Waited for the <strong>tide</strong>.</p>');
+    assert.deepEqual(json.body.items[1].attachments, [{ url: 'https://img.test/harbour.png', mime_type: 'image/png' }]);
+  });
+
+  test('?type picks the journal or the photos', async () => {
+    seedFeed();
+    const journal = (await get({ format: 'json', type: 'journal' })).body;
+    assert.deepEqual(journal.items.map((i) => i.title), ['Fog & <rain>']);
+    assert.equal(journal.feed_url, 'https://example.test/api/feed?format=json&type=journal');
+    assert.equal(journal.description, 'Journal entries');
+
+    const seen = fake.requests.length;
+    assert.deepEqual((await get({ format: 'json', type: 'Photos' })).body.items.map((i) => i.title), ['Harbour "at" dusk']);
+    assert.ok(fake.requests.slice(seen).every((r) => !/\/rest\/v1\/journal\?/.test(r.url)));
+  });
+
+  test('a matching If-None-Match or If-Modified-Since is a 304', async () => {
+    seedFeed();
+    const first = await get();
+    const { ETag: etag, 'Last-Modified': lastModified } = first.headers;
+    assert.ok(etag);
+
+    const cached = await get(undefined, { 'if-none-match': `W/${etag}` });
+    assert.equal(cached.status, 304);
+    assert.equal(cached.raw, '');
+    assert.equal(cached.headers.ETag, etag);
+    assert.equal((await get(undefined, { 'if-none-match': '"stale"', 'if-modified-since': lastModified })).status, 200);
+    assert.equal((await get(undefined, { 'if-modified-since': lastModified })).status, 304);
+  });
+
+  test('an unknown format or type is a 400', async () => {
+    const format = await get({ format: 'xml' });
+    assert.equal(format.status, 400);
+    assert.equal(format.body.error, 'format must be one of: rss, atom, json');
+    assert.equal((await get({ type: 'albums' })).status, 400);
+    assert.equal(fake.requests.length, 0);
+  });
+
+  test('a REST failure is a 502', async () => {
+    fake.failNext({ method: 'GET', url: '/rest/v1/journal' }, { status: 500, body: 'db down' });
+    const res = await quiet(() => get());
+    assert.equal(res.status, 502);
+  });
+});
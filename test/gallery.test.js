@@ -0,0 +1,671 @@
+// Covers functions/gallery.js, including the signed-upload flow that replaced functions/upload.js.
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { fake, event, call, quiet, isoOffset, SUPABASE_URL } = require('./helpers');
+const { handler } = require('../functions/gallery');
+
+const PUBLIC = `${SUPABASE_URL}/storage/v1/object/public/photos`;
+
+let jpeg;
+before(async () => {
+  jpeg = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+});
+
+beforeEach(() => fake.reset());
+
+const seedPhotos = () =>
+  fake.seed({
+    gallery: [
+      { title: 'Harbour', caption: 'Low tide', camera: 'Leica M6', location: 'Lisbon', taken_at: '2024-03-02T10:00:00Z', order_index: 2 },
+      { title: 'Dunes', camera: 'Pentax 67', location: 'Sahara', taken_at: '2023-07-10T10:00:00Z', order_index: 1 },
+      { title: 'Secret', status: 'draft', order_index: 3 },
+      { title: 'Later', status: 'scheduled', publish_at: isoOffset(86400000), order_index: 4 },
+      { title: 'Due', status: 'scheduled', publish_at: isoOffset(-60000), order_index: 5 },
+      { title: 'Hidden spot', hide_location: true, gps_lat: 38.7, gps_lon: -9.1, original_url: `${PUBLIC}/uploads/x.jpg`, order_index: 6 },
+    ],
+  }).gallery;
+
+// Put a file where a signed upload would have, returning its path
+const uploaded = (buffer, name = 'scan.jpg') => {
+  const path = `uploads/${Date.now()}_abc123-${name}`;
+  fake.putObject(`photos/${path}`, 'image/jpeg', buffer);
+  return path;
+};
+
+describe('gallery auth', () => {
+  test('OPTIONS answers the preflight', async () => {
+    const res = await call(handler, event('OPTIONS', { token: false }));
+    assert.equal(res.status, 204);
+    assert.equal(res.headers['Access-Control-Allow-Origin'], '*');
+  });
+
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    test(`${method} without a session is 401`, async () => {
+      const res = await call(handler, event(method, { token: false, body: {} }));
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Unauthorized');
+    });
+  }
+
+  test('a forged token is rejected', async () => {
+    const res = await call(handler, event('DELETE', { token: 'a.b.c', body: { id: 1 } }));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid or expired session');
+  });
+
+  test('unknown methods are 405', async () => {
+    const res = await call(handler, event('HEAD'));
+    assert.equal(res.status, 405);
+  });
+
+  test('missing Supabase config is a 500', async () => {
+    const saved = process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_URL;
+    try {
+      const res = await quiet(() => call(handler, event('GET', { token: false })));
+      assert.equal(res.status, 500);
+      assert.equal(res.body.code, 'not_configured');
+      assert.match(res.body.error, /Missing env vars/);
+    } finally {
+      process.env.SUPABASE_URL = saved;
+    }
+  });
+});
+
+describe('GET /gallery', () => {
+  test('lists live photos in display order', async () => {
+    seedPhotos();
+    const res = await call(handler, event('GET', { token: false }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((p) => p.title), ['Dunes', 'Harbour', 'Due', 'Hidden spot']);
+  });
+
+  test('redacts location data for hide_location photos', async () => {
+    seedPhotos();
+    const res = await call(handler, event('GET', { token: false }));
+    const hidden = res.body.find((p) => p.title === 'Hidden spot');
+    assert.equal(hidden.gps_lat, null);
+    assert.equal(hidden.gps_lon, null);
+    assert.equal(hidden.original_url, null);
+  });
+
+  test('scope=all needs a session and returns drafts unredacted', async () => {
+    seedPhotos();
+    assert.equal((await call(handler, event('GET', { token: false, query: { scope: 'all' } }))).status, 401);
+
+    const res = await call(handler, event('GET', { query: { scope: 'all' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 6);
+    assert.equal(res.body.find((p) => p.title === 'Hidden spot').gps_lat, 38.7);
+  });
+
+  test('limit switches to a page envelope with a cursor', async () => {
+    seedPhotos();
+    const first = await call(handler, event('GET', { token: false, query: { limit: '3' } }));
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 4);
+    assert.equal(first.body.items.length, 3);
+    assert.ok(first.body.next_cursor);
+
+    const second = await call(handler, event('GET', { token: false, query: { limit: '3', cursor: first.body.next_cursor } }));
+    assert.deepEqual(second.body.items.map((p) => p.title), ['Hidden spot']);
+    assert.equal(second.body.next_cursor, null);
+  });
+
+  test('sorts, filters, searches and bounds by date', async () => {
+    seedPhotos();
+    const get = async (query) => (await call(handler, event('GET', { token: false, query }))).body.map((p) => p.title);
+
+    assert.deepEqual((await get({ sort: 'title' })).slice(0, 2), ['Due', 'Dunes']);
+    assert.deepEqual(await get({ camera: 'leica' }), ['Harbour']);
+    assert.deepEqual(await get({ q: 'low TIDE' }), ['Harbour']);
+    assert.deepEqual(await get({ from: '2024-01-01' }), ['Harbour']);
+    assert.deepEqual(await get({ to: '2023-07-10' }), ['Dunes']);
+  });
+
+  test('?tag keeps the photos carrying that tag, each listed with its tags', async () => {
+    const [harbour, dunes] = seedPhotos();
+    const [sea, sand] = fake.seed({ tags: [{ slug: 'sea', name: 'Sea' }, { slug: 'sand', name: 'Sand' }] }).tags;
+    fake.seed({ photo_tags: [{ photo_id: harbour.id, tag_id: sea.id }, { photo_id: dunes.id, tag_id: sand.id }] });
+
+    const res = await call(handler, event('GET', { token: false, query: { tag: 'sea' } }));
+    assert.deepEqual(res.body.map((p) => p.title), ['Harbour']);
+    assert.deepEqual(res.body[0].tags, [{ id: sea.id, slug: 'sea', name: 'Sea' }]);
+
+    const all = await call(handler, event('GET', { token: false }));
+    assert.deepEqual(all.body.find((p) => p.title === 'Dunes').tags.map((t) => t.slug), ['sand']);
+    assert.deepEqual((await call(handler, event('GET', { token: false, query: { tag: 'nope', limit: '5' } }))).body.items, []);
+  });
+
+  test('rejects bad list parameters', async () => {
+    for (const query of [{ sort: 'random' }, { limit: '0' }, { limit: '101' }, { cursor: 'nope' }, { from: 'yesterday' }]) {
+      const res = await call(handler, event('GET', { token: false, query }));
+      assert.equal(res.status, 400, JSON.stringify(query));
+    }
+  });
+
+  test('?slug returns one live photo, and drafts only with scope=all', async () => {
+    fake.seed({ gallery: [{ title: 'Harbour', slug: 'harbour' }, { title: 'Secret', slug: 'secret', status: 'draft' }] });
+    const one = await call(handler, event('GET', { query: { slug: 'harbour' }, token: false }));
+    assert.equal(one.status, 200);
+    assert.equal(one.body.title, 'Harbour');
+
+    assert.equal((await call(handler, event('GET', { query: { slug: 'secret' }, token: false }))).status, 404);
+    assert.equal((await call(handler, event('GET', { query: { slug: 'secret', scope: 'all' }, token: false }))).status, 401);
+    const draft = await call(handler, event('GET', { query: { slug: 'secret', scope: 'all' } }));
+    assert.equal(draft.body.status, 'draft');
+  });
+
+  test('a REST failure is a 502', async () => {
+    fake.failNext({ method: 'GET', url: '/rest/v1/gallery' }, { status: 500, body: 'db down' });
+    const res = await quiet(() => call(handler, event('GET', { token: false })));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'upstream_error');
+    assert.equal(res.body.detail, undefined);
+    assert.equal(res.body.request_id, res.headers['X-Request-Id']);
+  });
+});
+
+describe('POST /gallery/uploads', () => {
+  const sign = (body) => call(handler, event('POST', { path: '/.netlify/functions/gallery/uploads', body }));
+
+  test('returns one signed URL per file', async () => {
+    const res = await sign({ files: [{ filename: 'A Scan.JPG', size: 1000, content_type: 'image/jpeg' }, { filename: 'b.tif' }] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.uploads.length, 2);
+    const [a] = res.body.uploads;
+    assert.equal(a.filename, 'A Scan.JPG');
+    assert.match(a.path, /^uploads\/\d{13}_[0-9a-f]{6}-a-scan\.jpg$/);
+    assert.ok(a.signed_url.startsWith(`${SUPABASE_URL}/storage/v1/object/upload/sign/photos/${a.path}?token=`));
+    assert.equal(a.expires_in, 7200);
+  });
+
+  test('validates the file list', async () => {
+    assert.equal((await sign({})).status, 400);
+    assert.equal((await sign({ files: [] })).status, 400);
+    assert.equal((await sign({ files: Array.from({ length: 51 }, (_, i) => ({ filename: `${i}.jpg` })) })).status, 400);
+    assert.equal((await sign({ files: [{ filename: ' ' }] })).status, 400);
+    assert.equal((await sign({ files: [{ filename: 'big.jpg', size: 201 * 1024 * 1024 }] })).status, 413);
+    assert.equal((await sign({ files: [{ filename: 'a.jpg', size: '12' }] })).status, 400);
+
+    const pdf = await sign({ files: [{ filename: 'a.jpg' }, { filename: 'notes.pdf', content_type: 'application/pdf' }] });
+    assert.equal(pdf.status, 415);
+    assert.equal(pdf.body.code, 'unsupported_type');
+    assert.match(pdf.body.fields['files[1]'], /^notes\.pdf is not a supported image/);
+    assert.equal((await sign({ files: [{ filename: 'a.svg', content_type: 'image/svg+xml' }] })).status, 415);
+  });
+
+  test('a signing failure is a 502', async () => {
+    fake.failNext({ url: '/upload/sign/' }, { status: 500, body: 'sign failed' });
+    const res = await quiet(() => sign({ files: [{ filename: 'a.jpg' }] }));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'upload signing failed');
+    assert.equal(res.body.detail, undefined);
+  });
+});
+
+describe('POST /gallery (finalize)', () => {
+  const finalize = (body) => call(handler, event('POST', { path: '/.netlify/functions/gallery', body }));
+
+  test('signed upload then finalize creates a row with variants', async () => {
+    const signed = await call(handler, event('POST', {
+      path: '/.netlify/functions/gallery/uploads',
+      body: { files: [{ filename: 'roll-1.jpg', content_type: 'image/jpeg' }] },
+    }));
+    const [{ path, signed_url }] = signed.body.uploads;
+
+    const put = await fetch(signed_url, { method: 'PUT', headers: { 'content-type': 'image/jpeg' }, body: jpeg });
+    assert.equal(put.status, 200);
+
+    const res = await finalize({
+      upload_path: path, content_type: 'image/jpeg', filename: 'roll-1.jpg', title: 'Roll one', camera: 'Nikon F3',
+      alt_text: ' Boats at low tide ',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'Roll one');
+    assert.equal(res.body.alt_text, 'Boats at low tide');
+    assert.equal(res.body.camera, 'Nikon F3');
+    assert.equal(res.body.width, 64);
+    assert.equal(res.body.height, 48);
+    assert.equal(res.body.status, 'published');
+    assert.equal(res.body.original_url, `${PUBLIC}/${path}`);
+    assert.equal(res.body.image_url, res.body.variants.lightbox.jpeg);
+    assert.deepEqual(Object.keys(res.body.variants), ['thumb', 'grid', 'lightbox']);
+
+    const stem = path.slice('uploads/'.length).replace(/\.jpg$/, '');
+    for (const v of ['thumb', 'grid', 'lightbox']) {
+      assert.ok(fake.object(`photos/variants/${stem}/${v}.jpg`), `${v} variant stored`);
+    }
+    assert.equal(fake.rows('gallery').length, 1);
+  });
+
+  test('gives each photo a unique slug from its title or file name', async () => {
+    const first = await finalize({ upload_path: uploaded(jpeg), title: 'Roll one' });
+    const second = await finalize({ upload_path: uploaded(jpeg), title: 'Roll one' });
+    const untitled = await finalize({ upload_path: uploaded(jpeg), filename: 'Beach Day.JPG' });
+    assert.deepEqual([first.body.slug, second.body.slug, untitled.body.slug], ['roll-one', 'roll-one-2', 'beach-day']);
+  });
+
+  test('tags the new photo, refusing invalid tags before touching the upload', async () => {
+    const res = await finalize({ upload_path: uploaded(jpeg), tags: 'Film, Lisbon' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.tags.map((t) => t.slug), ['film', 'lisbon']);
+
+    const path = uploaded(jpeg);
+    assert.equal((await finalize({ upload_path: path, tags: ['!!'] })).status, 400);
+    assert.ok(fake.object(`photos/${path}`));
+  });
+
+  test('corrects the stored type of a mislabelled original', async () => {
+    const path = uploaded(jpeg, 'scan.png');
+    fake.object(`photos/${path}`).contentType = 'image/png';
+    const res = await finalize({ upload_path: path, content_type: 'image/png' });
+    assert.equal(res.status, 200);
+    assert.equal(fake.object(`photos/${path}`).contentType, 'image/jpeg');
+  });
+
+  test('stores draft and scheduled states', async () => {
+    const res = await finalize({ upload_path: uploaded(jpeg), content_type: 'image/jpeg', status: 'scheduled', publish_at: isoOffset(3600000) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'scheduled');
+  });
+
+  test('refuses paths it did not hand out', async () => {
+    for (const upload_path of [undefined, 'variants/x/thumb.jpg', 'uploads/../secret.jpg', 'uploads/123_a.jpg']) {
+      const res = await finalize({ upload_path });
+      assert.equal(res.status, 400, String(upload_path));
+    }
+  });
+
+  test('checks the other fields before touching the upload', async () => {
+    const path = uploaded(jpeg);
+    const res = await finalize({ upload_path: path, content_type: 'application/pdf', taken_at: 'yesterday', location: 'x'.repeat(201), image_url: 'https://elsewhere.test/a.jpg' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.fields), ['content_type', 'taken_at', 'location', 'image_url']);
+    assert.equal(res.body.fields.taken_at, 'taken_at must be an ISO date-time');
+    assert.ok(fake.object(`photos/${path}`));
+
+    assert.equal((await finalize({ upload_path: path, taken_at: '2024-03-02' })).status, 200);
+  });
+
+  test('rejects invalid publish fields', async () => {
+    const res = await finalize({ upload_path: uploaded(jpeg), status: 'scheduled' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /publish_at/);
+  });
+
+  test('404s when the upload never arrived', async () => {
+    const res = await finalize({ upload_path: 'uploads/1700000000000_abc123-gone.jpg' });
+    assert.equal(res.status, 404);
+  });
+
+  test('deletes and refuses files over UPLOAD_MAX_MB', async () => {
+    process.env.UPLOAD_MAX_MB = '1';
+    try {
+      const path = uploaded(Buffer.concat([jpeg, Buffer.alloc(1024 * 1024)]));
+      const res = await finalize({ upload_path: path });
+      assert.equal(res.status, 413);
+      assert.equal(fake.object(`photos/${path}`), null);
+    } finally {
+      delete process.env.UPLOAD_MAX_MB;
+    }
+  });
+
+  test('deletes and refuses files that are not images', async () => {
+    const path = uploaded(Buffer.from('%PDF-1.7 not a photo'), 'scan.jpg');
+    const res = await finalize({ upload_path: path, content_type: 'image/jpeg' });
+    assert.equal(res.status, 415);
+    assert.equal(fake.object(`photos/${path}`), null);
+  });
+
+  test('deletes and refuses corrupt images', async () => {
+    const path = uploaded(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(64, 7)]));
+    const res = await quiet(() => finalize({ upload_path: path }));
+    assert.equal(res.status, 400);
+    assert.equal(fake.object(`photos/${path}`), null);
+    assert.equal(fake.rows('gallery').length, 0);
+  });
+
+  const photoObjects = () => fake.objectKeys().filter((k) => k.startsWith('photos/'));
+
+  test('a variant write failure is a 502 and leaves no files', async () => {
+    const path = uploaded(jpeg);
+    fake.putObject('photos/variants/other/thumb.jpg', 'image/jpeg', jpeg);
+    fake.failNext({ method: 'POST', url: '/grid.' }, { status: 500, body: 'disk full' });
+    const res = await quiet(() => finalize({ upload_path: path, content_type: 'image/jpeg' }));
+    assert.equal(res.status, 502);
+    assert.match(res.body.error, /^storage write variants\/.+ failed$/);
+    assert.equal(res.body.detail, undefined);
+    assert.deepEqual(photoObjects(), ['photos/variants/other/thumb.jpg']);
+  });
+
+  test('an insert failure is a 502 and leaves no files', async () => {
+    fake.failNext({ method: 'POST', url: '/rest/v1/gallery' }, { status: 409, body: 'conflict' });
+    const res = await quiet(() => finalize({ upload_path: uploaded(jpeg), content_type: 'image/jpeg' }));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'db insert failed');
+    assert.deepEqual(photoObjects(), []);
+  });
+
+  test('a failure after the insert removes the row and its files', async () => {
+    fake.failNext({ method: 'POST', url: '/rpc/set_photo_tags' }, { status: 500, body: 'boom' });
+    const res = await quiet(() => finalize({ upload_path: uploaded(jpeg), content_type: 'image/jpeg', tags: ['Sea'] }));
+    assert.equal(res.status, 502);
+    assert.equal(fake.rows('gallery').length, 0);
+    assert.deepEqual(photoObjects(), []);
+  });
+
+  test('finalizing the same upload again returns the photo it made', async () => {
+    const path = uploaded(jpeg);
+    const first = await finalize({ upload_path: path, content_type: 'image/jpeg', title: 'Once', tags: ['Sea'] });
+    const again = await finalize({ upload_path: path, content_type: 'image/jpeg', title: 'Twice' });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.id, first.body.id);
+    assert.equal(again.body.title, 'Once');
+    assert.deepEqual(again.body.tags, first.body.tags);
+    assert.equal(fake.rows('gallery').length, 1);
+  });
+
+  test('malformed JSON is a 400', async () => {
+    const res = await call(handler, event('POST', { body: '{nope' }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_json');
+  });
+});
+
+describe('PUT /gallery', () => {
+  const put = (body) => call(handler, event('PUT', { body }));
+
+  test('updates the given fields', async () => {
+    const [photo] = seedPhotos();
+    const res = await put({ id: photo.id, title: 'Harbour at dusk', hide_location: true, status: 'draft' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'Harbour at dusk');
+    assert.equal(res.body.hide_location, true);
+    assert.equal(res.body.status, 'draft');
+  });
+
+  test('sets and clears the alt text, within 500 characters', async () => {
+    const [photo] = seedPhotos();
+    assert.equal((await put({ id: photo.id, alt_text: 'A gull over grey water ' })).body.alt_text, 'A gull over grey water');
+    assert.equal((await put({ id: photo.id, alt_text: '' })).body.alt_text, '');
+    const res = await put({ id: photo.id, alt_text: 'x'.repeat(501) });
+    assert.deepEqual(res.body.fields, { alt_text: 'alt_text must be at most 500 characters' });
+  });
+
+  test('rejects unknown fields, over-long text and bad dates, field by field', async () => {
+    const [photo] = seedPhotos();
+    const res = await put({ id: photo.id, width: 1, caption: 'x'.repeat(2001), publish_at: '2024-02-30T10:00:00Z', status: 'later' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.deepEqual(res.body.fields, {
+      caption: 'caption must be at most 2000 characters',
+      status: 'status must be one of: draft, scheduled, published',
+      publish_at: 'publish_at must be an ISO date-time',
+      width: 'width is not a known field',
+    });
+    assert.equal(fake.rows('gallery')[0].caption, 'Low tide');
+
+    const scheduled = await put({ id: photo.id, status: 'scheduled' });
+    assert.deepEqual(scheduled.body.fields, { publish_at: 'scheduled items need a publish_at' });
+  });
+
+  test('only takes an image_url from the photo bucket', async () => {
+    const [photo] = seedPhotos();
+    const own = `${PUBLIC}/variants/a/lightbox.jpg`;
+    assert.equal((await put({ id: photo.id, image_url: own })).body.image_url, own);
+
+    for (const url of [
+      'https://elsewhere.test/storage/v1/object/public/photos/a.jpg',
+      `${SUPABASE_URL}/storage/v1/object/public/other/a.jpg`,
+      `${SUPABASE_URL}/storage/v1/object/public/photos/../other/a.jpg`,
+      'javascript:alert(1)',
+    ]) {
+      const res = await put({ id: photo.id, image_url: url });
+      assert.equal(res.status, 400, url);
+      assert.deepEqual(Object.keys(res.body.fields), ['image_url']);
+    }
+    assert.equal(fake.rows('gallery')[0].image_url, own);
+  });
+
+  test('changes the slug only when asked, refusing one that is taken', async () => {
+    const [harbour, dunes] = fake.seed({ gallery: [{ title: 'Harbour', slug: 'harbour' }, { title: 'Dunes', slug: 'dunes' }] }).gallery;
+    assert.equal((await put({ id: harbour.id, title: 'Renamed' })).body.slug, 'harbour');
+    assert.equal((await put({ id: harbour.id, slug: 'Old Harbour!' })).body.slug, 'old-harbour');
+
+    const taken = await put({ id: dunes.id, slug: 'old-harbour' });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error, 'Slug "old-harbour" is already used');
+    assert.equal((await put({ id: dunes.id, slug: '!!' })).status, 400);
+  });
+
+  test('validates the body', async () => {
+    assert.equal((await put({ title: 'x' })).status, 400);
+    assert.equal((await put({ id: 1, width: 10 })).status, 400);
+    assert.equal((await put({ id: 1, status: 'archived' })).status, 400);
+    assert.equal((await put({ id: 1, publish_at: 'soon' })).status, 400);
+  });
+
+  test('replaces tags by name, creating the missing ones', async () => {
+    const [photo] = seedPhotos();
+    fake.seed({ tags: [{ slug: 'film', name: 'Film' }] });
+
+    const res = await put({ id: photo.id, tags: ['film', 'Lisbon Trip', ' lisbon  trip '] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.tags.map((t) => [t.slug, t.name]), [['film', 'Film'], ['lisbon-trip', 'Lisbon Trip']]);
+    assert.equal(res.body.title, 'Harbour');
+    assert.equal(fake.rows('tags').length, 2);
+
+    const cleared = await put({ id: photo.id, tags: [] });
+    assert.deepEqual(cleared.body.tags, []);
+    assert.equal(fake.rows('photo_tags').length, 0);
+
+    assert.equal((await put({ id: photo.id, tags: 'a,' + 'x'.repeat(41) })).status, 400);
+    assert.equal((await put({ id: photo.id, tags: [1] })).status, 400);
+    assert.equal((await put({ id: 999, tags: ['film'] })).status, 404);
+  });
+
+  test('looks up only the tags it names, a renamed one by its name', async () => {
+    const [photo] = seedPhotos();
+    const [renamed] = fake.seed({
+      tags: [{ slug: 'lisbon', name: 'Lisboa' }, { slug: 'film', name: 'Film' }, { slug: 'half-50', name: 'Half 50%' }],
+    }).tags;
+
+    const res = await put({ id: photo.id, tags: ['lisboa', 'Half_5%'] });
+    assert.deepEqual(res.body.tags.map((t) => t.slug), ['half-5', 'lisbon']);
+    assert.equal(res.body.tags.find((t) => t.slug === 'lisbon').id, renamed.id);
+    const lookups = fake.requests.filter((r) => r.method === 'GET' && /\/rest\/v1\/tags\?/.test(r.url));
+    assert.ok(lookups.length && lookups.every((r) => new URL(r.url).searchParams.get('or')));
+  });
+
+  test('tags go through the configured link table', async () => {
+    const [photo] = seedPhotos();
+    process.env.SUPAHUB_PHOTO_TAGS_TABLE = 'photo_labels';
+    try {
+      await quiet(() => put({ id: photo.id, tags: ['Sea'] }));
+      assert.ok(fake.requests.some((r) => /\/rest\/v1\/photo_labels\?photo_id=in\./.test(r.url)));
+    } finally {
+      delete process.env.SUPAHUB_PHOTO_TAGS_TABLE;
+    }
+  });
+
+  test('scheduling checks the stored publish_at as well as the body', async () => {
+    const later = seedPhotos().find((p) => p.title === 'Later');
+    const cleared = await put({ id: later.id, publish_at: '' });
+    assert.equal(cleared.status, 400);
+    assert.deepEqual(cleared.body.fields, { publish_at: 'scheduled items need a publish_at' });
+    assert.equal(fake.rows('gallery').find((p) => p.id === later.id).publish_at, later.publish_at);
+
+    assert.equal((await put({ id: later.id, status: 'draft' })).status, 200);
+    const again = await put({ id: later.id, status: 'scheduled' });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.publish_at, later.publish_at);
+  });
+
+  test('publishing stamps publish_at, but re-publishing keeps the date it went live', async () => {
+    const wentLive = '2024-03-02T10:00:00.000Z';
+    const [harbour, , secret] = fake.seed({
+      gallery: [{ title: 'Harbour', publish_at: wentLive }, { title: 'Dunes' }, { title: 'Secret', status: 'draft' }],
+    }).gallery;
+
+    const again = await put({ id: harbour.id, status: 'published', title: 'Harbour at dusk' });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.publish_at, wentLive);
+
+    const published = await put({ id: secret.id, status: 'published' });
+    assert.ok(Date.parse(published.body.publish_at) > Date.now() - 60000);
+  });
+
+  test('a REST failure is a 502', async () => {
+    const [photo] = seedPhotos();
+    fake.failNext({ method: 'PATCH' }, { status: 500, body: 'nope' });
+    const res = await quiet(() => put({ id: photo.id, title: 'x' }));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'db update failed');
+  });
+});
+
+describe('PATCH /gallery/order', () => {
+  const reorder = (body, path = '/.netlify/functions/gallery/order') => call(handler, event('PATCH', { path, body }));
+
+  test('puts the listed ids first and keeps the rest in order', async () => {
+    const rows = seedPhotos();
+    const res = await reorder({ ids: [rows[5].id, rows[0].id] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.order.map((r) => r.id), [6, 1, 2, 3, 4, 5]);
+    assert.deepEqual(res.body.order.map((r) => r.order_index), [1, 2, 3, 4, 5, 6]);
+  });
+
+  test('only answers on /order', async () => {
+    assert.equal((await reorder({ ids: [1] }, '/.netlify/functions/gallery')).status, 404);
+  });
+
+  test('validates ids', async () => {
+    assert.equal((await reorder({})).status, 400);
+    assert.equal((await reorder({ ids: [] })).status, 400);
+    assert.equal((await reorder({ ids: [1, 'two'] })).status, 400);
+    assert.equal((await reorder({ ids: [1.5] })).status, 400);
+    assert.equal((await reorder({ ids: [1, '1'] })).status, 400);
+  });
+
+  test('RPC and read-back failures are 502s', async () => {
+    fake.failNext({ url: '/rpc/reorder_gallery' }, { status: 500 });
+    assert.equal((await quiet(() => reorder({ ids: [1] }))).body.error, 'reorder failed');
+
+    fake.failNext({ method: 'GET', url: '/rest/v1/gallery' }, { status: 500 });
+    assert.equal((await quiet(() => reorder({ ids: [1] }))).body.error, 'db read failed');
+  });
+});
+
+describe('trash', () => {
+  const del = (body, path = '/.netlify/functions/gallery') => call(handler, event('DELETE', { path, body }));
+  const restore = (body) => call(handler, event('POST', { path: '/.netlify/functions/gallery/restore', body }));
+  const purge = (body) => del(body, '/.netlify/functions/gallery/trash');
+
+  const seedWithFiles = () => {
+    fake.putObject('photos/uploads/1_a-x.jpg', 'image/jpeg', jpeg);
+    fake.putObject('photos/variants/1_a-x/thumb.jpg', 'image/jpeg', jpeg);
+    fake.putObject('photos/variants/1_a-x/lightbox.jpg', 'image/jpeg', jpeg);
+    fake.putObject('photos/elsewhere.jpg', 'image/jpeg', jpeg);
+    return fake.seed({
+      gallery: [{
+        title: 'x',
+        image_url: `${PUBLIC}/variants/1_a-x/lightbox.jpg`,
+        original_url: `${PUBLIC}/uploads/1_a-x.jpg`,
+        variants: {
+          thumb: { width: 480, height: 320, jpeg: `${PUBLIC}/variants/1_a-x/thumb.jpg` },
+          lightbox: { width: 2400, height: 1600, jpeg: `${PUBLIC}/variants/1_a-x/lightbox.jpg` },
+        },
+      }],
+    }).gallery[0];
+  };
+
+  test('DELETE moves a photo to the trash and keeps its files', async () => {
+    const row = seedWithFiles();
+    const res = await del({ id: row.id });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.deleted_at);
+    assert.equal(fake.rows('gallery').length, 1);
+    assert.equal(fake.objectKeys().length, 4);
+
+    assert.deepEqual((await call(handler, event('GET', { token: false }))).body, []);
+    assert.deepEqual((await call(handler, event('GET', { query: { scope: 'all' } }))).body, []);
+    const trash = await call(handler, event('GET', { query: { scope: 'trash' } }));
+    assert.deepEqual(trash.body.map((p) => p.id), [row.id]);
+  });
+
+  test('the trash needs a session and lists the latest deletion first', async () => {
+    fake.seed({ gallery: [
+      { title: 'a', deleted_at: '2024-01-01T00:00:00Z' },
+      { title: 'b', deleted_at: '2024-02-01T00:00:00Z' },
+      { title: 'c' },
+    ] });
+    assert.equal((await call(handler, event('GET', { token: false, query: { scope: 'trash' } }))).status, 401);
+    const res = await call(handler, event('GET', { query: { scope: 'trash' } }));
+    assert.deepEqual(res.body.map((p) => p.title), ['b', 'a']);
+  });
+
+  test('DELETE of a missing or already trashed photo is a 404', async () => {
+    const row = seedWithFiles();
+    assert.equal((await del({ id: 99 })).status, 404);
+    await del({ id: row.id });
+    assert.equal((await del({ id: row.id })).status, 404);
+  });
+
+  test('restore brings a photo back', async () => {
+    const row = seedWithFiles();
+    await del({ id: row.id });
+    const res = await restore({ id: row.id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.deleted_at, null);
+    assert.equal((await call(handler, event('GET', { token: false }))).body.length, 1);
+    assert.equal((await restore({ id: row.id })).status, 404);
+  });
+
+  test('purge removes the row, its original and every variant', async () => {
+    const row = seedWithFiles();
+    await del({ id: row.id });
+    const res = await purge({ id: row.id });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.orphans, []);
+    assert.equal(res.body.removed.length, 3);
+    assert.equal(fake.rows('gallery').length, 0);
+    assert.deepEqual(fake.objectKeys(), ['photos/elsewhere.jpg']);
+  });
+
+  test('purge refuses photos that are not in the trash', async () => {
+    const row = seedWithFiles();
+    assert.equal((await purge({ id: row.id })).status, 404);
+    assert.equal(fake.rows('gallery').length, 1);
+  });
+
+  test('purge reports files storage failed to delete', async () => {
+    const row = seedWithFiles();
+    await del({ id: row.id });
+    fake.failNext({ method: 'DELETE', url: '/storage/v1/object/photos' }, { status: 500, body: 'storage down' });
+    const res = await quiet(() => purge({ id: row.id }));
+    assert.equal(res.status, 200);
+    assert.equal(fake.rows('gallery').length, 0);
+    assert.deepEqual(res.body.orphans.sort(), ['uploads/1_a-x.jpg', 'variants/1_a-x/lightbox.jpg', 'variants/1_a-x/thumb.jpg']);
+  });
+
+  test('validates ids and reports REST failures', async () => {
+    assert.equal((await del({})).status, 400);
+    assert.equal((await restore({})).status, 400);
+    assert.equal((await purge({})).status, 400);
+
+    fake.failNext({ method: 'PATCH' }, { status: 500 });
+    assert.equal((await quiet(() => del({ id: 1 }))).body.error, 'db update failed');
+
+    fake.failNext({ method: 'PATCH' }, { status: 500 });
+    assert.equal((await quiet(() => restore({ id: 1 }))).body.error, 'db update failed');
+
+    fake.failNext({ method: 'GET' }, { status: 500 });
+    assert.equal((await quiet(() => purge({ id: 1 }))).body.error, 'db read failed');
+
+    fake.seed({ gallery: [{ id: 1, deleted_at: '2024-01-01T00:00:00Z' }] });
+    fake.failNext({ method: 'DELETE', url: '/rest/v1/gallery' }, { status: 500 });
+    assert.equal((await quiet(() => purge({ id: 1 }))).body.error, 'db delete failed');
+  });
+});
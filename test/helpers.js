@@ -0,0 +1,70 @@
+// test/helpers.js
+// Shared setup for handler tests: env vars, the fake Supabase/build hook behind global
+// fetch, admin tokens and a small event builder. Require this before any handler, so the
+// env vars are in place when it loads.
+
+const { createFakeSupabase } = require('../dev/fake-supabase');
+
+const SUPABASE_URL = 'http://supabase.test';
+const SERVICE_KEY = 'service-role-test-key';
+const HOOK_URL = 'http://hooks.test/build';
+const DEPLOY_SECRET = 'deploy-notification-test-secret';
+
+Object.assign(process.env, {
+  SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY: SERVICE_KEY,
+  ADMIN_TOKEN_SECRET: 'test-secret-0123456789abcdef',
+  ADMIN_PASSWORD: 'correct horse battery staple',
+  NETLIFY_BUILD_HOOK_URL: HOOK_URL,
+  NETLIFY_DEPLOY_WEBHOOK_SECRET: DEPLOY_SECRET,
+  SITE_URL: 'https://example.test',
+  IMAGE_FORMATS: 'jpeg', // one format keeps sharp quick
+});
+delete process.env.SUPAHUB_URL;
+delete process.env.SUPAHUB_SERVICE_KEY;
+
+const fake = createFakeSupabase({ url: SUPABASE_URL, key: SERVICE_KEY, hookUrl: HOOK_URL }).install();
+
+const { signToken } = require('../functions/_shared/auth');
+
+const adminToken = () => signToken();
+
+/**
+ * Netlify-style event.
+ * @param {string} method
+ * @param {{ path?: string, body?: any, query?: object, token?: string | false, headers?: object }} [opts]
+ *   token: false sends no Authorization header; omitted sends a valid admin token
+ */
+const event = (method, { path = '/', body, query, token, headers = {} } = {}) => ({
+  httpMethod: method,
+  path,
+  headers: {
+    ...(token === false ? {} : { authorization: `Bearer ${token || adminToken()}` }),
+    ...headers,
+  },
+  queryStringParameters: query || null,
+  body: body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+/** Run a handler and parse its JSON body (non-JSON bodies are returned as text). */
+const call = async (handler, ev) => {
+  const res = await handler(ev);
+  let body = res.body;
+  try { body = JSON.parse(res.body); } catch {}
+  return { status: res.statusCode, headers: res.headers || {}, body, raw: res.body };
+};
+
+// Silence the handlers' expected console.error output while a test runs
+const quiet = async (fn) => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = original;
+  }
+};
+
+const isoOffset = (ms) => new Date(Date.now() + ms).toISOString();
+
+module.exports = { fake, event, call, quiet, adminToken, isoOffset, SUPABASE_URL, SERVICE_KEY, HOOK_URL, DEPLOY_SECRET };
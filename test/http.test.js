@@ -0,0 +1,185 @@
+// Covers functions/_shared/http.js and _shared/schema.js, on a small handler and the real ones.
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { event, call, quiet } = require('./helpers');
+const { createHandler, reply, fail } = require('../functions/_shared/http');
+const { validate } = require('../functions/_shared/schema');
+const gallery = require('../functions/gallery').handler;
+const tags = require('../functions/tags').handler;
+
+const handler = createHandler({
+  name: 'test',
+  headers: { 'Cache-Control': 'no-store' },
+  routes: {
+    GET: ({ query }) => ({ hello: query.name || 'world' }),
+    'GET /text': () => reply(200, 'plain', { 'Content-Type': 'text/plain' }),
+    'GET /boom': () => { throw new Error('secret stack detail'); },
+    'GET /upstream': () => { throw Object.assign(new Error('db read failed'), { status: 500, detail: 'password=hunter2' }); },
+    'GET /gone': () => fail(404, 'Nothing here'),
+    POST: {
+      schema: {
+        title: { type: 'string', required: true, max: 5 },
+        count: { type: 'integer', min: 1 },
+        kind: { enum: ['a', 'b'] },
+      },
+      run: ({ body, claims }) => ({ ok: true, title: body.title, who: claims.sub }),
+    },
+  },
+});
+
+describe('routing', () => {
+  test('answers a route with 200 JSON and the handler headers', async () => {
+    const res = await call(handler, event('GET', { token: false, query: { name: 'Ana' } }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { hello: 'Ana' });
+    assert.equal(res.headers['Content-Type'], 'application/json');
+    assert.equal(res.headers['Cache-Control'], 'no-store');
+  });
+
+  test('picks the longest matching path suffix and sends string bodies as they are', async () => {
+    const res = await call(handler, event('GET', { path: '/.netlify/functions/test/text/', token: false }));
+    assert.equal(res.raw, 'plain');
+    assert.equal(res.headers['Content-Type'], 'text/plain');
+  });
+
+  test('preflights are 204 and unknown methods 405 with Allow', async () => {
+    const pre = await call(handler, event('OPTIONS', { token: false }));
+    assert.equal(pre.status, 204);
+    assert.equal(pre.headers['Access-Control-Allow-Methods'], 'GET,POST,OPTIONS');
+    const res = await call(handler, event('DELETE'));
+    assert.equal(res.status, 405);
+    assert.equal(res.body.code, 'method_not_allowed');
+    assert.equal(res.headers.Allow, 'GET, POST, OPTIONS');
+  });
+
+  test('a path no route serves is 404, after the session check for admin-only methods', async () => {
+    assert.equal((await call(gallery, event('PATCH', { path: '/.netlify/functions/gallery/nope', token: false }))).status, 401);
+    const res = await call(gallery, event('PATCH', { path: '/.netlify/functions/gallery/nope', body: {} }));
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'not_found');
+  });
+
+  test('writes need a session unless the route says otherwise', async () => {
+    assert.equal((await call(handler, event('POST', { token: false, body: { title: 'a' } }))).status, 401);
+    const res = await call(handler, event('POST', { body: { title: 'a' } }));
+    assert.deepEqual(res.body, { ok: true, title: 'a', who: 'admin' });
+  });
+});
+
+describe('errors', () => {
+  test('every error carries a code and the request id', async () => {
+    const res = await call(handler, event('GET', { path: '/gone', token: false }));
+    assert.equal(res.status, 404);
+    assert.deepEqual(Object.keys(res.body).sort(), ['code', 'error', 'request_id']);
+    assert.equal(res.body.request_id, res.headers['X-Request-Id']);
+  });
+
+  test("Netlify's request id is reused", async () => {
+    const res = await call(handler, event('GET', { path: '/gone', token: false, headers: { 'x-nf-request-id': '01ABCDEF' } }));
+    assert.equal(res.headers['X-Request-Id'], '01ABCDEF');
+    assert.equal(res.body.request_id, '01ABCDEF');
+  });
+
+  test('upstream and internal failures are logged, never sent', async () => {
+    const logged = [];
+    const original = console.error;
+    console.error = (...args) => logged.push(args.join(' '));
+    try {
+      const up = await call(handler, event('GET', { path: '/upstream', token: false }));
+      assert.equal(up.status, 502);
+      assert.deepEqual([up.body.error, up.body.code], ['db read failed', 'upstream_error']);
+      assert.doesNotMatch(up.raw, /hunter2/);
+
+      const boom = await call(handler, event('GET', { path: '/boom', token: false }));
+      assert.equal(boom.status, 500);
+      assert.deepEqual([boom.body.error, boom.body.code], ['Internal error', 'internal_error']);
+      assert.doesNotMatch(boom.raw, /secret/);
+      assert.ok(logged.some((l) => l.includes(up.body.request_id) && l.includes('hunter2')));
+    } finally {
+      console.error = original;
+    }
+  });
+
+  test('a body that is not JSON is a 400', async () => {
+    const res = await call(handler, event('POST', { body: '{nope' }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_json');
+  });
+
+  test('schema failures list every bad field', async () => {
+    const res = await call(handler, event('POST', { body: { title: 'too long', count: 0, kind: 'c' } }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.deepEqual(res.body.fields, {
+      title: 'title must be at most 5 characters',
+      count: 'count must be at least 1',
+      kind: 'kind must be one of: a, b',
+    });
+    assert.equal(res.body.error, res.body.fields.title);
+  });
+
+  test('real handlers use the same envelope', async () => {
+    const res = await quiet(() => call(tags, event('POST', { path: '/.netlify/functions/tags/merge', body: { ids: [1, 'x'] } })));
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.fields), ['ids', 'into']);
+  });
+});
+
+describe('CORS', () => {
+  afterEach(() => { delete process.env.CORS_ORIGINS; });
+
+  test('allows any origin by default', async () => {
+    const res = await call(handler, event('GET', { token: false, headers: { origin: 'https://elsewhere.test' } }));
+    assert.equal(res.headers['Access-Control-Allow-Origin'], '*');
+    assert.equal(res.headers['Access-Control-Expose-Headers'], 'X-Request-Id');
+  });
+
+  test('with CORS_ORIGINS, echoes listed origins only', async () => {
+    process.env.CORS_ORIGINS = 'https://kurt.test, https://admin.kurt.test/';
+    const ok = await call(handler, event('OPTIONS', { token: false, headers: { Origin: 'https://admin.kurt.test' } }));
+    assert.equal(ok.headers['Access-Control-Allow-Origin'], 'https://admin.kurt.test');
+    assert.equal(ok.headers.Vary, 'Origin');
+    const other = await call(handler, event('GET', { token: false, headers: { origin: 'https://evil.test' } }));
+    assert.equal(other.headers['Access-Control-Allow-Origin'], undefined);
+    assert.equal(other.status, 200);
+  });
+});
+
+describe('validate', () => {
+  test('required, nullable and types', () => {
+    const schema = { id: { type: 'id', required: true }, note: { type: 'string', nullable: true }, tags: { type: 'array', items: { type: 'string' } } };
+    assert.deepEqual(validate({ id: '12', note: null, tags: ['a'] }, schema), {});
+    assert.deepEqual(validate({ note: 3 }, schema).fields, { id: 'Missing id', note: 'note must be a string' });
+    assert.equal(validate({ id: 0 }, schema).error, 'id must be a positive integer id');
+    assert.equal(validate({ id: 1, tags: ['a', 2] }, schema).error, 'tags[1] must be a string');
+    assert.equal(validate([], schema).error, 'Request body must be a JSON object');
+  });
+
+  test('dates and date-times', () => {
+    const schema = { day: { type: 'string', format: 'date' }, at: { type: 'string', format: 'datetime' } };
+    for (const [day, at] of [['2024-02-29', '2024-02-29'], ['2024-12-31', '2024-12-31T23:59:59.5+01:00'], ['', '']]) {
+      assert.deepEqual(validate({ day, at }, schema), {}, `${day} ${at}`);
+    }
+    assert.deepEqual(validate({ day: '2023-02-29', at: '2024-13-01T00:00Z' }, schema).fields, {
+      day: 'day must be a date (YYYY-MM-DD)',
+      at: 'at must be an ISO date-time',
+    });
+    assert.equal(validate({ day: '2024-01-01T00:00:00Z' }, schema).error, 'day must be a date (YYYY-MM-DD)');
+  });
+
+  test('strict rejects fields the schema does not list', () => {
+    assert.deepEqual(validate({ a: 1, b: 2 }, { a: { type: 'integer' } }, { strict: true }).fields, { b: 'b is not a known field' });
+    assert.deepEqual(validate({ a: 1, b: 2 }, { a: { type: 'integer' } }), {});
+  });
+
+  test('patterns, checks and custom messages', () => {
+    const schema = {
+      code: { type: 'string', pattern: /^[A-Z]{3}$/, message: 'code must be three capitals' },
+      end: { type: 'integer', check: (v, body) => (v < body.start ? 'end must not be before start' : undefined) },
+    };
+    assert.deepEqual(validate({ code: 'abc', start: 5, end: 2 }, schema).fields, {
+      code: 'code must be three capitals',
+      end: 'end must not be before start',
+    });
+  });
+});
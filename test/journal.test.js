@@ -0,0 +1,381 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet, isoOffset } = require('./helpers');
+const { handler } = require('../functions/journal');
+
+beforeEach(() => fake.reset());
+
+const seedEntries = () =>
+  fake.seed({
+    journal: [
+      { title: 'First roll', entry_date: '2024-01-05', content: 'Loaded **Portra 400**.', created_at: '2024-01-05T09:00:00Z' },
+      { title: 'Darkroom', entry_date: '2024-02-11', content: 'Printed the harbour.\n\n![Harbour](photo:1)', created_at: '2024-02-11T09:00:00Z' },
+      { title: 'Unfinished', status: 'draft', entry_date: '2024-03-01', content: 'wip', created_at: '2024-03-01T09:00:00Z' },
+      { title: 'Next week', status: 'scheduled', publish_at: isoOffset(7 * 86400000), entry_date: '2024-03-08', created_at: '2024-03-02T09:00:00Z' },
+    ],
+  }).journal;
+
+const seedPhoto = (extra = {}) =>
+  fake.seed({ gallery: [{ id: 1, title: 'Harbour', image_url: 'http://img.test/h.jpg', width: 1200, height: 800, ...extra }] });
+
+describe('journal auth', () => {
+  test('OPTIONS answers the preflight', async () => {
+    assert.equal((await call(handler, event('OPTIONS', { token: false }))).status, 204);
+  });
+
+  for (const method of ['POST', 'PUT', 'DELETE']) {
+    test(`${method} without a session is 401`, async () => {
+      assert.equal((await call(handler, event(method, { token: false, body: {} }))).status, 401);
+    });
+  }
+
+  test('unknown methods are 405', async () => {
+    assert.equal((await call(handler, event('PATCH', { body: {} }))).status, 405);
+  });
+});
+
+describe('GET /journal', () => {
+  test('lists live entries, most recently written first, with rendered HTML', async () => {
+    seedEntries();
+    seedPhoto();
+    const res = await call(handler, event('GET', { token: false }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((e) => e.title), ['Darkroom', 'First roll']);
+    assert.equal(res.body[1].content_html, '<p>Loaded <strong>Portra 400</strong>.</p>');
+    assert.match(res.body[0].content_html, /<img [^>]*src="http:\/\/img\.test\/h\.jpg"/);
+    assert.equal(res.body[0].date, '2024-02-11');
+  });
+
+  test("embedded photos use the Markdown alt, else the photo's alt text, else its title", async () => {
+    seedPhoto({ alt_text: 'Boats moored in fog' });
+    fake.seed({ journal: [{ title: 'Three', content: '![Harbour at noon](photo:1) ![](photo:1)' }] });
+    const [entry] = (await call(handler, event('GET', { token: false }))).body;
+    assert.deepEqual([...entry.content_html.matchAll(/alt="([^"]*)"/g)].map((m) => m[1]), ['Harbour at noon', 'Boats moored in fog']);
+  });
+
+  test('does not embed photos that are not live', async () => {
+    seedEntries();
+    seedPhoto({ status: 'draft' });
+    const res = await call(handler, event('GET', { token: false }));
+    assert.doesNotMatch(res.body[0].content_html, /<img/);
+  });
+
+  test('scope=all needs a session and includes drafts', async () => {
+    seedEntries();
+    assert.equal((await call(handler, event('GET', { token: false, query: { scope: 'all' } }))).status, 401);
+    const res = await call(handler, event('GET', { query: { scope: 'all' } }));
+    assert.equal(res.body.length, 4);
+  });
+
+  test('pages, sorts and searches', async () => {
+    seedEntries();
+    const page = await call(handler, event('GET', { token: false, query: { limit: '1', sort: 'oldest' } }));
+    assert.equal(page.body.total, 2);
+    assert.deepEqual(page.body.items.map((e) => e.title), ['First roll']);
+    assert.ok(page.body.next_cursor);
+
+    const found = await call(handler, event('GET', { token: false, query: { q: 'harbour' } }));
+    assert.deepEqual(found.body.map((e) => e.title), ['Darkroom']);
+
+    const ranged = await call(handler, event('GET', { token: false, query: { from: '2024-02-01', to: '2024-02-28' } }));
+    assert.deepEqual(ranged.body.map((e) => e.title), ['Darkroom']);
+  });
+
+  test('rejects bad list parameters', async () => {
+    assert.equal((await call(handler, event('GET', { token: false, query: { sort: 'order' } }))).status, 400);
+    assert.equal((await call(handler, event('GET', { token: false, query: { to: '11/02/2024' } }))).status, 400);
+  });
+
+  test('?slug returns one live entry with its photos', async () => {
+    seedPhoto();
+    fake.seed({
+      journal: [
+        { title: 'Darkroom', slug: 'darkroom', content: '![Harbour](photo:1)' },
+        { title: 'Unfinished', slug: 'unfinished', status: 'draft' },
+      ],
+    });
+    const res = await call(handler, event('GET', { query: { slug: 'darkroom' }, token: false }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.slug, 'darkroom');
+    assert.match(res.body.content_html, /<img /);
+
+    assert.equal((await call(handler, event('GET', { query: { slug: 'unfinished' }, token: false }))).status, 404);
+    assert.equal((await call(handler, event('GET', { query: { slug: 'unfinished', scope: 'all' } }))).status, 200);
+  });
+
+  test('a REST failure is a 502', async () => {
+    fake.failNext({ method: 'GET', url: '/rest/v1/journal' }, { status: 503, body: 'unavailable' });
+    const res = await quiet(() => call(handler, event('GET', { token: false })));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'Failed to list journal');
+    assert.equal(res.body.detail, undefined);
+  });
+
+  test('a failed photo lookup still lists entries', async () => {
+    seedEntries();
+    fake.failNext({ method: 'GET', url: '/rest/v1/gallery' }, { status: 500 });
+    const res = await quiet(() => call(handler, event('GET', { token: false })));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 2);
+  });
+});
+
+describe('POST /journal', () => {
+  test('creates an entry with defaults', async () => {
+    const res = await call(handler, event('POST', { body: { content: 'Hello' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'Untitled');
+    assert.match(res.body.entry_date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.equal(res.body.status, 'published');
+    assert.ok(res.body.publish_at);
+    assert.equal(res.body.content_html, '<p>Hello</p>');
+    assert.equal(fake.rows('journal').length, 1);
+  });
+
+  test('accepts the legacy date field and embeds draft photos for the admin', async () => {
+    seedPhoto({ status: 'draft' });
+    const res = await call(handler, event('POST', { body: { title: 'Legacy', date: '2023-12-24', content: '![x](photo:1)', status: 'draft' } }));
+    assert.equal(res.body.entry_date, '2023-12-24');
+    assert.equal(res.body.status, 'draft');
+    assert.match(res.body.content_html, /<img /);
+  });
+
+  test('slugs the title, or the given slug, and never reuses one', async () => {
+    const post = (body) => call(handler, event('POST', { body }));
+    assert.equal((await post({ title: 'Café à Lisboa' })).body.slug, 'cafe-a-lisboa');
+    assert.equal((await post({ title: 'Café à Lisboa' })).body.slug, 'cafe-a-lisboa-2');
+    assert.equal((await post({ title: 'Another', slug: 'Cafe a Lisboa' })).body.slug, 'cafe-a-lisboa-3');
+    assert.equal((await post({ title: '???' })).body.slug, 'entry');
+  });
+
+  test('rejects unknown fields, over-long text and dates that are not days', async () => {
+    const res = await call(handler, event('POST', { body: { title: 'x'.repeat(201), entry_date: '2024-02-30', mood: 'grey' } }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.deepEqual(res.body.fields, {
+      title: 'title must be at most 200 characters',
+      entry_date: 'entry_date must be a date (YYYY-MM-DD)',
+      mood: 'mood is not a known field',
+    });
+    assert.equal((await call(handler, event('POST', { body: { date: '5/1/2024' } }))).body.fields.date, 'date must be a date (YYYY-MM-DD)');
+    assert.equal(fake.rows('journal').length, 0);
+  });
+
+  test('rejects invalid publish fields', async () => {
+    assert.equal((await call(handler, event('POST', { body: { status: 'scheduled' } }))).status, 400);
+    assert.equal((await call(handler, event('POST', { body: { status: 'gone' } }))).status, 400);
+  });
+
+  test('an insert failure is a 502', async () => {
+    fake.failNext({ method: 'POST' }, { status: 500 });
+    const res = await quiet(() => call(handler, event('POST', { body: { title: 'x' } })));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'db insert failed');
+  });
+});
+
+describe('PUT /journal', () => {
+  test('updates the given fields', async () => {
+    const [entry] = seedEntries();
+    const res = await call(handler, event('PUT', { body: { id: entry.id, title: 'Roll one', date: '2024-01-06' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'Roll one');
+    assert.equal(res.body.entry_date, '2024-01-06');
+    assert.equal(res.body.content, 'Loaded **Portra 400**.');
+  });
+
+  test('validates the body', async () => {
+    assert.equal((await call(handler, event('PUT', { body: { title: 'x' } }))).status, 400);
+    assert.equal((await call(handler, event('PUT', { body: { id: 1 } }))).status, 400);
+    assert.equal((await call(handler, event('PUT', { body: { id: 1, publish_at: 'never' } }))).status, 400);
+    const bad = await call(handler, event('PUT', { body: { id: 1, content: 7, entry_date: '2024-1-5' } }));
+    assert.deepEqual(bad.body.fields, { content: 'content must be a string', entry_date: 'entry_date must be a date (YYYY-MM-DD)' });
+  });
+
+  test('scheduling checks the stored publish_at as well as the body', async () => {
+    const [, , draft, next] = seedEntries();
+    const put = (body) => call(handler, event('PUT', { body }));
+
+    const cleared = await put({ id: next.id, publish_at: null });
+    assert.equal(cleared.status, 400);
+    assert.deepEqual(cleared.body.fields, { publish_at: 'scheduled items need a publish_at' });
+    assert.equal(fake.rows('journal')[3].publish_at, next.publish_at);
+    assert.equal((await put({ id: draft.id, status: 'scheduled' })).status, 400);
+
+    assert.equal((await put({ id: next.id, status: 'draft' })).status, 200);
+    const again = await put({ id: next.id, status: 'scheduled' });
+    assert.equal(again.status, 200);
+    assert.deepEqual([again.body.status, again.body.publish_at], ['scheduled', next.publish_at]);
+    assert.equal((await put({ id: next.id, status: 'draft', publish_at: null })).body.publish_at, null);
+  });
+
+  test('a slug that is taken is a 409', async () => {
+    const [first, second] = fake.seed({ journal: [{ title: 'A', slug: 'a' }, { title: 'B', slug: 'b' }] }).journal;
+    const res = await call(handler, event('PUT', { body: { id: second.id, slug: 'A' } }));
+    assert.equal(res.status, 409);
+    assert.equal(fake.rows('journal')[1].slug, 'b');
+    assert.equal((await call(handler, event('PUT', { body: { id: first.id, slug: 'first-post' } }))).body.slug, 'first-post');
+  });
+
+  test('tags entries by name and filters the list by tag', async () => {
+    const [first] = seedEntries();
+    const tagged = await call(handler, event('POST', { body: { title: 'Lisbon', tags: ['Travel', 'Film'] } }));
+    assert.deepEqual(tagged.body.tags.map((t) => t.name), ['Film', 'Travel']);
+
+    const res = await call(handler, event('PUT', { body: { id: first.id, tags: 'travel' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'First roll');
+    assert.deepEqual(res.body.tags.map((t) => t.slug), ['travel']);
+    assert.equal(fake.rows('journal_revisions').length, 0);
+
+    const list = await call(handler, event('GET', { token: false, query: { tag: 'travel' } }));
+    assert.deepEqual(list.body.map((e) => e.title), ['Lisbon', 'First roll']);
+    assert.equal((await call(handler, event('PUT', { body: { id: first.id, tags: { a: 1 } } }))).status, 400);
+  });
+
+  test('an update failure is a 502', async () => {
+    seedEntries();
+    fake.failNext({ method: 'PATCH' }, { status: 500 });
+    const res = await quiet(() => call(handler, event('PUT', { body: { id: 1, title: 'x' } })));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'db update failed');
+  });
+});
+
+describe('journal revisions', () => {
+  const put = (body) => call(handler, event('PUT', { body }));
+  const revisions = (query, token) => call(handler, event('GET', { path: '/.netlify/functions/journal/revisions', query, token }));
+  const restoreRevision = (body) => call(handler, event('POST', { path: '/.netlify/functions/journal/revisions/restore', body }));
+
+  test('PUT keeps the previous text as a revision', async () => {
+    const [entry] = seedEntries();
+    await put({ id: entry.id, content: 'Loaded Portra 160.' });
+    await put({ id: entry.id, title: 'Roll one' });
+
+    const list = await revisions({ entry_id: String(entry.id) });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.map((r) => r.title), ['First roll', 'First roll']);
+    assert.equal(list.body[0].content, undefined);
+
+    const one = await revisions({ id: String(list.body[1].id) });
+    assert.equal(one.body.content, 'Loaded **Portra 400**.');
+    assert.equal(one.body.entry_date, '2024-01-05');
+  });
+
+  test('status-only and no-op updates add no revision', async () => {
+    const [entry] = seedEntries();
+    await put({ id: entry.id, status: 'draft' });
+    await put({ id: entry.id, title: 'First roll' });
+    assert.equal(fake.rows('journal_revisions').length, 0);
+  });
+
+  test('restoring a revision puts its text back and keeps the replaced text', async () => {
+    const [entry] = seedEntries();
+    await put({ id: entry.id, content: 'Oops, pasted the wrong thing' });
+    const [rev] = fake.rows('journal_revisions');
+
+    const res = await restoreRevision({ id: rev.id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.content, 'Loaded **Portra 400**.');
+    assert.equal(res.body.content_html, '<p>Loaded <strong>Portra 400</strong>.</p>');
+
+    const contents = fake.rows('journal_revisions').map((r) => r.content);
+    assert.deepEqual(contents, ['Loaded **Portra 400**.', 'Oops, pasted the wrong thing']);
+  });
+
+  test('needs a session and valid ids', async () => {
+    assert.equal((await revisions({ entry_id: '1' }, false)).status, 401);
+    assert.equal((await revisions({})).status, 400);
+    assert.equal((await revisions({ id: '99' })).status, 404);
+    assert.equal((await restoreRevision({})).status, 400);
+    assert.equal((await restoreRevision({ id: 99 })).status, 404);
+    assert.equal((await put({ id: 99, content: 'x' })).status, 404);
+  });
+
+  test('purging an entry removes its revisions', async () => {
+    const [entry, other] = seedEntries();
+    await put({ id: entry.id, content: 'v2' });
+    await put({ id: other.id, content: 'v2' });
+    await call(handler, event('DELETE', { body: { id: entry.id } }));
+    await call(handler, event('DELETE', { path: '/.netlify/functions/journal/trash', body: { id: entry.id } }));
+    assert.deepEqual(fake.rows('journal_revisions').map((r) => r.entry_id), [other.id]);
+  });
+
+  test('a failed revision write leaves the entry unchanged', async () => {
+    const [entry] = seedEntries();
+    fake.failNext({ method: 'POST', url: '/rest/v1/journal_revisions' }, { status: 500, body: 'nope' });
+    const res = await quiet(() => put({ id: entry.id, content: 'new' }));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, 'revision save failed');
+    assert.equal(fake.rows('journal')[0].content, 'Loaded **Portra 400**.');
+  });
+
+  test('REST failures are 502s', async () => {
+    fake.failNext({ method: 'GET', url: '/rest/v1/journal_revisions' }, { status: 500 });
+    assert.equal((await quiet(() => revisions({ entry_id: '1' }))).status, 502);
+    fake.failNext({ method: 'GET', url: '/rest/v1/journal_revisions' }, { status: 500 });
+    assert.equal((await quiet(() => revisions({ id: '1' }))).status, 502);
+    fake.failNext({ method: 'GET', url: '/rest/v1/journal_revisions' }, { status: 500 });
+    assert.equal((await quiet(() => restoreRevision({ id: 1 }))).status, 502);
+  });
+});
+
+describe('journal trash', () => {
+  const del = (body, path = '/.netlify/functions/journal') => call(handler, event('DELETE', { path, body }));
+  const restore = (body) => call(handler, event('POST', { path: '/.netlify/functions/journal/restore', body }));
+  const purge = (body) => del(body, '/.netlify/functions/journal/trash');
+
+  test('DELETE moves an entry to the trash', async () => {
+    const [entry] = seedEntries();
+    const res = await del({ id: entry.id });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.deleted_at);
+    assert.equal((await call(handler, event('GET', { token: false }))).body.some((e) => e.id === entry.id), false);
+    assert.equal((await call(handler, event('GET', { query: { scope: 'all' } }))).body.length, 3);
+
+    const trash = await call(handler, event('GET', { query: { scope: 'trash' } }));
+    assert.deepEqual(trash.body.map((e) => e.id), [entry.id]);
+    assert.equal((await del({ id: entry.id })).status, 404);
+  });
+
+  test('restore brings an entry back', async () => {
+    const [entry] = seedEntries();
+    await del({ id: entry.id });
+    const res = await restore({ id: entry.id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.deleted_at, null);
+    assert.equal(res.body.content_html, '<p>Loaded <strong>Portra 400</strong>.</p>');
+    assert.equal((await restore({ id: entry.id })).status, 404);
+  });
+
+  test('purge only deletes trashed entries', async () => {
+    const [entry] = seedEntries();
+    assert.equal((await purge({ id: entry.id })).status, 404);
+    await del({ id: entry.id });
+    assert.equal((await purge({ id: entry.id })).status, 200);
+    assert.equal(fake.rows('journal').some((e) => e.id === entry.id), false);
+  });
+
+  test('trashed photos are not embedded', async () => {
+    seedEntries();
+    seedPhoto({ deleted_at: '2024-01-01T00:00:00Z' });
+    const res = await call(handler, event('GET', { query: { scope: 'all' } }));
+    assert.doesNotMatch(res.body.find((e) => e.title === 'Darkroom').content_html, /<img/);
+  });
+
+  test('validates and reports REST failures', async () => {
+    assert.equal((await del({})).status, 400);
+    assert.equal((await restore({})).status, 400);
+    fake.failNext({ method: 'PATCH' }, { status: 500 });
+    assert.equal((await quiet(() => del({ id: 1 }))).status, 502);
+    fake.failNext({ method: 'PATCH' }, { status: 500 });
+    assert.equal((await quiet(() => restore({ id: 1 }))).status, 502);
+    fake.failNext({ method: 'DELETE' }, { status: 500 });
+    assert.equal((await quiet(() => purge({ id: 1 }))).status, 502);
+  });
+
+  test('malformed JSON is a 400', async () => {
+    const res = await call(handler, event('DELETE', { body: '{' }));
+    assert.equal(res.status, 400);
+  });
+});
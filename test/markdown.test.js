@@ -0,0 +1,90 @@
+// Covers functions/_shared/markdown.js: journal Markdown must never render as live script.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { render, sanitize, safeUrl } = require('../functions/_shared/markdown');
+
+const PHOTO = { src: 'https://cdn.test/p.jpg', width: 800, height: 600, title: 'Pier' };
+
+describe('safeUrl', () => {
+  test('keeps web, mail, site and in-page links', () => {
+    for (const url of ['https://example.com/a?b=1', 'http://example.com', 'mailto:kurt@example.com', '/journal/fog/', '#top']) {
+      assert.equal(safeUrl(url), url);
+    }
+    assert.equal(safeUrl('/photos/a.jpg', { image: true }), '/photos/a.jpg');
+    assert.equal(safeUrl('#top', { image: true }), null);
+  });
+
+  test('refuses script and data URLs however they are spelled', () => {
+    for (const url of [
+      'javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'java\tscript:alert(1)', ' javascript:alert(1)',
+      'javascript&#58;alert(1)', '&#106;avascript:alert(1)', 'vbscript:msgbox(1)',
+      'data:text/html,<script>alert(1)</script>', 'data:image/svg+xml;base64,PHN2Zz4=',
+    ]) {
+      assert.equal(safeUrl(url), null, url);
+    }
+  });
+
+  test('refuses protocol-relative URLs, including the backslash form', () => {
+    for (const url of ['//evil.example', '/\\evil.example', '/\\/evil.example', '/&#92;evil.example', '/\t/evil.example']) {
+      assert.equal(safeUrl(url), null, url);
+      assert.equal(safeUrl(url, { image: true }), null, url);
+    }
+  });
+});
+
+describe('render', () => {
+  test('links and images with unsafe targets lose them', () => {
+    assert.equal(render('[click](javascript:alert(1))'), '<p>click</p>');
+    assert.equal(render('[x](/\\evil.example/login)'), '<p>x</p>');
+    assert.equal(render('[x](data:text/html,hi)'), '<p>x</p>');
+    assert.equal(render('![pier](https://evil.example/p.jpg)'), '<p>pier</p>');
+    assert.equal(
+      render('[fog](/journal/fog/)'),
+      '<p><a href="/journal/fog/" rel="nofollow noopener noreferrer">fog</a></p>'
+    );
+  });
+
+  test('raw HTML in the text is shown, not run', () => {
+    const html = render('Hello <script>alert(1)</script> <img src=x onerror=alert(1)> <a href="javascript:x">y</a>');
+    assert.doesNotMatch(html, /<script|<img|<a /);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  });
+
+  test('titles and alt text cannot break out of their attributes', () => {
+    const html = render(`![a" onerror="alert(1)](photo:1 "t' onload='x")`, { resolvePhoto: () => PHOTO });
+    assert.match(html, /^<p><img class="journal-photo" src="https:\/\/cdn.test\/p.jpg"/);
+    const attrs = [...html.matchAll(/\s([a-z-]+)="[^"]*"/g)].map((m) => m[1]);
+    assert.deepEqual(attrs, ['class', 'src', 'alt', 'title', 'width', 'height', 'loading', 'decoding']);
+    assert.match(html, / alt="a&quot; onerror=&quot;alert\(1\)"/);
+  });
+});
+
+describe('sanitize', () => {
+  test('drops event handlers, styles and unknown attributes', () => {
+    assert.equal(
+      sanitize('<p onclick="alert(1)" style="color:red">hi</p><img src="/a.jpg" onerror="alert(1)" alt="a">'),
+      '<p>hi</p><img src="/a.jpg" alt="a">'
+    );
+    assert.equal(sanitize('<a href="https://x.test" onmouseover=alert(1) target=_blank>x</a>'),
+      '<a href="https://x.test" rel="nofollow noopener noreferrer">x</a>');
+  });
+
+  test('removes script-like elements with their content and unwraps unknown tags', () => {
+    assert.equal(sanitize('<script>alert(1)</script><style>p{}</style><iframe src="//x"></iframe>ok'), 'ok');
+    assert.equal(sanitize('<div><span>kept</span></div><svg onload=alert(1)>text</svg>'), 'kepttext');
+    assert.equal(sanitize('<!-- <script>alert(1)</script> -->fine'), 'fine');
+  });
+
+  test('unsafe URLs in attributes are dropped, and an image without a src goes entirely', () => {
+    assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a rel="nofollow noopener noreferrer">x</a>');
+    assert.equal(sanitize('<a href="/\\evil.example">x</a>'), '<a rel="nofollow noopener noreferrer">x</a>');
+    assert.equal(sanitize('<img src="data:image/png;base64,AAAA" alt="a">'), '');
+    assert.equal(sanitize('<img src="/a.jpg" srcset="/a.jpg 1x, javascript:alert(1) 2x">'), '<img src="/a.jpg">');
+  });
+
+  test('unclosed allowed tags are closed and stray text is escaped', () => {
+    assert.equal(sanitize('<p><strong>bold'), '<p><strong>bold</strong></p>');
+    assert.equal(sanitize('a < b & "c" &amp; d'), 'a &lt; b &amp; &quot;c&quot; &amp; d');
+  });
+});
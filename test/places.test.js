@@ -0,0 +1,162 @@
+// Covers functions/places.js, _shared/places.js and the gallery's links to places.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet } = require('./helpers');
+const { handler } = require('../functions/places');
+const gallery = require('../functions/gallery').handler;
+const { placeKey, gazetteerMatch } = require('../functions/_shared/places');
+
+beforeEach(() => fake.reset());
+
+const match = (body = {}) => call(handler, event('POST', { path: '/.netlify/functions/places/match', body }));
+
+describe('placeKey', () => {
+  test('reads spellings of one place the same way', () => {
+    for (const text of ['Monterey, CA', 'monterey, california', 'Monterey, California, USA', ' MONTEREY , Ca. ']) {
+      assert.equal(placeKey(text), 'monterey ca', text);
+    }
+    assert.equal(placeKey('Zürich, Switzerland'), 'zurich switzerland');
+    assert.equal(placeKey('Kyoto, Japan'), placeKey('kyoto, JP'));
+    assert.equal(placeKey(' , '), '');
+  });
+
+  test('finds gazetteer places only when they are unambiguous', () => {
+    assert.deepEqual(gazetteerMatch('Monterey, California').lat, 36.6002);
+    assert.equal(gazetteerMatch('Kyoto, Japan').country, 'JP');
+    assert.equal(gazetteerMatch('Kyoto, CA'), null);
+    assert.equal(gazetteerMatch('Big Sur coast'), null);
+  });
+});
+
+describe('POST /places/match', () => {
+  test('links every photo to a place, once per spelling', async () => {
+    const photos = fake.seed({
+      gallery: [
+        { title: 'Cannery', location: 'Monterey, California' },
+        { title: 'Aquarium', location: 'monterey, CA' },
+        { title: 'Cliffs', location: 'Point Sur, Big Sur coast' },
+        { title: 'Untitled', location: '' },
+      ],
+    }).gallery;
+
+    const res = await match();
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, linked: 3, created: 2, skipped: 1 });
+    const places = fake.rows('places');
+    assert.deepEqual(places.map((p) => [p.slug, p.name, p.region, p.country, p.lat]), [
+      ['monterey-ca', 'Monterey', 'CA', 'US', 36.6002],
+      ['point-sur-big-sur-coast', 'Point Sur', 'Big Sur coast', '', null],
+    ]);
+    assert.deepEqual(fake.rows('gallery').map((g) => g.place_id), [places[0].id, places[0].id, places[1].id, null]);
+    assert.equal(photos[0].location, 'Monterey, California');
+
+    assert.deepEqual(await match().then((r) => r.body), { ok: true, linked: 0, created: 0, skipped: 1 });
+    assert.equal(fake.rows('audit_log').at(-1).action, 'match');
+  });
+});
+
+describe('POST /places/merge', () => {
+  test('moves photos and spellings to the place kept', async () => {
+    fake.seed({ gallery: [{ title: 'A', location: 'Monterey, CA' }, { title: 'B', location: 'Old Monterey' }] });
+    await match();
+    const [monterey, old] = fake.rows('places');
+
+    const res = await call(handler, event('POST', { path: '/.netlify/functions/places/merge', body: { ids: [old.id], into: monterey.id } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.into.label, 'Monterey, CA');
+    assert.deepEqual(fake.rows('places').map((p) => p.id), [monterey.id]);
+    assert.deepEqual(fake.rows('gallery').map((g) => g.place_id), [monterey.id, monterey.id]);
+
+    // The merged spelling now finds the place kept
+    const [photo] = fake.seed({ gallery: [{ title: 'C', location: 'Monterey' }] }).gallery;
+    await call(gallery, event('PUT', { body: { id: photo.id, location: 'old monterey' } }));
+    assert.equal(fake.rows('gallery').at(-1).place_id, monterey.id);
+    assert.equal(fake.rows('places').length, 1);
+
+    const self = await call(handler, event('POST', { path: '/.netlify/functions/places/merge', body: { ids: [monterey.id], into: monterey.id } }));
+    assert.equal(self.status, 400);
+  });
+});
+
+describe('GET /places', () => {
+  test('lists places with live photos, with counts and labels', async () => {
+    fake.seed({
+      gallery: [
+        { title: 'A', location: 'Kyoto, Japan' },
+        { title: 'B', location: 'Kyoto' },
+        { title: 'Draft', location: 'Monterey', status: 'draft' },
+      ],
+    });
+    await match();
+    const seen = fake.requests.length;
+    const pub = await call(handler, event('GET', { token: false }));
+    assert.equal(pub.status, 200);
+    assert.deepEqual(pub.body.map((p) => [p.slug, p.label, p.photo_count, p.lat]), [['kyoto-jp', 'Kyoto, JP', 2, 35.0116]]);
+    assert.equal('aliases' in pub.body[0], false);
+    // Counted by the database, not by reading every photo
+    assert.equal(fake.requests.slice(seen).filter((r) => /\/rest\/v1\/gallery\?/.test(r.url) && r.method === 'GET').length, 0);
+
+    const all = await call(handler, event('GET', { query: { scope: 'all' } }));
+    assert.deepEqual(all.body.map((p) => [p.slug, p.photo_count, p.aliases]), [
+      ['kyoto-jp', 2, ['kyoto', 'kyoto jp']],
+      ['monterey-ca', 1, ['monterey', 'monterey ca']],
+    ]);
+    assert.equal((await call(handler, event('GET', { token: false, query: { scope: 'all' } }))).status, 401);
+  });
+
+  test('the gallery filters by place', async () => {
+    const { gallery: photos, tags } = fake.seed({
+      gallery: [{ title: 'A', location: 'Lisbon, Portugal' }, { title: 'B', location: 'Lisbon' }, { title: 'C', location: 'Porto' }],
+      tags: [{ slug: 'sea', name: 'Sea' }],
+    });
+    fake.seed({ photo_tags: [{ photo_id: photos[1].id, tag_id: tags[0].id }] });
+    await match();
+
+    const list = async (query) => (await call(gallery, event('GET', { token: false, query }))).body.map((p) => p.title);
+    assert.deepEqual(await list({ place: 'lisbon-pt' }), ['A', 'B']);
+    const lisbon = fake.rows('places').find((p) => p.slug === 'lisbon-pt');
+    assert.equal(new URL(fake.requests.at(-2).url).searchParams.get('place_id'), `eq.${lisbon.id}`);
+    assert.deepEqual(await list({ place: 'lisbon-pt', tag: 'sea' }), ['B']);
+    assert.deepEqual(await list({ place: 'nowhere' }), []);
+  });
+});
+
+describe('places writes', () => {
+  test('edits keep the new label as an alias and check their fields', async () => {
+    fake.seed({ gallery: [{ title: 'A', location: 'Point Sur' }] });
+    await match();
+    const [place] = fake.rows('places');
+
+    const res = await call(handler, event('PUT', { body: { id: place.id, region: 'CA', country: 'us', lat: 36.3, lon: -121.9 } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.label, 'Point Sur, CA');
+    assert.equal(res.body.slug, 'point-sur');
+    assert.deepEqual(fake.rows('place_aliases').map((a) => a.key), ['point sur', 'point sur ca']);
+
+    const bad = await call(handler, event('PUT', { body: { id: place.id, lat: 120, country: 'USA', colour: 'red' } }));
+    assert.equal(bad.status, 400);
+    assert.deepEqual(Object.keys(bad.body.fields).sort(), ['colour', 'country', 'lat']);
+    assert.equal((await call(handler, event('POST', { body: { name: 'Point Sur', slug: 'point-sur' } }))).status, 409);
+  });
+
+  test('photo saves link to places, and a failed lookup does not stop them', async () => {
+    const [photo] = fake.seed({ gallery: [{ title: 'A', location: '' }] }).gallery;
+    await call(gallery, event('PUT', { body: { id: photo.id, location: 'Santa Cruz, California' } }));
+    const [place] = fake.rows('places');
+    assert.equal(place.slug, 'santa-cruz-ca');
+    assert.equal(fake.rows('gallery')[0].place_id, place.id);
+
+    fake.failNext({ method: 'GET', url: /\/place_aliases/ }, { status: 500, body: 'boom' });
+    const res = await quiet(() => call(gallery, event('PUT', { body: { id: photo.id, location: 'Oakland' } })));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.location, 'Oakland');
+    assert.equal(res.body.place_id, place.id);
+
+    await call(gallery, event('PUT', { body: { id: photo.id, location: '' } }));
+    assert.equal(fake.rows('gallery')[0].place_id, null);
+
+    await call(handler, event('PUT', { body: { id: place.id, name: 'Santa Cruz' } }));
+    await call(handler, event('DELETE', { body: { id: place.id } }));
+    assert.equal(fake.rows('place_aliases').length, 0);
+  });
+});
@@ -0,0 +1,159 @@
+const { test, describe, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fake, quiet, SUPABASE_URL } = require('./helpers');
+const { prerender, excerpt } = require('../scripts/prerender');
+
+const PUBLIC = `${SUPABASE_URL}/storage/v1/object/public/photos`;
+const SITE = 'https://kt.example';
+
+const out = fs.mkdtempSync(path.join(os.tmpdir(), 'kt-prerender-'));
+after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+const read = (rel) => fs.readFileSync(path.join(out, rel), 'utf8');
+
+beforeEach(() => fake.reset());
+
+const seedSite = () => {
+  const { gallery } = fake.seed({
+    gallery: [
+      {
+        title: 'Fog <script>alert(1)</script>',
+        image_url: `${PUBLIC}/variants/a/lightbox.jpg`,
+        variants: {
+          thumb: { width: 400, height: 300, jpeg: `${PUBLIC}/variants/a/thumb.jpg` },
+          grid: { width: 800, height: 600, jpeg: `${PUBLIC}/variants/a/grid.jpg` },
+          lightbox: { width: 1600, height: 1200, jpeg: `${PUBLIC}/variants/a/lightbox.jpg` },
+        },
+        width: 1600,
+        height: 1200,
+        order_index: 1,
+      },
+      { title: 'Secret', image_url: '/photos/gallery-4.jpg', status: 'draft', order_index: 2 },
+    ],
+  });
+  const { journal } = fake.seed({
+    journal: [
+      { title: 'Coast & "fog"', slug: 'coast-fog', entry_date: '2024-05-01', content: `**Grey** morning.\n\n![fog](photo:${gallery[0].id})`, created_at: '2024-05-01T10:00:00Z' },
+      { title: 'Unfinished', slug: 'unfinished', entry_date: '2024-06-01', content: 'draft', status: 'draft' },
+      { title: 'Older', slug: 'older', entry_date: '2024-04-01', content: 'Before.', created_at: '2024-04-01T10:00:00Z' },
+    ],
+  });
+  const { albums } = fake.seed({ albums: [{ slug: 'coast', title: 'Coast' }, { slug: 'empty', title: 'Empty' }] });
+  fake.seed({ album_photos: [{ album_id: albums[0].id, photo_id: gallery[0].id, position: 1 }] });
+  return { gallery, journal };
+};
+
+describe('prerender', () => {
+  test('writes escaped gallery and journal markup plus the data to hydrate from', async () => {
+    const { gallery, journal } = seedSite();
+    const result = await prerender({ out, site: `${SITE}/`, copy: false });
+    assert.deepEqual(result, { rendered: true, photos: 1, entries: 2, albums: 1 });
+
+    const html = read('index.html');
+    assert.match(html, new RegExp(`<div class="gallery-item" id="photo-${gallery[0].id}"`));
+    assert.match(html, /alt="Fog &lt;script&gt;alert\(1\)&lt;\/script&gt;"/);
+    assert.doesNotMatch(html, /Secret|Unfinished/);
+    assert.match(html, new RegExp(`<article class="card pos-0" id="journal-${journal[0].id}">`));
+    assert.match(html, /<h3>Coast &amp; &quot;fog&quot;<\/h3>/);
+    assert.match(html, /href="\/journal\/coast-fog\/"/);
+    assert.match(html, /data-share="\/journal\/coast-fog\/"/);
+    assert.doesNotMatch(html, /<!-- prerender:/);
+
+    const data = /<script type="application\/json" id="prerendered-data">([\s\S]*?)<\/script>/.exec(html)[1];
+    assert.doesNotMatch(data, /<\/script>/);
+    const parsed = JSON.parse(data);
+    assert.deepEqual(parsed.gallery.items.map((p) => p.id), [gallery[0].id]);
+    assert.equal(parsed.journal.items[0].id, journal[0].id);
+    assert.equal(parsed.gallery.next_cursor, null);
+
+    assert.match(html, /<link rel="canonical" href="https:\/\/kt\.example\/" \/>/);
+    assert.match(html, /<meta property="og:image" content="http:\/\/supabase\.test\/storage\/v1\/object\/public\/photos\/variants\/a\/lightbox\.jpg" \/>/);
+    assert.match(html, /<meta name="twitter:card" content="summary_large_image" \/>/);
+  });
+
+  test('writes a permalink page per published entry with its own tags', async () => {
+    seedSite();
+    await prerender({ out, site: SITE, copy: false });
+
+    const page = read('journal/coast-fog/index.html');
+    assert.match(page, /<title>Coast &amp; &quot;fog&quot; - Kurt Tristan<\/title>/);
+    assert.match(page, /<meta name="description" content="Grey morning\." \/>/);
+    assert.match(page, /<meta property="og:type" content="article" \/>/);
+    assert.match(page, /<meta property="og:description" content="Grey morning\." \/>/);
+    assert.match(page, new RegExp(`<meta property="og:url" content="${SITE}/journal/coast-fog/" />`));
+    assert.match(page, /<meta property="og:image" content="http:\/\/supabase\.test\/.+lightbox\.jpg" \/>/);
+    assert.match(page, /<strong>Grey<\/strong> morning/);
+    assert.ok(!fs.existsSync(path.join(out, 'journal/unfinished')));
+  });
+
+  test("an entry's page has its card in front of the deck", async () => {
+    const { journal } = seedSite();
+    await prerender({ out, site: SITE, copy: false });
+
+    const page = read('journal/older/index.html');
+    assert.match(page, new RegExp(`<article class="card pos-0" id="journal-${journal[2].id}">`));
+    assert.match(page, new RegExp(`<article class="card pos-1" id="journal-${journal[0].id}">`));
+    assert.match(read('index.html'), new RegExp(`<article class="card pos-1" id="journal-${journal[2].id}">`));
+  });
+
+  test('lists the home page, entries and non-empty albums in sitemap.xml', async () => {
+    seedSite();
+    await prerender({ out, site: SITE, copy: false });
+
+    const sitemap = read('sitemap.xml');
+    assert.match(sitemap, new RegExp(`<loc>${SITE}/</loc>`));
+    assert.match(sitemap, new RegExp(`<loc>${SITE}/journal/coast-fog/</loc><lastmod>2024-05-01</lastmod>`));
+    assert.match(sitemap, new RegExp(`<loc>${SITE}/albums/coast</loc>`));
+    assert.doesNotMatch(sitemap, /albums\/empty/);
+    assert.match(read('robots.txt'), new RegExp(`Sitemap: ${SITE}/sitemap.xml`));
+  });
+
+  test('without credentials it publishes the page without content', async () => {
+    const saved = process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_URL;
+    try {
+      const result = await quiet(() => {
+        const warn = console.warn;
+        console.warn = () => {};
+        return prerender({ out, copy: false }).finally(() => { console.warn = warn; });
+      });
+      assert.equal(result.rendered, false);
+    } finally {
+      process.env.SUPABASE_URL = saved;
+    }
+    const html = read('index.html');
+    assert.doesNotMatch(html, /<!-- prerender:|prerendered-data"/);
+    assert.match(html, /<meta property="og:title" content="Kurt Tristan - Wander in Wonder" \/>/);
+    assert.ok(!fs.existsSync(path.join(out, 'sitemap.xml')));
+  });
+
+  test("stamps the service worker's cache version from the shell", async () => {
+    const version = () => /const VERSION = '([0-9a-f]{12})';/.exec(read('sw.js'))[1];
+    seedSite();
+    await prerender({ out, site: SITE, copy: false });
+    const first = version();
+    await prerender({ out, site: SITE, copy: false });
+    assert.equal(version(), first);
+
+    fake.seed({ journal: [{ title: 'Newest', slug: 'newest', entry_date: '2024-07-01', content: 'New.' }] });
+    await prerender({ out, site: SITE, copy: false });
+    assert.notEqual(version(), first);
+  });
+
+  test('an API failure fails the build', async () => {
+    fake.failNext({ method: 'GET', url: /\/rest\/v1\/journal\?/ }, { status: 500, body: 'boom' });
+    await assert.rejects(quiet(() => prerender({ out, site: SITE, copy: false })), /journal returned 502/);
+  });
+});
+
+describe('excerpt', () => {
+  test('strips Markdown and trims at a word boundary', () => {
+    assert.equal(excerpt('# Title\n\nSee [the pier](https://x.test) at *dawn*.\n\n![a](photo:3)'), 'Title See the pier at dawn.');
+    const long = excerpt('word '.repeat(100), 30);
+    assert.ok(long.length <= 30);
+    assert.match(long, /word…$/);
+  });
+});
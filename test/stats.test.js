@@ -0,0 +1,169 @@
+// Covers functions/collect.js and functions/stats.js.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, isoOffset } = require('./helpers');
+const collect = require('../functions/collect').handler;
+const stats = require('../functions/stats').handler;
+
+beforeEach(() => fake.reset());
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15';
+const today = () => new Date().toISOString().slice(0, 10);
+const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const send = (body, headers = {}) =>
+  call(collect, event('POST', { token: false, body, headers: { 'user-agent': BROWSER, host: 'example.test', ...headers } }));
+
+const counts = () => fake.rows('stats_daily').map((r) => [r.day, r.metric, r.item_id, r.count]);
+
+describe('collect', () => {
+  test('adds each photo and entry to the day, once per batch', async () => {
+    const { gallery: [photo], journal: [entry] } = fake.seed({ gallery: [{ title: 'Harbour' }], journal: [{ title: 'Fog' }] });
+    const res = await send({
+      events: [{ type: 'impression', id: photo.id }, { type: 'impression', id: String(photo.id) }, { type: 'open', id: photo.id }, { type: 'view', id: entry.id }],
+    });
+    assert.equal(res.status, 204);
+    assert.equal(res.raw, '');
+    await send({ events: [{ type: 'impression', id: photo.id }] });
+    assert.deepEqual(counts(), [[today(), 'impression', photo.id, 2], [today(), 'open', photo.id, 1], [today(), 'view', entry.id, 1]]);
+  });
+
+  test('ids that are not a photo or entry live here are not counted', async () => {
+    const { gallery: [photo, trashed, draft, later], journal: [hidden] } = fake.seed({
+      gallery: [
+        { title: 'Harbour' },
+        { title: 'Dunes', deleted_at: daysAgo(1) },
+        { title: 'Secret', status: 'draft' },
+        { title: 'Later', status: 'scheduled', publish_at: isoOffset(86400000) },
+      ],
+      journal: [{ title: 'Unfinished', status: 'draft' }],
+    });
+    const res = await send({
+      events: [
+        ...Array.from({ length: 50 }, (_, i) => ({ type: 'impression', id: 1000 + i })),
+        { type: 'open', id: trashed.id },
+        { type: 'open', id: draft.id },
+        { type: 'impression', id: later.id },
+        { type: 'view', id: hidden.id },
+        { type: 'view', id: photo.id },
+        { type: 'open', id: photo.id },
+      ],
+    });
+    assert.equal(res.status, 204);
+    assert.deepEqual(counts(), [[today(), 'open', photo.id, 1]]);
+  });
+
+  test('keeps only the host of outside referrers', async () => {
+    await send({ events: [], referrer: 'https://www.Google.com/search?q=kurt' });
+    await send({ events: [], referrer: 'https://google.com/' });
+    await send({ events: [{ type: 'view', id: 1 }], referrer: 'https://example.test/journal/fog/' });
+    await send({ events: [], referrer: 'android-app://com.slack' });
+    await send({ events: [], referrer: 'http://192.168.1.20:8080/' });
+    await send({ events: [], referrer: 'http://intranet/' });
+    assert.deepEqual(fake.rows('referrers_daily').map((r) => [r.day, r.host, r.count]), [[today(), 'google.com', 2]]);
+  });
+
+  test('past 200 hosts in a day, referrals count as "other"', async () => {
+    fake.seed({ referrers_daily: Array.from({ length: 200 }, (_, i) => ({ day: today(), host: `site${i}.example.org`, count: 1 })) });
+    await send({ events: [], referrer: 'https://made-up-1.example.net/' });
+    await send({ events: [], referrer: 'https://made-up-2.example.net/' });
+    await send({ events: [], referrer: 'https://site7.example.org/' });
+    const rows = fake.rows('referrers_daily');
+    assert.equal(rows.length, 201);
+    assert.deepEqual(rows.filter((r) => r.count > 1).map((r) => [r.host, r.count]), [['site7.example.org', 2], ['other', 2]]);
+  });
+
+  test('Do-Not-Track, Global Privacy Control and bots are answered but not counted', async () => {
+    const body = { events: [{ type: 'open', id: 1 }], referrer: 'https://news.example.org/' };
+    for (const headers of [{ dnt: '1' }, { 'Sec-GPC': '1' }, { 'user-agent': 'Mozilla/5.0 (compatible; Googlebot/2.1)' },
+      { 'user-agent': 'Mozilla/5.0 HeadlessChrome/125.0' }, { 'user-agent': 'curl/8.4.0' }, { 'user-agent': '' }]) {
+      const res = await send(body, headers);
+      assert.equal(res.status, 204, JSON.stringify(headers));
+    }
+    assert.equal(fake.rows('stats_daily').length, 0);
+    assert.equal(fake.rows('referrers_daily').length, 0);
+  });
+
+  test('rejects events it does not know', async () => {
+    const res = await send({ events: [{ type: 'open', id: 1 }, { type: 'like', id: 2 }] });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.fields.events, 'events[1].type must be one of: impression, open, view');
+    assert.equal((await send({ events: [{ type: 'open', id: 0 }] })).body.error, 'events[0].id must be a positive integer id');
+    assert.equal((await send({ events: Array.from({ length: 101 }, () => ({ type: 'open', id: 1 })) })).status, 400);
+    assert.equal(fake.rows('stats_daily').length, 0);
+  });
+});
+
+describe('stats', () => {
+  const seedCounts = () => {
+    const { gallery, journal } = fake.seed({
+      gallery: [{ title: 'Harbour', slug: 'harbour' }, { title: 'Dunes', slug: 'dunes', deleted_at: daysAgo(1) }],
+      journal: [{ title: 'Fog', slug: 'fog' }],
+    });
+    const [harbour, dunes] = gallery;
+    const [fog] = journal;
+    fake.seed({
+      stats_daily: [
+        { day: daysAgo(2), metric: 'impression', item_id: harbour.id, count: 5 },
+        { day: daysAgo(2), metric: 'open', item_id: harbour.id, count: 1 },
+        { day: today(), metric: 'impression', item_id: dunes.id, count: 3 },
+        { day: today(), metric: 'open', item_id: dunes.id, count: 2 },
+        { day: today(), metric: 'open', item_id: 99, count: 1 },
+        { day: today(), metric: 'view', item_id: fog.id, count: 4 },
+        { day: daysAgo(40), metric: 'view', item_id: fog.id, count: 7 },
+      ],
+      referrers_daily: [
+        { day: daysAgo(1), host: 'google.com', count: 2 },
+        { day: today(), host: 'news.example.org', count: 3 },
+      ],
+    });
+    return { harbour, dunes, fog };
+  };
+
+  test('totals, daily counts and per-item trends for the last 30 days', async () => {
+    const { harbour, dunes, fog } = seedCounts();
+    const res = await call(stats, event('GET'));
+    assert.equal(res.status, 200);
+    const s = res.body;
+    assert.deepEqual([s.from, s.to, s.days.length], [daysAgo(29), today(), 30]);
+    assert.deepEqual(s.totals, { impression: 8, open: 4, view: 4, referral: 5 });
+    assert.deepEqual(s.daily[29], { day: today(), impression: 3, open: 3, view: 4, referral: 3 });
+
+    assert.deepEqual(s.photos.map((p) => [p.id, p.title, p.removed, p.counts]), [
+      [dunes.id, 'Dunes', true, { impression: 3, open: 2 }],
+      [harbour.id, 'Harbour', false, { impression: 5, open: 1 }],
+      [99, null, true, { impression: 0, open: 1 }],
+    ]);
+    assert.equal(s.photos[1].trend.impression[27], 5);
+    assert.equal(s.photos[1].trend.impression.reduce((a, b) => a + b), 5);
+    assert.deepEqual(s.entries.map((e) => [e.id, e.slug, e.counts.view, e.trend.view[29]]), [[fog.id, 'fog', 4, 4]]);
+    assert.deepEqual(s.referrers.map((r) => [r.host, r.count, r.trend[28]]), [['news.example.org', 3, 0], ['google.com', 2, 2]]);
+  });
+
+  test('reads the photos the counts name a few hundred at a time', async () => {
+    const { gallery } = fake.seed({ gallery: Array.from({ length: 450 }, (_, i) => ({ title: `Frame ${i + 1}` })) });
+    fake.seed({ stats_daily: gallery.map((p) => ({ day: today(), metric: 'open', item_id: p.id, count: 1 })) });
+
+    const s = (await call(stats, event('GET'))).body;
+    assert.equal(s.photos.length, 450);
+    assert.ok(s.photos.every((p) => p.title && !p.removed));
+    assert.equal(fake.requests.filter((r) => /\/gallery\?.*id=in\./.test(r.url)).length, 3);
+  });
+
+  test('takes a date range', async () => {
+    seedCounts();
+    const s = (await call(stats, event('GET', { query: { from: daysAgo(45), to: daysAgo(30) } }))).body;
+    assert.equal(s.days.length, 16);
+    assert.deepEqual(s.totals, { impression: 0, open: 0, view: 7, referral: 0 });
+    assert.equal(s.photos.length, 0);
+  });
+
+  test('checks the range and the session', async () => {
+    const bad = await call(stats, event('GET', { query: { from: '2024-02-30' } }));
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.fields.from, 'from must be a date (YYYY-MM-DD)');
+    assert.equal((await call(stats, event('GET', { query: { from: '2024-05-02', to: '2024-05-01' } }))).body.error, 'from must not be after to');
+    assert.equal((await call(stats, event('GET', { query: { from: '2023-01-01', to: '2024-05-01' } }))).status, 400);
+    assert.equal((await call(stats, event('GET', { token: false }))).status, 401);
+  });
+});
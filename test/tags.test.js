@@ -0,0 +1,209 @@
+// Covers functions/tags.js and the search function that matches tag names with the rest.
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet, isoOffset } = require('./helpers');
+const { handler } = require('../functions/tags');
+const search = require('../functions/search').handler;
+
+beforeEach(() => fake.reset());
+
+// Two tags on live photos / entries, one only on a draft, one unused
+const seedTags = () => {
+  const { gallery } = fake.seed({
+    gallery: [
+      { title: 'Harbour at low tide', caption: 'Boats <b>resting</b> on the mud', location: 'Lisbon' },
+      { title: 'Dunes', caption: 'Wind on sand' },
+      { title: 'Secret', status: 'draft' },
+    ],
+  });
+  const { journal } = fake.seed({
+    journal: [
+      { title: 'Tide tables', content: 'Waited for the **tide** to turn before walking out.' },
+      { title: 'Later', status: 'scheduled', publish_at: isoOffset(86400000), content: 'tide' },
+    ],
+  });
+  const { tags } = fake.seed({
+    tags: [
+      { slug: 'sea', name: 'Sea' },
+      { slug: 'film', name: 'Film' },
+      { slug: 'private', name: 'Private' },
+      { slug: 'unused', name: 'Unused' },
+    ],
+  });
+  const [sea, film, priv] = tags;
+  fake.seed({
+    photo_tags: [
+      { photo_id: gallery[0].id, tag_id: sea.id },
+      { photo_id: gallery[1].id, tag_id: film.id },
+      { photo_id: gallery[2].id, tag_id: priv.id },
+    ],
+    entry_tags: [{ entry_id: journal[0].id, tag_id: sea.id }],
+  });
+  return { gallery, journal, tags };
+};
+
+describe('tags auth', () => {
+  for (const method of ['POST', 'PUT', 'DELETE']) {
+    test(`${method} without a session is 401`, async () => {
+      assert.equal((await call(handler, event(method, { token: false, body: {} }))).status, 401);
+    });
+  }
+
+  test('scope=all needs a session', async () => {
+    assert.equal((await call(handler, event('GET', { token: false, query: { scope: 'all' } }))).status, 401);
+  });
+});
+
+describe('GET /tags', () => {
+  test('lists tags on live items with their counts', async () => {
+    const { tags } = seedTags();
+    const res = await call(handler, event('GET', { token: false }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, [
+      { id: tags[1].id, slug: 'film', name: 'Film', photo_count: 1, entry_count: 0 },
+      { id: tags[0].id, slug: 'sea', name: 'Sea', photo_count: 1, entry_count: 1 },
+    ]);
+  });
+
+  test('scope=all counts drafts and includes unused tags', async () => {
+    seedTags();
+    const res = await call(handler, event('GET', { query: { scope: 'all' } }));
+    assert.deepEqual(res.body.map((t) => [t.slug, t.photo_count]), [['film', 1], ['private', 1], ['sea', 1], ['unused', 0]]);
+  });
+
+  test('a REST failure is a 502', async () => {
+    fake.failNext({ method: 'GET', url: /photo_tags/ }, { status: 500, body: 'boom' });
+    const res = await quiet(() => call(handler, event('GET', { token: false })));
+    assert.equal(res.status, 502);
+  });
+});
+
+describe('tag writes', () => {
+  test('POST creates a tag and refuses a slug that exists', async () => {
+    const res = await call(handler, event('POST', { body: { name: '  Black  and white ' } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'Black and white');
+    assert.equal(res.body.slug, 'black-and-white');
+
+    const dup = await call(handler, event('POST', { body: { name: 'Black & White', slug: 'black and white' } }));
+    assert.equal(dup.status, 409);
+    assert.equal((await call(handler, event('POST', { body: {} }))).status, 400);
+  });
+
+  test('PUT renames and keeps the slug unless given one', async () => {
+    const { tags } = seedTags();
+    const res = await call(handler, event('PUT', { body: { id: tags[0].id, name: 'The sea' } }));
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.slug, res.body.name], ['sea', 'The sea']);
+    assert.ok(res.body.updated_at);
+
+    assert.equal((await call(handler, event('PUT', { body: { id: tags[0].id, slug: 'film' } }))).status, 409);
+    assert.equal((await call(handler, event('PUT', { body: { id: 999, name: 'x' } }))).status, 404);
+    assert.equal((await call(handler, event('PUT', { body: { id: tags[0].id } }))).status, 400);
+  });
+
+  test('merge moves every use onto the target and deletes the sources', async () => {
+    const { gallery, tags } = seedTags();
+    const [sea, film] = tags;
+    fake.seed({ photo_tags: [{ photo_id: gallery[0].id, tag_id: film.id }] });
+
+    const res = await call(handler, event('POST', { path: '/.netlify/functions/tags/merge', body: { ids: [film.id], into: sea.id } }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.into.slug, 'sea');
+    assert.deepEqual(fake.rows('tags').map((t) => t.slug), ['sea', 'private', 'unused']);
+    assert.deepEqual(
+      fake.rows('photo_tags').filter((l) => l.tag_id === sea.id).map((l) => l.photo_id).sort(),
+      [gallery[0].id, gallery[1].id]
+    );
+
+    const merge = (body) => call(handler, event('POST', { path: '/.netlify/functions/tags/merge', body }));
+    assert.equal((await merge({ ids: [], into: sea.id })).status, 400);
+    assert.equal((await merge({ ids: [sea.id], into: sea.id })).status, 400);
+    assert.equal((await merge({ ids: [tags[2].id], into: 999 })).status, 404);
+  });
+
+  test('DELETE untags items without deleting them', async () => {
+    const { tags } = seedTags();
+    const res = await call(handler, event('DELETE', { body: { id: tags[0].id } }));
+    assert.deepEqual(res.body, { ok: true, id: tags[0].id });
+    assert.equal(fake.rows('entry_tags').length, 0);
+    assert.equal(fake.rows('journal').length, 2);
+    assert.equal((await call(handler, event('DELETE', { body: { id: tags[0].id } }))).status, 404);
+  });
+});
+
+describe('GET /search', () => {
+  const find = (query) => call(search, event('GET', { token: false, query }));
+
+  test('ranks live photos and entries and marks the matches', async () => {
+    seedTags();
+    const res = await find({ q: 'tide' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.query, 'tide');
+    assert.deepEqual(res.body.results.map((r) => [r.kind, r.title]), [['entry', 'Tide tables'], ['photo', 'Harbour at low tide']]);
+
+    const [entry, photo] = res.body.results;
+    assert.match(entry.snippet_html, /<mark>tide<\/mark>/);
+    assert.doesNotMatch(entry.snippet_html, /\*\*/);
+    assert.equal(photo.photo.title, 'Harbour at low tide');
+  });
+
+  test('matches tag names and escapes the text around the marks', async () => {
+    seedTags();
+    const res = await find({ q: 'sea boats' });
+    assert.deepEqual(res.body.results.map((r) => r.title), ['Harbour at low tide']);
+    assert.equal(res.body.results[0].snippet_html, '<mark>Boats</mark> &lt;b&gt;resting&lt;/b&gt; on the mud');
+  });
+
+  test('never finds drafts, scheduled or trashed items', async () => {
+    seedTags();
+    fake.rows('gallery')[0].deleted_at = new Date().toISOString();
+    assert.deepEqual((await find({ q: 'secret' })).body.results, []);
+    assert.deepEqual((await find({ q: 'tide' })).body.results.map((r) => r.title), ['Tide tables']);
+  });
+
+  test('puts the marks around escaped text and drops Markdown from snippets', async () => {
+    fake.failNext({ method: 'POST', url: /rpc\/search_site/ }, {
+      status: 200,
+      body: [{
+        kind: 'entry', id: 7, slug: 'fog', title: 'Fog', rank: 1,
+        snippet: '## Before \u0002<img src=x onerror=alert(1)>\u0003 & **bold** [a link](https://x.test) ![p](photo:1)\n> quoted',
+      }],
+    });
+    const [hit] = (await find({ q: 'img' })).body.results;
+    assert.equal(hit.snippet_html, 'Before <mark>&lt;img src=x onerror=alert(1)&gt;</mark> &amp; bold a link quoted');
+  });
+
+  test('photo hits carry the photo only while it is live', async () => {
+    const { gallery: [live, draft] } = fake.seed({
+      gallery: [{ title: 'Harbour', image_url: 'https://img.test/h.jpg' }, { title: 'Secret', status: 'draft', image_url: 'https://img.test/s.jpg' }],
+    });
+    const hit = (p) => ({ kind: 'photo', id: p.id, slug: null, title: p.title, rank: 1, snippet: p.title });
+    fake.failNext({ method: 'POST', url: /rpc\/search_site/ }, { status: 200, body: [hit(live), hit(draft)] });
+    const res = await find({ q: 'harbour secret' });
+    assert.deepEqual(res.body.results.map((r) => [r.title, r.photo ? r.photo.id : null]), [['Harbour', live.id], ['Secret', null]]);
+  });
+
+  test('validates q and limit', async () => {
+    assert.equal((await find({})).status, 400);
+    assert.equal((await find({ q: ' a ' })).status, 400);
+    assert.equal((await find({ q: 'x'.repeat(201) })).status, 400);
+    assert.equal((await find({ q: 'tide', limit: '0' })).status, 400);
+    assert.equal((await find({ q: 'tide', limit: '51' })).status, 400);
+    assert.equal((await find({ q: 'tide', limit: '2.5' })).status, 400);
+    assert.equal((await call(search, event('POST', { body: {} }))).status, 405);
+    assert.equal(fake.requests.length, 0);
+
+    const ok = await find({ q: '  low \n tide ', limit: '50' });
+    assert.equal(ok.body.query, 'low tide');
+    assert.deepEqual(JSON.parse(fake.requests[0].body), { p_query: 'low tide', p_limit: 50 });
+    await find({ q: 'x'.repeat(200) });
+    assert.equal(JSON.parse(fake.requests.at(-1).body).p_limit, 20);
+  });
+
+  test('an RPC failure is a 502', async () => {
+    fake.failNext({ method: 'POST', url: /rpc\/search_site/ }, { status: 500, body: 'boom' });
+    const res = await quiet(() => find({ q: 'tide' }));
+    assert.equal(res.status, 502);
+  });
+});
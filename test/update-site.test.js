@@ -0,0 +1,232 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fake, event, call, quiet, isoOffset, HOOK_URL, DEPLOY_SECRET } = require('./helpers');
+const { handler } = require('../functions/update-site');
+const flush = require('../functions/flush-builds').handler;
+const journal = require('../functions/journal').handler;
+const gallery = require('../functions/gallery').handler;
+
+const EVENTS = '/.netlify/functions/update-site/deploy-events';
+
+// What Netlify would POST back about the nth hook call
+const notify = (state, hook = fake.hooks[fake.hooks.length - 1], opts = {}) => {
+  const { body, headers } = fake.deployNotification(hook, state, DEPLOY_SECRET, opts.extra);
+  return call(handler, event('POST', { path: EVENTS, token: false, body: opts.body || body, headers }));
+};
+
+beforeEach(() => fake.reset());
+afterEach(() => {
+  delete process.env.BUILD_DEBOUNCE_SECONDS;
+  delete process.env.AUTO_REBUILD;
+});
+
+describe('update-site', () => {
+  test('OPTIONS answers the preflight and other methods are 405', async () => {
+    assert.equal((await call(handler, event('OPTIONS', { token: false }))).status, 204);
+    assert.equal((await call(handler, event('PUT'))).status, 405);
+  });
+
+  test('needs an admin session', async () => {
+    assert.equal((await call(handler, event('POST', { token: false }))).status, 401);
+    assert.equal((await call(handler, event('GET', { token: false }))).status, 401);
+    assert.equal(fake.hooks.length, 0);
+  });
+
+  test('is a 500 without NETLIFY_BUILD_HOOK_URL', async () => {
+    delete process.env.NETLIFY_BUILD_HOOK_URL;
+    try {
+      const res = await call(handler, event('POST'));
+      assert.equal(res.status, 500);
+      assert.match(res.body.error, /NETLIFY_BUILD_HOOK_URL/);
+      assert.equal(fake.rows('site_builds').length, 0);
+    } finally {
+      process.env.NETLIFY_BUILD_HOOK_URL = HOOK_URL;
+    }
+  });
+
+  test('triggers the build hook with a JSON body, titled with the build', async () => {
+    const res = await call(handler, event('POST'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+    assert.equal(res.body.build.status, 'triggered');
+    assert.equal(res.headers['Cache-Control'], 'no-store, max-age=0');
+    assert.equal(fake.hooks.length, 1);
+    assert.equal(JSON.parse(fake.hooks[0].body).triggeredBy, 'admin');
+    assert.equal(new URL(fake.hooks[0].url).searchParams.get('trigger_title'), `Site build #${res.body.build.id}`);
+  });
+
+  test('retries with an empty body when the hook rejects JSON', async () => {
+    fake.failNext({ url: HOOK_URL }, { status: 400, body: 'bad body' });
+    const res = await call(handler, event('POST'));
+    assert.equal(res.status, 200);
+    assert.equal(fake.hooks.length, 1);
+    assert.equal(fake.hooks[0].body, '');
+  });
+
+  test('is a 502 when both attempts fail, and records the build as failed', async () => {
+    fake.failNext({ url: HOOK_URL }, { status: 404, body: { message: 'unknown hook' } });
+    fake.failNext({ url: HOOK_URL }, { status: 404, body: { message: 'unknown hook' } });
+    const res = await quiet(() => call(handler, event('POST')));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.status, 404);
+    assert.equal(res.body.body, undefined);
+    assert.ok(res.body.request_id);
+    assert.equal(res.body.build.status, 'failed');
+
+    const status = await call(handler, event('GET'));
+    assert.equal(status.body.failed.id, res.body.build.id);
+    assert.equal(status.body.failed.error, 'Build hook responded with error');
+  });
+
+  test('is a 502 when the hook is unreachable', async () => {
+    fake.failNext({ url: HOOK_URL }, { throws: new TypeError('fetch failed') });
+    const res = await quiet(() => call(handler, event('POST')));
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'upstream_error');
+    assert.equal(res.body.detail, undefined);
+  });
+});
+
+describe('coalescing', () => {
+  test('clicks within the window after a build queue one more build, not one each', async () => {
+    assert.equal((await call(handler, event('POST'))).status, 200);
+
+    const second = await call(handler, event('POST'));
+    assert.equal(second.status, 202);
+    assert.equal(second.body.queued, true);
+    assert.ok(Date.parse(second.body.build.due_at) > Date.now() + 50 * 1000);
+
+    const third = await call(handler, event('POST'));
+    assert.equal(third.body.build.id, second.body.build.id);
+    assert.equal(third.body.build.requests, 2);
+    assert.equal(fake.hooks.length, 1);
+  });
+
+  test('BUILD_DEBOUNCE_SECONDS=0 lets every click through', async () => {
+    process.env.BUILD_DEBOUNCE_SECONDS = '0';
+    await call(handler, event('POST'));
+    await call(handler, event('POST'));
+    assert.equal(fake.hooks.length, 2);
+    assert.deepEqual(fake.rows('site_builds').map((b) => b.status), ['triggered', 'triggered']);
+  });
+
+  test('GET and the scheduled flush fire builds that are due, once', async () => {
+    const [build] = fake.seed({ site_builds: [{ due_at: isoOffset(-1000), reasons: ['photo updated'] }] }).site_builds;
+
+    const res = await call(flush, event('POST', { token: false }));
+    assert.deepEqual(res.body.fired, [{ id: build.id, status: 'triggered' }]);
+    assert.ok(fake.rows('site_builds')[0].claimed_at);
+    assert.equal((await call(handler, event('GET'))).body.in_flight.id, build.id);
+    assert.equal(fake.hooks.length, 1);
+  });
+
+  test('a flush fails builds stuck in flight, and a build whose claim is fresh is left alone', async () => {
+    const { site_builds: [crashed, fresh, silent, building] } = fake.seed({
+      site_builds: [
+        { status: 'triggering', due_at: isoOffset(-600000), claimed_at: isoOffset(-600000) },
+        { status: 'triggering', due_at: isoOffset(-1000), claimed_at: isoOffset(-1000) },
+        { status: 'triggered', due_at: isoOffset(-7200000), triggered_at: isoOffset(-7200000) },
+        { status: 'building', due_at: isoOffset(-1000), triggered_at: isoOffset(-1000) },
+      ],
+    });
+
+    await call(flush, event('POST', { token: false }));
+    const status = Object.fromEntries(fake.rows('site_builds').map((b) => [b.id, b]));
+    assert.equal(status[crashed.id].status, 'failed');
+    assert.match(status[crashed.id].error, /never finished/);
+    assert.ok(status[crashed.id].finished_at);
+    assert.equal(status[silent.id].status, 'failed');
+    assert.match(status[silent.id].error, /No word of the deploy/);
+    assert.equal(status[fresh.id].status, 'triggering');
+    assert.equal(status[building.id].status, 'building');
+    assert.equal(fake.hooks.length, 0);
+  });
+
+  test('GET reports a build that is still waiting', async () => {
+    fake.seed({ site_builds: [{ due_at: isoOffset(60000), requests: 3, reasons: ['photo added', 'entry updated'] }] });
+    const res = await call(handler, event('GET'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pending.requests, 3);
+    assert.equal(res.body.in_flight, null);
+    assert.equal(res.body.last_deployed_at, null);
+    assert.equal(res.body.window_seconds, 60);
+    assert.equal(res.body.auto_rebuild, false);
+    assert.equal(fake.hooks.length, 0);
+  });
+});
+
+describe('deploy notifications', () => {
+  test('move the build they name to building, then ready', async () => {
+    const { body: { build } } = await call(handler, event('POST'));
+
+    assert.deepEqual((await notify('building')).body, { ok: true, build_id: build.id, status: 'building' });
+    assert.equal((await call(handler, event('GET'))).body.in_flight.status, 'building');
+
+    assert.equal((await notify('ready')).body.status, 'ready');
+    const res = await call(handler, event('GET'));
+    assert.equal(res.body.in_flight, null);
+    assert.ok(res.body.last_deployed_at);
+    assert.equal(res.body.failed, null);
+    assert.match(res.body.builds[0].deploy_url, /netlify\.app$/);
+
+    // A late "building" doesn't undo it
+    await notify('building');
+    assert.equal(fake.rows('site_builds')[0].status, 'ready');
+  });
+
+  test('a failed deploy is reported until a later one goes live', async () => {
+    process.env.BUILD_DEBOUNCE_SECONDS = '0';
+    await call(handler, event('POST'));
+    await notify('error');
+    const failed = (await call(handler, event('GET'))).body.failed;
+    assert.equal(failed.status, 'failed');
+    assert.match(failed.error, /non-zero exit code/);
+
+    await call(handler, event('POST'));
+    await notify('ready');
+    assert.equal((await call(handler, event('GET'))).body.failed, null);
+  });
+
+  test('without a build title, update the latest build in flight', async () => {
+    await call(handler, event('POST'));
+    const res = await notify('ready', fake.hooks[0], { extra: { title: 'Deploy from main' } });
+    assert.equal(res.body.status, 'ready');
+  });
+
+  test('are refused without a valid signature', async () => {
+    await call(handler, event('POST'));
+    const { body, headers } = fake.deployNotification(fake.hooks[0], 'ready', 'some other secret');
+    const forged = await call(handler, event('POST', { path: EVENTS, token: false, body, headers }));
+    assert.equal(forged.status, 401);
+
+    const tampered = await notify('ready', fake.hooks[0], { body: JSON.stringify({ state: 'error', title: 'Site build #1' }) });
+    assert.equal(tampered.status, 401);
+
+    const unsigned = await call(handler, event('POST', { path: EVENTS, token: false, body: { state: 'ready' } }));
+    assert.equal(unsigned.status, 401);
+    assert.equal(fake.rows('site_builds')[0].status, 'triggered');
+  });
+});
+
+describe('AUTO_REBUILD', () => {
+  test('saves queue one build between them and fire no hook yet', async () => {
+    process.env.AUTO_REBUILD = 'true';
+    const created = await call(journal, event('POST', { body: { title: 'Fog', content: 'Grey' } }));
+    await call(journal, event('PUT', { body: { id: created.body.id, title: 'Fog again' } }));
+    await call(journal, event('PUT', { body: { id: 999, title: 'missing' } }));
+    await call(gallery, event('POST', { path: '/.netlify/functions/gallery/uploads', body: { files: [{ filename: 'a.jpg' }] } }));
+
+    const builds = fake.rows('site_builds');
+    assert.equal(builds.length, 1);
+    assert.equal(builds[0].requests, 2);
+    assert.deepEqual(builds[0].reasons, ['entry added', 'entry updated']);
+    assert.equal(builds[0].requested_by, 'admin');
+    assert.equal(fake.hooks.length, 0);
+    assert.equal((await call(handler, event('GET'))).body.auto_rebuild, true);
+  });
+
+  test('is off by default', async () => {
+    await call(journal, event('POST', { body: { title: 'Fog' } }));
+    assert.equal(fake.rows('site_builds').length, 0);
+  });
+});